@@ -0,0 +1,8 @@
+/**
+ * Attachment history styles entry point.
+ *
+ * This module only imports the timeline styles so webpack extracts them
+ * into build/attachment-history.css for the attachment edit screen and
+ * the media modal.
+ */
+import '../css/attachment-history.css';
@@ -0,0 +1,26 @@
+/**
+ * Review Badge.
+ *
+ * Keeps the "VMF Review" menu badge current on admin pages other than
+ * the Review screen, using the Heartbeat API.
+ *
+ * @package VmfaEditorialWorkflow
+ */
+
+import { updateMenuBadge } from './review/utils/updateMenuBadge';
+
+( function ( $ ) {
+	if ( ! $ ) {
+		return;
+	}
+
+	$( document )
+		.on( 'heartbeat-send.vmfaReview', ( event, data ) => {
+			data.vmfa_review = { screen: 'badge' };
+		} )
+		.on( 'heartbeat-tick.vmfaReview', ( event, data ) => {
+			if ( data.vmfa_review ) {
+				updateMenuBadge( Number( data.vmfa_review.count ) || 0 );
+			}
+		} );
+} )( window.jQuery );
@@ -0,0 +1,69 @@
+/**
+ * Bulk Progress component.
+ *
+ * @package VmfaEditorialWorkflow
+ */
+
+import { Button } from '@wordpress/components';
+import { __, sprintf } from '@wordpress/i18n';
+
+/**
+ * Progress labels, keyed by review action.
+ *
+ * @return {Object} Action => label.
+ */
+function getActionLabels() {
+	return {
+		approve: __( 'Approving…', 'vmfa-editorial-workflow' ),
+		assign: __( 'Moving…', 'vmfa-editorial-workflow' ),
+		reject: __( 'Rejecting…', 'vmfa-editorial-workflow' ),
+	};
+}
+
+/**
+ * Progress of a bulk action that runs in chunks, with a way to stop it
+ * after the current chunk.
+ *
+ * @param {Object}   props              Component props.
+ * @param {string}   props.action       Review action: 'approve', 'assign' or 'reject'.
+ * @param {number}   props.done         Number of items processed.
+ * @param {number}   props.total        Number of items to process.
+ * @param {boolean}  props.isCancelling Whether the action stops after the current chunk.
+ * @param {Function} props.onCancel     Called to stop the action.
+ * @return {JSX.Element} Bulk progress.
+ */
+export default function BulkProgress( {
+	action,
+	done,
+	total,
+	isCancelling,
+	onCancel,
+} ) {
+	return (
+		<div className="vmfa-bulk-progress" role="status">
+			<span className="vmfa-bulk-progress-label">
+				{ getActionLabels()[ action ] }{ ' ' }
+				{ sprintf(
+					/* translators: 1: number of items processed, 2: number of items selected */
+					__( '%1$d of %2$d', 'vmfa-editorial-workflow' ),
+					done,
+					total
+				) }
+			</span>
+			<progress
+				className="vmfa-bulk-progress-bar"
+				max={ total }
+				value={ done }
+			/>
+			<Button
+				variant="secondary"
+				disabled={ isCancelling }
+				onClick={ onCancel }
+			>
+				{ isCancelling
+					? __( 'Stopping…', 'vmfa-editorial-workflow' )
+					: __( 'Cancel', 'vmfa-editorial-workflow' ) }
+			</Button>
+		</div>
+	);
+}
@@ -0,0 +1,63 @@
+/**
+ * Tests for BulkProgress component.
+ *
+ * @package VmfaEditorialWorkflow
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import BulkProgress from './BulkProgress';
+
+// Mock WordPress packages
+vi.mock( '@wordpress/i18n', () => ( {
+	__: ( str ) => str,
+	sprintf: ( str, ...args ) =>
+		str.replace( /%(\d)\$d/g, ( match, index ) => args[ index - 1 ] ),
+} ) );
+
+vi.mock( '@wordpress/components', () => ( {
+	Button: ( { children, onClick, disabled } ) => (
+		<button type="button" onClick={ onClick } disabled={ disabled }>
+			{ children }
+		</button>
+	),
+} ) );
+
+describe( 'BulkProgress', () => {
+	it( 'should show progress and cancel', () => {
+		const onCancel = vi.fn();
+		render(
+			<BulkProgress
+				action="approve"
+				done={ 50 }
+				total={ 120 }
+				isCancelling={ false }
+				onCancel={ onCancel }
+			/>
+		);
+
+		expect( screen.getByRole( 'status' ) ).toHaveTextContent(
+			'Approving… 50 of 120'
+		);
+
+		fireEvent.click( screen.getByRole( 'button', { name: 'Cancel' } ) );
+
+		expect( onCancel ).toHaveBeenCalled();
+	} );
+
+	it( 'should disable cancel while stopping', () => {
+		render(
+			<BulkProgress
+				action="assign"
+				done={ 0 }
+				total={ 120 }
+				isCancelling
+				onCancel={ vi.fn() }
+			/>
+		);
+
+		expect(
+			screen.getByRole( 'button', { name: 'Stopping…' } )
+		).toBeDisabled();
+	} );
+} );
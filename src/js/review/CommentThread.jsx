@@ -0,0 +1,200 @@
+/**
+ * Comment Thread component.
+ *
+ * @package VmfaEditorialWorkflow
+ */
+
+import { useState, useEffect } from '@wordpress/element';
+import apiFetch from '@wordpress/api-fetch';
+import { __ } from '@wordpress/i18n';
+import { splitMentions } from './utils/splitMentions';
+
+/**
+ * Render comment text with highlighted @mentions.
+ *
+ * @param {Object} props         Component props.
+ * @param {string} props.content Comment text.
+ * @return {JSX.Element} Comment content.
+ */
+function CommentContent( { content } ) {
+	return (
+		<p className="vmfa-comment-content">
+			{ splitMentions( content ).map( ( part, index ) =>
+				part.type === 'mention' ? (
+					<span key={ index } className="vmfa-mention">
+						@{ part.value }
+					</span>
+				) : (
+					part.value
+				)
+			) }
+		</p>
+	);
+}
+
+/**
+ * Review comment thread for an attachment.
+ *
+ * @param {Object}   props               Component props.
+ * @param {number}   props.attachmentId  Attachment ID.
+ * @param {Function} props.onCountChange Called with the number of comments after loading or posting.
+ * @return {JSX.Element} Comment thread.
+ */
+export default function CommentThread( { attachmentId, onCountChange } ) {
+	const path = `/vmfa-editorial/v1/media/${ attachmentId }/comments`;
+	const [ comments, setComments ] = useState( null );
+	const [ error, setError ] = useState( '' );
+	const [ content, setContent ] = useState( '' );
+	const [ isPosting, setIsPosting ] = useState( false );
+
+	useEffect( () => {
+		let isMounted = true;
+
+		setComments( null );
+		setError( '' );
+
+		apiFetch( { path } )
+			.then( ( response ) => {
+				if ( isMounted ) {
+					setComments( response );
+					onCountChange?.( response.length );
+				}
+			} )
+			.catch( ( err ) => {
+				if ( isMounted ) {
+					setError(
+						err?.message ||
+							__(
+								'An error occurred.',
+								'vmfa-editorial-workflow'
+							)
+					);
+				}
+			} );
+
+		return () => {
+			isMounted = false;
+		};
+	}, [ path ] ); // eslint-disable-line react-hooks/exhaustive-deps
+
+	const postComment = async ( e ) => {
+		e.preventDefault();
+
+		const text = content.trim();
+		if ( ! text || isPosting ) {
+			return;
+		}
+
+		setIsPosting( true );
+		setError( '' );
+
+		try {
+			const comment = await apiFetch( {
+				path,
+				method: 'POST',
+				data: { content: text },
+			} );
+			const updated = [ ...( comments || [] ), comment ];
+			setComments( updated );
+			setContent( '' );
+			onCountChange?.( updated.length );
+		} catch ( err ) {
+			setError(
+				err?.message ||
+					__( 'An error occurred.', 'vmfa-editorial-workflow' )
+			);
+		} finally {
+			setIsPosting( false );
+		}
+	};
+
+	let placeholder = '';
+	if ( error && ! comments ) {
+		placeholder = error;
+	} else if ( ! comments ) {
+		placeholder = __( 'Loading…', 'vmfa-editorial-workflow' );
+	} else if ( ! comments.length ) {
+		placeholder = __(
+			'No comments yet. Start the conversation.',
+			'vmfa-editorial-workflow'
+		);
+	}
+
+	return (
+		<section className="vmfa-comments">
+			<h4 className="vmfa-comments-title">
+				{ __( 'Comments', 'vmfa-editorial-workflow' ) }
+			</h4>
+			<ol className="vmfa-comments-list" aria-live="polite">
+				{ placeholder && (
+					<li className="vmfa-comments-empty">{ placeholder }</li>
+				) }
+				{ ( comments || [] ).map( ( comment ) => (
+					<li key={ comment.id } className="vmfa-comment">
+						{ comment.author?.avatar && (
+							<img
+								className="vmfa-comment-avatar"
+								src={ comment.author.avatar }
+								alt=""
+								width="24"
+								height="24"
+							/>
+						) }
+						<div className="vmfa-comment-body">
+							<div className="vmfa-comment-header">
+								<strong className="vmfa-comment-author">
+									{ comment.author?.name }
+								</strong>
+								<time
+									className="vmfa-comment-date"
+									dateTime={ comment.date }
+								>
+									{ comment.date
+										? new Date(
+												comment.date
+										  ).toLocaleString()
+										: '' }
+								</time>
+							</div>
+							<CommentContent content={ comment.content } />
+						</div>
+					</li>
+				) ) }
+			</ol>
+			{ error && comments && (
+				<p className="vmfa-comments-error" role="alert">
+					{ error }
+				</p>
+			) }
+			<form className="vmfa-comments-form" onSubmit={ postComment }>
+				<textarea
+					className="vmfa-comments-input"
+					rows="2"
+					value={ content }
+					placeholder={ __(
+						'Add a comment… Use @username to mention someone.',
+						'vmfa-editorial-workflow'
+					) }
+					aria-label={ __(
+						'Add a comment… Use @username to mention someone.',
+						'vmfa-editorial-workflow'
+					) }
+					onChange={ ( e ) => setContent( e.target.value ) }
+					onKeyDown={ ( e ) => {
+						// Post with Ctrl/Cmd+Enter.
+						if ( e.key === 'Enter' && ( e.ctrlKey || e.metaKey ) ) {
+							postComment( e );
+						}
+					} }
+				/>
+				<button
+					type="submit"
+					className="button button-primary"
+					disabled={ isPosting }
+				>
+					{ __( 'Post comment', 'vmfa-editorial-workflow' ) }
+				</button>
+			</form>
+		</section>
+	);
+}
@@ -0,0 +1,164 @@
+/**
+ * Duplicate Modal component.
+ *
+ * @package VmfaEditorialWorkflow
+ */
+
+import { useState } from '@wordpress/element';
+import { Modal, Button } from '@wordpress/components';
+import { __, sprintf } from '@wordpress/i18n';
+
+/**
+ * One side of the comparison.
+ *
+ * @param {Object} props         Component props.
+ * @param {string} props.heading Heading above the file.
+ * @param {Object} props.file    Review item or match: title, filename, thumbnail, fileSizeLabel, width, height, dateLabel.
+ * @return {JSX.Element} Comparison column.
+ */
+export function CompareSide( { heading, file } ) {
+	return (
+		<div className="vmfa-duplicate-side">
+			<h3>{ heading }</h3>
+			<div className="vmfa-duplicate-media">
+				{ file.isImage && file.thumbnail ? (
+					<img src={ file.thumbnail } alt={ file.title } />
+				) : (
+					<span className={ `dashicons ${ file.icon }` }></span>
+				) }
+			</div>
+			<dl className="vmfa-duplicate-details">
+				<dt>{ __( 'Title', 'vmfa-editorial-workflow' ) }</dt>
+				<dd>
+					{ file.editLink ? (
+						<a href={ file.editLink }>{ file.title }</a>
+					) : (
+						file.title
+					) }
+				</dd>
+				<dt>{ __( 'File name', 'vmfa-editorial-workflow' ) }</dt>
+				<dd>{ file.filename }</dd>
+				{ file.width > 0 && (
+					<>
+						<dt>
+							{ __( 'Dimensions', 'vmfa-editorial-workflow' ) }
+						</dt>
+						<dd>{ `${ file.width } × ${ file.height }` }</dd>
+					</>
+				) }
+				<dt>{ __( 'Size', 'vmfa-editorial-workflow' ) }</dt>
+				<dd>{ file.fileSizeLabel }</dd>
+				<dt>{ __( 'Uploaded', 'vmfa-editorial-workflow' ) }</dt>
+				<dd>{ file.dateLabel }</dd>
+			</dl>
+		</div>
+	);
+}
+
+/**
+ * Compare an upload with the library items it duplicates and decide
+ * whether to discard it or keep both.
+ *
+ * @param {Object}   props           Component props.
+ * @param {Object}   props.item      Review item with `duplicates`.
+ * @param {boolean}  props.isBusy    Whether an action is running for the item.
+ * @param {Function} props.onDiscard Called with the item ID to discard the upload.
+ * @param {Function} props.onKeep    Called with the item ID to keep both files.
+ * @param {Function} props.onClose   Called to close the modal.
+ * @return {JSX.Element} Duplicate modal.
+ */
+export default function DuplicateModal( {
+	item,
+	isBusy = false,
+	onDiscard,
+	onKeep,
+	onClose,
+} ) {
+	const [ index, setIndex ] = useState( 0 );
+	const matches = item.duplicates || [];
+	const match = matches[ Math.min( index, matches.length - 1 ) ];
+
+	if ( ! match ) {
+		return null;
+	}
+
+	return (
+		<Modal
+			title={
+				match.type === 'exact'
+					? __(
+							'Identical file already in the library',
+							'vmfa-editorial-workflow'
+					  )
+					: __(
+							'Similar image already in the library',
+							'vmfa-editorial-workflow'
+					  )
+			}
+			onRequestClose={ onClose }
+			className="vmfa-duplicate-modal"
+			size="large"
+		>
+			{ matches.length > 1 && (
+				<div
+					className="vmfa-duplicate-matches"
+					role="group"
+					aria-label={ __( 'Matches', 'vmfa-editorial-workflow' ) }
+				>
+					{ matches.map( ( candidate, i ) => (
+						<button
+							key={ candidate.id }
+							type="button"
+							className={ `button${
+								i === index ? ' is-pressed' : ''
+							}` }
+							aria-pressed={ i === index }
+							onClick={ () => setIndex( i ) }
+						>
+							{ sprintf(
+								/* translators: %d: match number */
+								__( 'Match %d', 'vmfa-editorial-workflow' ),
+								i + 1
+							) }
+						</button>
+					) ) }
+				</div>
+			) }
+
+			<div className="vmfa-duplicate-compare">
+				<CompareSide
+					heading={ __( 'New upload', 'vmfa-editorial-workflow' ) }
+					file={ item }
+				/>
+				<CompareSide
+					heading={ __(
+						'In the library',
+						'vmfa-editorial-workflow'
+					) }
+					file={ match }
+				/>
+			</div>
+
+			<div className="vmfa-modal-actions">
+				<Button
+					variant="primary"
+					isDestructive
+					disabled={ isBusy }
+					onClick={ () => onDiscard( item.id ) }
+				>
+					{ __( 'Discard duplicate', 'vmfa-editorial-workflow' ) }
+				</Button>
+				<Button
+					variant="secondary"
+					disabled={ isBusy }
+					onClick={ () => onKeep( item.id ) }
+				>
+					{ __( 'Keep both', 'vmfa-editorial-workflow' ) }
+				</Button>
+				<Button variant="tertiary" onClick={ onClose }>
+					{ __( 'Cancel', 'vmfa-editorial-workflow' ) }
+				</Button>
+			</div>
+		</Modal>
+	);
+}
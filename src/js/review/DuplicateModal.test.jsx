@@ -0,0 +1,151 @@
+/**
+ * Tests for DuplicateModal component.
+ *
+ * @package VmfaEditorialWorkflow
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import DuplicateModal from './DuplicateModal';
+
+// Mock WordPress packages
+vi.mock( '@wordpress/components', () => ( {
+	Modal: ( { title, children } ) => (
+		<div role="dialog" aria-label={ title }>
+			{ children }
+		</div>
+	),
+	Button: ( { children, onClick, disabled } ) => (
+		<button type="button" onClick={ onClick } disabled={ disabled }>
+			{ children }
+		</button>
+	),
+} ) );
+
+vi.mock( '@wordpress/i18n', () => ( {
+	__: ( str ) => str,
+	sprintf: ( str, ...args ) => str.replace( '%d', args[ 0 ] ),
+} ) );
+
+const item = {
+	id: 40,
+	title: 'Sunset copy',
+	filename: 'sunset-1.jpg',
+	isImage: true,
+	thumbnail: 'https://example.com/sunset-1.jpg',
+	fileSizeLabel: '1 MB',
+	width: 1200,
+	height: 800,
+	dateLabel: 'Today',
+	duplicates: [
+		{
+			id: 12,
+			type: 'exact',
+			title: 'Sunset',
+			filename: 'sunset.jpg',
+			isImage: true,
+			thumbnail: 'https://example.com/sunset.jpg',
+			fileSizeLabel: '1 MB',
+			width: 1200,
+			height: 800,
+			dateLabel: 'March 3, 2026',
+			editLink:
+				'https://example.com/wp-admin/post.php?post=12&action=edit',
+		},
+		{
+			id: 31,
+			type: 'similar',
+			title: 'Sunset crop',
+			filename: 'sunset-crop.jpg',
+			isImage: true,
+			thumbnail: 'https://example.com/sunset-crop.jpg',
+			fileSizeLabel: '800 KB',
+			width: 1000,
+			height: 700,
+			dateLabel: 'March 4, 2026',
+		},
+	],
+};
+
+describe( 'DuplicateModal', () => {
+	it( 'should compare the upload with the first match', () => {
+		render(
+			<DuplicateModal
+				item={ item }
+				onDiscard={ vi.fn() }
+				onKeep={ vi.fn() }
+				onClose={ vi.fn() }
+			/>
+		);
+
+		expect( screen.getByRole( 'dialog' ) ).toHaveAttribute(
+			'aria-label',
+			'Identical file already in the library'
+		);
+		expect( screen.getByText( 'sunset-1.jpg' ) ).toBeInTheDocument();
+		expect( screen.getByText( 'Sunset' ) ).toHaveAttribute(
+			'href',
+			item.duplicates[ 0 ].editLink
+		);
+		expect( screen.getByText( 'Match 1' ) ).toHaveAttribute(
+			'aria-pressed',
+			'true'
+		);
+	} );
+
+	it( 'should switch between matches', () => {
+		render(
+			<DuplicateModal
+				item={ item }
+				onDiscard={ vi.fn() }
+				onKeep={ vi.fn() }
+				onClose={ vi.fn() }
+			/>
+		);
+
+		fireEvent.click( screen.getByText( 'Match 2' ) );
+
+		expect( screen.getByRole( 'dialog' ) ).toHaveAttribute(
+			'aria-label',
+			'Similar image already in the library'
+		);
+		expect( screen.getByText( 'sunset-crop.jpg' ) ).toBeInTheDocument();
+		expect( screen.getByText( '1000 × 700' ) ).toBeInTheDocument();
+	} );
+
+	it( 'should discard or keep the upload', () => {
+		const onDiscard = vi.fn();
+		const onKeep = vi.fn();
+
+		render(
+			<DuplicateModal
+				item={ item }
+				onDiscard={ onDiscard }
+				onKeep={ onKeep }
+				onClose={ vi.fn() }
+			/>
+		);
+
+		fireEvent.click( screen.getByText( 'Discard duplicate' ) );
+		fireEvent.click( screen.getByText( 'Keep both' ) );
+
+		expect( onDiscard ).toHaveBeenCalledWith( 40 );
+		expect( onKeep ).toHaveBeenCalledWith( 40 );
+	} );
+
+	it( 'should disable the decisions while busy', () => {
+		render(
+			<DuplicateModal
+				item={ item }
+				isBusy
+				onDiscard={ vi.fn() }
+				onKeep={ vi.fn() }
+				onClose={ vi.fn() }
+			/>
+		);
+
+		expect( screen.getByText( 'Discard duplicate' ) ).toBeDisabled();
+		expect( screen.getByText( 'Keep both' ) ).toBeDisabled();
+		expect( screen.getByText( 'Cancel' ) ).not.toBeDisabled();
+	} );
+} );
@@ -0,0 +1,200 @@
+/**
+ * Review Filter Bar component.
+ *
+ * @package VmfaEditorialWorkflow
+ */
+
+import { useState, useEffect } from '@wordpress/element';
+import { Button, SelectControl, TextControl } from '@wordpress/components';
+import { __, _n, sprintf } from '@wordpress/i18n';
+import { EMPTY_FILTERS, hasActiveFilters } from './utils/reviewFilters';
+
+/**
+ * Delay before typed filter values are applied, in milliseconds.
+ *
+ * @type {number}
+ */
+const DEBOUNCE_DELAY = 400;
+
+/**
+ * Filter bar for the review queue.
+ *
+ * Changes are collected in a draft and applied after a short pause
+ * in typing, so every keystroke doesn't trigger a request.
+ *
+ * @param {Object}   props           Component props.
+ * @param {Object}   props.filters   Applied filters.
+ * @param {Array}    props.uploaders Users who can upload, { id, name }.
+ * @param {Array}    props.stages    Review stages, { key, name }. The filter shows with two or more.
+ * @param {number}   props.total     Number of matching items.
+ * @param {Function} props.onChange  Called with the new filters.
+ * @return {JSX.Element} Filter bar.
+ */
+export default function FilterBar( {
+	filters,
+	uploaders = [],
+	stages = [],
+	total,
+	onChange,
+} ) {
+	const [ draft, setDraft ] = useState( filters );
+
+	// Follow external changes, e.g. browser navigation.
+	useEffect( () => {
+		setDraft( filters );
+	}, [ filters ] );
+
+	useEffect( () => {
+		if ( draft === filters ) {
+			return;
+		}
+
+		const timer = setTimeout( () => onChange( draft ), DEBOUNCE_DELAY );
+		return () => clearTimeout( timer );
+	}, [ draft ] ); // eslint-disable-line react-hooks/exhaustive-deps
+
+	const update = ( key ) => ( value ) =>
+		setDraft( ( prev ) => ( { ...prev, [ key ]: value } ) );
+
+	const isFiltered = hasActiveFilters( filters );
+
+	return (
+		<div className="vmfa-review-filters">
+			<TextControl
+				className="vmfa-filter-search"
+				type="search"
+				label={ __( 'Search', 'vmfa-editorial-workflow' ) }
+				placeholder={ __(
+					'Title or filename',
+					'vmfa-editorial-workflow'
+				) }
+				value={ draft.search }
+				onChange={ update( 'search' ) }
+				__nextHasNoMarginBottom
+			/>
+			{ stages.length > 1 && (
+				<SelectControl
+					label={ __( 'Stage', 'vmfa-editorial-workflow' ) }
+					value={ draft.stage }
+					options={ [
+						{
+							value: '',
+							label: __(
+								'All stages',
+								'vmfa-editorial-workflow'
+							),
+						},
+						...stages.map( ( stage ) => ( {
+							value: stage.key,
+							label: stage.name,
+						} ) ),
+					] }
+					onChange={ update( 'stage' ) }
+					__nextHasNoMarginBottom
+				/>
+			) }
+			<SelectControl
+				label={ __( 'Uploader', 'vmfa-editorial-workflow' ) }
+				value={ draft.uploader }
+				options={ [
+					{
+						value: '',
+						label: __( 'All uploaders', 'vmfa-editorial-workflow' ),
+					},
+					...uploaders.map( ( user ) => ( {
+						value: String( user.id ),
+						label: user.name,
+					} ) ),
+				] }
+				onChange={ update( 'uploader' ) }
+				__nextHasNoMarginBottom
+			/>
+			<SelectControl
+				label={ __( 'Type', 'vmfa-editorial-workflow' ) }
+				value={ draft.type }
+				options={ [
+					{
+						value: '',
+						label: __( 'All types', 'vmfa-editorial-workflow' ),
+					},
+					{
+						value: 'image',
+						label: __( 'Images', 'vmfa-editorial-workflow' ),
+					},
+					{
+						value: 'video',
+						label: __( 'Video', 'vmfa-editorial-workflow' ),
+					},
+					{
+						value: 'audio',
+						label: __( 'Audio', 'vmfa-editorial-workflow' ),
+					},
+					{
+						value: 'document',
+						label: __( 'Documents', 'vmfa-editorial-workflow' ),
+					},
+				] }
+				onChange={ update( 'type' ) }
+				__nextHasNoMarginBottom
+			/>
+			<TextControl
+				type="date"
+				label={ __( 'Uploaded from', 'vmfa-editorial-workflow' ) }
+				value={ draft.from }
+				max={ draft.to || undefined }
+				onChange={ update( 'from' ) }
+				__nextHasNoMarginBottom
+			/>
+			<TextControl
+				type="date"
+				label={ __( 'Uploaded to', 'vmfa-editorial-workflow' ) }
+				value={ draft.to }
+				min={ draft.from || undefined }
+				onChange={ update( 'to' ) }
+				__nextHasNoMarginBottom
+			/>
+			<TextControl
+				className="vmfa-filter-size"
+				type="number"
+				min="0"
+				step="0.1"
+				label={ __( 'Min size (MB)', 'vmfa-editorial-workflow' ) }
+				value={ draft.minSize }
+				onChange={ update( 'minSize' ) }
+				__nextHasNoMarginBottom
+			/>
+			<TextControl
+				className="vmfa-filter-size"
+				type="number"
+				min="0"
+				step="0.1"
+				label={ __( 'Max size (MB)', 'vmfa-editorial-workflow' ) }
+				value={ draft.maxSize }
+				onChange={ update( 'maxSize' ) }
+				__nextHasNoMarginBottom
+			/>
+			{ isFiltered && (
+				<div className="vmfa-filter-summary">
+					<span>
+						{ sprintf(
+							/* translators: %d: number of matching items */
+							_n(
+								'%d match',
+								'%d matches',
+								total,
+								'vmfa-editorial-workflow'
+							),
+							total
+						) }
+					</span>
+					<Button
+						variant="link"
+						onClick={ () => onChange( { ...EMPTY_FILTERS } ) }
+					>
+						{ __( 'Clear filters', 'vmfa-editorial-workflow' ) }
+					</Button>
+				</div>
+			) }
+		</div>
+	);
+}
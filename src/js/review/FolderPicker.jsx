@@ -0,0 +1,133 @@
+/**
+ * Folder Picker component.
+ *
+ * @package VmfaEditorialWorkflow
+ */
+
+import { useState, useMemo } from '@wordpress/element';
+import { Modal } from '@wordpress/components';
+import { __, _n, sprintf } from '@wordpress/i18n';
+import { buildFolderOptions } from '../settings/utils/buildFolderOptions';
+
+/**
+ * Keyboard-friendly folder picker with type-ahead filtering.
+ *
+ * @param {Object}   props         Component props.
+ * @param {Array}    props.folders Destination folders.
+ * @param {number}   props.count   Number of items to move.
+ * @param {Function} props.onPick  Called with the chosen folder ID.
+ * @param {Function} props.onClose Called to close the picker.
+ * @return {JSX.Element} Folder picker.
+ */
+export default function FolderPicker( {
+	folders = [],
+	count,
+	onPick,
+	onClose,
+} ) {
+	const [ query, setQuery ] = useState( '' );
+	const [ activeIndex, setActiveIndex ] = useState( 0 );
+
+	const options = useMemo( () => buildFolderOptions( folders ), [ folders ] );
+
+	const matches = useMemo( () => {
+		const term = query.trim().toLowerCase();
+		if ( ! term ) {
+			return options;
+		}
+		return options.filter( ( option ) =>
+			option.label
+				.replace( /^(— )+/, '' )
+				.toLowerCase()
+				.includes( term )
+		);
+	}, [ options, query ] );
+
+	const active = Math.min( activeIndex, Math.max( 0, matches.length - 1 ) );
+
+	const handleKeyDown = ( e ) => {
+		if ( e.key === 'ArrowDown' ) {
+			e.preventDefault();
+			setActiveIndex( ( active + 1 ) % Math.max( 1, matches.length ) );
+		} else if ( e.key === 'ArrowUp' ) {
+			e.preventDefault();
+			setActiveIndex(
+				( active - 1 + matches.length ) % Math.max( 1, matches.length )
+			);
+		} else if ( e.key === 'Enter' ) {
+			e.preventDefault();
+			if ( matches[ active ] ) {
+				onPick( Number( matches[ active ].value ) );
+			}
+		}
+	};
+
+	return (
+		<Modal
+			title={ sprintf(
+				/* translators: %d: number of items to move */
+				_n(
+					'Move %d item to…',
+					'Move %d items to…',
+					count,
+					'vmfa-editorial-workflow'
+				),
+				count
+			) }
+			onRequestClose={ onClose }
+			className="vmfa-folder-picker"
+			overlayClassName="vmfa-folder-picker-overlay"
+		>
+			<input
+				type="text"
+				className="vmfa-folder-picker-search"
+				value={ query }
+				placeholder={ __(
+					'Type to filter folders…',
+					'vmfa-editorial-workflow'
+				) }
+				aria-label={ __( 'Filter folders', 'vmfa-editorial-workflow' ) }
+				aria-controls="vmfa-folder-picker-list"
+				aria-activedescendant={
+					matches[ active ]
+						? `vmfa-folder-option-${ matches[ active ].value }`
+						: undefined
+				}
+				onChange={ ( e ) => {
+					setQuery( e.target.value );
+					setActiveIndex( 0 );
+				} }
+				onKeyDown={ handleKeyDown }
+				autoFocus // eslint-disable-line jsx-a11y/no-autofocus
+			/>
+			{ matches.length > 0 ? (
+				<ul
+					id="vmfa-folder-picker-list"
+					className="vmfa-folder-picker-list"
+					role="listbox"
+				>
+					{ matches.map( ( option, index ) => (
+						<li
+							key={ option.value }
+							id={ `vmfa-folder-option-${ option.value }` }
+							role="option"
+							aria-selected={ index === active }
+							className={
+								index === active ? 'is-active' : undefined
+							}
+							onMouseEnter={ () => setActiveIndex( index ) }
+							onClick={ () => onPick( Number( option.value ) ) }
+							onKeyDown={ handleKeyDown }
+						>
+							{ option.label }
+						</li>
+					) ) }
+				</ul>
+			) : (
+				<p className="vmfa-folder-picker-empty">
+					{ __( 'No folders match.', 'vmfa-editorial-workflow' ) }
+				</p>
+			) }
+		</Modal>
+	);
+}
@@ -0,0 +1,90 @@
+/**
+ * Tests for FolderPicker component.
+ *
+ * @package VmfaEditorialWorkflow
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import FolderPicker from './FolderPicker';
+
+// Mock WordPress packages
+vi.mock( '@wordpress/components', () => ( {
+	Modal: ( { title, children } ) => (
+		<div role="dialog" aria-label={ title }>
+			{ children }
+		</div>
+	),
+} ) );
+
+vi.mock( '@wordpress/i18n', () => ( {
+	__: ( str ) => str,
+	_n: ( single, plural, number ) => ( number === 1 ? single : plural ),
+	sprintf: ( str, ...args ) => str.replace( '%d', args[ 0 ] ),
+} ) );
+
+describe( 'FolderPicker', () => {
+	const folders = [
+		{ id: 1, name: 'Brand', parent: 0 },
+		{ id: 2, name: 'Logos', parent: 1 },
+		{ id: 3, name: 'Events', parent: 0 },
+	];
+
+	const renderPicker = () => {
+		const onPick = vi.fn();
+		render(
+			<FolderPicker
+				folders={ folders }
+				count={ 2 }
+				onPick={ onPick }
+				onClose={ vi.fn() }
+			/>
+		);
+		return { onPick, input: screen.getByLabelText( 'Filter folders' ) };
+	};
+
+	it( 'should list all folders with the item count in the title', () => {
+		renderPicker();
+
+		expect(
+			screen.getByRole( 'dialog', { name: 'Move 2 items to…' } )
+		).toBeInTheDocument();
+		expect( screen.getAllByRole( 'option' ) ).toHaveLength( 3 );
+	} );
+
+	it( 'should filter folders as you type and pick with Enter', () => {
+		const { onPick, input } = renderPicker();
+
+		fireEvent.change( input, { target: { value: 'logo' } } );
+
+		expect( screen.getAllByRole( 'option' ) ).toHaveLength( 1 );
+
+		fireEvent.keyDown( input, { key: 'Enter' } );
+
+		expect( onPick ).toHaveBeenCalledWith( 2 );
+	} );
+
+	it( 'should move the active option with the arrow keys', () => {
+		const { onPick, input } = renderPicker();
+
+		fireEvent.keyDown( input, { key: 'ArrowDown' } );
+		fireEvent.keyDown( input, { key: 'ArrowDown' } );
+
+		expect( screen.getByText( 'Events' ) ).toHaveAttribute(
+			'aria-selected',
+			'true'
+		);
+
+		fireEvent.keyDown( input, { key: 'Enter' } );
+
+		expect( onPick ).toHaveBeenCalledWith( 3 );
+	} );
+
+	it( 'should show a message when nothing matches', () => {
+		const { input } = renderPicker();
+
+		fireEvent.change( input, { target: { value: 'zzz' } } );
+
+		expect( screen.getByText( 'No folders match.' ) ).toBeInTheDocument();
+	} );
+} );
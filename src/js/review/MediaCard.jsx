@@ -0,0 +1,397 @@
+/**
+ * Media Card component.
+ *
+ * @package VmfaEditorialWorkflow
+ */
+
+import { useState } from '@wordpress/element';
+import { __, sprintf } from '@wordpress/i18n';
+import MetadataEditor from './MetadataEditor';
+import QualityChecks from './QualityChecks';
+
+/**
+ * A single item in the review grid.
+ *
+ * @param {Object}   props                Component props.
+ * @param {Object}   props.item           Review item from the REST API.
+ * @param {boolean}  props.isSelected     Whether the item is selected.
+ * @param {boolean}  props.isProcessing   Whether an action is running for the item.
+ * @param {boolean}  props.isRemoving     Whether the item is fading out.
+ * @param {boolean}  props.isFocused      Whether the item has keyboard focus.
+ * @param {string}   props.blockedReason  Why the item cannot be approved, if it can't.
+ * @param {Function} props.onFocus        Called with the item ID when the card is clicked.
+ * @param {Function} props.onToggle       Called with the item ID, and whether Shift was held, when the checkbox changes.
+ * @param {Function} props.onPreview      Called with the item when the thumbnail is clicked.
+ * @param {Function} props.onComments     Called with the item when the comment badge is clicked.
+ * @param {Function} props.onApprove      Called with the item ID to approve it.
+ * @param {Function} props.onReject       Called with the item ID to reject it.
+ * @param {Function} props.onSaveMeta     Called with the item ID and its saved metadata.
+ * @param {Array}    props.reviewers      Users items can be assigned to, { id, name }.
+ * @param {number}   props.currentUserId  ID of the current user, for claiming.
+ * @param {Function} props.onAssign       Called with the item ID and a user ID, 0 to unassign. Omit to hide assignment.
+ * @param {Function} props.onDuplicates   Called with the item to compare it with the library items it duplicates.
+ * @param {Function} props.onResubmission Called with a resubmitted item to compare it with the file it replaced.
+ * @return {JSX.Element} Media card.
+ */
+export default function MediaCard( {
+	item,
+	isSelected,
+	isProcessing,
+	isRemoving,
+	isFocused,
+	blockedReason = '',
+	onFocus,
+	onToggle,
+	onPreview,
+	onComments,
+	onApprove,
+	onReject,
+	onSaveMeta,
+	reviewers = [],
+	currentUserId = 0,
+	onAssign,
+	onDuplicates,
+	onResubmission,
+} ) {
+	const [ isEditing, setIsEditing ] = useState( false );
+	const [ isDirty, setIsDirty ] = useState( false );
+
+	const assignee = item.assignee;
+	const isMine = !! assignee && assignee.id === currentUserId;
+
+	const className = [
+		'vmfa-media-card',
+		isSelected && 'is-selected',
+		isProcessing && 'is-processing',
+		isRemoving && 'is-removing',
+		isFocused && 'is-focused',
+		isDirty && 'has-unsaved-changes',
+		isMine && 'is-assigned-to-me',
+		item.age?.status === 'warning' && 'is-aging',
+		item.age?.status === 'overdue' && 'is-overdue',
+		item.duplicates?.length > 0 && 'has-duplicate',
+		item.resubmission && 'is-resubmitted',
+	]
+		.filter( Boolean )
+		.join( ' ' );
+
+	return (
+		// The card is focused programmatically for keyboard triage.
+		// eslint-disable-next-line jsx-a11y/click-events-have-key-events, jsx-a11y/no-noninteractive-element-interactions
+		<li
+			className={ className }
+			data-id={ item.id }
+			tabIndex={ -1 }
+			onClick={ () => onFocus?.( item.id ) }
+		>
+			<div className="vmfa-card-checkbox">
+				<input
+					type="checkbox"
+					checked={ isSelected }
+					disabled={ isProcessing }
+					onChange={ ( e ) =>
+						onToggle( item.id, !! e.nativeEvent.shiftKey )
+					}
+					aria-label={ item.title }
+				/>
+			</div>
+
+			<button
+				type="button"
+				className="vmfa-card-thumbnail"
+				onClick={ () => onPreview( item ) }
+				aria-label={ __( 'Preview', 'vmfa-editorial-workflow' ) }
+			>
+				{ item.isImage && item.thumbnail ? (
+					<>
+						<img src={ item.thumbnail } alt={ item.title } />
+						<div className="vmfa-card-preview-overlay">
+							<span className="dashicons dashicons-visibility"></span>
+						</div>
+					</>
+				) : (
+					<div className="vmfa-file-icon">
+						<span className={ `dashicons ${ item.icon }` }></span>
+					</div>
+				) }
+			</button>
+
+			<div className="vmfa-card-body">
+				<h3 className="vmfa-card-title">
+					{ item.editLink ? (
+						<a href={ item.editLink }>{ item.title }</a>
+					) : (
+						item.title
+					) }
+				</h3>
+				<div className="vmfa-card-meta">
+					<span className="vmfa-card-meta-item">
+						<span className="dashicons dashicons-admin-users"></span>
+						{ item.author?.name }
+					</span>
+					<span className="vmfa-card-meta-item">
+						<span className="dashicons dashicons-calendar-alt"></span>
+						{ item.dateLabel }
+					</span>
+					{ item.fileSizeLabel && (
+						<span className="vmfa-card-meta-item">
+							<span className="dashicons dashicons-media-default"></span>
+							{ item.fileSizeLabel }
+						</span>
+					) }
+					<button
+						type="button"
+						className={ `vmfa-card-meta-item vmfa-card-comments${
+							item.commentCount > 0 ? ' has-comments' : ''
+						}` }
+						onClick={ () => onComments( item ) }
+						aria-label={ __(
+							'Comments',
+							'vmfa-editorial-workflow'
+						) }
+					>
+						<span className="dashicons dashicons-admin-comments"></span>
+						<span className="vmfa-comment-count">
+							{ item.commentCount }
+						</span>
+					</button>
+				</div>
+				{ item.duplicates?.length > 0 && (
+					<button
+						type="button"
+						className={ `button-link vmfa-card-duplicate is-${ item.duplicates[ 0 ].type }` }
+						onClick={ () => onDuplicates?.( item ) }
+					>
+						<span className="dashicons dashicons-images-alt2"></span>
+						{ item.duplicates[ 0 ].type === 'exact'
+							? __(
+									'Duplicate of a library file',
+									'vmfa-editorial-workflow'
+							  )
+							: __(
+									'Resembles a library image',
+									'vmfa-editorial-workflow'
+							  ) }
+						<span className="vmfa-card-duplicate-action">
+							{ __( 'Compare', 'vmfa-editorial-workflow' ) }
+						</span>
+					</button>
+				) }
+				{ item.resubmission && (
+					<button
+						type="button"
+						className="button-link vmfa-card-duplicate vmfa-card-resubmitted"
+						onClick={ () => onResubmission?.( item ) }
+					>
+						<span className="dashicons dashicons-update"></span>
+						{ __( 'Resubmitted', 'vmfa-editorial-workflow' ) }
+						<span className="vmfa-card-duplicate-action">
+							{ __(
+								'Before / after',
+								'vmfa-editorial-workflow'
+							) }
+						</span>
+					</button>
+				) }
+				{ item.age && (
+					<p
+						className={ `vmfa-card-age is-${ item.age.status }` }
+						title={ item.age.since }
+					>
+						<span className="dashicons dashicons-clock"></span>
+						{ sprintf(
+							/* translators: %s: how long the item has been waiting, e.g. "3 days" */
+							__( 'Waiting %s', 'vmfa-editorial-workflow' ),
+							item.age.label
+						) }
+						{ item.age.status === 'overdue' && (
+							<strong className="vmfa-card-age-flag">
+								{ __( 'Overdue', 'vmfa-editorial-workflow' ) }
+							</strong>
+						) }
+					</p>
+				) }
+				{ item.stage?.total > 1 && (
+					<p className="vmfa-card-stage">
+						{ sprintf(
+							/* translators: 1: stage position, 2: number of stages, 3: stage name */
+							__(
+								'Stage %1$d of %2$d: %3$s',
+								'vmfa-editorial-workflow'
+							),
+							item.stage.position,
+							item.stage.total,
+							item.stage.name
+						) }
+						{ item.stage.next && (
+							<span className="vmfa-card-stage-next">
+								{ sprintf(
+									/* translators: %s: name of the next review stage */
+									__( 'Next: %s', 'vmfa-editorial-workflow' ),
+									item.stage.next
+								) }
+							</span>
+						) }
+					</p>
+				) }
+				{ item.approvals && (
+					<p className="vmfa-card-approvals">
+						<span className="dashicons dashicons-groups"></span>
+						{ sprintf(
+							/* translators: 1: number of approvals given, 2: number of approvals required */
+							__(
+								'%1$d of %2$d approvals',
+								'vmfa-editorial-workflow'
+							),
+							item.approvals.count,
+							item.approvals.required
+						) }
+					</p>
+				) }
+				{ onAssign && (
+					<div className="vmfa-card-assignee">
+						{ assignee ? (
+							<span className="vmfa-card-assignee-user">
+								{ assignee.avatar && (
+									<img
+										src={ assignee.avatar }
+										alt=""
+										width="24"
+										height="24"
+									/>
+								) }
+								{ isMine
+									? __(
+											'Assigned to you',
+											'vmfa-editorial-workflow'
+									  )
+									: sprintf(
+											/* translators: %s: reviewer's name */
+											__(
+												'Assigned to %s',
+												'vmfa-editorial-workflow'
+											),
+											assignee.name
+									  ) }
+							</span>
+						) : (
+							<span className="vmfa-card-assignee-user is-unassigned">
+								{ __(
+									'Unassigned',
+									'vmfa-editorial-workflow'
+								) }
+							</span>
+						) }
+						{ ! isMine && (
+							<button
+								type="button"
+								className="button-link vmfa-claim-single"
+								disabled={ isProcessing }
+								onClick={ () =>
+									onAssign( item.id, currentUserId )
+								}
+							>
+								{ __( 'Claim', 'vmfa-editorial-workflow' ) }
+							</button>
+						) }
+						<select
+							className="vmfa-card-assign"
+							value=""
+							disabled={ isProcessing }
+							onChange={ ( e ) =>
+								onAssign( item.id, Number( e.target.value ) )
+							}
+							aria-label={ __(
+								'Assign to',
+								'vmfa-editorial-workflow'
+							) }
+						>
+							<option value="">
+								{ __(
+									'Assign to…',
+									'vmfa-editorial-workflow'
+								) }
+							</option>
+							{ reviewers
+								.filter(
+									( reviewer ) => reviewer.id !== assignee?.id
+								)
+								.map( ( reviewer ) => (
+									<option
+										key={ reviewer.id }
+										value={ reviewer.id }
+									>
+										{ reviewer.name }
+									</option>
+								) ) }
+							{ assignee && (
+								<option value="0">
+									{ __(
+										'Unassign',
+										'vmfa-editorial-workflow'
+									) }
+								</option>
+							) }
+						</select>
+					</div>
+				) }
+				<QualityChecks checks={ item.checks } />
+				{ isEditing && (
+					<MetadataEditor
+						item={ item }
+						onSaved={ onSaveMeta }
+						onDirty={ setIsDirty }
+					/>
+				) }
+			</div>
+
+			<div className="vmfa-card-actions">
+				<button
+					type="button"
+					className="button button-primary vmfa-approve-single"
+					disabled={ isProcessing || !! blockedReason }
+					title={ blockedReason || undefined }
+					onClick={ () => onApprove( item.id ) }
+				>
+					<span className="dashicons dashicons-yes"></span>
+					{ __( 'Approve', 'vmfa-editorial-workflow' ) }
+				</button>
+				<button
+					type="button"
+					className="button vmfa-reject-single"
+					disabled={ isProcessing }
+					onClick={ () => onReject( item.id ) }
+				>
+					<span className="dashicons dashicons-dismiss"></span>
+					{ __( 'Reject', 'vmfa-editorial-workflow' ) }
+				</button>
+				<button
+					type="button"
+					className="button vmfa-quick-edit"
+					aria-expanded={ isEditing }
+					onClick={ () => {
+						if (
+							isDirty &&
+							// eslint-disable-next-line no-alert
+							! window.confirm(
+								__(
+									'Discard unsaved changes?',
+									'vmfa-editorial-workflow'
+								)
+							)
+						) {
+							return;
+						}
+						setIsEditing( ! isEditing );
+						setIsDirty( false );
+					} }
+				>
+					<span className="dashicons dashicons-edit"></span>
+					{ isEditing
+						? __( 'Close editor', 'vmfa-editorial-workflow' )
+						: __( 'Quick edit', 'vmfa-editorial-workflow' ) }
+				</button>
+			</div>
+		</li>
+	);
+}
@@ -0,0 +1,325 @@
+/**
+ * Tests for MediaCard component.
+ *
+ * @package VmfaEditorialWorkflow
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import MediaCard from './MediaCard';
+
+// Mock WordPress packages
+vi.mock( '@wordpress/i18n', () => ( {
+	__: ( str ) => str,
+	sprintf: ( str, ...args ) =>
+		str.replace(
+			/%(\d)\$[sd]|%s/g,
+			( match, index ) => args[ index ? index - 1 : 0 ]
+		),
+} ) );
+
+describe( 'MediaCard', () => {
+	const imageItem = {
+		id: 42,
+		title: 'Sunset',
+		author: { id: 3, name: 'Anna' },
+		dateLabel: 'January 1, 2026',
+		isImage: true,
+		thumbnail: 'https://example.com/sunset-300x200.jpg',
+		icon: 'dashicons-format-image',
+		fileSizeLabel: '1.2 MB',
+		editLink: 'https://example.com/wp-admin/post.php?post=42&action=edit',
+		commentCount: 2,
+	};
+
+	const renderCard = ( props = {} ) => {
+		const handlers = {
+			onToggle: vi.fn(),
+			onPreview: vi.fn(),
+			onComments: vi.fn(),
+			onApprove: vi.fn(),
+			onReject: vi.fn(),
+		};
+
+		const utils = render(
+			<MediaCard
+				item={ imageItem }
+				isSelected={ false }
+				isProcessing={ false }
+				isRemoving={ false }
+				{ ...handlers }
+				{ ...props }
+			/>
+		);
+
+		return { ...utils, handlers };
+	};
+
+	it( 'should render item details', () => {
+		renderCard();
+
+		expect(
+			screen.getByRole( 'link', { name: 'Sunset' } )
+		).toHaveAttribute( 'href', imageItem.editLink );
+		expect( screen.getByText( 'Anna' ) ).toBeInTheDocument();
+		expect( screen.getByText( '1.2 MB' ) ).toBeInTheDocument();
+		expect( screen.getByAltText( 'Sunset' ) ).toHaveAttribute(
+			'src',
+			imageItem.thumbnail
+		);
+		expect( screen.getByLabelText( 'Comments' ) ).toHaveClass(
+			'has-comments'
+		);
+	} );
+
+	it( 'should render a file icon for non-image items', () => {
+		const { container } = renderCard( {
+			item: {
+				...imageItem,
+				isImage: false,
+				thumbnail: '',
+				icon: 'dashicons-pdf',
+				commentCount: 0,
+			},
+		} );
+
+		expect(
+			container.querySelector( '.vmfa-file-icon .dashicons-pdf' )
+		).toBeInTheDocument();
+		expect( screen.queryByAltText( 'Sunset' ) ).not.toBeInTheDocument();
+		expect( screen.getByLabelText( 'Comments' ) ).not.toHaveClass(
+			'has-comments'
+		);
+	} );
+
+	it( 'should call handlers with the item', () => {
+		const { handlers } = renderCard();
+
+		fireEvent.click( screen.getByRole( 'checkbox' ) );
+		fireEvent.click( screen.getByLabelText( 'Preview' ) );
+		fireEvent.click( screen.getByLabelText( 'Comments' ) );
+		fireEvent.click( screen.getByText( 'Approve' ) );
+		fireEvent.click( screen.getByText( 'Reject' ) );
+
+		expect( handlers.onToggle ).toHaveBeenCalledWith( 42, false );
+		expect( handlers.onPreview ).toHaveBeenCalledWith( imageItem );
+		expect( handlers.onComments ).toHaveBeenCalledWith( imageItem );
+		expect( handlers.onApprove ).toHaveBeenCalledWith( 42 );
+		expect( handlers.onReject ).toHaveBeenCalledWith( 42 );
+	} );
+
+	it( 'should report range selection and focus', () => {
+		const onFocus = vi.fn();
+		const { container, handlers } = renderCard( {
+			isFocused: true,
+			onFocus,
+		} );
+
+		fireEvent.click( screen.getByRole( 'checkbox' ), { shiftKey: true } );
+
+		expect( handlers.onToggle ).toHaveBeenCalledWith( 42, true );
+		expect( onFocus ).toHaveBeenCalledWith( 42 );
+		expect( container.firstChild ).toHaveClass( 'is-focused' );
+	} );
+
+	it( 'should show quality checks and block approval when they fail', () => {
+		const { container } = renderCard( {
+			blockedReason:
+				'Fix the failed quality checks to approve this item.',
+			item: {
+				...imageItem,
+				checks: [
+					{
+						rule: 'alt_required',
+						label: 'Alt text',
+						requirement: 'Images need alt text.',
+						passed: false,
+					},
+					{
+						rule: 'max_file_size',
+						label: 'File size',
+						requirement: 'At most 5 MB.',
+						passed: true,
+					},
+				],
+			},
+		} );
+
+		expect(
+			container.querySelector( '.vmfa-quality-check.is-failed' )
+		).toHaveTextContent( 'Alt text' );
+		expect(
+			container.querySelector( '.vmfa-quality-check.is-passed' )
+		).toHaveTextContent( 'File size' );
+		expect(
+			screen.getByText( 'Approve' ).closest( 'button' )
+		).toBeDisabled();
+		expect(
+			screen.getByText( 'Approve' ).closest( 'button' )
+		).toHaveAttribute(
+			'title',
+			'Fix the failed quality checks to approve this item.'
+		);
+	} );
+
+	it( 'should show the review stage in a multi-stage pipeline', () => {
+		const { container } = renderCard( {
+			item: {
+				...imageItem,
+				stage: {
+					key: 'legal',
+					name: 'Legal',
+					position: 2,
+					total: 3,
+					next: 'Brand',
+					canReview: true,
+				},
+			},
+		} );
+
+		expect(
+			container.querySelector( '.vmfa-card-stage' )
+		).toHaveTextContent( 'Stage 2 of 3: Legal' );
+		expect( screen.getByText( 'Next: Brand' ) ).toBeInTheDocument();
+	} );
+
+	it( 'should show approval progress when several approvals are required', () => {
+		const { container } = renderCard( {
+			item: {
+				...imageItem,
+				approvals: { count: 1, required: 2, approvedByMe: false },
+			},
+		} );
+
+		expect(
+			container.querySelector( '.vmfa-card-approvals' )
+		).toHaveTextContent( '1 of 2 approvals' );
+	} );
+
+	it( 'should show how long the item has been waiting and flag overdue items', () => {
+		const { container } = renderCard( {
+			item: {
+				...imageItem,
+				age: {
+					since: '2026-01-01T09:00:00+00:00',
+					label: '9 days',
+					status: 'overdue',
+				},
+			},
+		} );
+
+		expect( container.firstChild ).toHaveClass( 'is-overdue' );
+		expect( container.querySelector( '.vmfa-card-age' ) ).toHaveTextContent(
+			'Waiting 9 days'
+		);
+		expect( screen.getByText( 'Overdue' ) ).toBeInTheDocument();
+	} );
+
+	it( 'should show the assignee and let reviewers claim or reassign the item', () => {
+		const onAssign = vi.fn();
+		const { container } = renderCard( {
+			item: {
+				...imageItem,
+				assignee: {
+					id: 5,
+					name: 'Ben',
+					avatar: 'https://example.com/ben.png',
+				},
+			},
+			reviewers: [
+				{ id: 5, name: 'Ben' },
+				{ id: 7, name: 'Cleo' },
+			],
+			currentUserId: 7,
+			onAssign,
+		} );
+
+		expect(
+			container.querySelector( '.vmfa-card-assignee img' )
+		).toHaveAttribute( 'src', 'https://example.com/ben.png' );
+		expect( screen.getByText( 'Assigned to Ben' ) ).toBeInTheDocument();
+		expect(
+			screen.queryByRole( 'option', { name: 'Ben' } )
+		).not.toBeInTheDocument();
+
+		fireEvent.click( screen.getByText( 'Claim' ) );
+		fireEvent.change( screen.getByLabelText( 'Assign to' ), {
+			target: { value: '0' },
+		} );
+
+		expect( onAssign ).toHaveBeenNthCalledWith( 1, 42, 7 );
+		expect( onAssign ).toHaveBeenNthCalledWith( 2, 42, 0 );
+	} );
+
+	it( 'should not offer to claim an item assigned to the current user', () => {
+		const { container } = renderCard( {
+			item: {
+				...imageItem,
+				assignee: { id: 7, name: 'Cleo', avatar: '' },
+			},
+			currentUserId: 7,
+			onAssign: vi.fn(),
+		} );
+
+		expect( container.firstChild ).toHaveClass( 'is-assigned-to-me' );
+		expect( screen.getByText( 'Assigned to you' ) ).toBeInTheDocument();
+		expect( screen.queryByText( 'Claim' ) ).not.toBeInTheDocument();
+	} );
+
+	it( 'should toggle the inline metadata editor', () => {
+		renderCard();
+
+		fireEvent.click( screen.getByText( 'Quick edit' ) );
+
+		expect( screen.getByLabelText( 'Title' ) ).toHaveValue( 'Sunset' );
+
+		fireEvent.click( screen.getByText( 'Close editor' ) );
+
+		expect( screen.queryByLabelText( 'Title' ) ).not.toBeInTheDocument();
+	} );
+
+	it( 'should flag a duplicate and open the comparison', () => {
+		const onDuplicates = vi.fn();
+		const item = {
+			...imageItem,
+			duplicates: [ { id: 12, type: 'exact' } ],
+		};
+		const { container } = renderCard( { item, onDuplicates } );
+
+		expect( container.firstChild ).toHaveClass( 'has-duplicate' );
+
+		fireEvent.click( screen.getByText( 'Duplicate of a library file' ) );
+
+		expect( onDuplicates ).toHaveBeenCalledWith( item );
+	} );
+
+	it( 'should flag a resubmission and open the before/after comparison', () => {
+		const onResubmission = vi.fn();
+		const item = {
+			...imageItem,
+			resubmission: { reason: 'Too small', previous: {} },
+		};
+		const { container } = renderCard( { item, onResubmission } );
+
+		expect( container.firstChild ).toHaveClass( 'is-resubmitted' );
+
+		fireEvent.click( screen.getByText( 'Resubmitted' ) );
+
+		expect( onResubmission ).toHaveBeenCalledWith( item );
+	} );
+
+	it( 'should disable actions while processing', () => {
+		const { container } = renderCard( {
+			isProcessing: true,
+			isSelected: true,
+		} );
+
+		expect( container.firstChild ).toHaveClass(
+			'is-processing',
+			'is-selected'
+		);
+		expect( screen.getByText( 'Approve' ) ).toBeDisabled();
+		expect( screen.getByText( 'Reject' ) ).toBeDisabled();
+		expect( screen.getByRole( 'checkbox' ) ).toBeDisabled();
+	} );
+} );
@@ -0,0 +1,226 @@
+/**
+ * Metadata Editor component.
+ *
+ * @package VmfaEditorialWorkflow
+ */
+
+import { useState, useEffect } from '@wordpress/element';
+import apiFetch from '@wordpress/api-fetch';
+import { __ } from '@wordpress/i18n';
+
+/**
+ * Editable fields, mapped from review item keys to /wp/v2/media keys.
+ *
+ * @type {Object}
+ */
+const FIELDS = {
+	title: 'title',
+	alt: 'alt_text',
+	caption: 'caption',
+	description: 'description',
+};
+
+/**
+ * Get the editable values of a review item.
+ *
+ * @param {Object} item Review item.
+ * @return {Object} Values keyed by field.
+ */
+function getValues( item ) {
+	return Object.fromEntries(
+		Object.keys( FIELDS ).map( ( key ) => [ key, item[ key ] ?? '' ] )
+	);
+}
+
+/**
+ * Inline editor for an item's title, alt text, caption and description,
+ * saved through the core media endpoint.
+ *
+ * @param {Object}   props         Component props.
+ * @param {Object}   props.item    Review item.
+ * @param {Function} props.onSaved Called with the item ID and the saved values.
+ * @param {Function} props.onDirty Called with whether there are unsaved changes.
+ * @return {JSX.Element} Metadata editor.
+ */
+export default function MetadataEditor( { item, onSaved, onDirty } ) {
+	const [ values, setValues ] = useState( () => getValues( item ) );
+	const [ isSaving, setIsSaving ] = useState( false );
+	const [ error, setError ] = useState( '' );
+
+	const saved = getValues( item );
+	const isDirty = Object.keys( FIELDS ).some(
+		( key ) => values[ key ] !== saved[ key ]
+	);
+
+	useEffect( () => {
+		onDirty?.( isDirty );
+	}, [ isDirty ] ); // eslint-disable-line react-hooks/exhaustive-deps
+
+	/**
+	 * Warn before leaving the page with unsaved changes.
+	 */
+	useEffect( () => {
+		if ( ! isDirty ) {
+			return;
+		}
+
+		const handleBeforeUnload = ( e ) => {
+			e.preventDefault();
+			e.returnValue = '';
+		};
+
+		window.addEventListener( 'beforeunload', handleBeforeUnload );
+		return () =>
+			window.removeEventListener( 'beforeunload', handleBeforeUnload );
+	}, [ isDirty ] );
+
+	const setValue = ( key, value ) =>
+		setValues( ( prev ) => ( { ...prev, [ key ]: value } ) );
+
+	/**
+	 * Save changed fields.
+	 *
+	 * @param {Event} e Submit or keyboard event.
+	 */
+	const save = async ( e ) => {
+		e.preventDefault();
+
+		if ( ! isDirty || isSaving ) {
+			return;
+		}
+
+		const data = Object.fromEntries(
+			Object.entries( FIELDS )
+				.filter( ( [ key ] ) => values[ key ] !== saved[ key ] )
+				.map( ( [ key, field ] ) => [ field, values[ key ] ] )
+		);
+
+		setIsSaving( true );
+		setError( '' );
+
+		try {
+			const media = await apiFetch( {
+				path: `/wp/v2/media/${ item.id }?context=edit`,
+				method: 'POST',
+				data,
+			} );
+
+			const next = {
+				title: media.title?.raw ?? values.title,
+				alt: media.alt_text ?? values.alt,
+				caption: media.caption?.raw ?? values.caption,
+				description: media.description?.raw ?? values.description,
+			};
+
+			setValues( next );
+			onSaved( item.id, next );
+		} catch ( err ) {
+			setError(
+				err.message ||
+					__(
+						'The changes could not be saved.',
+						'vmfa-editorial-workflow'
+					)
+			);
+		} finally {
+			setIsSaving( false );
+		}
+	};
+
+	const handleKeyDown = ( e ) => {
+		// Save with Ctrl/Cmd+S or Ctrl/Cmd+Enter.
+		if (
+			( e.ctrlKey || e.metaKey ) &&
+			( e.key === 's' || e.key === 'Enter' )
+		) {
+			save( e );
+		}
+	};
+
+	const fieldId = ( key ) => `vmfa-meta-${ key }-${ item.id }`;
+
+	return (
+		// The form only listens for the save shortcut bubbling up from its fields.
+		// eslint-disable-next-line jsx-a11y/no-noninteractive-element-interactions
+		<form
+			className={ `vmfa-meta-editor${ isDirty ? ' is-dirty' : '' }` }
+			onSubmit={ save }
+			onKeyDown={ handleKeyDown }
+		>
+			<label htmlFor={ fieldId( 'title' ) }>
+				{ __( 'Title', 'vmfa-editorial-workflow' ) }
+			</label>
+			<input
+				id={ fieldId( 'title' ) }
+				type="text"
+				value={ values.title }
+				onChange={ ( e ) => setValue( 'title', e.target.value ) }
+			/>
+
+			{ item.isImage && (
+				<>
+					<label htmlFor={ fieldId( 'alt' ) }>
+						{ __( 'Alt text', 'vmfa-editorial-workflow' ) }
+					</label>
+					<input
+						id={ fieldId( 'alt' ) }
+						type="text"
+						value={ values.alt }
+						onChange={ ( e ) => setValue( 'alt', e.target.value ) }
+					/>
+				</>
+			) }
+
+			<label htmlFor={ fieldId( 'caption' ) }>
+				{ __( 'Caption', 'vmfa-editorial-workflow' ) }
+			</label>
+			<textarea
+				id={ fieldId( 'caption' ) }
+				rows="2"
+				value={ values.caption }
+				onChange={ ( e ) => setValue( 'caption', e.target.value ) }
+			/>
+
+			<label htmlFor={ fieldId( 'description' ) }>
+				{ __( 'Description', 'vmfa-editorial-workflow' ) }
+			</label>
+			<textarea
+				id={ fieldId( 'description' ) }
+				rows="3"
+				value={ values.description }
+				onChange={ ( e ) => setValue( 'description', e.target.value ) }
+			/>
+
+			{ error && (
+				<p className="vmfa-meta-error" role="alert">
+					{ error }
+				</p>
+			) }
+
+			<div className="vmfa-meta-actions">
+				<button
+					type="submit"
+					className="button button-primary"
+					disabled={ ! isDirty || isSaving }
+				>
+					{ isSaving
+						? __( 'Saving…', 'vmfa-editorial-workflow' )
+						: __( 'Save', 'vmfa-editorial-workflow' ) }
+				</button>
+				<button
+					type="button"
+					className="button-link"
+					disabled={ ! isDirty || isSaving }
+					onClick={ () => setValues( saved ) }
+				>
+					{ __( 'Discard changes', 'vmfa-editorial-workflow' ) }
+				</button>
+				{ isDirty && (
+					<span className="vmfa-meta-status">
+						{ __( 'Unsaved changes', 'vmfa-editorial-workflow' ) }
+					</span>
+				) }
+			</div>
+		</form>
+	);
+}
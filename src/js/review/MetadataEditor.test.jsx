@@ -0,0 +1,125 @@
+/**
+ * Tests for MetadataEditor component.
+ *
+ * @package VmfaEditorialWorkflow
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import apiFetch from '@wordpress/api-fetch';
+import MetadataEditor from './MetadataEditor';
+
+// Mock WordPress packages
+vi.mock( '@wordpress/api-fetch', () => ( {
+	default: vi.fn(),
+} ) );
+
+vi.mock( '@wordpress/i18n', () => ( {
+	__: ( str ) => str,
+} ) );
+
+describe( 'MetadataEditor', () => {
+	const item = {
+		id: 42,
+		title: 'IMG_0042',
+		alt: '',
+		caption: '',
+		description: 'Taken at the launch.',
+		isImage: true,
+	};
+
+	beforeEach( () => {
+		apiFetch.mockReset();
+	} );
+
+	it( 'should show unsaved changes and discard them', () => {
+		const onDirty = vi.fn();
+		render(
+			<MetadataEditor
+				item={ item }
+				onSaved={ vi.fn() }
+				onDirty={ onDirty }
+			/>
+		);
+
+		expect( screen.getByText( 'Save' ) ).toBeDisabled();
+
+		fireEvent.change( screen.getByLabelText( 'Title' ), {
+			target: { value: 'Launch stage' },
+		} );
+
+		expect( screen.getByText( 'Unsaved changes' ) ).toBeInTheDocument();
+		expect( onDirty ).toHaveBeenLastCalledWith( true );
+
+		fireEvent.click( screen.getByText( 'Discard changes' ) );
+
+		expect( screen.getByLabelText( 'Title' ) ).toHaveValue( 'IMG_0042' );
+		expect( onDirty ).toHaveBeenLastCalledWith( false );
+	} );
+
+	it( 'should save changed fields with Ctrl+S', async () => {
+		const onSaved = vi.fn();
+		apiFetch.mockResolvedValue( {
+			title: { raw: 'Launch stage' },
+			alt_text: 'Speaker on stage',
+			caption: { raw: '' },
+			description: { raw: 'Taken at the launch.' },
+		} );
+
+		render( <MetadataEditor item={ item } onSaved={ onSaved } /> );
+
+		fireEvent.change( screen.getByLabelText( 'Title' ), {
+			target: { value: 'Launch stage' },
+		} );
+		fireEvent.change( screen.getByLabelText( 'Alt text' ), {
+			target: { value: 'Speaker on stage' },
+		} );
+		fireEvent.keyDown( screen.getByLabelText( 'Alt text' ), {
+			key: 's',
+			ctrlKey: true,
+		} );
+
+		await waitFor( () => expect( onSaved ).toHaveBeenCalled() );
+
+		expect( apiFetch ).toHaveBeenCalledWith( {
+			path: '/wp/v2/media/42?context=edit',
+			method: 'POST',
+			data: { title: 'Launch stage', alt_text: 'Speaker on stage' },
+		} );
+		expect( onSaved ).toHaveBeenCalledWith( 42, {
+			title: 'Launch stage',
+			alt: 'Speaker on stage',
+			caption: '',
+			description: 'Taken at the launch.',
+		} );
+	} );
+
+	it( 'should show an error when saving fails', async () => {
+		apiFetch.mockRejectedValue( {
+			message: 'Sorry, you are not allowed to edit this post.',
+		} );
+
+		render( <MetadataEditor item={ item } onSaved={ vi.fn() } /> );
+
+		fireEvent.change( screen.getByLabelText( 'Caption' ), {
+			target: { value: 'Launch' },
+		} );
+		fireEvent.click( screen.getByText( 'Save' ) );
+
+		expect( await screen.findByRole( 'alert' ) ).toHaveTextContent(
+			'Sorry, you are not allowed to edit this post.'
+		);
+		expect( screen.getByText( 'Unsaved changes' ) ).toBeInTheDocument();
+	} );
+
+	it( 'should only offer alt text for images', () => {
+		render(
+			<MetadataEditor
+				item={ { ...item, isImage: false } }
+				onSaved={ vi.fn() }
+			/>
+		);
+
+		expect( screen.queryByLabelText( 'Alt text' ) ).not.toBeInTheDocument();
+	} );
+} );
@@ -0,0 +1,89 @@
+/**
+ * Preview Details component.
+ *
+ * @package VmfaEditorialWorkflow
+ */
+
+import { __, sprintf } from '@wordpress/i18n';
+import { formatExif } from './utils/previewMedia';
+
+/**
+ * Details pane of the preview modal.
+ *
+ * @param {Object} props      Component props.
+ * @param {Object} props.item Review item.
+ * @return {JSX.Element} Details list.
+ */
+export default function PreviewDetails( { item } ) {
+	const rows = [
+		{
+			key: 'dimensions',
+			label: __( 'Dimensions', 'vmfa-editorial-workflow' ),
+			value:
+				item.width && item.height
+					? sprintf(
+							/* translators: 1: width in pixels, 2: height in pixels */
+							__( '%1$d × %2$d px', 'vmfa-editorial-workflow' ),
+							item.width,
+							item.height
+					  )
+					: '',
+		},
+		{
+			key: 'length',
+			label: __( 'Length', 'vmfa-editorial-workflow' ),
+			value: item.length,
+		},
+		{
+			key: 'mime',
+			label: __( 'File type', 'vmfa-editorial-workflow' ),
+			value: item.mimeType,
+		},
+		{
+			key: 'size',
+			label: __( 'File size', 'vmfa-editorial-workflow' ),
+			value: item.fileSizeLabel,
+		},
+		{
+			key: 'filename',
+			label: __( 'File name', 'vmfa-editorial-workflow' ),
+			value: item.filename,
+		},
+		{
+			key: 'uploader',
+			label: __( 'Uploaded by', 'vmfa-editorial-workflow' ),
+			value: item.author?.name,
+		},
+		{
+			key: 'date',
+			label: __( 'Uploaded on', 'vmfa-editorial-workflow' ),
+			value: item.dateLabel,
+		},
+		{
+			key: 'alt',
+			label: __( 'Alt text', 'vmfa-editorial-workflow' ),
+			value:
+				item.alt ||
+				( item.isImage
+					? __( 'Missing', 'vmfa-editorial-workflow' )
+					: '' ),
+		},
+		{
+			key: 'caption',
+			label: __( 'Caption', 'vmfa-editorial-workflow' ),
+			value: item.caption,
+		},
+		...formatExif( item.exif ),
+	].filter( ( row ) => row.value );
+
+	return (
+		<dl className="vmfa-viewer-details">
+			{ rows.map( ( row ) => (
+				<div key={ row.key } className="vmfa-viewer-detail">
+					<dt>{ row.label }</dt>
+					<dd>{ row.value }</dd>
+				</div>
+			) ) }
+		</dl>
+	);
+}
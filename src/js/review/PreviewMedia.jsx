@@ -0,0 +1,183 @@
+/**
+ * Preview Media component.
+ *
+ * @package VmfaEditorialWorkflow
+ */
+
+import { useState, useRef } from '@wordpress/element';
+import { __, sprintf } from '@wordpress/i18n';
+import { getPreviewType } from './utils/previewMedia';
+
+/**
+ * Zoom limits and step.
+ *
+ * @type {Object}
+ */
+const ZOOM = { min: 1, max: 4, step: 0.5 };
+
+/**
+ * Image with zoom and drag-to-pan.
+ *
+ * @param {Object} props      Component props.
+ * @param {Object} props.item Review item.
+ * @return {JSX.Element} Zoomable image.
+ */
+function ZoomableImage( { item } ) {
+	const [ scale, setScale ] = useState( 1 );
+	const [ offset, setOffset ] = useState( { x: 0, y: 0 } );
+	const drag = useRef( null );
+
+	/**
+	 * Set the zoom level, recentring when zoomed all the way out.
+	 *
+	 * @param {number} next Zoom level.
+	 */
+	const zoomTo = ( next ) => {
+		const clamped = Math.min( ZOOM.max, Math.max( ZOOM.min, next ) );
+		setScale( clamped );
+		if ( clamped === ZOOM.min ) {
+			setOffset( { x: 0, y: 0 } );
+		}
+	};
+
+	const handlePointerDown = ( e ) => {
+		if ( scale === ZOOM.min ) {
+			return;
+		}
+		e.currentTarget.setPointerCapture?.( e.pointerId );
+		drag.current = { x: e.clientX - offset.x, y: e.clientY - offset.y };
+	};
+
+	const handlePointerMove = ( e ) => {
+		if ( drag.current ) {
+			setOffset( {
+				x: e.clientX - drag.current.x,
+				y: e.clientY - drag.current.y,
+			} );
+		}
+	};
+
+	const handlePointerUp = () => {
+		drag.current = null;
+	};
+
+	return (
+		<>
+			{ /* Pointer handlers only pan the image; the zoom buttons are the keyboard equivalent. */ }
+			{ /* eslint-disable-next-line jsx-a11y/no-static-element-interactions */ }
+			<div
+				className={ `vmfa-viewer-zoom${
+					scale > ZOOM.min ? ' is-zoomed' : ''
+				}` }
+				onPointerDown={ handlePointerDown }
+				onPointerMove={ handlePointerMove }
+				onPointerUp={ handlePointerUp }
+				onPointerCancel={ handlePointerUp }
+				onDoubleClick={ () =>
+					zoomTo( scale > ZOOM.min ? ZOOM.min : 2 )
+				}
+				onWheel={ ( e ) =>
+					zoomTo( scale + ( e.deltaY < 0 ? ZOOM.step : -ZOOM.step ) )
+				}
+			>
+				<img
+					src={ item.url }
+					alt={ item.alt || item.title }
+					className="vmfa-modal-image"
+					draggable={ false }
+					style={ {
+						transform: `translate(${ offset.x }px, ${ offset.y }px) scale(${ scale })`,
+					} }
+				/>
+			</div>
+			<div className="vmfa-viewer-zoom-controls">
+				<button
+					type="button"
+					className="button"
+					onClick={ () => zoomTo( scale - ZOOM.step ) }
+					disabled={ scale <= ZOOM.min }
+					aria-label={ __( 'Zoom out', 'vmfa-editorial-workflow' ) }
+				>
+					<span className="dashicons dashicons-minus"></span>
+				</button>
+				<span className="vmfa-viewer-zoom-level">
+					{ sprintf(
+						/* translators: %d: zoom level in percent */
+						__( '%d%%', 'vmfa-editorial-workflow' ),
+						Math.round( scale * 100 )
+					) }
+				</span>
+				<button
+					type="button"
+					className="button"
+					onClick={ () => zoomTo( scale + ZOOM.step ) }
+					disabled={ scale >= ZOOM.max }
+					aria-label={ __( 'Zoom in', 'vmfa-editorial-workflow' ) }
+				>
+					<span className="dashicons dashicons-plus"></span>
+				</button>
+				<button
+					type="button"
+					className="button"
+					onClick={ () => zoomTo( ZOOM.min ) }
+					disabled={ scale === ZOOM.min }
+				>
+					{ __( 'Fit', 'vmfa-editorial-workflow' ) }
+				</button>
+			</div>
+		</>
+	);
+}
+
+/**
+ * Inline preview of a review item: zoomable image, media player, PDF or icon.
+ *
+ * @param {Object} props      Component props.
+ * @param {Object} props.item Review item.
+ * @return {JSX.Element} Preview.
+ */
+export default function PreviewMedia( { item } ) {
+	switch ( getPreviewType( item.mimeType ) ) {
+		case 'image':
+			return <ZoomableImage key={ item.id } item={ item } />;
+		case 'video':
+			return (
+				// eslint-disable-next-line jsx-a11y/media-has-caption
+				<video
+					key={ item.id }
+					src={ item.url }
+					className="vmfa-viewer-video"
+					controls
+					preload="metadata"
+				/>
+			);
+		case 'audio':
+			return (
+				<div className="vmfa-viewer-audio">
+					<span className={ `dashicons ${ item.icon }` }></span>
+					{ /* eslint-disable-next-line jsx-a11y/media-has-caption */ }
+					<audio
+						key={ item.id }
+						src={ item.url }
+						controls
+						preload="metadata"
+					/>
+				</div>
+			);
+		case 'pdf':
+			return (
+				<iframe
+					key={ item.id }
+					src={ item.url }
+					title={ item.title }
+					className="vmfa-viewer-pdf"
+				/>
+			);
+		default:
+			return (
+				<div className="vmfa-modal-icon">
+					<span className={ `dashicons ${ item.icon }` }></span>
+				</div>
+			);
+	}
+}
@@ -0,0 +1,231 @@
+/**
+ * Preview Modal component.
+ *
+ * @package VmfaEditorialWorkflow
+ */
+
+import { useState, useEffect, useRef } from '@wordpress/element';
+import { __, sprintf } from '@wordpress/i18n';
+import CommentThread from './CommentThread';
+import PreviewMedia from './PreviewMedia';
+import PreviewDetails from './PreviewDetails';
+import MetadataEditor from './MetadataEditor';
+import QualityChecks from './QualityChecks';
+import { isTypingTarget } from './utils/triageShortcuts';
+
+/**
+ * Full viewer for a review item: preview, details, review actions and
+ * the comment thread, with previous/next navigation through the queue.
+ *
+ * @param {Object}   props                Component props.
+ * @param {Object}   props.item           Review item.
+ * @param {Array}    props.items          Loaded review items, for navigation.
+ * @param {boolean}  props.isProcessing   Whether an action is running for the item.
+ * @param {boolean}  props.isPaused       Whether another dialog is open on top.
+ * @param {string}   props.blockedReason  Why the item cannot be approved, if it can't.
+ * @param {Function} props.onNavigate     Called with the item to show.
+ * @param {Function} props.onApprove      Called with the item ID to approve it.
+ * @param {Function} props.onMove         Called with the item ID to move it. Omit to hide Move.
+ * @param {Function} props.onClose        Called to close the modal.
+ * @param {Function} props.onCommentCount Called with the item ID and its comment count.
+ * @param {Function} props.onSaveMeta     Called with the item ID and its saved metadata.
+ * @return {JSX.Element} Preview modal.
+ */
+export default function PreviewModal( {
+	item,
+	items = [],
+	isProcessing = false,
+	isPaused = false,
+	blockedReason = '',
+	onNavigate,
+	onApprove,
+	onMove,
+	onClose,
+	onCommentCount,
+	onSaveMeta,
+} ) {
+	const [ isEditing, setIsEditing ] = useState( false );
+	const index = items.findIndex( ( entry ) => entry.id === item.id );
+	const previous = index > 0 ? items[ index - 1 ] : null;
+	const next = index !== -1 ? items[ index + 1 ] ?? null : null;
+
+	// Read the latest values from the keydown listener without re-binding it.
+	const keyState = useRef();
+	keyState.current = { previous, next, isPaused, onNavigate, onClose };
+
+	useEffect( () => {
+		const handleKeyDown = ( e ) => {
+			const state = keyState.current;
+
+			if ( state.isPaused ) {
+				return;
+			}
+
+			if ( e.key === 'Escape' ) {
+				state.onClose();
+				return;
+			}
+
+			// Leave arrow keys to the comment field.
+			if ( isTypingTarget( e.target ) ) {
+				return;
+			}
+
+			if ( e.key === 'ArrowLeft' && state.previous ) {
+				state.onNavigate( state.previous );
+			} else if ( e.key === 'ArrowRight' && state.next ) {
+				state.onNavigate( state.next );
+			}
+		};
+
+		document.body.style.overflow = 'hidden';
+		document.addEventListener( 'keydown', handleKeyDown );
+
+		return () => {
+			document.body.style.overflow = '';
+			document.removeEventListener( 'keydown', handleKeyDown );
+		};
+	}, [] );
+
+	return (
+		<div
+			className="vmfa-modal-overlay"
+			role="presentation"
+			onClick={ ( e ) => e.target === e.currentTarget && onClose() }
+		>
+			<div
+				className="vmfa-modal-content vmfa-viewer"
+				role="dialog"
+				aria-modal="true"
+				aria-label={ item.title }
+			>
+				<button
+					type="button"
+					className="vmfa-modal-close"
+					onClick={ onClose }
+					aria-label={ __( 'Close', 'vmfa-editorial-workflow' ) }
+				>
+					<span className="dashicons dashicons-no-alt"></span>
+				</button>
+
+				<div className="vmfa-viewer-stage">
+					<PreviewMedia item={ item } />
+
+					<button
+						type="button"
+						className="vmfa-viewer-nav is-previous"
+						onClick={ () => onNavigate( previous ) }
+						disabled={ ! previous }
+						aria-label={ __(
+							'Previous item',
+							'vmfa-editorial-workflow'
+						) }
+						aria-keyshortcuts="ArrowLeft"
+					>
+						<span className="dashicons dashicons-arrow-left-alt2"></span>
+					</button>
+					<button
+						type="button"
+						className="vmfa-viewer-nav is-next"
+						onClick={ () => onNavigate( next ) }
+						disabled={ ! next }
+						aria-label={ __(
+							'Next item',
+							'vmfa-editorial-workflow'
+						) }
+						aria-keyshortcuts="ArrowRight"
+					>
+						<span className="dashicons dashicons-arrow-right-alt2"></span>
+					</button>
+				</div>
+
+				<div className="vmfa-modal-details vmfa-viewer-sidebar">
+					<h3 className="vmfa-modal-title">
+						{ item.editLink ? (
+							<a href={ item.editLink }>{ item.title }</a>
+						) : (
+							item.title
+						) }
+					</h3>
+					{ item.stage?.total > 1 && (
+						<p className="vmfa-viewer-stage-name">
+							{ sprintf(
+								/* translators: 1: stage position, 2: number of stages, 3: stage name */
+								__(
+									'Stage %1$d of %2$d: %3$s',
+									'vmfa-editorial-workflow'
+								),
+								item.stage.position,
+								item.stage.total,
+								item.stage.name
+							) }
+						</p>
+					) }
+					{ index !== -1 && (
+						<p className="vmfa-viewer-position">
+							{ sprintf(
+								/* translators: 1: position of the item, 2: number of loaded items */
+								__( '%1$d of %2$d', 'vmfa-editorial-workflow' ),
+								index + 1,
+								items.length
+							) }
+						</p>
+					) }
+
+					<div className="vmfa-modal-actions">
+						<button
+							type="button"
+							className="button button-primary"
+							disabled={ isProcessing || !! blockedReason }
+							title={ blockedReason || undefined }
+							onClick={ () => onApprove( item.id ) }
+						>
+							<span className="dashicons dashicons-yes"></span>
+							{ __( 'Approve', 'vmfa-editorial-workflow' ) }
+						</button>
+						{ onMove && (
+							<button
+								type="button"
+								className="button"
+								disabled={ isProcessing }
+								onClick={ () => onMove( item.id ) }
+							>
+								<span className="dashicons dashicons-category"></span>
+								{ __( 'Move to…', 'vmfa-editorial-workflow' ) }
+							</button>
+						) }
+						<button
+							type="button"
+							className="button"
+							aria-expanded={ isEditing }
+							onClick={ () => setIsEditing( ! isEditing ) }
+						>
+							<span className="dashicons dashicons-edit"></span>
+							{ __( 'Edit details', 'vmfa-editorial-workflow' ) }
+						</button>
+					</div>
+
+					<QualityChecks checks={ item.checks } />
+
+					{ isEditing ? (
+						<MetadataEditor
+							key={ item.id }
+							item={ item }
+							onSaved={ onSaveMeta }
+						/>
+					) : (
+						<PreviewDetails item={ item } />
+					) }
+
+					<CommentThread
+						key={ item.id }
+						attachmentId={ item.id }
+						onCountChange={ ( count ) =>
+							onCommentCount( item.id, count )
+						}
+					/>
+				</div>
+			</div>
+		</div>
+	);
+}
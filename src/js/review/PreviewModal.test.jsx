@@ -0,0 +1,127 @@
+/**
+ * Tests for PreviewModal component.
+ *
+ * @package VmfaEditorialWorkflow
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import PreviewModal from './PreviewModal';
+
+// Mock WordPress packages
+vi.mock( '@wordpress/i18n', () => ( {
+	__: ( str ) => str,
+	sprintf: ( str, ...args ) =>
+		args.reduce(
+			( out, arg, i ) =>
+				out.replace( `%${ i + 1 }$d`, arg ).replace( /%[ds]/, arg ),
+			str
+		),
+} ) );
+
+vi.mock( './CommentThread', () => ( {
+	default: () => <div data-testid="comments" />,
+} ) );
+
+describe( 'PreviewModal', () => {
+	const items = [
+		{
+			id: 1,
+			title: 'Sunset',
+			mimeType: 'image/jpeg',
+			isImage: true,
+			url: 'sunset.jpg',
+			width: 1200,
+			height: 800,
+		},
+		{
+			id: 2,
+			title: 'Interview',
+			mimeType: 'video/mp4',
+			isImage: false,
+			url: 'interview.mp4',
+		},
+		{
+			id: 3,
+			title: 'Brochure',
+			mimeType: 'application/pdf',
+			isImage: false,
+			url: 'brochure.pdf',
+		},
+	];
+
+	const renderModal = ( item = items[ 1 ] ) => {
+		const handlers = {
+			onNavigate: vi.fn(),
+			onApprove: vi.fn(),
+			onMove: vi.fn(),
+			onClose: vi.fn(),
+			onCommentCount: vi.fn(),
+		};
+
+		const utils = render(
+			<PreviewModal item={ item } items={ items } { ...handlers } />
+		);
+
+		return { ...utils, handlers };
+	};
+
+	it( 'should navigate with the buttons and arrow keys', () => {
+		const { handlers } = renderModal();
+
+		expect( screen.getByText( '2 of 3' ) ).toBeInTheDocument();
+
+		fireEvent.click( screen.getByLabelText( 'Previous item' ) );
+		fireEvent.keyDown( document, { key: 'ArrowRight' } );
+
+		expect( handlers.onNavigate ).toHaveBeenNthCalledWith( 1, items[ 0 ] );
+		expect( handlers.onNavigate ).toHaveBeenNthCalledWith( 2, items[ 2 ] );
+	} );
+
+	it( 'should disable navigation past the ends', () => {
+		renderModal( items[ 0 ] );
+
+		expect( screen.getByLabelText( 'Previous item' ) ).toBeDisabled();
+		expect( screen.getByLabelText( 'Next item' ) ).not.toBeDisabled();
+	} );
+
+	it( 'should render players and PDFs inline', () => {
+		const { container, rerender } = renderModal();
+
+		expect( container.querySelector( 'video' ) ).toHaveAttribute(
+			'src',
+			'interview.mp4'
+		);
+
+		rerender( <PreviewModal item={ items[ 2 ] } items={ items } /> );
+
+		expect( screen.getByTitle( 'Brochure' ) ).toHaveAttribute(
+			'src',
+			'brochure.pdf'
+		);
+	} );
+
+	it( 'should zoom images and show their details', () => {
+		renderModal( items[ 0 ] );
+
+		fireEvent.click( screen.getByLabelText( 'Zoom in' ) );
+
+		expect( screen.getByAltText( 'Sunset' ).style.transform ).toContain(
+			'scale(1.5)'
+		);
+		expect( screen.getByText( '1200 × 800 px' ) ).toBeInTheDocument();
+		expect( screen.getByText( 'Missing' ) ).toBeInTheDocument();
+	} );
+
+	it( 'should run review actions for the item', () => {
+		const { handlers } = renderModal();
+
+		fireEvent.click( screen.getByText( 'Approve' ) );
+		fireEvent.click( screen.getByText( 'Move to…' ) );
+		fireEvent.keyDown( document, { key: 'Escape' } );
+
+		expect( handlers.onApprove ).toHaveBeenCalledWith( 2 );
+		expect( handlers.onMove ).toHaveBeenCalledWith( 2 );
+		expect( handlers.onClose ).toHaveBeenCalled();
+	} );
+} );
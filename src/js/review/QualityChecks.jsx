@@ -0,0 +1,51 @@
+/**
+ * Quality Checks component.
+ *
+ * @package VmfaEditorialWorkflow
+ */
+
+import { __ } from '@wordpress/i18n';
+
+/**
+ * Pass/fail badges for the quality checks of a review item.
+ *
+ * @param {Object} props        Component props.
+ * @param {Array}  props.checks Checks from the REST API.
+ * @return {JSX.Element|null} Check badges, or nothing when no rules apply.
+ */
+export default function QualityChecks( { checks = [] } ) {
+	if ( ! checks.length ) {
+		return null;
+	}
+
+	return (
+		<ul className="vmfa-quality-checks">
+			{ checks.map( ( check ) => (
+				<li
+					key={ check.rule }
+					className={ `vmfa-quality-check ${
+						check.passed ? 'is-passed' : 'is-failed'
+					}` }
+					title={ check.requirement }
+				>
+					<span
+						className={ `dashicons ${
+							check.passed ? 'dashicons-yes' : 'dashicons-warning'
+						}` }
+						aria-hidden="true"
+					></span>
+					{ check.label }
+					<span className="screen-reader-text">
+						{ check.passed
+							? __( '(passed)', 'vmfa-editorial-workflow' )
+							: __(
+									'(failed)',
+									'vmfa-editorial-workflow'
+							  ) }{ ' ' }
+						{ check.requirement }
+					</span>
+				</li>
+			) ) }
+		</ul>
+	);
+}
@@ -0,0 +1,111 @@
+/**
+ * Queue Tabs component.
+ *
+ * @package VmfaEditorialWorkflow
+ */
+
+import { __ } from '@wordpress/i18n';
+
+/**
+ * History tabs, keyed by the decision they list.
+ *
+ * @return {Object} Action => tab label.
+ */
+function getHistoryTabs() {
+	return {
+		approved: __( 'Recently approved', 'vmfa-editorial-workflow' ),
+		moved: __( 'Recently moved', 'vmfa-editorial-workflow' ),
+		scheduled: __( 'Scheduled', 'vmfa-editorial-workflow' ),
+	};
+}
+
+/**
+ * Tabs for the review queues: everything waiting for review, Needs Review
+ * with its stages and each role inbox folder, followed by the history tabs
+ * for items recently approved or moved and items waiting for a scheduled
+ * release. The queue tabs are left out while
+ * Needs Review is the only queue.
+ *
+ * @param {Object}   props           Component props.
+ * @param {Array}    props.queues    Review queues, { id, name, count }.
+ * @param {number}   props.total     Number of items in all queues.
+ * @param {string}   props.folder    Folder ID of the selected queue, '' for all.
+ * @param {string}   props.history   Selected history tab, 'approved', 'moved' or 'scheduled', '' for none.
+ * @param {Function} props.onChange  Called with the folder ID of the chosen queue, '' for all.
+ * @param {Function} props.onHistory Called with the chosen history tab.
+ * @return {JSX.Element} Queue tabs.
+ */
+export default function QueueTabs( {
+	queues = [],
+	total,
+	folder = '',
+	history = '',
+	onChange,
+	onHistory,
+} ) {
+	const tabs = [
+		{
+			value: '',
+			name: __( 'All', 'vmfa-editorial-workflow' ),
+			count: total,
+		},
+		...( queues.length > 1
+			? queues.map( ( queue ) => ( {
+					value: String( queue.id ),
+					name: queue.name,
+					count: queue.count,
+			  } ) )
+			: [] ),
+	];
+
+	/**
+	 * Render a tab button.
+	 *
+	 * @param {string}   key      React key.
+	 * @param {boolean}  isActive Whether the tab is selected.
+	 * @param {Function} onClick  Click handler.
+	 * @param {Object}   children Tab content.
+	 * @return {JSX.Element} Tab.
+	 */
+	const renderTab = ( key, isActive, onClick, children ) => (
+		<button
+			key={ key }
+			type="button"
+			className={ `nav-tab${ isActive ? ' nav-tab-active' : '' }` }
+			aria-pressed={ isActive }
+			onClick={ onClick }
+		>
+			{ children }
+		</button>
+	);
+
+	return (
+		<nav
+			className="nav-tab-wrapper vmfa-review-queues"
+			aria-label={ __( 'Review queues', 'vmfa-editorial-workflow' ) }
+		>
+			{ tabs.map( ( tab ) =>
+				renderTab(
+					tab.value || 'all',
+					! history && folder === tab.value,
+					() => onChange( tab.value ),
+					[
+						tab.name,
+						' ',
+						<span key="count" className="vmfa-review-queue-count">
+							{ tab.count }
+						</span>,
+					]
+				)
+			) }
+			{ Object.entries( getHistoryTabs() ).map( ( [ action, label ] ) =>
+				renderTab(
+					action,
+					history === action,
+					() => onHistory( action ),
+					label
+				)
+			) }
+		</nav>
+	);
+}
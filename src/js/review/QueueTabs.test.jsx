@@ -0,0 +1,110 @@
+/**
+ * Tests for QueueTabs component.
+ *
+ * @package VmfaEditorialWorkflow
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import QueueTabs from './QueueTabs';
+
+// Mock WordPress packages
+vi.mock( '@wordpress/i18n', () => ( {
+	__: ( str ) => str,
+} ) );
+
+const queues = [
+	{ id: 5, name: 'Needs Review', count: 3 },
+	{ id: 12, name: 'Marketing Inbox', count: 2 },
+];
+
+describe( 'QueueTabs', () => {
+	it( 'should show a tab with a count for every queue', () => {
+		render(
+			<QueueTabs
+				queues={ queues }
+				total={ 5 }
+				folder="12"
+				onChange={ vi.fn() }
+			/>
+		);
+
+		expect(
+			screen.getByRole( 'button', { name: 'All 5' } )
+		).toHaveAttribute( 'aria-pressed', 'false' );
+		expect(
+			screen.getByRole( 'button', { name: 'Needs Review 3' } )
+		).toBeInTheDocument();
+		expect(
+			screen.getByRole( 'button', { name: 'Marketing Inbox 2' } )
+		).toHaveAttribute( 'aria-pressed', 'true' );
+	} );
+
+	it( 'should select a queue by its folder ID', () => {
+		const onChange = vi.fn();
+		render(
+			<QueueTabs
+				queues={ queues }
+				total={ 5 }
+				folder=""
+				onChange={ onChange }
+			/>
+		);
+
+		fireEvent.click(
+			screen.getByRole( 'button', { name: 'Marketing Inbox 2' } )
+		);
+		expect( onChange ).toHaveBeenCalledWith( '12' );
+
+		fireEvent.click( screen.getByRole( 'button', { name: 'All 5' } ) );
+		expect( onChange ).toHaveBeenCalledWith( '' );
+	} );
+
+	it( 'should leave out the queue tabs while Needs Review is the only queue', () => {
+		render(
+			<QueueTabs
+				queues={ queues.slice( 0, 1 ) }
+				total={ 3 }
+				onChange={ vi.fn() }
+				onHistory={ vi.fn() }
+			/>
+		);
+
+		expect(
+			screen
+				.getAllByRole( 'button' )
+				.map( ( button ) => button.textContent )
+		).toEqual( [
+			'All 3',
+			'Recently approved',
+			'Recently moved',
+			'Scheduled',
+		] );
+	} );
+
+	it( 'should select a history tab', () => {
+		const onHistory = vi.fn();
+		render(
+			<QueueTabs
+				queues={ queues }
+				total={ 5 }
+				folder=""
+				history="moved"
+				onChange={ vi.fn() }
+				onHistory={ onHistory }
+			/>
+		);
+
+		expect(
+			screen.getByRole( 'button', { name: 'All 5' } )
+		).toHaveAttribute( 'aria-pressed', 'false' );
+		expect(
+			screen.getByRole( 'button', { name: 'Recently moved' } )
+		).toHaveAttribute( 'aria-pressed', 'true' );
+
+		fireEvent.click(
+			screen.getByRole( 'button', { name: 'Recently approved' } )
+		);
+		expect( onHistory ).toHaveBeenCalledWith( 'approved' );
+	} );
+} );
@@ -0,0 +1,431 @@
+/**
+ * Recent List component.
+ *
+ * @package VmfaEditorialWorkflow
+ */
+
+import { useState, useEffect } from '@wordpress/element';
+import { Button, Notice, Spinner } from '@wordpress/components';
+import apiFetch from '@wordpress/api-fetch';
+import { __, _n, sprintf } from '@wordpress/i18n';
+
+/**
+ * Get the introduction and empty-state texts for a history tab.
+ *
+ * @param {string} action 'approved' or 'moved'.
+ * @param {number} days   Number of days the tab covers.
+ * @return {{intro: string, empty: string}} Texts.
+ */
+function getTexts( action, days ) {
+	if ( action === 'moved' ) {
+		return {
+			intro: sprintf(
+				/* translators: %d: number of days */
+				_n(
+					'Items moved to a folder in the last %d day.',
+					'Items moved to a folder in the last %d days.',
+					days,
+					'vmfa-editorial-workflow'
+				),
+				days
+			),
+			empty: sprintf(
+				/* translators: %d: number of days */
+				_n(
+					'Nothing was moved in the last %d day.',
+					'Nothing was moved in the last %d days.',
+					days,
+					'vmfa-editorial-workflow'
+				),
+				days
+			),
+		};
+	}
+
+	return {
+		intro: sprintf(
+			/* translators: %d: number of days */
+			_n(
+				'Items approved in the last %d day.',
+				'Items approved in the last %d days.',
+				days,
+				'vmfa-editorial-workflow'
+			),
+			days
+		),
+		empty: sprintf(
+			/* translators: %d: number of days */
+			_n(
+				'Nothing was approved in the last %d day.',
+				'Nothing was approved in the last %d days.',
+				days,
+				'vmfa-editorial-workflow'
+			),
+			days
+		),
+	};
+}
+
+/**
+ * Items recently approved or moved from the Review screen, with who handled
+ * them, when and the folder they are in now. Mistakes can be sent back to
+ * review from here.
+ *
+ * @param {Object}   props            Component props.
+ * @param {string}   props.action     'approved' or 'moved'.
+ * @param {number}   props.days       Number of days the list covers.
+ * @param {number}   props.perPage    Items per page.
+ * @param {Function} props.onSentBack Called with the IDs of the items sent back to review.
+ * @return {JSX.Element} Recent list.
+ */
+export default function RecentList( {
+	action,
+	days,
+	perPage = 50,
+	onSentBack,
+} ) {
+	const [ page, setPage ] = useState( 1 );
+	const [ result, setResult ] = useState( {
+		items: [],
+		total: 0,
+		totalPages: 0,
+	} );
+	const [ isLoading, setIsLoading ] = useState( true );
+	const [ selectedIds, setSelectedIds ] = useState( new Set() );
+	const [ isSending, setIsSending ] = useState( false );
+	const [ notice, setNotice ] = useState( null );
+	const [ reloadKey, setReloadKey ] = useState( 0 );
+
+	useEffect( () => {
+		let isCurrent = true;
+		const params = new URLSearchParams( {
+			action,
+			page,
+			per_page: perPage,
+		} );
+
+		setIsLoading( true );
+		apiFetch( {
+			path: `/vmfa-editorial/v1/review/recent?${ params.toString() }`,
+		} )
+			.then( ( response ) => {
+				if ( ! isCurrent ) {
+					return;
+				}
+				// Sending back the last items of a page leaves it empty.
+				if ( ! response.items.length && page > 1 ) {
+					setPage( page - 1 );
+					return;
+				}
+				setResult( response );
+			} )
+			.catch( ( error ) => {
+				if ( isCurrent ) {
+					setNotice( { status: 'error', message: error.message } );
+				}
+			} )
+			.finally( () => {
+				if ( isCurrent ) {
+					setIsLoading( false );
+				}
+			} );
+
+		return () => {
+			isCurrent = false;
+		};
+	}, [ action, page, perPage, reloadKey ] );
+
+	/**
+	 * Select or deselect an item.
+	 *
+	 * @param {number} id Attachment ID.
+	 */
+	const toggle = ( id ) => {
+		setSelectedIds( ( prev ) => {
+			const next = new Set( prev );
+			if ( next.has( id ) ) {
+				next.delete( id );
+			} else {
+				next.add( id );
+			}
+			return next;
+		} );
+	};
+
+	/**
+	 * Send items back to Needs Review.
+	 *
+	 * @param {Array} ids Attachment IDs.
+	 */
+	const sendBack = async ( ids ) => {
+		setIsSending( true );
+		try {
+			const response = await apiFetch( {
+				path: '/vmfa-editorial/v1/review/send-back',
+				method: 'POST',
+				data: { ids },
+			} );
+
+			setNotice( {
+				status: response.failed.length ? 'warning' : 'success',
+				message: response.failed.length
+					? sprintf(
+							/* translators: 1: number of items sent back, 2: number of items that could not be sent back */
+							__(
+								'%1$d items sent back to review, %2$d could not be sent back.',
+								'vmfa-editorial-workflow'
+							),
+							response.success.length,
+							response.failed.length
+					  )
+					: response.message,
+			} );
+			setSelectedIds( new Set() );
+			setReloadKey( ( key ) => key + 1 );
+			onSentBack?.( response.success );
+		} catch ( error ) {
+			setNotice( {
+				status: 'error',
+				message:
+					error.message ||
+					__( 'An error occurred.', 'vmfa-editorial-workflow' ),
+			} );
+		} finally {
+			setIsSending( false );
+		}
+	};
+
+	const texts = getTexts( action, days );
+	const allSelected =
+		result.items.length > 0 &&
+		result.items.every( ( item ) => selectedIds.has( item.id ) );
+
+	return (
+		<div className="vmfa-recent">
+			<div className="vmfa-recent-header">
+				<p className="vmfa-recent-intro">{ texts.intro }</p>
+				<Button
+					variant="secondary"
+					className="vmfa-recent-send-back-selected"
+					disabled={ ! selectedIds.size || isSending }
+					isBusy={ isSending }
+					onClick={ () => sendBack( [ ...selectedIds ] ) }
+				>
+					{ selectedIds.size
+						? sprintf(
+								/* translators: %d: number of selected items */
+								__(
+									'Send %d back to review',
+									'vmfa-editorial-workflow'
+								),
+								selectedIds.size
+						  )
+						: __(
+								'Send back to review',
+								'vmfa-editorial-workflow'
+						  ) }
+				</Button>
+			</div>
+
+			{ notice && (
+				<Notice
+					status={ notice.status }
+					onRemove={ () => setNotice( null ) }
+				>
+					{ notice.message }
+				</Notice>
+			) }
+
+			{ isLoading && <Spinner /> }
+
+			{ ! isLoading && result.items.length === 0 && (
+				<p className="vmfa-recent-empty">{ texts.empty }</p>
+			) }
+
+			{ ! isLoading && result.items.length > 0 && (
+				<table className="wp-list-table widefat striped vmfa-recent-table">
+					<thead>
+						<tr>
+							<td className="vmfa-column-check">
+								<input
+									type="checkbox"
+									checked={ allSelected }
+									onChange={ () =>
+										setSelectedIds(
+											allSelected
+												? new Set()
+												: new Set(
+														result.items.map(
+															( item ) => item.id
+														)
+												  )
+										)
+									}
+									aria-label={ __(
+										'Select all',
+										'vmfa-editorial-workflow'
+									) }
+								/>
+							</td>
+							<th scope="col" className="vmfa-column-thumbnail">
+								<span className="screen-reader-text">
+									{ __(
+										'Preview',
+										'vmfa-editorial-workflow'
+									) }
+								</span>
+							</th>
+							<th scope="col">
+								{ __( 'File', 'vmfa-editorial-workflow' ) }
+							</th>
+							<th scope="col">
+								{ action === 'moved'
+									? __(
+											'Moved by',
+											'vmfa-editorial-workflow'
+									  )
+									: __(
+											'Approved by',
+											'vmfa-editorial-workflow'
+									  ) }
+							</th>
+							<th scope="col">
+								{ __( 'When', 'vmfa-editorial-workflow' ) }
+							</th>
+							<th scope="col">
+								{ __( 'Now in', 'vmfa-editorial-workflow' ) }
+							</th>
+							<th scope="col" className="vmfa-column-actions">
+								<span className="screen-reader-text">
+									{ __(
+										'Actions',
+										'vmfa-editorial-workflow'
+									) }
+								</span>
+							</th>
+						</tr>
+					</thead>
+					<tbody>
+						{ result.items.map( ( item ) => (
+							<tr key={ item.id }>
+								<th scope="row" className="vmfa-column-check">
+									<input
+										type="checkbox"
+										checked={ selectedIds.has( item.id ) }
+										onChange={ () => toggle( item.id ) }
+										aria-label={ item.title }
+									/>
+								</th>
+								<td className="vmfa-column-thumbnail">
+									{ item.isImage && item.thumbnail ? (
+										<img src={ item.thumbnail } alt="" />
+									) : (
+										<span
+											className={ `dashicons ${ item.icon }` }
+											aria-hidden="true"
+										></span>
+									) }
+								</td>
+								<td>
+									{ item.editLink ? (
+										<a href={ item.editLink }>
+											{ item.title }
+										</a>
+									) : (
+										item.title
+									) }
+									{ item.filename && (
+										<span className="vmfa-recent-filename">
+											{ item.filename }
+										</span>
+									) }
+								</td>
+								<td>
+									{ item.user ? (
+										<span className="vmfa-recent-user">
+											{ item.user.avatar && (
+												<img
+													src={ item.user.avatar }
+													alt=""
+													width="24"
+													height="24"
+												/>
+											) }
+											{ item.user.name }
+										</span>
+									) : (
+										'—'
+									) }
+									{ item.action !== action && (
+										<span className="vmfa-recent-action">
+											{ item.action === 'moved'
+												? __(
+														'(moved)',
+														'vmfa-editorial-workflow'
+												  )
+												: __(
+														'(approved)',
+														'vmfa-editorial-workflow'
+												  ) }
+										</span>
+									) }
+								</td>
+								<td>
+									<time dateTime={ item.date }>
+										{ item.dateLabel }
+									</time>
+								</td>
+								<td>{ item.folder?.name || '—' }</td>
+								<td className="vmfa-column-actions">
+									<Button
+										variant="secondary"
+										size="small"
+										disabled={ isSending }
+										onClick={ () =>
+											sendBack( [ item.id ] )
+										}
+									>
+										{ __(
+											'Send back to review',
+											'vmfa-editorial-workflow'
+										) }
+									</Button>
+								</td>
+							</tr>
+						) ) }
+					</tbody>
+				</table>
+			) }
+
+			{ result.totalPages > 1 && (
+				<div className="vmfa-recent-pagination">
+					<Button
+						variant="secondary"
+						onClick={ () => setPage( page - 1 ) }
+						disabled={ isLoading || page <= 1 }
+					>
+						{ __( 'Previous', 'vmfa-editorial-workflow' ) }
+					</Button>
+					<span>
+						{ sprintf(
+							/* translators: 1: current page, 2: number of pages */
+							__(
+								'Page %1$d of %2$d',
+								'vmfa-editorial-workflow'
+							),
+							page,
+							result.totalPages
+						) }
+					</span>
+					<Button
+						variant="secondary"
+						onClick={ () => setPage( page + 1 ) }
+						disabled={ isLoading || page >= result.totalPages }
+					>
+						{ __( 'Next', 'vmfa-editorial-workflow' ) }
+					</Button>
+				</div>
+			) }
+		</div>
+	);
+}
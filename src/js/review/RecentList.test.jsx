@@ -0,0 +1,133 @@
+/**
+ * Tests for RecentList component.
+ *
+ * @package VmfaEditorialWorkflow
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import apiFetch from '@wordpress/api-fetch';
+import RecentList from './RecentList';
+
+// Mock WordPress packages
+vi.mock( '@wordpress/api-fetch', () => ( {
+	default: vi.fn(),
+} ) );
+
+vi.mock( '@wordpress/components', () => ( {
+	Button: ( { children, onClick, disabled } ) => (
+		<button onClick={ onClick } disabled={ disabled }>
+			{ children }
+		</button>
+	),
+	Notice: ( { children } ) => <div role="alert">{ children }</div>,
+	Spinner: () => <span>Loading</span>,
+} ) );
+
+vi.mock( '@wordpress/i18n', () => ( {
+	__: ( str ) => str,
+	_n: ( single, plural, count ) => ( count === 1 ? single : plural ),
+	sprintf: ( format, ...args ) =>
+		args.reduce(
+			( str, arg, i ) =>
+				str
+					.replace( new RegExp( `%${ i + 1 }\\$[ds]` ), arg )
+					.replace( /%[ds]/, arg ),
+			format
+		),
+} ) );
+
+describe( 'RecentList', () => {
+	const recent = {
+		items: [
+			{
+				id: 11,
+				title: 'Harbour',
+				filename: 'harbour.jpg',
+				isImage: true,
+				thumbnail: 'https://example.com/harbour-150x150.jpg',
+				editLink:
+					'https://example.com/wp-admin/post.php?post=11&action=edit',
+				action: 'approved',
+				user: { id: 3, name: 'Editor', avatar: '' },
+				date: '2026-01-02T10:00:00+00:00',
+				dateLabel: '2 hours ago',
+				folder: { id: 6, name: 'Approved' },
+			},
+		],
+		total: 1,
+		totalPages: 1,
+	};
+
+	beforeEach( () => {
+		apiFetch.mockReset();
+	} );
+
+	it( 'should list who handled each item, when and where it is now', async () => {
+		apiFetch.mockResolvedValue( recent );
+		render( <RecentList action="approved" days={ 7 } perPage={ 20 } /> );
+
+		expect( await screen.findByText( 'Harbour' ) ).toBeInTheDocument();
+		expect(
+			screen.getByText( 'Items approved in the last 7 days.' )
+		).toBeInTheDocument();
+		expect( screen.getByText( 'Editor' ) ).toBeInTheDocument();
+		expect( screen.getByText( '2 hours ago' ) ).toBeInTheDocument();
+		expect( screen.getByText( 'Approved' ) ).toBeInTheDocument();
+		expect( apiFetch ).toHaveBeenCalledWith( {
+			path: '/vmfa-editorial/v1/review/recent?action=approved&page=1&per_page=20',
+		} );
+	} );
+
+	it( 'should show when nothing was handled', async () => {
+		apiFetch.mockResolvedValue( { items: [], total: 0, totalPages: 0 } );
+		render( <RecentList action="moved" days={ 1 } /> );
+
+		expect(
+			await screen.findByText( 'Nothing was moved in the last 1 day.' )
+		).toBeInTheDocument();
+	} );
+
+	it( 'should send an item back to review', async () => {
+		const onSentBack = vi.fn();
+		apiFetch.mockImplementation( ( { method } ) =>
+			Promise.resolve(
+				method === 'POST'
+					? {
+							success: [ 11 ],
+							failed: [],
+							message: '1 items sent back to review.',
+					  }
+					: recent
+			)
+		);
+		render(
+			<RecentList
+				action="approved"
+				days={ 7 }
+				onSentBack={ onSentBack }
+			/>
+		);
+
+		await screen.findByText( 'Harbour' );
+
+		// The first button sends back the selection, which is empty.
+		const [ sendSelected, sendRow ] = screen.getAllByRole( 'button', {
+			name: 'Send back to review',
+		} );
+		expect( sendSelected ).toBeDisabled();
+		fireEvent.click( sendRow );
+
+		await waitFor( () =>
+			expect( onSentBack ).toHaveBeenCalledWith( [ 11 ] )
+		);
+		expect( apiFetch ).toHaveBeenCalledWith( {
+			path: '/vmfa-editorial/v1/review/send-back',
+			method: 'POST',
+			data: { ids: [ 11 ] },
+		} );
+		expect( await screen.findByRole( 'alert' ) ).toHaveTextContent(
+			'1 items sent back to review.'
+		);
+	} );
+} );
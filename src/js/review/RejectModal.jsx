@@ -0,0 +1,105 @@
+/**
+ * Reject Modal component.
+ *
+ * @package VmfaEditorialWorkflow
+ */
+
+import { useState } from '@wordpress/element';
+import {
+	Modal,
+	Button,
+	SelectControl,
+	TextareaControl,
+} from '@wordpress/components';
+import { __ } from '@wordpress/i18n';
+
+/**
+ * Ask for a rejection reason.
+ *
+ * @param {Object}   props           Component props.
+ * @param {Array}    props.reasons   Canned rejection reasons.
+ * @param {Function} props.onConfirm Called with the entered reason.
+ * @param {Function} props.onClose   Called to close the modal.
+ * @return {JSX.Element} Reject modal.
+ */
+export default function RejectModal( { reasons = [], onConfirm, onClose } ) {
+	const [ reason, setReason ] = useState( '' );
+	const [ error, setError ] = useState( '' );
+
+	const handleSubmit = ( e ) => {
+		e.preventDefault();
+
+		const trimmed = reason.trim();
+		if ( ! trimmed ) {
+			setError(
+				__(
+					'Please enter a reason for the rejection.',
+					'vmfa-editorial-workflow'
+				)
+			);
+			return;
+		}
+
+		onConfirm( trimmed );
+	};
+
+	return (
+		<Modal
+			title={ __( 'Reject media', 'vmfa-editorial-workflow' ) }
+			onRequestClose={ onClose }
+			className="vmfa-reject-modal"
+		>
+			<form onSubmit={ handleSubmit } noValidate>
+				{ reasons.length > 0 && (
+					<SelectControl
+						label={ __(
+							'Common reasons',
+							'vmfa-editorial-workflow'
+						) }
+						hideLabelFromVision
+						value=""
+						options={ [
+							{
+								value: '',
+								label: __(
+									'Choose a common reason…',
+									'vmfa-editorial-workflow'
+								),
+							},
+							...reasons.map( ( value ) => ( {
+								value,
+								label: value,
+							} ) ),
+						] }
+						onChange={ ( value ) => value && setReason( value ) }
+						__nextHasNoMarginBottom
+					/>
+				) }
+				<TextareaControl
+					label={ __( 'Reason', 'vmfa-editorial-workflow' ) }
+					help={ __(
+						'The reason is stored on each item and shown to the uploader.',
+						'vmfa-editorial-workflow'
+					) }
+					value={ reason }
+					onChange={ setReason }
+					rows={ 4 }
+					__nextHasNoMarginBottom
+				/>
+				{ error && (
+					<p className="vmfa-reject-error" role="alert">
+						{ error }
+					</p>
+				) }
+				<div className="vmfa-modal-actions">
+					<Button variant="primary" type="submit">
+						{ __( 'Reject', 'vmfa-editorial-workflow' ) }
+					</Button>
+					<Button variant="secondary" onClick={ onClose }>
+						{ __( 'Cancel', 'vmfa-editorial-workflow' ) }
+					</Button>
+				</div>
+			</form>
+		</Modal>
+	);
+}
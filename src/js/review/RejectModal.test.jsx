@@ -0,0 +1,102 @@
+/**
+ * Tests for RejectModal component.
+ *
+ * @package VmfaEditorialWorkflow
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import RejectModal from './RejectModal';
+
+// Mock WordPress packages
+vi.mock( '@wordpress/components', () => ( {
+	Modal: ( { title, children } ) => (
+		<div role="dialog" aria-label={ title }>
+			{ children }
+		</div>
+	),
+	Button: ( { children, onClick, type = 'button' } ) => (
+		<button type={ type } onClick={ onClick }>
+			{ children }
+		</button>
+	),
+	SelectControl: ( { label, value, options, onChange } ) => (
+		<select
+			aria-label={ label }
+			value={ value }
+			onChange={ ( e ) => onChange( e.target.value ) }
+		>
+			{ options.map( ( opt ) => (
+				<option key={ opt.value } value={ opt.value }>
+					{ opt.label }
+				</option>
+			) ) }
+		</select>
+	),
+	TextareaControl: ( { label, value, onChange } ) => (
+		<textarea
+			aria-label={ label }
+			value={ value }
+			onChange={ ( e ) => onChange( e.target.value ) }
+		/>
+	),
+} ) );
+
+vi.mock( '@wordpress/i18n', () => ( {
+	__: ( str ) => str,
+} ) );
+
+describe( 'RejectModal', () => {
+	it( 'should require a reason', () => {
+		const onConfirm = vi.fn();
+		render( <RejectModal onConfirm={ onConfirm } onClose={ vi.fn() } /> );
+
+		fireEvent.change( screen.getByLabelText( 'Reason' ), {
+			target: { value: '   ' },
+		} );
+		fireEvent.click( screen.getByText( 'Reject' ) );
+
+		expect( onConfirm ).not.toHaveBeenCalled();
+		expect( screen.getByRole( 'alert' ) ).toHaveTextContent(
+			'Please enter a reason'
+		);
+	} );
+
+	it( 'should confirm with the trimmed reason', () => {
+		const onConfirm = vi.fn();
+		render( <RejectModal onConfirm={ onConfirm } onClose={ vi.fn() } /> );
+
+		fireEvent.change( screen.getByLabelText( 'Reason' ), {
+			target: { value: ' Too dark ' },
+		} );
+		fireEvent.click( screen.getByText( 'Reject' ) );
+
+		expect( onConfirm ).toHaveBeenCalledWith( 'Too dark' );
+	} );
+
+	it( 'should fill the reason from a canned reason', () => {
+		render(
+			<RejectModal
+				reasons={ [ 'Poor image quality', 'Missing usage rights' ] }
+				onConfirm={ vi.fn() }
+				onClose={ vi.fn() }
+			/>
+		);
+
+		fireEvent.change( screen.getByLabelText( 'Common reasons' ), {
+			target: { value: 'Missing usage rights' },
+		} );
+
+		expect( screen.getByLabelText( 'Reason' ) ).toHaveValue(
+			'Missing usage rights'
+		);
+	} );
+
+	it( 'should hide canned reasons when none are configured', () => {
+		render( <RejectModal onConfirm={ vi.fn() } onClose={ vi.fn() } /> );
+
+		expect(
+			screen.queryByLabelText( 'Common reasons' )
+		).not.toBeInTheDocument();
+	} );
+} );
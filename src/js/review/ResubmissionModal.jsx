@@ -0,0 +1,64 @@
+/**
+ * Resubmission Modal component.
+ *
+ * @package VmfaEditorialWorkflow
+ */
+
+import { Modal, Button } from '@wordpress/components';
+import { __, sprintf } from '@wordpress/i18n';
+import { CompareSide } from './DuplicateModal';
+
+/**
+ * Compare a resubmitted item's new file with the file it replaced.
+ *
+ * @param {Object}   props         Component props.
+ * @param {Object}   props.item    Review item with `resubmission`.
+ * @param {Function} props.onClose Called to close the modal.
+ * @return {JSX.Element|null} Resubmission modal.
+ */
+export default function ResubmissionModal( { item, onClose } ) {
+	const resubmission = item.resubmission;
+
+	if ( ! resubmission ) {
+		return null;
+	}
+
+	return (
+		<Modal
+			title={ __(
+				'Resubmitted after it was returned',
+				'vmfa-editorial-workflow'
+			) }
+			onRequestClose={ onClose }
+			className="vmfa-duplicate-modal vmfa-resubmission-modal"
+			size="large"
+		>
+			{ resubmission.reason && (
+				<p className="vmfa-resubmission-reason">
+					{ sprintf(
+						/* translators: %s: reason the item was returned */
+						__( 'Returned because: %s', 'vmfa-editorial-workflow' ),
+						resubmission.reason
+					) }
+				</p>
+			) }
+
+			<div className="vmfa-duplicate-compare">
+				<CompareSide
+					heading={ __( 'Before', 'vmfa-editorial-workflow' ) }
+					file={ resubmission.previous }
+				/>
+				<CompareSide
+					heading={ __( 'After', 'vmfa-editorial-workflow' ) }
+					file={ { ...item, dateLabel: resubmission.dateLabel } }
+				/>
+			</div>
+
+			<div className="vmfa-modal-actions">
+				<Button variant="secondary" onClick={ onClose }>
+					{ __( 'Close', 'vmfa-editorial-workflow' ) }
+				</Button>
+			</div>
+		</Modal>
+	);
+}
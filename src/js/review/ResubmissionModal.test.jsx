@@ -0,0 +1,92 @@
+/**
+ * Tests for ResubmissionModal component.
+ *
+ * @package VmfaEditorialWorkflow
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import ResubmissionModal from './ResubmissionModal';
+
+// Mock WordPress packages
+vi.mock( '@wordpress/components', () => ( {
+	Modal: ( { title, children } ) => (
+		<div role="dialog" aria-label={ title }>
+			{ children }
+		</div>
+	),
+	Button: ( { children, onClick, disabled } ) => (
+		<button type="button" onClick={ onClick } disabled={ disabled }>
+			{ children }
+		</button>
+	),
+} ) );
+
+vi.mock( '@wordpress/i18n', () => ( {
+	__: ( str ) => str,
+	sprintf: ( str, ...args ) => str.replace( /%[sd]/, args[ 0 ] ),
+} ) );
+
+const item = {
+	id: 40,
+	title: 'Sunset',
+	filename: 'sunset-new.jpg',
+	isImage: true,
+	thumbnail: 'https://example.com/sunset-new-300x200.jpg',
+	fileSizeLabel: '2 MB',
+	width: 2400,
+	height: 1600,
+	dateLabel: 'March 3, 2026',
+	resubmission: {
+		date: '2026-03-05T09:00:00+00:00',
+		dateLabel: 'March 5, 2026',
+		reason: 'Too small',
+		previous: {
+			title: 'Sunset',
+			filename: 'sunset.jpg',
+			isImage: true,
+			thumbnail: 'https://example.com/sunset-300x200.jpg',
+			fileSizeLabel: '300 KB',
+			width: 600,
+			height: 400,
+			dateLabel: 'March 3, 2026',
+		},
+	},
+};
+
+describe( 'ResubmissionModal', () => {
+	it( 'should compare the replaced file with the new one', () => {
+		render( <ResubmissionModal item={ item } onClose={ vi.fn() } /> );
+
+		expect(
+			screen.getByText( 'Returned because: Too small' )
+		).toBeInTheDocument();
+		expect( screen.getByText( 'Before' ) ).toBeInTheDocument();
+		expect( screen.getByText( 'sunset.jpg' ) ).toBeInTheDocument();
+		expect( screen.getByText( '600 × 400' ) ).toBeInTheDocument();
+		expect( screen.getByText( 'After' ) ).toBeInTheDocument();
+		expect( screen.getByText( 'sunset-new.jpg' ) ).toBeInTheDocument();
+		expect( screen.getByText( '2400 × 1600' ) ).toBeInTheDocument();
+		expect( screen.getByText( 'March 5, 2026' ) ).toBeInTheDocument();
+	} );
+
+	it( 'should close', () => {
+		const onClose = vi.fn();
+		render( <ResubmissionModal item={ item } onClose={ onClose } /> );
+
+		fireEvent.click( screen.getByRole( 'button', { name: 'Close' } ) );
+
+		expect( onClose ).toHaveBeenCalled();
+	} );
+
+	it( 'should render nothing for items that were not resubmitted', () => {
+		const { container } = render(
+			<ResubmissionModal
+				item={ { ...item, resubmission: null } }
+				onClose={ vi.fn() }
+			/>
+		);
+
+		expect( container ).toBeEmptyDOMElement();
+	} );
+} );
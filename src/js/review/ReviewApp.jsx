@@ -0,0 +1,1714 @@
+/**
+ * Review App component.
+ *
+ * @package VmfaEditorialWorkflow
+ */
+
+import { useState, useEffect, useCallback, useRef } from '@wordpress/element';
+import { Button, Spinner, Notice } from '@wordpress/components';
+import apiFetch from '@wordpress/api-fetch';
+import { __, _n, sprintf } from '@wordpress/i18n';
+import FilterBar from './FilterBar';
+import Toolbar from './Toolbar';
+import MediaCard from './MediaCard';
+import ReviewTable from './ReviewTable';
+import PreviewModal from './PreviewModal';
+import RejectModal from './RejectModal';
+import DuplicateModal from './DuplicateModal';
+import ResubmissionModal from './ResubmissionModal';
+import FolderPicker from './FolderPicker';
+import ShortcutsHelp from './ShortcutsHelp';
+import BulkProgress from './BulkProgress';
+import QueueTabs from './QueueTabs';
+import RecentList from './RecentList';
+import ScheduledList from './ScheduledList';
+import ScheduleModal from './ScheduleModal';
+import { updateMenuBadge } from './utils/updateMenuBadge';
+import {
+	adjustQueueCounts,
+	DEFAULT_SORT,
+	readFiltersFromUrl,
+	writeFiltersToUrl,
+	readHistoryFromUrl,
+	writeHistoryToUrl,
+	hasActiveFilters,
+	isOutsideView,
+	toQueryParams,
+} from './utils/reviewFilters';
+import { getShortcutAction, getRange } from './utils/triageShortcuts';
+import { getRemovedIds, mergeNewItems } from './utils/liveUpdates';
+import { getFailingIds } from './utils/qualityChecks';
+import { getApprovalBlock } from './utils/approval';
+import { chunkIds, mergeResults, getFailures } from './utils/bulkActions';
+
+/**
+ * Duration of the card fade-out animation in milliseconds.
+ *
+ * @type {number}
+ */
+const REMOVE_DELAY = 300;
+
+/**
+ * Heartbeat interval on the Review screen, in seconds.
+ *
+ * @type {number}
+ */
+const HEARTBEAT_INTERVAL = 15;
+
+/**
+ * Number of failed items listed by name in a notice.
+ *
+ * @type {number}
+ */
+const MAX_LISTED_FAILURES = 10;
+
+/**
+ * Build a path to the review REST endpoint.
+ *
+ * @param {string} route  Route below /review, e.g. '/approve'.
+ * @param {Object} params Query parameters.
+ * @return {string} REST path.
+ */
+function reviewPath( route = '', params = null ) {
+	const query = params
+		? `?${ new URLSearchParams( params ).toString() }`
+		: '';
+	return `/vmfa-editorial/v1/review${ route }${ query }`;
+}
+
+/**
+ * Main review app component.
+ *
+ * @return {JSX.Element} Review app.
+ */
+export default function ReviewApp() {
+	const {
+		allowedFolders = [],
+		stages = [],
+		queues: initialQueues = [],
+		recentDays = 7,
+		approvedName = '',
+		rejectReasons = [],
+		uploaders = [],
+		perPage = 50,
+		batchSize = 50,
+		serverTime = '',
+		timezone = '',
+		canOverrideChecks = false,
+		reviewers = [],
+		currentUserId = 0,
+		view: initialLayout = 'grid',
+	} = window.vmfaReview || {};
+
+	const [ initialView ] = useState( () =>
+		readFiltersFromUrl( window.location.search )
+	);
+	const [ items, setItems ] = useState( [] );
+	const [ total, setTotal ] = useState( 0 );
+	const [ queueCount, setQueueCount ] = useState( 0 );
+	const [ queues, setQueues ] = useState( initialQueues );
+	const [ history, setHistory ] = useState( () =>
+		readHistoryFromUrl( window.location.search )
+	);
+	const [ isLoading, setIsLoading ] = useState( true );
+	const [ isLoadingMore, setIsLoadingMore ] = useState( false );
+	const [ filters, setFilters ] = useState( initialView.filters );
+	const [ sort, setSort ] = useState( initialView.sort );
+	const [ selectedIds, setSelectedIds ] = useState( new Set() );
+	const [ destination, setDestination ] = useState( '' );
+	const [ processing, setProcessing ] = useState( new Set() );
+	const [ removing, setRemoving ] = useState( new Set() );
+	const [ isBulkBusy, setIsBulkBusy ] = useState( false );
+	const [ notice, setNotice ] = useState( null );
+	const [ isDismissing, setIsDismissing ] = useState( false );
+	const [ previewId, setPreviewId ] = useState( null );
+	const [ rejectIds, setRejectIds ] = useState( null );
+	const [ scheduleIds, setScheduleIds ] = useState( null );
+	const [ moveIds, setMoveIds ] = useState( null );
+	const [ showShortcuts, setShowShortcuts ] = useState( false );
+	const [ focusedId, setFocusedId ] = useState( null );
+	const [ pendingItems, setPendingItems ] = useState( [] );
+	const [ view, setView ] = useState( initialLayout );
+	const [ bulkProgress, setBulkProgress ] = useState( null );
+	const [ isSelectingMatching, setIsSelectingMatching ] = useState( false );
+	const [ duplicateId, setDuplicateId ] = useState( null );
+	const [ resubmissionId, setResubmissionId ] = useState( null );
+
+	/**
+	 * Items currently being processed, to prevent double actions.
+	 * A ref so that rapid clicks see the update before the next render.
+	 */
+	const processingIds = useRef( new Set() );
+	const requestId = useRef( 0 );
+	const sentinel = useRef( null );
+	const selectionAnchor = useRef( null );
+	const focusedIndex = useRef( 0 );
+	const previewIndex = useRef( 0 );
+	const shortcutHandler = useRef( null );
+	const lastUpdate = useRef( serverTime );
+	const heartbeatSend = useRef( null );
+	const heartbeatTick = useRef( null );
+	const cancelBulk = useRef( false );
+
+	/**
+	 * Loaded items, so removals can tell which queue each item left.
+	 */
+	const loadedItems = useRef( items );
+	loadedItems.current = items;
+
+	const hasMore = items.length < total;
+
+	/**
+	 * Fetch a page of items. Uses the number of loaded items as offset
+	 * so that items removed by review actions don't cause gaps.
+	 */
+	const fetchItems = useCallback(
+		async ( { reset = false } = {} ) => {
+			const current = ++requestId.current;
+
+			if ( reset ) {
+				setIsLoading( true );
+			} else {
+				setIsLoadingMore( true );
+			}
+
+			try {
+				const response = await apiFetch( {
+					path: reviewPath( '', {
+						...toQueryParams( filters, sort ),
+						offset: reset ? 0 : items.length,
+						per_page: perPage,
+					} ),
+				} );
+
+				// Ignore responses for a superseded request.
+				if ( current !== requestId.current ) {
+					return;
+				}
+
+				setItems( ( prev ) => {
+					if ( reset ) {
+						return response.items;
+					}
+					const loaded = new Set( prev.map( ( item ) => item.id ) );
+					return [
+						...prev,
+						...response.items.filter(
+							( item ) => ! loaded.has( item.id )
+						),
+					];
+				} );
+				setTotal( response.total );
+				setQueueCount( response.queueCount );
+				setQueues( response.queues || [] );
+			} catch ( error ) {
+				setNotice( {
+					status: 'error',
+					message:
+						error.message ||
+						__( 'An error occurred.', 'vmfa-editorial-workflow' ),
+				} );
+			} finally {
+				if ( current === requestId.current ) {
+					setIsLoading( false );
+					setIsLoadingMore( false );
+				}
+			}
+		},
+		[ filters, sort, items.length, perPage ]
+	);
+
+	/**
+	 * Reload when filters or sort order change, and reflect them in the
+	 * URL so the current view can be bookmarked.
+	 */
+	useEffect( () => {
+		window.history.replaceState(
+			null,
+			'',
+			writeFiltersToUrl( window.location.search, filters, sort )
+		);
+		setSelectedIds( new Set() );
+		setPendingItems( [] );
+		fetchItems( { reset: true } );
+	}, [ filters, sort ] ); // eslint-disable-line react-hooks/exhaustive-deps
+
+	/**
+	 * Reflect the selected history tab in the URL.
+	 */
+	useEffect( () => {
+		window.history.replaceState(
+			null,
+			'',
+			writeHistoryToUrl( window.location.search, history )
+		);
+	}, [ history ] );
+
+	/**
+	 * Keep the admin menu badge in sync.
+	 */
+	useEffect( () => {
+		if ( ! isLoading ) {
+			updateMenuBadge( queueCount );
+		}
+	}, [ queueCount, isLoading ] );
+
+	/**
+	 * Load the next page when the end of the grid scrolls into view.
+	 */
+	useEffect( () => {
+		if (
+			! sentinel.current ||
+			! hasMore ||
+			isLoadingMore ||
+			typeof window.IntersectionObserver === 'undefined'
+		) {
+			return;
+		}
+
+		const observer = new window.IntersectionObserver( ( entries ) => {
+			if ( entries[ 0 ].isIntersecting ) {
+				fetchItems();
+			}
+		} );
+		observer.observe( sentinel.current );
+
+		return () => observer.disconnect();
+	}, [ hasMore, isLoadingMore, fetchItems ] );
+
+	/**
+	 * Auto-dismiss success notices after 3 seconds, and undo notices
+	 * when the undo window closes.
+	 */
+	useEffect( () => {
+		if (
+			( notice?.status === 'success' || notice?.undo ) &&
+			! isDismissing
+		) {
+			const timer = setTimeout(
+				() => {
+					setIsDismissing( true );
+					// Wait for animation to complete before removing.
+					setTimeout( () => {
+						setNotice( null );
+						setIsDismissing( false );
+					}, 300 );
+				},
+				notice.undo ? notice.undo.window * 1000 : 3000
+			);
+			return () => clearTimeout( timer );
+		}
+	}, [ notice, isDismissing ] );
+
+	/**
+	 * Set the processing flag for a list of items.
+	 *
+	 * @param {Array}   ids   Attachment IDs.
+	 * @param {boolean} state Whether the items are processing.
+	 */
+	const setItemsProcessing = useCallback( ( ids, state ) => {
+		ids.forEach( ( id ) =>
+			state
+				? processingIds.current.add( id )
+				: processingIds.current.delete( id )
+		);
+		setProcessing( new Set( processingIds.current ) );
+	}, [] );
+
+	/**
+	 * Fade out and remove items from the grid.
+	 *
+	 * @param {Array}   ids                      Attachment IDs.
+	 * @param {Object}  options                  Options.
+	 * @param {boolean} options.updateQueueCount Whether to lower the queue count. Off when
+	 *                                           the server already reported the new count.
+	 */
+	const removeItems = useCallback(
+		( ids, { updateQueueCount = true } = {} ) => {
+			if ( ! ids.length ) {
+				return;
+			}
+
+			setRemoving( ( prev ) => new Set( [ ...prev, ...ids ] ) );
+
+			setTimeout( () => {
+				const removed = new Set( ids );
+				setItems( ( prev ) =>
+					prev.filter( ( item ) => ! removed.has( item.id ) )
+				);
+				setTotal( ( prev ) => Math.max( 0, prev - ids.length ) );
+				if ( updateQueueCount ) {
+					const left = loadedItems.current.filter( ( item ) =>
+						removed.has( item.id )
+					);
+					setQueueCount( ( prev ) =>
+						Math.max( 0, prev - ids.length )
+					);
+					setQueues( ( prev ) =>
+						adjustQueueCounts( prev, left, -1 )
+					);
+				}
+				setSelectedIds(
+					( prev ) =>
+						new Set(
+							[ ...prev ].filter( ( id ) => ! removed.has( id ) )
+						)
+				);
+				setRemoving(
+					( prev ) =>
+						new Set(
+							[ ...prev ].filter( ( id ) => ! removed.has( id ) )
+						)
+				);
+			}, REMOVE_DELAY );
+		},
+		[]
+	);
+
+	/**
+	 * Put items back into the grid at their previous positions.
+	 *
+	 * @param {Array} entries Array of { item, index } in ascending index order.
+	 */
+	const restoreItems = useCallback( ( entries ) => {
+		if ( ! entries.length ) {
+			return;
+		}
+
+		setItems( ( prev ) => {
+			const next = [ ...prev ];
+			entries.forEach( ( { item, index } ) => {
+				if ( ! next.some( ( existing ) => existing.id === item.id ) ) {
+					next.splice( Math.min( index, next.length ), 0, item );
+				}
+			} );
+			return next;
+		} );
+		setTotal( ( prev ) => prev + entries.length );
+		setQueueCount( ( prev ) => prev + entries.length );
+		setQueues( ( prev ) =>
+			adjustQueueCounts(
+				prev,
+				entries.map( ( entry ) => entry.item ),
+				1
+			)
+		);
+	}, [] );
+
+	/**
+	 * Reload items from the server, e.g. after they moved to another review
+	 * stage or were reassigned. Items that no longer match the stage or
+	 * assignee filter leave the grid.
+	 *
+	 * @param {Array} ids Attachment IDs.
+	 * @return {Promise<void>}
+	 */
+	const refreshItems = useCallback(
+		async ( ids ) => {
+			if ( ! ids.length ) {
+				return;
+			}
+
+			try {
+				const response = await apiFetch( {
+					path: reviewPath( '', { include: ids } ),
+				} );
+				const fresh = new Map(
+					response.items.map( ( item ) => [ item.id, item ] )
+				);
+
+				setItems( ( prev ) =>
+					prev.map( ( item ) => fresh.get( item.id ) || item )
+				);
+				removeItems(
+					ids.filter(
+						( id ) =>
+							! fresh.has( id ) ||
+							isOutsideView(
+								fresh.get( id ),
+								filters,
+								currentUserId
+							)
+					),
+					{ updateQueueCount: false }
+				);
+			} catch ( error ) {
+				// Keep the previous data; the next action checks the stage again on the server.
+			}
+		},
+		[ filters, currentUserId, removeItems ]
+	);
+
+	/**
+	 * Run a review action against the REST API. Large selections are sent
+	 * in chunks of `batchSize` with a progress bar, and can be cancelled
+	 * between chunks.
+	 *
+	 * @param {string} action Action route: 'approve', 'assign', 'reject' or 'discard'.
+	 * @param {Array}  ids    Attachment IDs.
+	 * @param {Object} data   Additional request data.
+	 * @return {Promise<void>}
+	 */
+	const runAction = useCallback(
+		async ( action, ids, data = {} ) => {
+			const pending = ids.filter(
+				( id ) => ! processingIds.current.has( id )
+			);
+			if ( ! pending.length ) {
+				return;
+			}
+
+			const chunks = chunkIds( pending, batchSize );
+			const isChunked = chunks.length > 1;
+			const removed = [];
+			let result = null;
+			let message = '';
+			let failure = null;
+			let processed = 0;
+
+			setItemsProcessing( pending, true );
+			cancelBulk.current = false;
+			if ( isChunked ) {
+				setBulkProgress( {
+					action,
+					done: 0,
+					total: pending.length,
+					isCancelling: false,
+				} );
+			}
+
+			try {
+				for ( const chunk of chunks ) {
+					if ( cancelBulk.current ) {
+						break;
+					}
+
+					const response = await apiFetch( {
+						path: reviewPath( `/${ action }` ),
+						method: 'POST',
+						data: { ids: chunk, ...data },
+					} );
+
+					result = mergeResults( result, response );
+					message = response.message;
+					processed += chunk.length;
+
+					// Items sent to the next review stage, or still waiting for
+					// other reviewers' approvals, stay in the queue.
+					const kept = [
+						...Object.keys( response.advanced || {} ),
+						...Object.keys( response.pending || {} ),
+					].map( Number );
+					const done = response.success.filter(
+						( id ) => ! kept.includes( id )
+					);
+
+					// Keep the removed cards so an undo can put them back.
+					const succeeded = new Set( done );
+					items.forEach( ( item, index ) => {
+						if ( succeeded.has( item.id ) ) {
+							removed.push( { item, index } );
+						}
+					} );
+
+					removeItems( done );
+					refreshItems( kept );
+					setItemsProcessing( chunk, false );
+					if ( isChunked ) {
+						setBulkProgress(
+							( prev ) => prev && { ...prev, done: processed }
+						);
+					}
+				}
+			} catch ( error ) {
+				failure = error;
+			} finally {
+				setItemsProcessing( pending, false );
+				setBulkProgress( null );
+			}
+
+			if ( ! result ) {
+				setNotice( {
+					status: 'error',
+					message:
+						failure?.message ||
+						__( 'An error occurred.', 'vmfa-editorial-workflow' ),
+				} );
+				return;
+			}
+
+			if ( isChunked ) {
+				message = sprintf(
+					/* translators: 1: number of items processed successfully, 2: number of items selected */
+					__(
+						'%1$d of %2$d items processed.',
+						'vmfa-editorial-workflow'
+					),
+					result.success.length,
+					pending.length
+				);
+
+				if ( processed < pending.length ) {
+					message +=
+						' ' +
+						( failure
+							? sprintf(
+									/* translators: %s: error message */
+									__(
+										'Stopped early: %s',
+										'vmfa-editorial-workflow'
+									),
+									failure.message ||
+										__(
+											'An error occurred.',
+											'vmfa-editorial-workflow'
+										)
+							  )
+							: __(
+									'Cancelled before the remaining items.',
+									'vmfa-editorial-workflow'
+							  ) );
+				}
+			}
+
+			setNotice( {
+				status:
+					result.failed.length || processed < pending.length
+						? 'warning'
+						: 'success',
+				message,
+				failures: getFailures( result, items ),
+				undo: result.tokens.length
+					? {
+							tokens: result.tokens,
+							window: result.window,
+							items: removed,
+							advanced: Object.keys( result.advanced ).map(
+								Number
+							),
+					  }
+					: null,
+			} );
+		},
+		[ items, batchSize, removeItems, refreshItems, setItemsProcessing ]
+	);
+
+	/**
+	 * Stop a chunked bulk action after the chunk that is running.
+	 */
+	const cancelBulkAction = useCallback( () => {
+		cancelBulk.current = true;
+		setBulkProgress( ( prev ) => prev && { ...prev, isCancelling: true } );
+	}, [] );
+
+	/**
+	 * Assign items to a reviewer, or unassign them.
+	 *
+	 * @param {Array}  ids    Attachment IDs.
+	 * @param {number} userId Reviewer's user ID, 0 to unassign.
+	 * @return {Promise<void>}
+	 */
+	const assignItems = useCallback(
+		async ( ids, userId ) => {
+			const pending = ids.filter(
+				( id ) => ! processingIds.current.has( id )
+			);
+			if ( ! pending.length ) {
+				return;
+			}
+
+			setItemsProcessing( pending, true );
+
+			try {
+				const response = await apiFetch( {
+					path: reviewPath( '/assignee' ),
+					method: 'POST',
+					data: { ids: pending, user: userId },
+				} );
+
+				await refreshItems( response.success );
+				setNotice( {
+					status: response.failed.length ? 'warning' : 'success',
+					message: response.message,
+				} );
+			} catch ( error ) {
+				setNotice( {
+					status: 'error',
+					message:
+						error.message ||
+						__( 'An error occurred.', 'vmfa-editorial-workflow' ),
+				} );
+			} finally {
+				setItemsProcessing( pending, false );
+			}
+		},
+		[ refreshItems, setItemsProcessing ]
+	);
+
+	/**
+	 * Approve items. Administrators confirm before items that fail the
+	 * quality checks are approved anyway; for everyone else the server
+	 * leaves those items in the queue.
+	 *
+	 * @param {Array}  ids  Attachment IDs.
+	 * @param {Object} data Additional request data, e.g. release_at.
+	 * @return {Promise<void>}
+	 */
+	const approveItems = useCallback(
+		async ( ids, data = {} ) => {
+			const failing = getFailingIds( items, ids );
+
+			if ( ! failing.length || ! canOverrideChecks ) {
+				await runAction( 'approve', ids, data );
+				return;
+			}
+
+			const message = sprintf(
+				/* translators: %d: number of items that fail the quality checks */
+				_n(
+					'%d item fails the quality checks. Approve it anyway?',
+					'%d items fail the quality checks. Approve them anyway?',
+					failing.length,
+					'vmfa-editorial-workflow'
+				),
+				failing.length
+			);
+
+			// eslint-disable-next-line no-alert
+			if ( window.confirm( message ) ) {
+				await runAction( 'approve', ids, { ...data, override: true } );
+			}
+		},
+		[ items, canOverrideChecks, runAction ]
+	);
+
+	/**
+	 * Undo the last approve or move action.
+	 *
+	 * @param {Object} undo Undo details from the action: tokens (one per chunk), window, removed
+	 *                      items and the IDs of items sent to the next stage.
+	 * @return {Promise<void>}
+	 */
+	const undoAction = async ( undo ) => {
+		setNotice( null );
+
+		try {
+			const responses = [];
+
+			// A chunked action has an undo token per chunk.
+			for ( const token of undo.tokens ) {
+				responses.push(
+					await apiFetch( {
+						path: reviewPath( '/undo' ),
+						method: 'POST',
+						data: { token },
+					} )
+				);
+			}
+
+			const restored = new Set(
+				responses.flatMap( ( response ) => response.success )
+			);
+			const failed = responses.some(
+				( response ) => response.failed.length
+			);
+			const known = new Set( [
+				...undo.items.map( ( { item } ) => item.id ),
+				...( undo.advanced || [] ),
+			] );
+
+			// Items that were selected but not loaded come back with a reload.
+			if ( [ ...restored ].some( ( id ) => ! known.has( id ) ) ) {
+				fetchItems( { reset: true } );
+			} else {
+				restoreItems(
+					undo.items.filter( ( { item } ) => restored.has( item.id ) )
+				);
+				refreshItems(
+					( undo.advanced || [] ).filter( ( id ) =>
+						restored.has( id )
+					)
+				);
+			}
+
+			setNotice( {
+				status: failed ? 'warning' : 'success',
+				message: failed
+					? __(
+							'Some items were moved again since and could not be restored.',
+							'vmfa-editorial-workflow'
+					  )
+					: sprintf(
+							/* translators: %d: number of items restored */
+							__(
+								'%d items restored.',
+								'vmfa-editorial-workflow'
+							),
+							restored.size
+					  ),
+			} );
+		} catch ( error ) {
+			setNotice( {
+				status: 'error',
+				message:
+					error.message ||
+					__( 'An error occurred.', 'vmfa-editorial-workflow' ),
+			} );
+		}
+	};
+
+	/**
+	 * Toggle an item, or select the range from the last toggled item.
+	 *
+	 * @param {number}  id      Attachment ID.
+	 * @param {boolean} isRange Whether to select a range (Shift held).
+	 */
+	const toggleItem = useCallback(
+		( id, isRange = false ) => {
+			const anchor = selectionAnchor.current;
+			selectionAnchor.current = id;
+
+			setSelectedIds( ( prev ) => {
+				const next = new Set( prev );
+
+				if ( isRange && anchor !== null ) {
+					getRange(
+						items.map( ( item ) => item.id ),
+						anchor,
+						id
+					).forEach( ( rangeId ) => next.add( rangeId ) );
+				} else if ( next.has( id ) ) {
+					next.delete( id );
+				} else {
+					next.add( id );
+				}
+
+				return next;
+			} );
+		},
+		[ items ]
+	);
+
+	const selectAll = useCallback(
+		( checked ) => {
+			setSelectedIds(
+				checked
+					? new Set( items.map( ( item ) => item.id ) )
+					: new Set()
+			);
+		},
+		[ items ]
+	);
+
+	/**
+	 * Select every item matching the filters, including the ones on pages
+	 * that are not loaded yet.
+	 *
+	 * @return {Promise<void>}
+	 */
+	const selectAllMatching = useCallback( async () => {
+		setIsSelectingMatching( true );
+
+		try {
+			const response = await apiFetch( {
+				path: reviewPath( '/ids', toQueryParams( filters, sort ) ),
+			} );
+			setSelectedIds( new Set( response.ids ) );
+		} catch ( error ) {
+			setNotice( {
+				status: 'error',
+				message:
+					error.message ||
+					__( 'An error occurred.', 'vmfa-editorial-workflow' ),
+			} );
+		} finally {
+			setIsSelectingMatching( false );
+		}
+	}, [ filters, sort ] );
+
+	/**
+	 * Merge saved metadata into an item.
+	 *
+	 * @param {number} id     Attachment ID.
+	 * @param {Object} values Saved title, alt, caption and description.
+	 */
+	const updateItemMeta = useCallback( async ( id, values ) => {
+		setItems( ( prev ) =>
+			prev.map( ( item ) =>
+				item.id === id ? { ...item, ...values } : item
+			)
+		);
+
+		// The new metadata can change the outcome of the quality checks.
+		try {
+			const response = await apiFetch( {
+				path: reviewPath( '', { include: id } ),
+			} );
+			const fresh = response.items.find( ( item ) => item.id === id );
+
+			if ( fresh ) {
+				setItems( ( prev ) =>
+					prev.map( ( item ) =>
+						item.id === id
+							? { ...item, checks: fresh.checks }
+							: item
+					)
+				);
+			}
+		} catch ( error ) {
+			// Keep the previous checks; approval checks again on the server.
+		}
+	}, [] );
+
+	const updateCommentCount = useCallback( ( id, commentCount ) => {
+		setItems( ( prev ) =>
+			prev.map( ( item ) =>
+				item.id === id ? { ...item, commentCount } : item
+			)
+		);
+	}, [] );
+
+	/**
+	 * Apply the selected bulk action.
+	 */
+	const applyBulkAction = async () => {
+		const ids = [ ...selectedIds ].filter(
+			( id ) => ! processingIds.current.has( id )
+		);
+
+		if ( ! ids.length || ! destination || isBulkBusy ) {
+			return;
+		}
+
+		if ( destination === 'reject' ) {
+			setRejectIds( ids );
+			return;
+		}
+
+		if ( destination === 'schedule' ) {
+			setScheduleIds( ids );
+			return;
+		}
+
+		const isApprove = destination === 'approve';
+		const confirmMessage = isApprove
+			? sprintf(
+					/* translators: %d: number of selected items */
+					_n(
+						'Approve %d selected item?',
+						'Approve %d selected items?',
+						ids.length,
+						'vmfa-editorial-workflow'
+					),
+					ids.length
+			  )
+			: sprintf(
+					/* translators: %d: number of selected items */
+					_n(
+						'Move %d selected item to this folder?',
+						'Move %d selected items to this folder?',
+						ids.length,
+						'vmfa-editorial-workflow'
+					),
+					ids.length
+			  );
+
+		// eslint-disable-next-line no-alert
+		if ( ! window.confirm( confirmMessage ) ) {
+			return;
+		}
+
+		setIsBulkBusy( true );
+		await ( isApprove
+			? approveItems( ids )
+			: runAction( 'assign', ids, { folder: Number( destination ) } ) );
+		setIsBulkBusy( false );
+		setDestination( '' );
+	};
+
+	/**
+	 * Reject items with the reason from the modal.
+	 *
+	 * @param {string} reason Rejection reason.
+	 */
+	const confirmReject = async ( reason ) => {
+		const ids = rejectIds;
+		setRejectIds( null );
+		setIsBulkBusy( true );
+		await runAction( 'reject', ids, { reason } );
+		setIsBulkBusy( false );
+		setDestination( '' );
+	};
+
+	/**
+	 * Approve items for release at the time from the modal.
+	 *
+	 * @param {string} releaseAt Release time in site time.
+	 */
+	const confirmSchedule = async ( releaseAt ) => {
+		const ids = scheduleIds;
+		setScheduleIds( null );
+		setIsBulkBusy( true );
+		await approveItems( ids, { release_at: releaseAt } );
+		setIsBulkBusy( false );
+		setDestination( '' );
+	};
+
+	/**
+	 * Move items to the folder chosen in the folder picker.
+	 *
+	 * @param {number} folderId Destination folder ID.
+	 */
+	const confirmMove = async ( folderId ) => {
+		const ids = moveIds;
+		setMoveIds( null );
+		await runAction( 'assign', ids, { folder: folderId } );
+	};
+
+	/**
+	 * Discard an upload flagged as a duplicate, after confirming.
+	 *
+	 * @param {number} id Attachment ID.
+	 */
+	const discardDuplicate = async ( id ) => {
+		// eslint-disable-next-line no-alert
+		if (
+			! window.confirm(
+				__(
+					'Discard this upload? The file will be removed from the library.',
+					'vmfa-editorial-workflow'
+				)
+			)
+		) {
+			return;
+		}
+
+		setDuplicateId( null );
+		await runAction( 'discard', [ id ] );
+	};
+
+	/**
+	 * Keep an upload flagged as a duplicate next to the file it matches.
+	 *
+	 * @param {number} id Attachment ID.
+	 */
+	const keepDuplicate = async ( id ) => {
+		setDuplicateId( null );
+		setItemsProcessing( [ id ], true );
+
+		try {
+			const response = await apiFetch( {
+				path: reviewPath( '/keep' ),
+				method: 'POST',
+				data: { ids: [ id ] },
+			} );
+
+			await refreshItems( response.success );
+			setNotice( {
+				status: response.failed.length ? 'warning' : 'success',
+				message: response.message,
+			} );
+		} catch ( error ) {
+			setNotice( {
+				status: 'error',
+				message:
+					error.message ||
+					__( 'An error occurred.', 'vmfa-editorial-workflow' ),
+			} );
+		} finally {
+			setItemsProcessing( [ id ], false );
+		}
+	};
+
+	const previewItem =
+		previewId !== null
+			? items.find( ( item ) => item.id === previewId )
+			: null;
+	const duplicateItem =
+		duplicateId !== null
+			? items.find( ( item ) => item.id === duplicateId )
+			: null;
+	const openDuplicates = useCallback(
+		( item ) => setDuplicateId( item.id ),
+		[]
+	);
+	const resubmissionItem =
+		resubmissionId !== null
+			? items.find( ( item ) => item.id === resubmissionId )
+			: null;
+	const openResubmission = useCallback(
+		( item ) => setResubmissionId( item.id ),
+		[]
+	);
+
+	const openPreview = useCallback( ( item ) => setPreviewId( item.id ), [] );
+	const closePreview = useCallback( () => setPreviewId( null ), [] );
+
+	/**
+	 * When the previewed item leaves the grid (approved, moved or handled by
+	 * someone else), show the item that took its place, or close the preview.
+	 * Load more items as the preview approaches the end of the grid.
+	 */
+	useEffect( () => {
+		if ( previewId === null ) {
+			return;
+		}
+
+		const index = items.findIndex( ( item ) => item.id === previewId );
+
+		if ( index === -1 ) {
+			const next =
+				items[ Math.min( previewIndex.current, items.length - 1 ) ];
+			setPreviewId( next ? next.id : null );
+			return;
+		}
+
+		previewIndex.current = index;
+
+		if ( index >= items.length - 2 && hasMore && ! isLoadingMore ) {
+			fetchItems();
+		}
+	}, [ items, previewId ] ); // eslint-disable-line react-hooks/exhaustive-deps
+
+	/**
+	 * Show the items waiting behind the "new items" banner. New items go on
+	 * top in the default newest-first order; other orders reload the grid.
+	 */
+	const showPendingItems = () => {
+		setPendingItems( [] );
+
+		if ( sort !== DEFAULT_SORT ) {
+			fetchItems( { reset: true } );
+			return;
+		}
+
+		const loaded = new Set( items.map( ( item ) => item.id ) );
+		const fresh = pendingItems.filter(
+			( item ) => ! loaded.has( item.id )
+		);
+
+		setItems( ( prev ) => [ ...fresh, ...prev ] );
+		setTotal( ( prev ) => prev + fresh.length );
+	};
+
+	/**
+	 * Data sent with each heartbeat: the items on screen, the time of the
+	 * previous update and the active filters.
+	 *
+	 * @return {Object} Heartbeat data.
+	 */
+	heartbeatSend.current = () => ( {
+		screen: 'review',
+		ids: [ ...items, ...pendingItems ].map( ( item ) => item.id ),
+		since: lastUpdate.current,
+		filters: toQueryParams( filters, sort ),
+	} );
+
+	/**
+	 * Apply a queue update from the heartbeat: remove cards other reviewers
+	 * handled and hold new items behind the banner so the grid doesn't jump.
+	 *
+	 * @param {Object} update Update with count, queues, removed, items and time.
+	 */
+	heartbeatTick.current = ( update ) => {
+		const removed = update.removed || [];
+		const busy = new Set( [ ...processingIds.current, ...removing ] );
+
+		lastUpdate.current = update.time || lastUpdate.current;
+		setQueueCount( Number( update.count ) || 0 );
+		if ( update.queues ) {
+			setQueues( update.queues );
+		}
+		removeItems( getRemovedIds( items, removed, busy ), {
+			updateQueueCount: false,
+		} );
+		setPendingItems( ( prev ) =>
+			mergeNewItems(
+				prev,
+				update.items,
+				items.map( ( item ) => item.id ),
+				removed
+			)
+		);
+	};
+
+	useEffect( () => {
+		const $ = window.jQuery;
+		if ( ! $ ) {
+			return;
+		}
+
+		window.wp?.heartbeat?.interval( HEARTBEAT_INTERVAL );
+
+		$( document )
+			.on( 'heartbeat-send.vmfaReview', ( event, data ) => {
+				data.vmfa_review = heartbeatSend.current();
+			} )
+			.on( 'heartbeat-tick.vmfaReview', ( event, data ) => {
+				if ( data.vmfa_review ) {
+					heartbeatTick.current( data.vmfa_review );
+				}
+			} );
+
+		return () => $( document ).off( '.vmfaReview' );
+	}, [] );
+
+	/**
+	 * Keep keyboard focus on a card that is still in the grid. When the
+	 * focused card is removed, focus moves to the card that took its place.
+	 */
+	useEffect( () => {
+		if ( focusedId === null ) {
+			return;
+		}
+
+		const index = items.findIndex( ( item ) => item.id === focusedId );
+
+		if ( index !== -1 ) {
+			focusedIndex.current = index;
+			return;
+		}
+
+		const next =
+			items[ Math.min( focusedIndex.current, items.length - 1 ) ];
+		setFocusedId( next ? next.id : null );
+	}, [ items, focusedId ] );
+
+	/**
+	 * Switch between the grid and table layouts and remember the choice
+	 * for the current user.
+	 *
+	 * @param {string} nextView 'grid' or 'table'.
+	 */
+	const changeView = useCallback( ( nextView ) => {
+		setView( nextView );
+		apiFetch( {
+			path: reviewPath( '/view' ),
+			method: 'POST',
+			data: { view: nextView },
+		} ).catch( () => {} );
+	}, [] );
+
+	/**
+	 * Scroll the focused card or row into view.
+	 */
+	useEffect( () => {
+		const card = document.querySelector(
+			`.vmfa-media-card[data-id="${ focusedId }"], .vmfa-review-row[data-id="${ focusedId }"]`
+		);
+		if ( card ) {
+			card.focus( { preventScroll: true } );
+			card.scrollIntoView?.( { block: 'nearest' } );
+		}
+	}, [ focusedId ] );
+
+	/**
+	 * Handle a triage keyboard shortcut.
+	 *
+	 * @param {KeyboardEvent} event Keyboard event.
+	 */
+	shortcutHandler.current = ( event ) => {
+		// Modals handle their own keys, and the history tabs have no shortcuts.
+		if (
+			history ||
+			previewItem ||
+			rejectIds ||
+			scheduleIds ||
+			moveIds ||
+			showShortcuts
+		) {
+			return;
+		}
+
+		const action = getShortcutAction( event );
+		if ( ! action || ( action !== 'help' && ! items.length ) ) {
+			return;
+		}
+
+		// Let Space press the focused button or link.
+		if ( action === 'preview' && event.target.closest?.( 'button, a' ) ) {
+			return;
+		}
+
+		event.preventDefault();
+
+		const ids = items.map( ( item ) => item.id );
+		const index = ids.indexOf( focusedId );
+		const focusedItem = items[ index ];
+		let targets = [ ...selectedIds ];
+		if ( ! targets.length && focusedItem ) {
+			targets = [ focusedItem.id ];
+		}
+
+		switch ( action ) {
+			case 'next':
+			case 'previous':
+			case 'extendNext':
+			case 'extendPrevious': {
+				const step =
+					action === 'next' || action === 'extendNext' ? 1 : -1;
+				const nextIndex =
+					index === -1
+						? 0
+						: Math.min(
+								ids.length - 1,
+								Math.max( 0, index + step )
+						  );
+				const nextId = ids[ nextIndex ];
+
+				if ( action === 'extendNext' || action === 'extendPrevious' ) {
+					setSelectedIds(
+						( prev ) =>
+							new Set( [
+								...prev,
+								...( focusedItem ? [ focusedItem.id ] : [] ),
+								nextId,
+							] )
+					);
+					selectionAnchor.current = nextId;
+				}
+
+				setFocusedId( nextId );
+				break;
+			}
+			case 'toggle':
+			case 'range':
+				if ( focusedItem ) {
+					toggleItem( focusedItem.id, action === 'range' );
+				}
+				break;
+			case 'preview':
+				if ( focusedItem ) {
+					openPreview( focusedItem );
+				}
+				break;
+			case 'approve':
+				// Confirm bulk approvals, like the toolbar does.
+				if (
+					targets.length > 1 &&
+					! window.confirm(
+						__(
+							'Approve selected items?',
+							'vmfa-editorial-workflow'
+						)
+					) // eslint-disable-line no-alert
+				) {
+					break;
+				}
+				approveItems( targets );
+				break;
+			case 'move':
+				if ( targets.length ) {
+					setMoveIds( targets );
+				}
+				break;
+			case 'clear':
+				setSelectedIds( new Set() );
+				break;
+			case 'help':
+				setShowShortcuts( true );
+				break;
+		}
+	};
+
+	useEffect( () => {
+		const handleKeyDown = ( event ) => shortcutHandler.current( event );
+
+		document.addEventListener( 'keydown', handleKeyDown );
+		return () => document.removeEventListener( 'keydown', handleKeyDown );
+	}, [] );
+
+	/**
+	 * Show a review queue, leaving the history tabs.
+	 *
+	 * @param {string} folder Folder ID of the queue, '' for all.
+	 */
+	const selectQueue = ( folder ) => {
+		setHistory( '' );
+		setFilters( ( prev ) =>
+			prev.folder === folder ? prev : { ...prev, folder }
+		);
+	};
+
+	const header = (
+		<>
+			<div className="vmfa-review-header">
+				<h1>
+					{ __( 'Media Review', 'vmfa-editorial-workflow' ) }
+					{ queueCount > 0 && (
+						<span className="vmfa-review-count-badge">
+							{ queueCount }
+						</span>
+					) }
+				</h1>
+			</div>
+
+			<QueueTabs
+				queues={ queues }
+				total={ queueCount }
+				folder={ filters.folder }
+				history={ history }
+				onChange={ selectQueue }
+				onHistory={ setHistory }
+			/>
+		</>
+	);
+
+	if ( history ) {
+		return (
+			<div className="vmfa-review-app">
+				{ header }
+				{ history === 'scheduled' ? (
+					<ScheduledList
+						perPage={ perPage }
+						timezone={ timezone }
+						onChange={ () => fetchItems( { reset: true } ) }
+					/>
+				) : (
+					<RecentList
+						key={ history }
+						action={ history }
+						days={ recentDays }
+						perPage={ perPage }
+						onSentBack={ () => fetchItems( { reset: true } ) }
+					/>
+				) }
+			</div>
+		);
+	}
+
+	return (
+		<div className="vmfa-review-app">
+			{ header }
+
+			{ notice && (
+				<Notice
+					status={ notice.status }
+					isDismissible
+					onRemove={ () => {
+						setIsDismissing( true );
+						setTimeout( () => {
+							setNotice( null );
+							setIsDismissing( false );
+						}, 300 );
+					} }
+					className={ `vmfa-notice${
+						isDismissing ? ' is-dismissing' : ''
+					}` }
+					actions={
+						notice.undo
+							? [
+									{
+										label: __(
+											'Undo',
+											'vmfa-editorial-workflow'
+										),
+										onClick: () =>
+											undoAction( notice.undo ),
+										variant: 'link',
+									},
+							  ]
+							: []
+					}
+				>
+					{ notice.message }
+					{ notice.failures?.length > 0 && (
+						<ul className="vmfa-notice-failures">
+							{ notice.failures
+								.slice( 0, MAX_LISTED_FAILURES )
+								.map( ( failure ) => (
+									<li key={ failure.id }>
+										<strong>{ failure.title }</strong>{ ' ' }
+										{ failure.reason }
+									</li>
+								) ) }
+							{ notice.failures.length > MAX_LISTED_FAILURES && (
+								<li>
+									{ sprintf(
+										/* translators: %d: number of further failed items */
+										__(
+											'and %d more',
+											'vmfa-editorial-workflow'
+										),
+										notice.failures.length -
+											MAX_LISTED_FAILURES
+									) }
+								</li>
+							) }
+						</ul>
+					) }
+				</Notice>
+			) }
+
+			{ bulkProgress && (
+				<BulkProgress
+					action={ bulkProgress.action }
+					done={ bulkProgress.done }
+					total={ bulkProgress.total }
+					isCancelling={ bulkProgress.isCancelling }
+					onCancel={ cancelBulkAction }
+				/>
+			) }
+
+			<FilterBar
+				filters={ filters }
+				uploaders={ uploaders }
+				stages={ stages }
+				total={ total }
+				onChange={ setFilters }
+			/>
+
+			{ ! isLoading && pendingItems.length > 0 && (
+				<button
+					type="button"
+					className="vmfa-review-new-items"
+					onClick={ showPendingItems }
+				>
+					<span className="dashicons dashicons-arrow-up-alt"></span>
+					{ sprintf(
+						/* translators: %d: number of new items */
+						_n(
+							'%d new item',
+							'%d new items',
+							pendingItems.length,
+							'vmfa-editorial-workflow'
+						),
+						pendingItems.length
+					) }
+				</button>
+			) }
+
+			{ isLoading && (
+				<div className="vmfa-review-loading">
+					<Spinner />
+				</div>
+			) }
+
+			{ ! isLoading &&
+				items.length === 0 &&
+				hasActiveFilters( filters ) && (
+					<div className="vmfa-review-empty">
+						<span className="dashicons dashicons-filter"></span>
+						<h2>
+							{ __(
+								'No matching items',
+								'vmfa-editorial-workflow'
+							) }
+						</h2>
+						<p>
+							{ __(
+								'No items in the review queue match these filters.',
+								'vmfa-editorial-workflow'
+							) }
+						</p>
+					</div>
+				) }
+
+			{ ! isLoading &&
+				items.length === 0 &&
+				! pendingItems.length &&
+				! hasActiveFilters( filters ) && (
+					<div className="vmfa-review-empty">
+						<span className="dashicons dashicons-yes-alt"></span>
+						<h2>
+							{ __(
+								'All caught up!',
+								'vmfa-editorial-workflow'
+							) }
+						</h2>
+						<p>
+							{ __(
+								'No media items are waiting for review. New uploads will appear here.',
+								'vmfa-editorial-workflow'
+							) }
+						</p>
+					</div>
+				) }
+
+			{ ! isLoading && items.length > 0 && (
+				<>
+					<Toolbar
+						selectedCount={ selectedIds.size }
+						loadedCount={ items.length }
+						totalCount={ total }
+						isSelectingMatching={ isSelectingMatching }
+						folders={ allowedFolders }
+						approvedName={ approvedName }
+						destination={ destination }
+						sort={ sort }
+						assignee={ filters.assignee }
+						view={ view }
+						isBusy={ isBulkBusy }
+						onSelectAll={ selectAll }
+						onSelectMatching={ selectAllMatching }
+						onDestination={ setDestination }
+						onSort={ setSort }
+						onAssignee={ ( assignee ) =>
+							setFilters( ( prev ) => ( { ...prev, assignee } ) )
+						}
+						onView={ changeView }
+						onApply={ applyBulkAction }
+						onShowShortcuts={ () => setShowShortcuts( true ) }
+					/>
+
+					{ view === 'table' ? (
+						<ReviewTable
+							items={ items }
+							selectedIds={ selectedIds }
+							processing={ processing }
+							removing={ removing }
+							focusedId={ focusedId }
+							sort={ sort }
+							getBlock={ ( item ) =>
+								getApprovalBlock( item, canOverrideChecks )
+							}
+							onSort={ setSort }
+							onFocus={ setFocusedId }
+							onToggle={ toggleItem }
+							onPreview={ openPreview }
+							onApprove={ ( id ) => approveItems( [ id ] ) }
+							onReject={ ( id ) => setRejectIds( [ id ] ) }
+							onDuplicates={ openDuplicates }
+							onResubmission={ openResubmission }
+						/>
+					) : (
+						<ul className="vmfa-review-grid">
+							{ items.map( ( item ) => (
+								<MediaCard
+									key={ item.id }
+									item={ item }
+									isSelected={ selectedIds.has( item.id ) }
+									isProcessing={ processing.has( item.id ) }
+									isRemoving={ removing.has( item.id ) }
+									isFocused={ focusedId === item.id }
+									blockedReason={ getApprovalBlock(
+										item,
+										canOverrideChecks
+									) }
+									onFocus={ setFocusedId }
+									onToggle={ toggleItem }
+									onPreview={ openPreview }
+									onComments={ openPreview }
+									onApprove={ ( id ) =>
+										approveItems( [ id ] )
+									}
+									onReject={ ( id ) =>
+										setRejectIds( [ id ] )
+									}
+									onSaveMeta={ updateItemMeta }
+									reviewers={ reviewers }
+									currentUserId={ currentUserId }
+									onAssign={ ( id, userId ) =>
+										assignItems( [ id ], userId )
+									}
+									onDuplicates={ openDuplicates }
+									onResubmission={ openResubmission }
+								/>
+							) ) }
+						</ul>
+					) }
+
+					{ hasMore && (
+						<div className="vmfa-review-more" ref={ sentinel }>
+							{ isLoadingMore ? (
+								<Spinner />
+							) : (
+								<Button
+									variant="secondary"
+									onClick={ () => fetchItems() }
+								>
+									{ __(
+										'Load more',
+										'vmfa-editorial-workflow'
+									) }
+								</Button>
+							) }
+						</div>
+					) }
+				</>
+			) }
+
+			{ previewItem && (
+				<PreviewModal
+					item={ previewItem }
+					items={ items }
+					isProcessing={
+						processing.has( previewItem.id ) ||
+						removing.has( previewItem.id )
+					}
+					isPaused={ !! moveIds }
+					blockedReason={ getApprovalBlock(
+						previewItem,
+						canOverrideChecks
+					) }
+					onNavigate={ openPreview }
+					onApprove={ ( id ) => approveItems( [ id ] ) }
+					onMove={
+						allowedFolders.length
+							? ( id ) => setMoveIds( [ id ] )
+							: null
+					}
+					onClose={ closePreview }
+					onCommentCount={ updateCommentCount }
+					onSaveMeta={ updateItemMeta }
+				/>
+			) }
+
+			{ duplicateItem && (
+				<DuplicateModal
+					item={ duplicateItem }
+					isBusy={ processing.has( duplicateItem.id ) }
+					onDiscard={ discardDuplicate }
+					onKeep={ keepDuplicate }
+					onClose={ () => setDuplicateId( null ) }
+				/>
+			) }
+
+			{ resubmissionItem && (
+				<ResubmissionModal
+					item={ resubmissionItem }
+					onClose={ () => setResubmissionId( null ) }
+				/>
+			) }
+
+			{ rejectIds && (
+				<RejectModal
+					reasons={ rejectReasons }
+					onConfirm={ confirmReject }
+					onClose={ () => setRejectIds( null ) }
+				/>
+			) }
+
+			{ scheduleIds && (
+				<ScheduleModal
+					title={ sprintf(
+						/* translators: %d: number of selected items */
+						_n(
+							'Approve %d item with a release date',
+							'Approve %d items with a release date',
+							scheduleIds.length,
+							'vmfa-editorial-workflow'
+						),
+						scheduleIds.length
+					) }
+					timezone={ timezone }
+					onConfirm={ confirmSchedule }
+					onClose={ () => setScheduleIds( null ) }
+				/>
+			) }
+
+			{ moveIds && (
+				<FolderPicker
+					folders={ allowedFolders }
+					count={ moveIds.length }
+					onPick={ confirmMove }
+					onClose={ () => setMoveIds( null ) }
+				/>
+			) }
+
+			{ showShortcuts && (
+				<ShortcutsHelp onClose={ () => setShowShortcuts( false ) } />
+			) }
+		</div>
+	);
+}
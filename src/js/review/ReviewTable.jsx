@@ -0,0 +1,316 @@
+/**
+ * Review Table component.
+ *
+ * @package VmfaEditorialWorkflow
+ */
+
+import { __ } from '@wordpress/i18n';
+
+/**
+ * Sortable columns, mapped to the sort each direction uses. Age sorts
+ * longest-waiting first, which is the oldest queue time.
+ *
+ * @type {Object}
+ */
+const SORTABLE = {
+	title: { asc: 'title:asc', desc: 'title:desc' },
+	date: { asc: 'date:asc', desc: 'date:desc' },
+	age: { asc: 'queued:desc', desc: 'queued:asc' },
+};
+
+/**
+ * Get the sort direction of a column for the current sort.
+ *
+ * @param {string} column Column key.
+ * @param {string} sort   Current sort, "orderby:order".
+ * @return {string} 'asc', 'desc' or '' when the column is not sorted.
+ */
+function getDirection( column, sort ) {
+	const sorts = SORTABLE[ column ];
+
+	if ( sort === sorts.asc ) {
+		return 'asc';
+	}
+
+	return sort === sorts.desc ? 'desc' : '';
+}
+
+/**
+ * Dense table of review items, an alternative to the card grid for
+ * scanning long lists.
+ *
+ * @param {Object}   props                Component props.
+ * @param {Array}    props.items          Review items.
+ * @param {Set}      props.selectedIds    Selected item IDs.
+ * @param {Set}      props.processing     IDs of items with a running action.
+ * @param {Set}      props.removing       IDs of items fading out.
+ * @param {number}   props.focusedId      ID of the item with keyboard focus.
+ * @param {string}   props.sort           Current sort, "orderby:order".
+ * @param {Function} props.getBlock       Called with an item, returns why it cannot be approved.
+ * @param {Function} props.onSort         Called with the new sort.
+ * @param {Function} props.onFocus        Called with the item ID when a row is clicked.
+ * @param {Function} props.onToggle       Called with the item ID, and whether Shift was held, when a checkbox changes.
+ * @param {Function} props.onPreview      Called with the item to preview it.
+ * @param {Function} props.onApprove      Called with the item ID to approve it.
+ * @param {Function} props.onReject       Called with the item ID to reject it.
+ * @param {Function} props.onDuplicates   Called with the item to compare it with the library items it duplicates.
+ * @param {Function} props.onResubmission Called with a resubmitted item to compare it with the file it replaced.
+ * @return {JSX.Element} Review table.
+ */
+export default function ReviewTable( {
+	items,
+	selectedIds,
+	processing,
+	removing,
+	focusedId,
+	sort,
+	getBlock,
+	onSort,
+	onFocus,
+	onToggle,
+	onPreview,
+	onApprove,
+	onReject,
+	onDuplicates,
+	onResubmission,
+} ) {
+	/**
+	 * Render a sortable column header. The first click sorts ascending
+	 * (A–Z, oldest upload, longest waiting), the next click reverses it.
+	 *
+	 * @param {string} column Column key, see SORTABLE.
+	 * @param {string} label  Column label.
+	 * @return {JSX.Element} Header cell.
+	 */
+	const renderSortable = ( column, label ) => {
+		const direction = getDirection( column, sort );
+		let ariaSort = 'none';
+		if ( direction ) {
+			ariaSort = direction === 'asc' ? 'ascending' : 'descending';
+		}
+
+		return (
+			<th
+				scope="col"
+				className={ `vmfa-column-${ column } is-sortable` }
+				aria-sort={ ariaSort }
+			>
+				<button
+					type="button"
+					onClick={ () =>
+						onSort(
+							SORTABLE[ column ][
+								direction === 'asc' ? 'desc' : 'asc'
+							]
+						)
+					}
+				>
+					{ label }
+					<span
+						className={ `dashicons dashicons-arrow-${
+							direction === 'desc' ? 'down' : 'up'
+						}` }
+						aria-hidden="true"
+					></span>
+				</button>
+			</th>
+		);
+	};
+
+	return (
+		<table className="vmfa-review-table widefat striped">
+			<thead>
+				<tr>
+					<td className="vmfa-column-check">
+						<span className="screen-reader-text">
+							{ __( 'Select', 'vmfa-editorial-workflow' ) }
+						</span>
+					</td>
+					<th scope="col" className="vmfa-column-thumbnail">
+						<span className="screen-reader-text">
+							{ __( 'Preview', 'vmfa-editorial-workflow' ) }
+						</span>
+					</th>
+					{ renderSortable(
+						'title',
+						__( 'Title', 'vmfa-editorial-workflow' )
+					) }
+					<th scope="col">
+						{ __( 'File name', 'vmfa-editorial-workflow' ) }
+					</th>
+					<th scope="col">
+						{ __( 'Uploader', 'vmfa-editorial-workflow' ) }
+					</th>
+					<th scope="col">
+						{ __( 'Type', 'vmfa-editorial-workflow' ) }
+					</th>
+					<th scope="col">
+						{ __( 'Size', 'vmfa-editorial-workflow' ) }
+					</th>
+					{ renderSortable(
+						'date',
+						__( 'Uploaded', 'vmfa-editorial-workflow' )
+					) }
+					{ renderSortable(
+						'age',
+						__( 'Waiting', 'vmfa-editorial-workflow' )
+					) }
+					<th scope="col" className="vmfa-column-actions">
+						<span className="screen-reader-text">
+							{ __( 'Actions', 'vmfa-editorial-workflow' ) }
+						</span>
+					</th>
+				</tr>
+			</thead>
+			<tbody>
+				{ items.map( ( item ) => {
+					const isProcessing = processing.has( item.id );
+					const blockedReason = getBlock( item );
+					const className = [
+						'vmfa-review-row',
+						selectedIds.has( item.id ) && 'is-selected',
+						isProcessing && 'is-processing',
+						removing.has( item.id ) && 'is-removing',
+						focusedId === item.id && 'is-focused',
+						item.age?.status === 'overdue' && 'is-overdue',
+					]
+						.filter( Boolean )
+						.join( ' ' );
+
+					return (
+						// Rows are focused programmatically for keyboard triage.
+						// eslint-disable-next-line jsx-a11y/click-events-have-key-events, jsx-a11y/no-noninteractive-element-interactions
+						<tr
+							key={ item.id }
+							className={ className }
+							data-id={ item.id }
+							tabIndex={ -1 }
+							onClick={ () => onFocus?.( item.id ) }
+						>
+							<th scope="row" className="vmfa-column-check">
+								<input
+									type="checkbox"
+									checked={ selectedIds.has( item.id ) }
+									disabled={ isProcessing }
+									onChange={ ( e ) =>
+										onToggle(
+											item.id,
+											!! e.nativeEvent.shiftKey
+										)
+									}
+									aria-label={ item.title }
+								/>
+							</th>
+							<td className="vmfa-column-thumbnail">
+								<button
+									type="button"
+									onClick={ () => onPreview( item ) }
+									aria-label={ __(
+										'Preview',
+										'vmfa-editorial-workflow'
+									) }
+								>
+									{ item.isImage && item.thumbnail ? (
+										<img src={ item.thumbnail } alt="" />
+									) : (
+										<span
+											className={ `dashicons ${ item.icon }` }
+										></span>
+									) }
+								</button>
+							</td>
+							<td className="vmfa-column-title">
+								{ item.editLink ? (
+									<a href={ item.editLink }>{ item.title }</a>
+								) : (
+									item.title
+								) }
+								{ item.duplicates?.length > 0 && (
+									<button
+										type="button"
+										className="button-link vmfa-row-duplicate"
+										onClick={ () => onDuplicates?.( item ) }
+									>
+										<span
+											className="dashicons dashicons-images-alt2"
+											aria-hidden="true"
+										></span>
+										{ item.duplicates[ 0 ].type === 'exact'
+											? __(
+													'Duplicate',
+													'vmfa-editorial-workflow'
+											  )
+											: __(
+													'Similar',
+													'vmfa-editorial-workflow'
+											  ) }
+									</button>
+								) }
+								{ item.resubmission && (
+									<button
+										type="button"
+										className="button-link vmfa-row-duplicate vmfa-row-resubmitted"
+										onClick={ () =>
+											onResubmission?.( item )
+										}
+									>
+										<span
+											className="dashicons dashicons-update"
+											aria-hidden="true"
+										></span>
+										{ __(
+											'Resubmitted',
+											'vmfa-editorial-workflow'
+										) }
+									</button>
+								) }
+							</td>
+							<td className="vmfa-column-filename">
+								{ item.filename }
+							</td>
+							<td>{ item.author?.name }</td>
+							<td>{ item.mimeType }</td>
+							<td>{ item.fileSizeLabel }</td>
+							<td>{ item.dateLabel }</td>
+							<td
+								className={ `vmfa-column-age is-${
+									item.age?.status || 'ok'
+								}` }
+								title={ item.age?.since }
+							>
+								{ item.age?.label }
+							</td>
+							<td className="vmfa-column-actions">
+								<button
+									type="button"
+									className="button button-small button-primary"
+									disabled={
+										isProcessing || !! blockedReason
+									}
+									title={ blockedReason || undefined }
+									onClick={ () => onApprove( item.id ) }
+								>
+									{ __(
+										'Approve',
+										'vmfa-editorial-workflow'
+									) }
+								</button>
+								<button
+									type="button"
+									className="button button-small"
+									disabled={ isProcessing }
+									onClick={ () => onReject( item.id ) }
+								>
+									{ __(
+										'Reject',
+										'vmfa-editorial-workflow'
+									) }
+								</button>
+							</td>
+						</tr>
+					);
+				} ) }
+			</tbody>
+		</table>
+	);
+}
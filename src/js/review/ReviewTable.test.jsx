@@ -0,0 +1,124 @@
+/**
+ * Tests for ReviewTable component.
+ *
+ * @package VmfaEditorialWorkflow
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import ReviewTable from './ReviewTable';
+
+// Mock WordPress packages
+vi.mock( '@wordpress/i18n', () => ( {
+	__: ( str ) => str,
+} ) );
+
+describe( 'ReviewTable', () => {
+	const items = [
+		{
+			id: 42,
+			title: 'Sunset',
+			filename: 'sunset.jpg',
+			author: { id: 3, name: 'Anna' },
+			dateLabel: 'January 1, 2026',
+			mimeType: 'image/jpeg',
+			isImage: true,
+			thumbnail: 'https://example.com/sunset-300x200.jpg',
+			fileSizeLabel: '1.2 MB',
+			age: {
+				since: '2026-01-01T00:00:00+00:00',
+				label: '9 days',
+				status: 'overdue',
+			},
+		},
+		{
+			id: 43,
+			title: 'Brochure',
+			filename: 'brochure.pdf',
+			author: { id: 4, name: 'Ben' },
+			dateLabel: 'January 8, 2026',
+			mimeType: 'application/pdf',
+			isImage: false,
+			icon: 'dashicons-media-document',
+			fileSizeLabel: '300 KB',
+			age: {
+				since: '2026-01-08T00:00:00+00:00',
+				label: '2 days',
+				status: 'ok',
+			},
+		},
+	];
+
+	const renderTable = ( props = {} ) => {
+		const handlers = {
+			onSort: vi.fn(),
+			onToggle: vi.fn(),
+			onPreview: vi.fn(),
+			onApprove: vi.fn(),
+			onReject: vi.fn(),
+		};
+
+		const utils = render(
+			<ReviewTable
+				items={ items }
+				selectedIds={ new Set( [ 43 ] ) }
+				processing={ new Set() }
+				removing={ new Set() }
+				sort="date:desc"
+				getBlock={ ( item ) =>
+					item.id === 43 ? 'Fails quality checks' : ''
+				}
+				{ ...handlers }
+				{ ...props }
+			/>
+		);
+
+		return { ...utils, handlers };
+	};
+
+	it( 'should render a row per item', () => {
+		const { container } = renderTable();
+		const rows = container.querySelectorAll( '.vmfa-review-row' );
+
+		expect( rows ).toHaveLength( 2 );
+		expect( rows[ 0 ] ).toHaveClass( 'is-overdue' );
+		expect( rows[ 1 ] ).toHaveClass( 'is-selected' );
+		expect( screen.getByText( 'sunset.jpg' ) ).toBeInTheDocument();
+		expect( screen.getByText( 'application/pdf' ) ).toBeInTheDocument();
+		expect( screen.getByText( '9 days' ) ).toHaveClass( 'is-overdue' );
+	} );
+
+	it( 'should toggle the sort of a column', () => {
+		const { handlers } = renderTable();
+
+		expect(
+			screen.getByRole( 'columnheader', { name: /Uploaded/ } )
+		).toHaveAttribute( 'aria-sort', 'descending' );
+
+		fireEvent.click( screen.getByRole( 'button', { name: /Uploaded/ } ) );
+		fireEvent.click( screen.getByRole( 'button', { name: /Title/ } ) );
+		fireEvent.click( screen.getByRole( 'button', { name: /Waiting/ } ) );
+
+		expect( handlers.onSort.mock.calls ).toEqual( [
+			[ 'date:asc' ],
+			[ 'title:asc' ],
+			[ 'queued:desc' ],
+		] );
+	} );
+
+	it( 'should select and act on rows', () => {
+		const { handlers } = renderTable();
+
+		fireEvent.click( screen.getByRole( 'checkbox', { name: 'Sunset' } ) );
+		const approve = screen.getAllByRole( 'button', { name: 'Approve' } );
+		fireEvent.click( approve[ 0 ] );
+
+		expect( handlers.onToggle ).toHaveBeenCalledWith( 42, false );
+		expect( handlers.onApprove ).toHaveBeenCalledWith( 42 );
+		expect( approve[ 1 ] ).toBeDisabled();
+		expect( approve[ 1 ] ).toHaveAttribute(
+			'title',
+			'Fails quality checks'
+		);
+	} );
+} );
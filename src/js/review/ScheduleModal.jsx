@@ -0,0 +1,99 @@
+/**
+ * Schedule Modal component.
+ *
+ * @package VmfaEditorialWorkflow
+ */
+
+import { useState } from '@wordpress/element';
+import { Modal, Button, TextControl } from '@wordpress/components';
+import { __, sprintf } from '@wordpress/i18n';
+
+/**
+ * Ask for the date and time an approved item is released.
+ *
+ * @param {Object}   props              Component props.
+ * @param {string}   props.title        Modal title.
+ * @param {string}   props.confirmLabel Label of the confirm button.
+ * @param {string}   props.value        Initial release time in site time, 'YYYY-MM-DDTHH:MM'.
+ * @param {string}   props.timezone     Site timezone, shown as help.
+ * @param {Function} props.onConfirm    Called with the entered release time.
+ * @param {Function} props.onClose      Called to close the modal.
+ * @return {JSX.Element} Schedule modal.
+ */
+export default function ScheduleModal( {
+	title,
+	confirmLabel,
+	value = '',
+	timezone = '',
+	onConfirm,
+	onClose,
+} ) {
+	const [ releaseAt, setReleaseAt ] = useState( value );
+	const [ error, setError ] = useState( '' );
+
+	const handleSubmit = ( e ) => {
+		e.preventDefault();
+
+		if ( ! releaseAt ) {
+			setError(
+				__(
+					'Please choose a release date and time.',
+					'vmfa-editorial-workflow'
+				)
+			);
+			return;
+		}
+
+		onConfirm( releaseAt );
+	};
+
+	return (
+		<Modal
+			title={
+				title ||
+				__( 'Approve with release date', 'vmfa-editorial-workflow' )
+			}
+			onRequestClose={ onClose }
+			className="vmfa-schedule-modal"
+		>
+			<form onSubmit={ handleSubmit } noValidate>
+				<TextControl
+					type="datetime-local"
+					label={ __( 'Release at', 'vmfa-editorial-workflow' ) }
+					help={
+						timezone
+							? sprintf(
+									/* translators: %s: site timezone */
+									__(
+										'Until then the items are held in the Scheduled folder, hidden from non-reviewers. Times are in %s.',
+										'vmfa-editorial-workflow'
+									),
+									timezone
+							  )
+							: __(
+									'Until then the items are held in the Scheduled folder, hidden from non-reviewers.',
+									'vmfa-editorial-workflow'
+							  )
+					}
+					value={ releaseAt }
+					onChange={ setReleaseAt }
+					__nextHasNoMarginBottom
+				/>
+				{ error && (
+					<p className="vmfa-schedule-error" role="alert">
+						{ error }
+					</p>
+				) }
+				<div className="vmfa-modal-actions">
+					<Button variant="primary" type="submit">
+						{ confirmLabel ||
+							__( 'Approve', 'vmfa-editorial-workflow' ) }
+					</Button>
+					<Button variant="secondary" onClick={ onClose }>
+						{ __( 'Cancel', 'vmfa-editorial-workflow' ) }
+					</Button>
+				</div>
+			</form>
+		</Modal>
+	);
+}
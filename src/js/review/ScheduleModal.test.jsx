@@ -0,0 +1,92 @@
+/**
+ * Tests for ScheduleModal component.
+ *
+ * @package VmfaEditorialWorkflow
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import ScheduleModal from './ScheduleModal';
+
+// Mock WordPress packages
+vi.mock( '@wordpress/components', () => ( {
+	Modal: ( { title, children } ) => (
+		<div role="dialog" aria-label={ title }>
+			{ children }
+		</div>
+	),
+	Button: ( { children, onClick, type = 'button' } ) => (
+		<button type={ type } onClick={ onClick }>
+			{ children }
+		</button>
+	),
+	TextControl: ( { label, help, type, value, onChange } ) => (
+		<>
+			<input
+				type={ type }
+				aria-label={ label }
+				value={ value }
+				onChange={ ( e ) => onChange( e.target.value ) }
+			/>
+			<p>{ help }</p>
+		</>
+	),
+} ) );
+
+vi.mock( '@wordpress/i18n', () => ( {
+	__: ( str ) => str,
+	sprintf: ( format, ...args ) =>
+		args.reduce( ( str, arg ) => str.replace( /%[ds]/, arg ), format ),
+} ) );
+
+describe( 'ScheduleModal', () => {
+	it( 'should require a release time', () => {
+		const onConfirm = vi.fn();
+		render( <ScheduleModal onConfirm={ onConfirm } onClose={ vi.fn() } /> );
+
+		fireEvent.click( screen.getByText( 'Approve' ) );
+
+		expect( onConfirm ).not.toHaveBeenCalled();
+		expect( screen.getByRole( 'alert' ) ).toHaveTextContent(
+			'Please choose a release date and time.'
+		);
+	} );
+
+	it( 'should confirm with the entered release time in the site timezone', () => {
+		const onConfirm = vi.fn();
+		render(
+			<ScheduleModal
+				timezone="Europe/Oslo"
+				onConfirm={ onConfirm }
+				onClose={ vi.fn() }
+			/>
+		);
+
+		expect(
+			screen.getByText( /Times are in Europe\/Oslo\./ )
+		).toBeInTheDocument();
+
+		fireEvent.change( screen.getByLabelText( 'Release at' ), {
+			target: { value: '2026-11-02T09:00' },
+		} );
+		fireEvent.click( screen.getByText( 'Approve' ) );
+
+		expect( onConfirm ).toHaveBeenCalledWith( '2026-11-02T09:00' );
+	} );
+
+	it( 'should start from the current release when changing it', () => {
+		render(
+			<ScheduleModal
+				confirmLabel="Change release"
+				value="2026-11-02T09:00"
+				onConfirm={ vi.fn() }
+				onClose={ vi.fn() }
+			/>
+		);
+
+		expect( screen.getByLabelText( 'Release at' ) ).toHaveValue(
+			'2026-11-02T09:00'
+		);
+		expect( screen.getByText( 'Change release' ) ).toBeInTheDocument();
+	} );
+} );
@@ -0,0 +1,338 @@
+/**
+ * Scheduled List component.
+ *
+ * @package VmfaEditorialWorkflow
+ */
+
+import { useState, useEffect } from '@wordpress/element';
+import { Button, Notice, Spinner } from '@wordpress/components';
+import apiFetch from '@wordpress/api-fetch';
+import { __, sprintf } from '@wordpress/i18n';
+import ScheduleModal from './ScheduleModal';
+
+/**
+ * Items approved for a scheduled release, soonest first, with who approved
+ * them and when they will be released. The release can be moved to another
+ * time, or cancelled to send the item back to review.
+ *
+ * @param {Object}   props          Component props.
+ * @param {number}   props.perPage  Items per page.
+ * @param {string}   props.timezone Site timezone.
+ * @param {Function} props.onChange Called after a release was changed or cancelled.
+ * @return {JSX.Element} Scheduled list.
+ */
+export default function ScheduledList( {
+	perPage = 50,
+	timezone = '',
+	onChange,
+} ) {
+	const [ page, setPage ] = useState( 1 );
+	const [ result, setResult ] = useState( {
+		items: [],
+		total: 0,
+		totalPages: 0,
+	} );
+	const [ isLoading, setIsLoading ] = useState( true );
+	const [ isSaving, setIsSaving ] = useState( false );
+	const [ editItem, setEditItem ] = useState( null );
+	const [ notice, setNotice ] = useState( null );
+	const [ reloadKey, setReloadKey ] = useState( 0 );
+
+	useEffect( () => {
+		let isCurrent = true;
+		const params = new URLSearchParams( { page, per_page: perPage } );
+
+		setIsLoading( true );
+		apiFetch( {
+			path: `/vmfa-editorial/v1/review/scheduled?${ params.toString() }`,
+		} )
+			.then( ( response ) => {
+				if ( ! isCurrent ) {
+					return;
+				}
+				// Cancelling the last releases of a page leaves it empty.
+				if ( ! response.items.length && page > 1 ) {
+					setPage( page - 1 );
+					return;
+				}
+				setResult( response );
+			} )
+			.catch( ( error ) => {
+				if ( isCurrent ) {
+					setNotice( { status: 'error', message: error.message } );
+				}
+			} )
+			.finally( () => {
+				if ( isCurrent ) {
+					setIsLoading( false );
+				}
+			} );
+
+		return () => {
+			isCurrent = false;
+		};
+	}, [ page, perPage, reloadKey ] );
+
+	/**
+	 * Post a change to the releases and reload the list.
+	 *
+	 * @param {string} route Action route: 'schedule' or 'cancel-release'.
+	 * @param {Object} data  Request data.
+	 */
+	const save = async ( route, data ) => {
+		setIsSaving( true );
+		try {
+			const response = await apiFetch( {
+				path: `/vmfa-editorial/v1/review/${ route }`,
+				method: 'POST',
+				data,
+			} );
+
+			setNotice( {
+				status: response.failed.length ? 'warning' : 'success',
+				message: response.message,
+			} );
+			setReloadKey( ( key ) => key + 1 );
+			onChange?.( response.success );
+		} catch ( error ) {
+			setNotice( {
+				status: 'error',
+				message:
+					error.message ||
+					__( 'An error occurred.', 'vmfa-editorial-workflow' ),
+			} );
+		} finally {
+			setIsSaving( false );
+		}
+	};
+
+	/**
+	 * Move the release of the item being edited.
+	 *
+	 * @param {string} releaseAt New release time in site time.
+	 */
+	const reschedule = ( releaseAt ) => {
+		const id = editItem.id;
+		setEditItem( null );
+		save( 'schedule', { ids: [ id ], release_at: releaseAt } );
+	};
+
+	/**
+	 * Cancel an item's release, after confirming.
+	 *
+	 * @param {Object} item Scheduled item.
+	 */
+	const cancelRelease = ( item ) => {
+		const message = sprintf(
+			/* translators: %s: item title */
+			__(
+				'Cancel the release of "%s" and send it back to review?',
+				'vmfa-editorial-workflow'
+			),
+			item.title
+		);
+
+		// eslint-disable-next-line no-alert
+		if ( window.confirm( message ) ) {
+			save( 'cancel-release', { ids: [ item.id ] } );
+		}
+	};
+
+	return (
+		<div className="vmfa-recent vmfa-scheduled">
+			<div className="vmfa-recent-header">
+				<p className="vmfa-recent-intro">
+					{ __(
+						'Items approved for a later release, hidden from non-reviewers until then.',
+						'vmfa-editorial-workflow'
+					) }
+				</p>
+			</div>
+
+			{ notice && (
+				<Notice
+					status={ notice.status }
+					onRemove={ () => setNotice( null ) }
+				>
+					{ notice.message }
+				</Notice>
+			) }
+
+			{ isLoading && <Spinner /> }
+
+			{ ! isLoading && result.items.length === 0 && (
+				<p className="vmfa-recent-empty">
+					{ __(
+						'No releases are scheduled.',
+						'vmfa-editorial-workflow'
+					) }
+				</p>
+			) }
+
+			{ ! isLoading && result.items.length > 0 && (
+				<table className="wp-list-table widefat striped vmfa-recent-table">
+					<thead>
+						<tr>
+							<th scope="col" className="vmfa-column-thumbnail">
+								<span className="screen-reader-text">
+									{ __(
+										'Preview',
+										'vmfa-editorial-workflow'
+									) }
+								</span>
+							</th>
+							<th scope="col">
+								{ __( 'File', 'vmfa-editorial-workflow' ) }
+							</th>
+							<th scope="col">
+								{ __(
+									'Approved by',
+									'vmfa-editorial-workflow'
+								) }
+							</th>
+							<th scope="col">
+								{ __( 'Release', 'vmfa-editorial-workflow' ) }
+							</th>
+							<th scope="col" className="vmfa-column-actions">
+								<span className="screen-reader-text">
+									{ __(
+										'Actions',
+										'vmfa-editorial-workflow'
+									) }
+								</span>
+							</th>
+						</tr>
+					</thead>
+					<tbody>
+						{ result.items.map( ( item ) => (
+							<tr key={ item.id }>
+								<td className="vmfa-column-thumbnail">
+									{ item.isImage && item.thumbnail ? (
+										<img src={ item.thumbnail } alt="" />
+									) : (
+										<span
+											className={ `dashicons ${ item.icon }` }
+											aria-hidden="true"
+										></span>
+									) }
+								</td>
+								<td>
+									{ item.editLink ? (
+										<a href={ item.editLink }>
+											{ item.title }
+										</a>
+									) : (
+										item.title
+									) }
+									{ item.filename && (
+										<span className="vmfa-recent-filename">
+											{ item.filename }
+										</span>
+									) }
+								</td>
+								<td>
+									{ item.user ? (
+										<span className="vmfa-recent-user">
+											{ item.user.avatar && (
+												<img
+													src={ item.user.avatar }
+													alt=""
+													width="24"
+													height="24"
+												/>
+											) }
+											{ item.user.name }
+										</span>
+									) : (
+										'—'
+									) }
+								</td>
+								<td>
+									<time dateTime={ item.release.date }>
+										{ item.release.label }
+									</time>
+								</td>
+								<td className="vmfa-column-actions">
+									<Button
+										variant="secondary"
+										size="small"
+										disabled={ isSaving }
+										onClick={ () => setEditItem( item ) }
+									>
+										{ __(
+											'Change release',
+											'vmfa-editorial-workflow'
+										) }
+									</Button>
+									<Button
+										variant="tertiary"
+										size="small"
+										isDestructive
+										disabled={ isSaving }
+										onClick={ () => cancelRelease( item ) }
+									>
+										{ __(
+											'Cancel release',
+											'vmfa-editorial-workflow'
+										) }
+									</Button>
+								</td>
+							</tr>
+						) ) }
+					</tbody>
+				</table>
+			) }
+
+			{ result.totalPages > 1 && (
+				<div className="vmfa-recent-pagination">
+					<Button
+						variant="secondary"
+						onClick={ () => setPage( page - 1 ) }
+						disabled={ isLoading || page <= 1 }
+					>
+						{ __( 'Previous', 'vmfa-editorial-workflow' ) }
+					</Button>
+					<span>
+						{ sprintf(
+							/* translators: 1: current page, 2: number of pages */
+							__(
+								'Page %1$d of %2$d',
+								'vmfa-editorial-workflow'
+							),
+							page,
+							result.totalPages
+						) }
+					</span>
+					<Button
+						variant="secondary"
+						onClick={ () => setPage( page + 1 ) }
+						disabled={ isLoading || page >= result.totalPages }
+					>
+						{ __( 'Next', 'vmfa-editorial-workflow' ) }
+					</Button>
+				</div>
+			) }
+
+			{ editItem && (
+				<ScheduleModal
+					title={ sprintf(
+						/* translators: %s: item title */
+						__(
+							'Change the release of "%s"',
+							'vmfa-editorial-workflow'
+						),
+						editItem.title
+					) }
+					confirmLabel={ __(
+						'Change release',
+						'vmfa-editorial-workflow'
+					) }
+					value={ editItem.release.local }
+					timezone={ timezone }
+					onConfirm={ reschedule }
+					onClose={ () => setEditItem( null ) }
+				/>
+			) }
+		</div>
+	);
+}
@@ -0,0 +1,163 @@
+/**
+ * Tests for ScheduledList component.
+ *
+ * @package VmfaEditorialWorkflow
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import apiFetch from '@wordpress/api-fetch';
+import ScheduledList from './ScheduledList';
+
+// Mock WordPress packages
+vi.mock( '@wordpress/api-fetch', () => ( {
+	default: vi.fn(),
+} ) );
+
+vi.mock( '@wordpress/components', () => ( {
+	Button: ( { children, onClick, disabled, type = 'button' } ) => (
+		<button type={ type } onClick={ onClick } disabled={ disabled }>
+			{ children }
+		</button>
+	),
+	Modal: ( { title, children } ) => (
+		<div role="dialog" aria-label={ title }>
+			{ children }
+		</div>
+	),
+	TextControl: ( { label, value, onChange } ) => (
+		<input
+			aria-label={ label }
+			value={ value }
+			onChange={ ( e ) => onChange( e.target.value ) }
+		/>
+	),
+	Notice: ( { children } ) => <div role="alert">{ children }</div>,
+	Spinner: () => <span>Loading</span>,
+} ) );
+
+vi.mock( '@wordpress/i18n', () => ( {
+	__: ( str ) => str,
+	sprintf: ( format, ...args ) =>
+		args.reduce(
+			( str, arg, i ) =>
+				str
+					.replace( new RegExp( `%${ i + 1 }\\$[ds]` ), arg )
+					.replace( /%[ds]/, arg ),
+			format
+		),
+} ) );
+
+describe( 'ScheduledList', () => {
+	const scheduled = {
+		items: [
+			{
+				id: 21,
+				title: 'Launch poster',
+				filename: 'launch-poster.jpg',
+				isImage: true,
+				thumbnail: 'https://example.com/launch-poster-150x150.jpg',
+				editLink:
+					'https://example.com/wp-admin/post.php?post=21&action=edit',
+				user: { id: 3, name: 'Editor', avatar: '' },
+				release: {
+					date: '2026-11-02T08:00:00+00:00',
+					label: 'November 2, 2026 9:00 am',
+					local: '2026-11-02T09:00',
+				},
+			},
+		],
+		total: 1,
+		totalPages: 1,
+	};
+
+	beforeEach( () => {
+		apiFetch.mockReset();
+		apiFetch.mockImplementation( ( { method } ) =>
+			Promise.resolve(
+				method === 'POST'
+					? { success: [ 21 ], failed: [], message: 'Done.' }
+					: scheduled
+			)
+		);
+	} );
+
+	afterEach( () => {
+		vi.restoreAllMocks();
+	} );
+
+	it( 'should list who approved each item and when it is released', async () => {
+		render( <ScheduledList perPage={ 20 } /> );
+
+		expect(
+			await screen.findByText( 'Launch poster' )
+		).toBeInTheDocument();
+		expect( screen.getByText( 'Editor' ) ).toBeInTheDocument();
+		expect(
+			screen.getByText( 'November 2, 2026 9:00 am' )
+		).toBeInTheDocument();
+		expect( apiFetch ).toHaveBeenCalledWith( {
+			path: '/vmfa-editorial/v1/review/scheduled?page=1&per_page=20',
+		} );
+	} );
+
+	it( 'should show when no releases are scheduled', async () => {
+		apiFetch.mockResolvedValue( { items: [], total: 0, totalPages: 0 } );
+		render( <ScheduledList /> );
+
+		expect(
+			await screen.findByText( 'No releases are scheduled.' )
+		).toBeInTheDocument();
+	} );
+
+	it( 'should change the release time', async () => {
+		const onChange = vi.fn();
+		render( <ScheduledList onChange={ onChange } /> );
+
+		fireEvent.click(
+			await screen.findByRole( 'button', { name: 'Change release' } )
+		);
+		expect( screen.getByLabelText( 'Release at' ) ).toHaveValue(
+			'2026-11-02T09:00'
+		);
+
+		fireEvent.change( screen.getByLabelText( 'Release at' ), {
+			target: { value: '2026-11-09T09:00' },
+		} );
+		fireEvent.submit(
+			screen.getByLabelText( 'Release at' ).closest( 'form' )
+		);
+
+		await waitFor( () =>
+			expect( onChange ).toHaveBeenCalledWith( [ 21 ] )
+		);
+		expect( apiFetch ).toHaveBeenCalledWith( {
+			path: '/vmfa-editorial/v1/review/schedule',
+			method: 'POST',
+			data: { ids: [ 21 ], release_at: '2026-11-09T09:00' },
+		} );
+	} );
+
+	it( 'should cancel a release after confirming', async () => {
+		vi.spyOn( window, 'confirm' ).mockReturnValue( true );
+		render( <ScheduledList /> );
+
+		fireEvent.click(
+			await screen.findByRole( 'button', { name: 'Cancel release' } )
+		);
+
+		expect( window.confirm ).toHaveBeenCalledWith(
+			'Cancel the release of "Launch poster" and send it back to review?'
+		);
+		await waitFor( () =>
+			expect( apiFetch ).toHaveBeenCalledWith( {
+				path: '/vmfa-editorial/v1/review/cancel-release',
+				method: 'POST',
+				data: { ids: [ 21 ] },
+			} )
+		);
+		expect( await screen.findByRole( 'alert' ) ).toHaveTextContent(
+			'Done.'
+		);
+	} );
+} );
@@ -0,0 +1,45 @@
+/**
+ * Keyboard Shortcuts Help component.
+ *
+ * @package VmfaEditorialWorkflow
+ */
+
+import { Modal } from '@wordpress/components';
+import { __ } from '@wordpress/i18n';
+import { getShortcuts } from './utils/triageShortcuts';
+
+/**
+ * Overlay listing the triage keyboard shortcuts.
+ *
+ * @param {Object}   props         Component props.
+ * @param {Function} props.onClose Called to close the overlay.
+ * @return {JSX.Element} Shortcuts help.
+ */
+export default function ShortcutsHelp( { onClose } ) {
+	return (
+		<Modal
+			title={ __( 'Keyboard shortcuts', 'vmfa-editorial-workflow' ) }
+			onRequestClose={ onClose }
+			className="vmfa-shortcuts-help"
+		>
+			<dl className="vmfa-shortcuts-list">
+				{ getShortcuts().map( ( shortcut ) => (
+					<div
+						key={ shortcut.keys.join( '+' ) }
+						className="vmfa-shortcut"
+					>
+						<dt>
+							{ shortcut.keys.map( ( key, index ) => (
+								<span key={ key }>
+									{ index > 0 && ' + ' }
+									<kbd>{ key }</kbd>
+								</span>
+							) ) }
+						</dt>
+						<dd>{ shortcut.description }</dd>
+					</div>
+				) ) }
+			</dl>
+		</Modal>
+	);
+}
@@ -0,0 +1,341 @@
+/**
+ * Review Toolbar component.
+ *
+ * @package VmfaEditorialWorkflow
+ */
+
+import { useMemo } from '@wordpress/element';
+import { __, sprintf } from '@wordpress/i18n';
+import { buildFolderOptions } from '../settings/utils/buildFolderOptions';
+
+/**
+ * Sort options, keyed by "orderby:order".
+ *
+ * @return {Array} Array of { value, label } options.
+ */
+function getSortOptions() {
+	return [
+		{
+			value: 'date:desc',
+			label: __( 'Newest first', 'vmfa-editorial-workflow' ),
+		},
+		{
+			value: 'date:asc',
+			label: __( 'Oldest first', 'vmfa-editorial-workflow' ),
+		},
+		{
+			value: 'queued:asc',
+			label: __( 'Waiting longest', 'vmfa-editorial-workflow' ),
+		},
+		{
+			value: 'queued:desc',
+			label: __( 'Waiting shortest', 'vmfa-editorial-workflow' ),
+		},
+		{
+			value: 'title:asc',
+			label: __( 'Title A–Z', 'vmfa-editorial-workflow' ),
+		},
+		{
+			value: 'title:desc',
+			label: __( 'Title Z–A', 'vmfa-editorial-workflow' ),
+		},
+	];
+}
+
+/**
+ * Assignee views, keyed by the assignee filter value.
+ *
+ * @return {Array} Array of { value, label } options.
+ */
+function getAssigneeOptions() {
+	return [
+		{ value: '', label: __( 'Everyone', 'vmfa-editorial-workflow' ) },
+		{
+			value: 'me',
+			label: __( 'Assigned to me', 'vmfa-editorial-workflow' ),
+		},
+		{ value: 'none', label: __( 'Unassigned', 'vmfa-editorial-workflow' ) },
+	];
+}
+
+/**
+ * Layouts for the review list.
+ *
+ * @return {Array} Array of { value, label, icon } options.
+ */
+function getViewOptions() {
+	return [
+		{
+			value: 'grid',
+			label: __( 'Grid view', 'vmfa-editorial-workflow' ),
+			icon: 'grid-view',
+		},
+		{
+			value: 'table',
+			label: __( 'Table view', 'vmfa-editorial-workflow' ),
+			icon: 'list-view',
+		},
+	];
+}
+
+/**
+ * Toolbar with selection, bulk actions and sorting.
+ *
+ * @param {Object}   props                     Component props.
+ * @param {number}   props.selectedCount       Number of selected items.
+ * @param {number}   props.loadedCount         Number of loaded items.
+ * @param {number}   props.totalCount          Number of items matching the filters.
+ * @param {Array}    props.folders             Destination folders.
+ * @param {string}   props.approvedName        Name of the Approved folder.
+ * @param {string}   props.destination         Selected destination.
+ * @param {string}   props.sort                Current sort, "orderby:order".
+ * @param {string}   props.assignee            Current assignee view: '', 'me' or 'none'.
+ * @param {string}   props.view                Current layout: 'grid' or 'table'.
+ * @param {boolean}  props.isBusy              Whether a bulk action is running.
+ * @param {boolean}  props.isSelectingMatching Whether the matching items are being fetched.
+ * @param {Function} props.onSelectAll         Called with true/false to select or clear all.
+ * @param {Function} props.onSelectMatching    Called to select every matching item, loaded or not.
+ * @param {Function} props.onDestination       Called with the new destination.
+ * @param {Function} props.onSort              Called with the new sort.
+ * @param {Function} props.onAssignee          Called with the new assignee view.
+ * @param {Function} props.onView              Called with the new layout.
+ * @param {Function} props.onApply             Called to run the bulk action.
+ * @param {Function} props.onShowShortcuts     Called to show the keyboard shortcuts.
+ * @return {JSX.Element} Toolbar.
+ */
+export default function Toolbar( {
+	selectedCount,
+	loadedCount,
+	totalCount = 0,
+	folders = [],
+	approvedName,
+	destination,
+	sort,
+	assignee = '',
+	view = 'grid',
+	isBusy,
+	isSelectingMatching = false,
+	onSelectAll,
+	onSelectMatching,
+	onDestination,
+	onSort,
+	onAssignee,
+	onView,
+	onApply,
+	onShowShortcuts,
+} ) {
+	const folderOptions = useMemo(
+		() => buildFolderOptions( folders ),
+		[ folders ]
+	);
+
+	// The selection can hold items that are not loaded yet.
+	const allSelected = loadedCount > 0 && selectedCount >= loadedCount;
+
+	return (
+		<div className="vmfa-review-toolbar">
+			<label
+				className="vmfa-toolbar-select-all"
+				htmlFor="vmfa-select-all"
+			>
+				<input
+					id="vmfa-select-all"
+					type="checkbox"
+					checked={ allSelected }
+					ref={ ( el ) => {
+						if ( el ) {
+							el.indeterminate =
+								selectedCount > 0 && ! allSelected;
+						}
+					} }
+					onChange={ () => onSelectAll( ! allSelected ) }
+				/>
+				{ __( 'Select All', 'vmfa-editorial-workflow' ) }
+			</label>
+
+			{ allSelected && totalCount > loadedCount && (
+				<span className="vmfa-toolbar-select-matching">
+					{ selectedCount >= totalCount ? (
+						<>
+							{ sprintf(
+								/* translators: %d: number of matching items */
+								__(
+									'All %d matching items are selected.',
+									'vmfa-editorial-workflow'
+								),
+								selectedCount
+							) }{ ' ' }
+							<button
+								type="button"
+								className="button-link"
+								onClick={ () => onSelectAll( false ) }
+							>
+								{ __(
+									'Clear selection',
+									'vmfa-editorial-workflow'
+								) }
+							</button>
+						</>
+					) : (
+						<button
+							type="button"
+							className="button-link"
+							disabled={ isSelectingMatching || isBusy }
+							onClick={ onSelectMatching }
+						>
+							{ sprintf(
+								/* translators: %d: number of matching items */
+								__(
+									'Select all %d matching items',
+									'vmfa-editorial-workflow'
+								),
+								totalCount
+							) }
+						</button>
+					) }
+				</span>
+			) }
+
+			<div className="vmfa-toolbar-actions">
+				<select
+					value={ destination }
+					disabled={ selectedCount === 0 || isBusy }
+					onChange={ ( e ) => onDestination( e.target.value ) }
+					aria-label={ __(
+						'Bulk action',
+						'vmfa-editorial-workflow'
+					) }
+				>
+					<option value="">
+						{ __(
+							'Select destination…',
+							'vmfa-editorial-workflow'
+						) }
+					</option>
+					<option value="approve">
+						{ '✓ ' +
+							sprintf(
+								/* translators: %s: name of the approved folder */
+								__( 'Approve → %s', 'vmfa-editorial-workflow' ),
+								approvedName
+							) }
+					</option>
+					<option value="schedule">
+						{ '◷ ' +
+							__(
+								'Approve with release date…',
+								'vmfa-editorial-workflow'
+							) }
+					</option>
+					<option value="reject">
+						{ '✗ ' + __( 'Reject…', 'vmfa-editorial-workflow' ) }
+					</option>
+					{ folderOptions.length > 0 && (
+						<optgroup
+							label={ __(
+								'Move to folder',
+								'vmfa-editorial-workflow'
+							) }
+						>
+							{ folderOptions.map( ( option ) => (
+								<option
+									key={ option.value }
+									value={ option.value }
+								>
+									{ option.label }
+								</option>
+							) ) }
+						</optgroup>
+					) }
+				</select>
+				<button
+					type="button"
+					className="button button-primary"
+					disabled={ selectedCount === 0 || ! destination || isBusy }
+					onClick={ onApply }
+				>
+					<span className="dashicons dashicons-yes-alt"></span>
+					{ isBusy
+						? __( 'Processing…', 'vmfa-editorial-workflow' )
+						: __( 'Apply', 'vmfa-editorial-workflow' ) }
+				</button>
+			</div>
+
+			<div
+				className="vmfa-toolbar-assignee"
+				role="group"
+				aria-label={ __( 'Assigned to', 'vmfa-editorial-workflow' ) }
+			>
+				{ getAssigneeOptions().map( ( option ) => (
+					<button
+						key={ option.value }
+						type="button"
+						className={ `button${
+							assignee === option.value ? ' is-pressed' : ''
+						}` }
+						aria-pressed={ assignee === option.value }
+						onClick={ () => onAssignee( option.value ) }
+					>
+						{ option.label }
+					</button>
+				) ) }
+			</div>
+
+			<div className="vmfa-toolbar-info">
+				{ selectedCount > 0 && (
+					<span className="vmfa-selection-count">
+						{ sprintf(
+							/* translators: %d: number of selected items */
+							__( '%d selected', 'vmfa-editorial-workflow' ),
+							selectedCount
+						) }
+					</span>
+				) }
+				<button
+					type="button"
+					className="button-link vmfa-toolbar-shortcuts"
+					onClick={ onShowShortcuts }
+					aria-keyshortcuts="?"
+				>
+					<span className="dashicons dashicons-keyboard-hide"></span>
+					{ __( 'Shortcuts', 'vmfa-editorial-workflow' ) }
+				</button>
+				<select
+					className="vmfa-toolbar-sort"
+					value={ sort }
+					onChange={ ( e ) => onSort( e.target.value ) }
+					aria-label={ __( 'Sort by', 'vmfa-editorial-workflow' ) }
+				>
+					{ getSortOptions().map( ( option ) => (
+						<option key={ option.value } value={ option.value }>
+							{ option.label }
+						</option>
+					) ) }
+				</select>
+				<div
+					className="vmfa-toolbar-view"
+					role="group"
+					aria-label={ __( 'Layout', 'vmfa-editorial-workflow' ) }
+				>
+					{ getViewOptions().map( ( option ) => (
+						<button
+							key={ option.value }
+							type="button"
+							className={ `button${
+								view === option.value ? ' is-pressed' : ''
+							}` }
+							aria-pressed={ view === option.value }
+							aria-label={ option.label }
+							title={ option.label }
+							onClick={ () => onView( option.value ) }
+						>
+							<span
+								className={ `dashicons dashicons-${ option.icon }` }
+							></span>
+						</button>
+					) ) }
+				</div>
+			</div>
+		</div>
+	);
+}
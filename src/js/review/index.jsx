@@ -0,0 +1,18 @@
+/**
+ * Review page entry point.
+ *
+ * @package VmfaEditorialWorkflow
+ */
+
+import { createRoot } from '@wordpress/element';
+import ReviewApp from './ReviewApp';
+import '../../css/review.css';
+
+document.addEventListener( 'DOMContentLoaded', () => {
+	const container = document.getElementById( 'vmfa-review-root' );
+
+	if ( container ) {
+		const root = createRoot( container );
+		root.render( <ReviewApp /> );
+	}
+} );
@@ -0,0 +1,44 @@
+/**
+ * Helpers for deciding whether a review item can be approved.
+ *
+ * @package VmfaEditorialWorkflow
+ */
+
+import { __, sprintf } from '@wordpress/i18n';
+import { getFailedChecks } from './qualityChecks';
+
+/**
+ * Get why the current user cannot approve an item.
+ *
+ * @param {Object}  item              Review item.
+ * @param {boolean} canOverrideChecks Whether the user may approve items that fail quality checks.
+ * @return {string} Reason, or an empty string when the item can be approved.
+ */
+export function getApprovalBlock( item, canOverrideChecks ) {
+	if ( item?.stage && ! item.stage.canReview ) {
+		return sprintf(
+			/* translators: %s: review stage name */
+			__(
+				'Only the reviewers of the %s stage can approve this item.',
+				'vmfa-editorial-workflow'
+			),
+			item.stage.name
+		);
+	}
+
+	if ( item?.approvals?.approvedByMe ) {
+		return __(
+			'You already approved this item. It needs another reviewer.',
+			'vmfa-editorial-workflow'
+		);
+	}
+
+	if ( ! canOverrideChecks && getFailedChecks( item ).length > 0 ) {
+		return __(
+			'Fix the failed quality checks to approve this item.',
+			'vmfa-editorial-workflow'
+		);
+	}
+
+	return '';
+}
@@ -0,0 +1,64 @@
+/**
+ * Tests for approval helpers.
+ *
+ * @package VmfaEditorialWorkflow
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { getApprovalBlock } from './approval';
+
+vi.mock( '@wordpress/i18n', () => ( {
+	__: ( str ) => str,
+	sprintf: ( str, ...args ) => str.replace( '%s', args[ 0 ] ),
+} ) );
+
+describe( 'getApprovalBlock', () => {
+	const failing = { checks: [ { rule: 'alt_required', passed: false } ] };
+
+	it( 'should allow items that pass their checks', () => {
+		expect(
+			getApprovalBlock(
+				{ checks: [ { rule: 'alt_required', passed: true } ] },
+				false
+			)
+		).toBe( '' );
+	} );
+
+	it( 'should block failing items unless the user can override', () => {
+		expect( getApprovalBlock( failing, false ) ).toMatch(
+			'quality checks'
+		);
+		expect( getApprovalBlock( failing, true ) ).toBe( '' );
+	} );
+
+	it( 'should block items in a stage the user does not review', () => {
+		const item = {
+			stage: { key: 'legal', name: 'Legal', canReview: false },
+		};
+
+		expect( getApprovalBlock( item, true ) ).toBe(
+			'Only the reviewers of the Legal stage can approve this item.'
+		);
+		expect(
+			getApprovalBlock(
+				{ stage: { ...item.stage, canReview: true } },
+				false
+			)
+		).toBe( '' );
+	} );
+
+	it( 'should block a second approval by the same reviewer', () => {
+		expect(
+			getApprovalBlock(
+				{ approvals: { count: 1, required: 2, approvedByMe: true } },
+				true
+			)
+		).toMatch( 'already approved' );
+		expect(
+			getApprovalBlock(
+				{ approvals: { count: 1, required: 2, approvedByMe: false } },
+				false
+			)
+		).toBe( '' );
+	} );
+} );
@@ -0,0 +1,87 @@
+/**
+ * Helpers for running review actions on large selections in chunks.
+ *
+ * @package VmfaEditorialWorkflow
+ */
+
+import { __, sprintf } from '@wordpress/i18n';
+
+/**
+ * Split IDs into chunks of at most `size` items.
+ *
+ * @param {Array}  ids  Attachment IDs.
+ * @param {number} size Chunk size.
+ * @return {Array<Array>} Chunks, in order.
+ */
+export function chunkIds( ids, size ) {
+	const step = Math.max( 1, size );
+	const chunks = [];
+
+	for ( let i = 0; i < ids.length; i += step ) {
+		chunks.push( ids.slice( i, i + step ) );
+	}
+
+	return chunks;
+}
+
+/**
+ * Merge the response of one chunk into the combined result.
+ *
+ * @param {Object|null} result   Combined result so far, or null for the first chunk.
+ * @param {Object}      response Review action response.
+ * @return {Object} Combined result: success, failed, advanced, pending, blocked and undo tokens.
+ */
+export function mergeResults( result, response ) {
+	const merged = result || {
+		success: [],
+		failed: [],
+		advanced: {},
+		pending: {},
+		blocked: {},
+		tokens: [],
+		window: 0,
+	};
+
+	return {
+		success: [ ...merged.success, ...( response.success || [] ) ],
+		failed: [ ...merged.failed, ...( response.failed || [] ) ],
+		advanced: { ...merged.advanced, ...( response.advanced || {} ) },
+		pending: { ...merged.pending, ...( response.pending || {} ) },
+		blocked: { ...merged.blocked, ...( response.blocked || {} ) },
+		tokens: response.undo
+			? [ ...merged.tokens, response.undo.token ]
+			: merged.tokens,
+		window: response.undo ? response.undo.window : merged.window,
+	};
+}
+
+/**
+ * Describe the items an action failed for.
+ *
+ * @param {Object} result Combined result, see mergeResults().
+ * @param {Array}  items  Loaded review items, for their titles.
+ * @return {Array} Array of { id, title, reason }.
+ */
+export function getFailures( result, items ) {
+	const titles = new Map( items.map( ( item ) => [ item.id, item.title ] ) );
+
+	return result.failed.map( ( id ) => ( {
+		id,
+		title:
+			titles.get( id ) ||
+			sprintf(
+				/* translators: %d: attachment ID */
+				__( 'Item #%d', 'vmfa-editorial-workflow' ),
+				id
+			),
+		reason: result.blocked[ id ]
+			? __(
+					'Did not pass the quality checks.',
+					'vmfa-editorial-workflow'
+			  )
+			: __(
+					'Could not be processed. It may have been handled already or you may not have permission.',
+					'vmfa-editorial-workflow'
+			  ),
+	} ) );
+}
@@ -0,0 +1,69 @@
+/**
+ * Tests for bulk action helpers.
+ *
+ * @package VmfaEditorialWorkflow
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { chunkIds, mergeResults, getFailures } from './bulkActions';
+
+vi.mock( '@wordpress/i18n', () => ( {
+	__: ( str ) => str,
+	sprintf: ( str, ...args ) => str.replace( '%d', args[ 0 ] ),
+} ) );
+
+describe( 'chunkIds', () => {
+	it( 'should split IDs into chunks of the given size', () => {
+		expect( chunkIds( [ 1, 2, 3, 4, 5 ], 2 ) ).toEqual( [
+			[ 1, 2 ],
+			[ 3, 4 ],
+			[ 5 ],
+		] );
+		expect( chunkIds( [ 1, 2 ], 50 ) ).toEqual( [ [ 1, 2 ] ] );
+		expect( chunkIds( [], 50 ) ).toEqual( [] );
+	} );
+} );
+
+describe( 'mergeResults', () => {
+	it( 'should combine chunk responses and collect undo tokens', () => {
+		const result = mergeResults(
+			mergeResults( null, {
+				success: [ 1, 2 ],
+				failed: [],
+				advanced: { 2: 'legal' },
+				undo: { token: 'a', window: 10 },
+			} ),
+			{
+				success: [ 3 ],
+				failed: [ 4 ],
+				blocked: { 4: [ 'alt_required' ] },
+				undo: { token: 'b', window: 10 },
+			}
+		);
+
+		expect( result.success ).toEqual( [ 1, 2, 3 ] );
+		expect( result.failed ).toEqual( [ 4 ] );
+		expect( result.advanced ).toEqual( { 2: 'legal' } );
+		expect( result.blocked ).toEqual( { 4: [ 'alt_required' ] } );
+		expect( result.tokens ).toEqual( [ 'a', 'b' ] );
+		expect( result.window ).toBe( 10 );
+	} );
+} );
+
+describe( 'getFailures', () => {
+	it( 'should name failed items and explain why they failed', () => {
+		const result = mergeResults( null, {
+			success: [],
+			failed: [ 4, 9 ],
+			blocked: { 4: [ 'alt_required' ] },
+		} );
+		const failures = getFailures( result, [ { id: 4, title: 'Sunset' } ] );
+
+		expect( failures[ 0 ] ).toEqual( {
+			id: 4,
+			title: 'Sunset',
+			reason: 'Did not pass the quality checks.',
+		} );
+		expect( failures[ 1 ].title ).toBe( 'Item #9' );
+	} );
+} );
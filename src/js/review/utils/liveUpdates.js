@@ -0,0 +1,50 @@
+/**
+ * Helpers for applying Heartbeat review queue updates.
+ *
+ * @package VmfaEditorialWorkflow
+ */
+
+/**
+ * Get the loaded items that someone else has handled.
+ *
+ * Items with an action of our own in flight are skipped, since that
+ * action removes them (or reports the failure) itself.
+ *
+ * @param {Array} items   Loaded items.
+ * @param {Array} removed IDs reported as no longer in the queue.
+ * @param {Set}   busyIds IDs being processed or removed locally.
+ * @return {Array} IDs to remove from the grid.
+ */
+export function getRemovedIds( items, removed = [], busyIds = new Set() ) {
+	const gone = new Set( removed.map( Number ) );
+
+	return items
+		.map( ( item ) => item.id )
+		.filter( ( id ) => gone.has( id ) && ! busyIds.has( id ) );
+}
+
+/**
+ * Add newly arrived items to the items waiting behind the "new items" banner.
+ *
+ * @param {Array} pending  Items already waiting, newest first.
+ * @param {Array} incoming Items from the latest update, newest first.
+ * @param {Array} knownIds IDs already shown in the grid.
+ * @param {Array} removed  IDs reported as no longer in the queue.
+ * @return {Array} Waiting items, newest first, without duplicates.
+ */
+export function mergeNewItems(
+	pending,
+	incoming = [],
+	knownIds = [],
+	removed = []
+) {
+	const skip = new Set( [ ...knownIds, ...removed.map( Number ) ] );
+	const waiting = pending.filter( ( item ) => ! skip.has( item.id ) );
+
+	waiting.forEach( ( item ) => skip.add( item.id ) );
+
+	return [
+		...incoming.filter( ( item ) => ! skip.has( item.id ) ),
+		...waiting,
+	];
+}
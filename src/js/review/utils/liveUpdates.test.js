@@ -0,0 +1,42 @@
+/**
+ * Tests for live update helpers.
+ *
+ * @package VmfaEditorialWorkflow
+ */
+
+import { describe, it, expect } from 'vitest';
+import { getRemovedIds, mergeNewItems } from './liveUpdates';
+
+describe( 'getRemovedIds', () => {
+	const items = [ { id: 1 }, { id: 2 }, { id: 3 } ];
+
+	it( 'should return loaded items that left the queue', () => {
+		expect( getRemovedIds( items, [ 2, 3, 99 ] ) ).toEqual( [ 2, 3 ] );
+		expect( getRemovedIds( items, [ '3' ] ) ).toEqual( [ 3 ] );
+	} );
+
+	it( 'should skip items with a local action in flight', () => {
+		expect( getRemovedIds( items, [ 2, 3 ], new Set( [ 3 ] ) ) ).toEqual( [
+			2,
+		] );
+	} );
+} );
+
+describe( 'mergeNewItems', () => {
+	it( 'should put incoming items before waiting ones', () => {
+		const result = mergeNewItems( [ { id: 5 } ], [ { id: 7 }, { id: 6 } ] );
+
+		expect( result.map( ( item ) => item.id ) ).toEqual( [ 7, 6, 5 ] );
+	} );
+
+	it( 'should drop duplicates, shown items and removed items', () => {
+		const result = mergeNewItems(
+			[ { id: 5 }, { id: 4 } ],
+			[ { id: 6 }, { id: 5 }, { id: 1 } ],
+			[ 1 ],
+			[ 4 ]
+		);
+
+		expect( result.map( ( item ) => item.id ) ).toEqual( [ 6, 5 ] );
+	} );
+} );
@@ -0,0 +1,105 @@
+/**
+ * Helpers for the preview modal.
+ *
+ * @package VmfaEditorialWorkflow
+ */
+
+import { __, sprintf } from '@wordpress/i18n';
+
+/**
+ * Get how a MIME type is previewed.
+ *
+ * @param {string} mimeType MIME type.
+ * @return {string} 'image', 'video', 'audio', 'pdf' or 'file'.
+ */
+export function getPreviewType( mimeType = '' ) {
+	if ( mimeType === 'application/pdf' ) {
+		return 'pdf';
+	}
+
+	const group = mimeType.split( '/' )[ 0 ];
+
+	return [ 'image', 'video', 'audio' ].includes( group ) ? group : 'file';
+}
+
+/**
+ * Turn EXIF data from the REST API into labelled rows.
+ *
+ * @param {Object} exif EXIF values keyed by WordPress image_meta key.
+ * @return {Array} Array of { key, label, value }.
+ */
+export function formatExif( exif = {} ) {
+	const fields = [
+		[
+			'camera',
+			__( 'Camera', 'vmfa-editorial-workflow' ),
+			( value ) => value,
+		],
+		[
+			'aperture',
+			__( 'Aperture', 'vmfa-editorial-workflow' ),
+			( value ) => `f/${ value }`,
+		],
+		[
+			'shutter_speed',
+			__( 'Shutter speed', 'vmfa-editorial-workflow' ),
+			formatShutterSpeed,
+		],
+		[ 'iso', __( 'ISO', 'vmfa-editorial-workflow' ), ( value ) => value ],
+		[
+			'focal_length',
+			__( 'Focal length', 'vmfa-editorial-workflow' ),
+			( value ) =>
+				sprintf(
+					/* translators: %s: focal length in millimetres */
+					__( '%s mm', 'vmfa-editorial-workflow' ),
+					value
+				),
+		],
+		[
+			'created_timestamp',
+			__( 'Taken', 'vmfa-editorial-workflow' ),
+			( value ) => value,
+		],
+		[
+			'credit',
+			__( 'Credit', 'vmfa-editorial-workflow' ),
+			( value ) => value,
+		],
+		[
+			'copyright',
+			__( 'Copyright', 'vmfa-editorial-workflow' ),
+			( value ) => value,
+		],
+	];
+
+	return fields
+		.filter( ( [ key ] ) => exif[ key ] )
+		.map( ( [ key, label, format ] ) => ( {
+			key,
+			label,
+			value: format( exif[ key ] ),
+		} ) );
+}
+
+/**
+ * Format an exposure time in seconds as a photographer would write it.
+ *
+ * @param {string|number} value Exposure time in seconds.
+ * @return {string} Formatted exposure time, e.g. "1/250 s".
+ */
+function formatShutterSpeed( value ) {
+	const seconds = Number( value );
+
+	if ( ! seconds ) {
+		return String( value );
+	}
+
+	/* translators: %s: exposure time, e.g. 1/250 */
+	const format = __( '%s s', 'vmfa-editorial-workflow' );
+
+	return sprintf(
+		format,
+		seconds < 1 ? `1/${ Math.round( 1 / seconds ) }` : String( seconds )
+	);
+}
@@ -0,0 +1,53 @@
+/**
+ * Tests for preview modal helpers.
+ *
+ * @package VmfaEditorialWorkflow
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { getPreviewType, formatExif } from './previewMedia';
+
+vi.mock( '@wordpress/i18n', () => ( {
+	__: ( str ) => str,
+	sprintf: ( str, ...args ) => str.replace( '%s', args[ 0 ] ),
+} ) );
+
+describe( 'getPreviewType', () => {
+	it( 'should map MIME types to preview types', () => {
+		expect( getPreviewType( 'image/jpeg' ) ).toBe( 'image' );
+		expect( getPreviewType( 'video/mp4' ) ).toBe( 'video' );
+		expect( getPreviewType( 'audio/mpeg' ) ).toBe( 'audio' );
+		expect( getPreviewType( 'application/pdf' ) ).toBe( 'pdf' );
+		expect( getPreviewType( 'application/zip' ) ).toBe( 'file' );
+		expect( getPreviewType() ).toBe( 'file' );
+	} );
+} );
+
+describe( 'formatExif', () => {
+	it( 'should label and format known fields in order', () => {
+		const rows = formatExif( {
+			iso: '200',
+			camera: 'X100V',
+			aperture: '2.8',
+			shutter_speed: '0.004',
+			focal_length: '23',
+		} );
+
+		expect( rows.map( ( row ) => [ row.label, row.value ] ) ).toEqual( [
+			[ 'Camera', 'X100V' ],
+			[ 'Aperture', 'f/2.8' ],
+			[ 'Shutter speed', '1/250 s' ],
+			[ 'ISO', '200' ],
+			[ 'Focal length', '23 mm' ],
+		] );
+	} );
+
+	it( 'should skip empty and unknown fields', () => {
+		expect(
+			formatExif( { camera: '', title: 'Sunset', shutter_speed: '2' } )
+		).toEqual( [
+			{ key: 'shutter_speed', label: 'Shutter speed', value: '2 s' },
+		] );
+		expect( formatExif() ).toEqual( [] );
+	} );
+} );
@@ -0,0 +1,33 @@
+/**
+ * Helpers for the quality checks reported on review items.
+ *
+ * @package VmfaEditorialWorkflow
+ */
+
+/**
+ * Get the quality checks an item fails.
+ *
+ * @param {Object} item Review item.
+ * @return {Array} Failed checks.
+ */
+export function getFailedChecks( item ) {
+	return ( item?.checks || [] ).filter( ( check ) => ! check.passed );
+}
+
+/**
+ * Get the IDs of the items that fail a quality check.
+ *
+ * @param {Array} items Loaded review items.
+ * @param {Array} ids   IDs to check.
+ * @return {Array} IDs of failing items.
+ */
+export function getFailingIds( items, ids ) {
+	const wanted = new Set( ids );
+
+	return items
+		.filter(
+			( item ) =>
+				wanted.has( item.id ) && getFailedChecks( item ).length > 0
+		)
+		.map( ( item ) => item.id );
+}
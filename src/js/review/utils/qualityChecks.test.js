@@ -0,0 +1,40 @@
+/**
+ * Tests for quality check helpers.
+ *
+ * @package VmfaEditorialWorkflow
+ */
+
+import { describe, it, expect } from 'vitest';
+import { getFailedChecks, getFailingIds } from './qualityChecks';
+
+describe( 'getFailedChecks', () => {
+	it( 'should return the failed checks', () => {
+		const item = {
+			checks: [
+				{ rule: 'alt_required', passed: false },
+				{ rule: 'max_file_size', passed: true },
+			],
+		};
+
+		expect(
+			getFailedChecks( item ).map( ( check ) => check.rule )
+		).toEqual( [ 'alt_required' ] );
+	} );
+
+	it( 'should handle items without checks', () => {
+		expect( getFailedChecks( {} ) ).toEqual( [] );
+		expect( getFailedChecks( null ) ).toEqual( [] );
+	} );
+} );
+
+describe( 'getFailingIds', () => {
+	it( 'should return the requested items that fail a check', () => {
+		const items = [
+			{ id: 1, checks: [ { passed: false } ] },
+			{ id: 2, checks: [ { passed: true } ] },
+			{ id: 3, checks: [ { passed: false } ] },
+		];
+
+		expect( getFailingIds( items, [ 1, 2 ] ) ).toEqual( [ 1 ] );
+	} );
+} );
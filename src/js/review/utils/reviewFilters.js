@@ -0,0 +1,251 @@
+/**
+ * Review queue filters and their URL representation.
+ *
+ * @package VmfaEditorialWorkflow
+ */
+
+/**
+ * Default sort, "orderby:order".
+ *
+ * @type {string}
+ */
+export const DEFAULT_SORT = 'date:desc';
+
+/**
+ * Empty filter state.
+ *
+ * @type {Object}
+ */
+export const EMPTY_FILTERS = {
+	uploader: '',
+	type: '',
+	from: '',
+	to: '',
+	minSize: '',
+	maxSize: '',
+	search: '',
+	stage: '',
+	assignee: '',
+	folder: '',
+};
+
+/**
+ * Map of filter keys to URL query parameters.
+ *
+ * @type {Object}
+ */
+const URL_KEYS = {
+	uploader: 'uploader',
+	type: 'type',
+	from: 'from',
+	to: 'to',
+	minSize: 'min_mb',
+	maxSize: 'max_mb',
+	search: 's',
+	stage: 'stage',
+	assignee: 'assignee',
+	folder: 'folder',
+};
+
+const BYTES_PER_MB = 1024 * 1024;
+
+/**
+ * Read filters and sort from a URL query string.
+ *
+ * @param {string} search Query string, e.g. window.location.search.
+ * @return {{filters: Object, sort: string}} Filters and sort.
+ */
+export function readFiltersFromUrl( search ) {
+	const params = new URLSearchParams( search );
+	const filters = { ...EMPTY_FILTERS };
+
+	Object.entries( URL_KEYS ).forEach( ( [ key, param ] ) => {
+		filters[ key ] = params.get( param ) || '';
+	} );
+
+	return {
+		filters,
+		sort: params.get( 'sort' ) || DEFAULT_SORT,
+	};
+}
+
+/**
+ * Write filters and sort into a URL query string, keeping unrelated parameters.
+ *
+ * @param {string} search  Current query string.
+ * @param {Object} filters Filters.
+ * @param {string} sort    Sort, "orderby:order".
+ * @return {string} Query string including the leading "?".
+ */
+export function writeFiltersToUrl( search, filters, sort ) {
+	const params = new URLSearchParams( search );
+
+	Object.entries( URL_KEYS ).forEach( ( [ key, param ] ) => {
+		if ( filters[ key ] ) {
+			params.set( param, filters[ key ] );
+		} else {
+			params.delete( param );
+		}
+	} );
+
+	if ( sort && sort !== DEFAULT_SORT ) {
+		params.set( 'sort', sort );
+	} else {
+		params.delete( 'sort' );
+	}
+
+	return `?${ params.toString() }`;
+}
+
+/**
+ * Tabs listing items that left the queue: recently approved or moved, and
+ * approved for a scheduled release.
+ *
+ * @type {Array}
+ */
+export const HISTORY_TABS = [ 'approved', 'moved', 'scheduled' ];
+
+/**
+ * Read the selected history tab from a URL query string.
+ *
+ * @param {string} search Query string, e.g. window.location.search.
+ * @return {string} History tab, '' for the review queue.
+ */
+export function readHistoryFromUrl( search ) {
+	const history = new URLSearchParams( search ).get( 'history' ) || '';
+	return HISTORY_TABS.includes( history ) ? history : '';
+}
+
+/**
+ * Write the selected history tab into a URL query string, keeping unrelated parameters.
+ *
+ * @param {string} search  Current query string.
+ * @param {string} history History tab, '' for the review queue.
+ * @return {string} Query string including the leading "?".
+ */
+export function writeHistoryToUrl( search, history ) {
+	const params = new URLSearchParams( search );
+
+	if ( history ) {
+		params.set( 'history', history );
+	} else {
+		params.delete( 'history' );
+	}
+
+	return `?${ params.toString() }`;
+}
+
+/**
+ * Whether any filter is set.
+ *
+ * @param {Object} filters Filters.
+ * @return {boolean} True if at least one filter is active.
+ */
+export function hasActiveFilters( filters ) {
+	return Object.keys( EMPTY_FILTERS ).some( ( key ) => !! filters[ key ] );
+}
+
+/**
+ * Whether a refreshed item no longer belongs in the current view, e.g.
+ * after it moved to another stage or queue, or was assigned to someone else.
+ *
+ * @param {Object} item          Review item.
+ * @param {Object} filters       Filters.
+ * @param {number} currentUserId ID of the current user.
+ * @return {boolean} True if the item should leave the grid.
+ */
+export function isOutsideView( item, filters, currentUserId ) {
+	if ( filters.stage && item.stage?.key !== filters.stage ) {
+		return true;
+	}
+	if ( filters.folder && item.queue !== Number( filters.folder ) ) {
+		return true;
+	}
+	if ( filters.assignee === 'me' ) {
+		return item.assignee?.id !== currentUserId;
+	}
+	if ( filters.assignee === 'none' ) {
+		return !! item.assignee;
+	}
+
+	return false;
+}
+
+/**
+ * Convert filters and sort into review REST API query parameters.
+ *
+ * @param {Object} filters Filters.
+ * @param {string} sort    Sort, "orderby:order".
+ * @return {Object} Query parameters.
+ */
+export function toQueryParams( filters, sort ) {
+	const [ orderby, order ] = ( sort || DEFAULT_SORT ).split( ':' );
+	const params = { orderby, order };
+
+	if ( filters.uploader ) {
+		params.author = filters.uploader;
+	}
+	if ( filters.type ) {
+		params.mime_type = filters.type;
+	}
+	if ( filters.from ) {
+		params.after = filters.from;
+	}
+	if ( filters.to ) {
+		params.before = filters.to;
+	}
+
+	const minSize = parseFloat( filters.minSize );
+	const maxSize = parseFloat( filters.maxSize );
+
+	if ( minSize > 0 ) {
+		params.min_size = Math.round( minSize * BYTES_PER_MB );
+	}
+	if ( maxSize > 0 ) {
+		params.max_size = Math.round( maxSize * BYTES_PER_MB );
+	}
+
+	if ( filters.stage ) {
+		params.stage = filters.stage;
+	}
+	if ( filters.assignee ) {
+		params.assignee = filters.assignee;
+	}
+	if ( filters.folder ) {
+		params.folder = filters.folder;
+	}
+
+	const term = filters.search.trim();
+	if ( term ) {
+		params.search = term;
+	}
+
+	return params;
+}
+
+/**
+ * Adjust the counts of the review queues for items leaving or re-entering them.
+ *
+ * @param {Array}  queues Queues, { id, name, count }.
+ * @param {Array}  items  Review items, each with the ID of its queue.
+ * @param {number} change -1 when the items leave their queues, 1 when they return.
+ * @return {Array} Queues with updated counts.
+ */
+export function adjustQueueCounts( queues, items, change ) {
+	const moved = {};
+	items.forEach( ( item ) => {
+		moved[ item.queue ] = ( moved[ item.queue ] || 0 ) + 1;
+	} );
+
+	return queues.map( ( queue ) =>
+		moved[ queue.id ]
+			? {
+					...queue,
+					count: Math.max(
+						0,
+						queue.count + change * moved[ queue.id ]
+					),
+			  }
+			: queue
+	);
+}
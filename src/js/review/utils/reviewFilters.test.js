@@ -0,0 +1,201 @@
+/**
+ * Tests for review filter utilities.
+ *
+ * @package VmfaEditorialWorkflow
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+	adjustQueueCounts,
+	DEFAULT_SORT,
+	EMPTY_FILTERS,
+	readFiltersFromUrl,
+	writeFiltersToUrl,
+	readHistoryFromUrl,
+	writeHistoryToUrl,
+	hasActiveFilters,
+	isOutsideView,
+	toQueryParams,
+} from './reviewFilters';
+
+describe( 'reviewFilters', () => {
+	it( 'should read filters and sort from the URL', () => {
+		const { filters, sort } = readFiltersFromUrl(
+			'?page=vmfa-review&uploader=3&type=document&from=2026-01-05&min_mb=1.5&s=brochure&stage=legal&assignee=me&sort=title:asc'
+		);
+
+		expect( filters ).toEqual( {
+			...EMPTY_FILTERS,
+			uploader: '3',
+			type: 'document',
+			from: '2026-01-05',
+			minSize: '1.5',
+			search: 'brochure',
+			stage: 'legal',
+			assignee: 'me',
+		} );
+		expect( sort ).toBe( 'title:asc' );
+	} );
+
+	it( 'should default to no filters and newest first', () => {
+		const { filters, sort } = readFiltersFromUrl( '?page=vmfa-review' );
+
+		expect( filters ).toEqual( EMPTY_FILTERS );
+		expect( sort ).toBe( DEFAULT_SORT );
+		expect( hasActiveFilters( filters ) ).toBe( false );
+	} );
+
+	it( 'should write filters to the URL and keep other parameters', () => {
+		const search = writeFiltersToUrl(
+			'?page=vmfa-review&type=image&sort=title:asc',
+			{ ...EMPTY_FILTERS, type: 'video', to: '2026-02-01' },
+			DEFAULT_SORT
+		);
+
+		const params = new URLSearchParams( search );
+		expect( params.get( 'page' ) ).toBe( 'vmfa-review' );
+		expect( params.get( 'type' ) ).toBe( 'video' );
+		expect( params.get( 'to' ) ).toBe( '2026-02-01' );
+		expect( params.has( 'sort' ) ).toBe( false );
+	} );
+
+	it( 'should round-trip through the URL', () => {
+		const filters = {
+			...EMPTY_FILTERS,
+			uploader: '7',
+			maxSize: '10',
+			search: 'logo',
+		};
+		const search = writeFiltersToUrl(
+			'?page=vmfa-review',
+			filters,
+			'date:asc'
+		);
+
+		expect( readFiltersFromUrl( search ) ).toEqual( {
+			filters,
+			sort: 'date:asc',
+		} );
+	} );
+
+	it( 'should convert filters to REST query parameters', () => {
+		const params = toQueryParams(
+			{
+				...EMPTY_FILTERS,
+				uploader: '3',
+				type: 'image',
+				from: '2026-01-01',
+				to: '2026-01-31',
+				minSize: '0.5',
+				maxSize: '2',
+				search: '  sunset ',
+				stage: 'brand',
+				assignee: 'none',
+				folder: '12',
+			},
+			'title:desc'
+		);
+
+		expect( params ).toEqual( {
+			orderby: 'title',
+			order: 'desc',
+			author: '3',
+			mime_type: 'image',
+			after: '2026-01-01',
+			before: '2026-01-31',
+			min_size: 524288,
+			max_size: 2097152,
+			stage: 'brand',
+			assignee: 'none',
+			folder: '12',
+			search: 'sunset',
+		} );
+	} );
+
+	it( 'should ignore invalid sizes', () => {
+		const params = toQueryParams(
+			{ ...EMPTY_FILTERS, minSize: 'abc', maxSize: '-1' },
+			DEFAULT_SORT
+		);
+
+		expect( params ).toEqual( { orderby: 'date', order: 'desc' } );
+	} );
+
+	it( 'should tell which items no longer match the stage and assignee filters', () => {
+		const item = { id: 1, stage: { key: 'legal' }, assignee: { id: 7 } };
+
+		expect( isOutsideView( item, EMPTY_FILTERS, 7 ) ).toBe( false );
+		expect(
+			isOutsideView( item, { ...EMPTY_FILTERS, stage: 'brand' }, 7 )
+		).toBe( true );
+		expect(
+			isOutsideView( item, { ...EMPTY_FILTERS, assignee: 'me' }, 7 )
+		).toBe( false );
+		expect(
+			isOutsideView( item, { ...EMPTY_FILTERS, assignee: 'me' }, 3 )
+		).toBe( true );
+		expect(
+			isOutsideView( item, { ...EMPTY_FILTERS, assignee: 'none' }, 7 )
+		).toBe( true );
+		expect(
+			isOutsideView(
+				{ ...item, assignee: null },
+				{ ...EMPTY_FILTERS, assignee: 'none' },
+				7
+			)
+		).toBe( false );
+	} );
+
+	it( 'should tell which items left the selected queue', () => {
+		const item = { id: 1, queue: 12 };
+
+		expect(
+			isOutsideView( item, { ...EMPTY_FILTERS, folder: '12' }, 7 )
+		).toBe( false );
+		expect(
+			isOutsideView( item, { ...EMPTY_FILTERS, folder: '5' }, 7 )
+		).toBe( true );
+	} );
+
+	it( 'should adjust queue counts for items leaving and returning', () => {
+		const queues = [
+			{ id: 5, name: 'Needs Review', count: 4 },
+			{ id: 12, name: 'Marketing Inbox', count: 1 },
+		];
+		const items = [
+			{ id: 1, queue: 5 },
+			{ id: 2, queue: 5 },
+			{ id: 3, queue: 12 },
+			{ id: 4, queue: 12 },
+		];
+
+		expect(
+			adjustQueueCounts( queues, items, -1 ).map(
+				( queue ) => queue.count
+			)
+		).toEqual( [ 2, 0 ] );
+		expect(
+			adjustQueueCounts( queues, items.slice( 0, 1 ), 1 ).map(
+				( queue ) => queue.count
+			)
+		).toEqual( [ 5, 1 ] );
+	} );
+
+	it( 'should read and write the history tab in the URL', () => {
+		expect( readHistoryFromUrl( '?page=vmfa-review&history=moved' ) ).toBe(
+			'moved'
+		);
+		expect(
+			readHistoryFromUrl( '?page=vmfa-review&history=scheduled' )
+		).toBe( 'scheduled' );
+		expect(
+			readHistoryFromUrl( '?page=vmfa-review&history=deleted' )
+		).toBe( '' );
+		expect( writeHistoryToUrl( '?page=vmfa-review', 'approved' ) ).toBe(
+			'?page=vmfa-review&history=approved'
+		);
+		expect(
+			writeHistoryToUrl( '?page=vmfa-review&history=approved', '' )
+		).toBe( '?page=vmfa-review' );
+	} );
+} );
@@ -0,0 +1,43 @@
+/**
+ * Split comment text into plain text and @mention parts.
+ *
+ * @package VmfaEditorialWorkflow
+ */
+
+/**
+ * Mention pattern, matching the server-side parser in CommentService.
+ *
+ * @type {RegExp}
+ */
+const MENTION_PATTERN = /(^|[^\w@])@([A-Za-z0-9_.-]*[A-Za-z0-9_-])/g;
+
+/**
+ * Split comment text into parts so mentions can be highlighted.
+ *
+ * @param {string} text Comment text.
+ * @return {Array<{type: string, value: string}>} Parts of type "text" or "mention".
+ */
+export function splitMentions( text = '' ) {
+	const parts = [];
+	let lastIndex = 0;
+
+	for ( const match of text.matchAll( MENTION_PATTERN ) ) {
+		const start = match.index + match[ 1 ].length;
+
+		if ( start > lastIndex ) {
+			parts.push( {
+				type: 'text',
+				value: text.slice( lastIndex, start ),
+			} );
+		}
+
+		parts.push( { type: 'mention', value: match[ 2 ] } );
+		lastIndex = start + match[ 2 ].length + 1;
+	}
+
+	if ( lastIndex < text.length ) {
+		parts.push( { type: 'text', value: text.slice( lastIndex ) } );
+	}
+
+	return parts;
+}
@@ -0,0 +1,51 @@
+/**
+ * Tests for splitMentions utility.
+ *
+ * @package VmfaEditorialWorkflow
+ */
+
+import { describe, it, expect } from 'vitest';
+import { splitMentions } from './splitMentions';
+
+describe( 'splitMentions', () => {
+	it( 'should return an empty array for empty text', () => {
+		expect( splitMentions( '' ) ).toEqual( [] );
+	} );
+
+	it( 'should return plain text when there are no mentions', () => {
+		expect( splitMentions( 'Looks good' ) ).toEqual( [
+			{ type: 'text', value: 'Looks good' },
+		] );
+	} );
+
+	it( 'should split mentions from surrounding text', () => {
+		expect( splitMentions( 'Ping @anna and @bob_2 please' ) ).toEqual( [
+			{ type: 'text', value: 'Ping ' },
+			{ type: 'mention', value: 'anna' },
+			{ type: 'text', value: ' and ' },
+			{ type: 'mention', value: 'bob_2' },
+			{ type: 'text', value: ' please' },
+		] );
+	} );
+
+	it( 'should handle a mention at the start of the text', () => {
+		expect( splitMentions( '@anna fix the crop' ) ).toEqual( [
+			{ type: 'mention', value: 'anna' },
+			{ type: 'text', value: ' fix the crop' },
+		] );
+	} );
+
+	it( 'should not treat a trailing period as part of the mention', () => {
+		expect( splitMentions( 'Thanks @anna.' ) ).toEqual( [
+			{ type: 'text', value: 'Thanks ' },
+			{ type: 'mention', value: 'anna' },
+			{ type: 'text', value: '.' },
+		] );
+	} );
+
+	it( 'should ignore email addresses', () => {
+		expect( splitMentions( 'Mail anna@example.com' ) ).toEqual( [
+			{ type: 'text', value: 'Mail anna@example.com' },
+		] );
+	} );
+} );
@@ -0,0 +1,189 @@
+/**
+ * Keyboard shortcuts for triaging the review queue.
+ *
+ * @package VmfaEditorialWorkflow
+ */
+
+import { __ } from '@wordpress/i18n';
+
+/**
+ * Shortcut definitions, used for the help overlay.
+ *
+ * @return {Array} Array of { keys, description }.
+ */
+export function getShortcuts() {
+	return [
+		{
+			keys: [ 'j' ],
+			description: __( 'Next item', 'vmfa-editorial-workflow' ),
+		},
+		{
+			keys: [ 'k' ],
+			description: __( 'Previous item', 'vmfa-editorial-workflow' ),
+		},
+		{
+			keys: [ 'Shift', 'j' ],
+			description: __(
+				'Select and move to next item',
+				'vmfa-editorial-workflow'
+			),
+		},
+		{
+			keys: [ 'Shift', 'k' ],
+			description: __(
+				'Select and move to previous item',
+				'vmfa-editorial-workflow'
+			),
+		},
+		{
+			keys: [ 'x' ],
+			description: __(
+				'Select or deselect item',
+				'vmfa-editorial-workflow'
+			),
+		},
+		{
+			keys: [ 'Shift', 'x' ],
+			description: __(
+				'Select range from last selected item',
+				'vmfa-editorial-workflow'
+			),
+		},
+		{
+			keys: [ 'Space' ],
+			description: __( 'Preview item', 'vmfa-editorial-workflow' ),
+		},
+		{
+			keys: [ '←' ],
+			description: __(
+				'Previous item in the preview',
+				'vmfa-editorial-workflow'
+			),
+		},
+		{
+			keys: [ '→' ],
+			description: __(
+				'Next item in the preview',
+				'vmfa-editorial-workflow'
+			),
+		},
+		{
+			keys: [ 'a' ],
+			description: __(
+				'Approve selected items, or the current item',
+				'vmfa-editorial-workflow'
+			),
+		},
+		{
+			keys: [ 'm' ],
+			description: __(
+				'Move selected items, or the current item, to a folder',
+				'vmfa-editorial-workflow'
+			),
+		},
+		{
+			keys: [ 'Esc' ],
+			description: __( 'Clear selection', 'vmfa-editorial-workflow' ),
+		},
+		{
+			keys: [ '?' ],
+			description: __(
+				'Show keyboard shortcuts',
+				'vmfa-editorial-workflow'
+			),
+		},
+	];
+}
+
+/**
+ * Whether keyboard events from this element belong to a form field.
+ *
+ * @param {EventTarget} target Event target.
+ * @return {boolean} True if the user is typing.
+ */
+export function isTypingTarget( target ) {
+	if ( ! target || ! target.tagName ) {
+		return false;
+	}
+
+	if ( target.isContentEditable ) {
+		return true;
+	}
+
+	if ( [ 'TEXTAREA', 'SELECT' ].includes( target.tagName ) ) {
+		return true;
+	}
+
+	return (
+		target.tagName === 'INPUT' &&
+		! [ 'checkbox', 'radio', 'button', 'submit' ].includes( target.type )
+	);
+}
+
+/**
+ * Map a keyboard event to a triage action.
+ *
+ * @param {KeyboardEvent} event Keyboard event.
+ * @return {string|null} Action name, or null if the key is not a shortcut.
+ */
+export function getShortcutAction( event ) {
+	if (
+		event.ctrlKey ||
+		event.metaKey ||
+		event.altKey ||
+		isTypingTarget( event.target )
+	) {
+		return null;
+	}
+
+	switch ( event.key ) {
+		case 'j':
+			return 'next';
+		case 'J':
+			return 'extendNext';
+		case 'k':
+			return 'previous';
+		case 'K':
+			return 'extendPrevious';
+		case 'x':
+			return 'toggle';
+		case 'X':
+			return 'range';
+		case ' ':
+			return 'preview';
+		case 'a':
+			return 'approve';
+		case 'm':
+			return 'move';
+		case 'Escape':
+			return 'clear';
+		case '?':
+			return 'help';
+		default:
+			return null;
+	}
+}
+
+/**
+ * Get the IDs between two items, inclusive, in list order.
+ *
+ * @param {Array}  ids    Ordered item IDs.
+ * @param {number} fromId First item ID.
+ * @param {number} toId   Last item ID.
+ * @return {Array} IDs in the range, or just toId if fromId is not in the list.
+ */
+export function getRange( ids, fromId, toId ) {
+	const to = ids.indexOf( toId );
+
+	if ( to === -1 ) {
+		return [];
+	}
+
+	const from = ids.indexOf( fromId );
+
+	if ( from === -1 ) {
+		return [ toId ];
+	}
+
+	return ids.slice( Math.min( from, to ), Math.max( from, to ) + 1 );
+}
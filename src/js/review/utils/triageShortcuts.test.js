@@ -0,0 +1,108 @@
+/**
+ * Tests for triage shortcut utilities.
+ *
+ * @package VmfaEditorialWorkflow
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { getShortcutAction, getRange, isTypingTarget } from './triageShortcuts';
+
+vi.mock( '@wordpress/i18n', () => ( {
+	__: ( str ) => str,
+} ) );
+
+/**
+ * Build a keyboard event-like object.
+ *
+ * @param {string} key   Key value.
+ * @param {Object} extra Extra properties.
+ * @return {Object} Event.
+ */
+const keyEvent = ( key, extra = {} ) => ( {
+	key,
+	target: document.body,
+	...extra,
+} );
+
+describe( 'getShortcutAction', () => {
+	it( 'should map triage keys to actions', () => {
+		expect( getShortcutAction( keyEvent( 'j' ) ) ).toBe( 'next' );
+		expect( getShortcutAction( keyEvent( 'k' ) ) ).toBe( 'previous' );
+		expect( getShortcutAction( keyEvent( 'J', { shiftKey: true } ) ) ).toBe(
+			'extendNext'
+		);
+		expect( getShortcutAction( keyEvent( 'K', { shiftKey: true } ) ) ).toBe(
+			'extendPrevious'
+		);
+		expect( getShortcutAction( keyEvent( 'x' ) ) ).toBe( 'toggle' );
+		expect( getShortcutAction( keyEvent( 'X', { shiftKey: true } ) ) ).toBe(
+			'range'
+		);
+		expect( getShortcutAction( keyEvent( ' ' ) ) ).toBe( 'preview' );
+		expect( getShortcutAction( keyEvent( 'a' ) ) ).toBe( 'approve' );
+		expect( getShortcutAction( keyEvent( 'm' ) ) ).toBe( 'move' );
+		expect( getShortcutAction( keyEvent( '?', { shiftKey: true } ) ) ).toBe(
+			'help'
+		);
+		expect( getShortcutAction( keyEvent( 'Escape' ) ) ).toBe( 'clear' );
+	} );
+
+	it( 'should ignore other keys and modifier combinations', () => {
+		expect( getShortcutAction( keyEvent( 'q' ) ) ).toBeNull();
+		expect(
+			getShortcutAction( keyEvent( 'a', { ctrlKey: true } ) )
+		).toBeNull();
+		expect(
+			getShortcutAction( keyEvent( 'j', { metaKey: true } ) )
+		).toBeNull();
+	} );
+
+	it( 'should ignore keys typed into form fields', () => {
+		const input = document.createElement( 'input' );
+		input.type = 'search';
+
+		expect(
+			getShortcutAction( keyEvent( 'a', { target: input } ) )
+		).toBeNull();
+	} );
+} );
+
+describe( 'isTypingTarget', () => {
+	it( 'should treat text fields as typing targets', () => {
+		expect( isTypingTarget( document.createElement( 'textarea' ) ) ).toBe(
+			true
+		);
+		expect( isTypingTarget( document.createElement( 'select' ) ) ).toBe(
+			true
+		);
+		expect( isTypingTarget( document.createElement( 'input' ) ) ).toBe(
+			true
+		);
+	} );
+
+	it( 'should not treat checkboxes and buttons as typing targets', () => {
+		const checkbox = document.createElement( 'input' );
+		checkbox.type = 'checkbox';
+
+		expect( isTypingTarget( checkbox ) ).toBe( false );
+		expect( isTypingTarget( document.createElement( 'button' ) ) ).toBe(
+			false
+		);
+		expect( isTypingTarget( null ) ).toBe( false );
+	} );
+} );
+
+describe( 'getRange', () => {
+	const ids = [ 10, 20, 30, 40, 50 ];
+
+	it( 'should return the IDs between two items in either direction', () => {
+		expect( getRange( ids, 20, 40 ) ).toEqual( [ 20, 30, 40 ] );
+		expect( getRange( ids, 40, 20 ) ).toEqual( [ 20, 30, 40 ] );
+		expect( getRange( ids, 30, 30 ) ).toEqual( [ 30 ] );
+	} );
+
+	it( 'should fall back to the target when the anchor is gone', () => {
+		expect( getRange( ids, 99, 30 ) ).toEqual( [ 30 ] );
+		expect( getRange( ids, 20, 99 ) ).toEqual( [] );
+	} );
+} );
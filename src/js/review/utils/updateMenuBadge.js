@@ -0,0 +1,34 @@
+/**
+ * Keep the "VMF Review" admin menu badge in sync with the queue.
+ *
+ * @package VmfaEditorialWorkflow
+ */
+
+/**
+ * Update the pending count badge on the Review submenu item.
+ *
+ * @param {number}   count Number of items needing review.
+ * @param {Document} doc   Document to update. Defaults to the current document.
+ */
+export function updateMenuBadge( count, doc = document ) {
+	const link = doc.querySelector( '#adminmenu a[href*="page=vmfa-review"]' );
+	if ( ! link ) {
+		return;
+	}
+
+	let badge = link.querySelector( '.awaiting-mod' );
+
+	if ( count <= 0 ) {
+		badge?.remove();
+		return;
+	}
+
+	if ( ! badge ) {
+		badge = doc.createElement( 'span' );
+		badge.innerHTML = '<span class="pending-count"></span>';
+		link.append( ' ', badge );
+	}
+
+	badge.className = `awaiting-mod count-${ count }`;
+	badge.querySelector( '.pending-count' ).textContent = String( count );
+}
@@ -0,0 +1,50 @@
+/**
+ * Tests for updateMenuBadge utility.
+ *
+ * @package VmfaEditorialWorkflow
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { updateMenuBadge } from './updateMenuBadge';
+
+describe( 'updateMenuBadge', () => {
+	beforeEach( () => {
+		document.body.innerHTML = `
+			<ul id="adminmenu">
+				<li><a href="upload.php?page=vmfa-review">VMF Review <span class="awaiting-mod count-3"><span class="pending-count">3</span></span></a></li>
+			</ul>
+		`;
+	} );
+
+	it( 'should update the existing badge', () => {
+		updateMenuBadge( 2 );
+
+		const badge = document.querySelector( '.awaiting-mod' );
+		expect( badge ).toHaveClass( 'count-2' );
+		expect( badge ).not.toHaveClass( 'count-3' );
+		expect( badge.textContent ).toBe( '2' );
+	} );
+
+	it( 'should remove the badge when the queue is empty', () => {
+		updateMenuBadge( 0 );
+
+		expect( document.querySelector( '.awaiting-mod' ) ).toBeNull();
+	} );
+
+	it( 'should create the badge when it does not exist', () => {
+		updateMenuBadge( 0 );
+		updateMenuBadge( 5 );
+
+		const badge = document.querySelector( 'a .awaiting-mod' );
+		expect( badge ).toHaveClass( 'count-5' );
+		expect( badge.querySelector( '.pending-count' ).textContent ).toBe(
+			'5'
+		);
+	} );
+
+	it( 'should do nothing when the menu item is missing', () => {
+		document.body.innerHTML = '';
+
+		expect( () => updateMenuBadge( 4 ) ).not.toThrow();
+	} );
+} );
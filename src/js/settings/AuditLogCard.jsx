@@ -0,0 +1,376 @@
+/**
+ * Audit Log Card component.
+ *
+ * @package VmfaEditorialWorkflow
+ */
+
+import { useState, useEffect, useCallback } from '@wordpress/element';
+import {
+	Button,
+	Notice,
+	SelectControl,
+	Spinner,
+	TextControl,
+} from '@wordpress/components';
+import apiFetch from '@wordpress/api-fetch';
+import { __, sprintf } from '@wordpress/i18n';
+import { downloadFile } from './utils/downloadFile';
+
+/**
+ * Entries shown per page.
+ *
+ * @type {number}
+ */
+const PER_PAGE = 20;
+
+/**
+ * Labels for the logged events.
+ *
+ * @type {Object<string, string>}
+ */
+const EVENT_LABELS = {
+	permissions_changed: __( 'Permissions changed', 'vmfa-editorial-workflow' ),
+	inbox_changed: __( 'Inbox changed', 'vmfa-editorial-workflow' ),
+	approved: __( 'Approved', 'vmfa-editorial-workflow' ),
+	stage_advanced: __( 'Stage approved', 'vmfa-editorial-workflow' ),
+	moved: __( 'Moved', 'vmfa-editorial-workflow' ),
+	rejected: __( 'Rejected', 'vmfa-editorial-workflow' ),
+	undone: __( 'Undone', 'vmfa-editorial-workflow' ),
+	sent_back: __( 'Sent back', 'vmfa-editorial-workflow' ),
+	scheduled: __( 'Scheduled', 'vmfa-editorial-workflow' ),
+	released: __( 'Released', 'vmfa-editorial-workflow' ),
+	release_cancelled: __( 'Release cancelled', 'vmfa-editorial-workflow' ),
+	access_denied: __( 'Access denied', 'vmfa-editorial-workflow' ),
+	folder_deleted: __( 'Folder deleted', 'vmfa-editorial-workflow' ),
+};
+
+/**
+ * Build an audit log REST path.
+ *
+ * @param {string} route   Route below /audit-log.
+ * @param {Object} filters Filters; empty values are left out.
+ * @return {string} REST path.
+ */
+function auditLogPath( route, filters ) {
+	const params = Object.fromEntries(
+		Object.entries( filters ).filter(
+			( [ , value ] ) => value !== '' && value !== 0
+		)
+	);
+
+	return `/vmfa-editorial/v1/audit-log${ route }?${ new URLSearchParams(
+		params
+	).toString() }`;
+}
+
+/**
+ * Audit Log Card component.
+ *
+ * Lists who changed permissions and inbox routing, approved, moved or
+ * rejected items, and who was denied access. Entries can be filtered,
+ * exported and are removed after the retention period.
+ *
+ * @param {Object}   props          Component props.
+ * @param {Object}   props.auditLog Audit log settings.
+ * @param {Function} props.onChange Callback when the settings change.
+ * @return {JSX.Element} Audit log card.
+ */
+export default function AuditLogCard( { auditLog = {}, onChange } ) {
+	const { retention = 90 } = auditLog;
+
+	const [ filters, setFilters ] = useState( {
+		event: '',
+		user: '',
+		after: '',
+		before: '',
+	} );
+	const [ page, setPage ] = useState( 1 );
+	const [ log, setLog ] = useState( {
+		items: [],
+		total: 0,
+		totalPages: 0,
+		users: [],
+	} );
+	const [ isLoading, setIsLoading ] = useState( true );
+	const [ exporting, setExporting ] = useState( '' );
+	const [ notice, setNotice ] = useState( null );
+
+	/**
+	 * Fetch the current page of entries.
+	 */
+	useEffect( () => {
+		let isCurrent = true;
+
+		setIsLoading( true );
+		apiFetch( {
+			path: auditLogPath( '', { ...filters, page, per_page: PER_PAGE } ),
+		} )
+			.then( ( response ) => {
+				if ( isCurrent ) {
+					setLog( response );
+				}
+			} )
+			.catch( ( error ) => {
+				if ( isCurrent ) {
+					setNotice( { status: 'error', message: error.message } );
+				}
+			} )
+			.finally( () => {
+				if ( isCurrent ) {
+					setIsLoading( false );
+				}
+			} );
+
+		return () => {
+			isCurrent = false;
+		};
+	}, [ filters, page ] );
+
+	/**
+	 * Change a filter and go back to the first page.
+	 *
+	 * @param {string} key   Filter key.
+	 * @param {string} value New value.
+	 */
+	const setFilter = ( key, value ) => {
+		setFilters( ( prev ) => ( { ...prev, [ key ]: value } ) );
+		setPage( 1 );
+	};
+
+	/**
+	 * Download the entries matching the filters.
+	 *
+	 * @param {string} format 'csv' or 'json'.
+	 */
+	const exportLog = useCallback(
+		async ( format ) => {
+			setExporting( format );
+			setNotice( null );
+
+			try {
+				const response = await apiFetch( {
+					path: auditLogPath( '/export', { ...filters, format } ),
+				} );
+
+				downloadFile(
+					response.filename,
+					response.content,
+					response.type
+				);
+
+				if ( response.truncated ) {
+					setNotice( {
+						status: 'warning',
+						message: __(
+							'The export holds the newest 5,000 matching entries. Narrow the filters to export older entries.',
+							'vmfa-editorial-workflow'
+						),
+					} );
+				}
+			} catch ( error ) {
+				setNotice( { status: 'error', message: error.message } );
+			} finally {
+				setExporting( '' );
+			}
+		},
+		[ filters ]
+	);
+
+	const eventOptions = [
+		{ value: '', label: __( 'All events', 'vmfa-editorial-workflow' ) },
+		...Object.entries( EVENT_LABELS ).map( ( [ value, label ] ) => ( {
+			value,
+			label,
+		} ) ),
+	];
+
+	const userOptions = [
+		{ value: '', label: __( 'All users', 'vmfa-editorial-workflow' ) },
+		...log.users.map( ( user ) => ( {
+			value: String( user.id ),
+			label: user.name,
+		} ) ),
+	];
+
+	return (
+		<div className="vmfa-card">
+			<div className="vmfa-card-header">
+				<h3>{ __( 'Audit Log', 'vmfa-editorial-workflow' ) }</h3>
+			</div>
+
+			<div className="vmfa-card-body">
+				<p className="vmfa-card-description">
+					{ __(
+						'A record of permission and inbox changes, approvals, moves, rejections, undos, deleted folders and denied access attempts.',
+						'vmfa-editorial-workflow'
+					) }
+				</p>
+
+				<div className="vmfa-workflow-settings">
+					<TextControl
+						type="number"
+						label={ __(
+							'Keep entries for (days)',
+							'vmfa-editorial-workflow'
+						) }
+						help={ __(
+							'Older entries are removed daily. Use 0 to keep entries forever.',
+							'vmfa-editorial-workflow'
+						) }
+						value={ String( retention ) }
+						min={ 0 }
+						onChange={ ( value ) =>
+							onChange( {
+								...auditLog,
+								retention: Math.max(
+									0,
+									parseInt( value, 10 ) || 0
+								),
+							} )
+						}
+					/>
+				</div>
+
+				<div className="vmfa-audit-log-filters">
+					<SelectControl
+						label={ __( 'Event', 'vmfa-editorial-workflow' ) }
+						value={ filters.event }
+						options={ eventOptions }
+						onChange={ ( value ) => setFilter( 'event', value ) }
+					/>
+					<SelectControl
+						label={ __( 'User', 'vmfa-editorial-workflow' ) }
+						value={ filters.user }
+						options={ userOptions }
+						onChange={ ( value ) => setFilter( 'user', value ) }
+					/>
+					<TextControl
+						type="date"
+						label={ __( 'From', 'vmfa-editorial-workflow' ) }
+						value={ filters.after }
+						onChange={ ( value ) => setFilter( 'after', value ) }
+					/>
+					<TextControl
+						type="date"
+						label={ __( 'To', 'vmfa-editorial-workflow' ) }
+						value={ filters.before }
+						onChange={ ( value ) => setFilter( 'before', value ) }
+					/>
+				</div>
+
+				{ notice && (
+					<Notice
+						status={ notice.status }
+						onRemove={ () => setNotice( null ) }
+					>
+						{ notice.message }
+					</Notice>
+				) }
+
+				{ isLoading && <Spinner /> }
+
+				{ ! isLoading && log.items.length === 0 && (
+					<p className="vmfa-audit-log-empty">
+						{ __(
+							'No entries match these filters.',
+							'vmfa-editorial-workflow'
+						) }
+					</p>
+				) }
+
+				{ ! isLoading && log.items.length > 0 && (
+					<table className="vmfa-folders-table vmfa-audit-log-table">
+						<thead>
+							<tr>
+								<th>
+									{ __( 'Date', 'vmfa-editorial-workflow' ) }
+								</th>
+								<th>
+									{ __( 'User', 'vmfa-editorial-workflow' ) }
+								</th>
+								<th>
+									{ __( 'Event', 'vmfa-editorial-workflow' ) }
+								</th>
+								<th>
+									{ __(
+										'Details',
+										'vmfa-editorial-workflow'
+									) }
+								</th>
+							</tr>
+						</thead>
+						<tbody>
+							{ log.items.map( ( entry ) => (
+								<tr
+									key={ entry.id }
+									className={ `is-${ entry.event }` }
+								>
+									<td>
+										<time dateTime={ entry.date }>
+											{ entry.dateLabel }
+										</time>
+									</td>
+									<td>{ entry.user.name }</td>
+									<td>
+										{ EVENT_LABELS[ entry.event ] ||
+											entry.event }
+									</td>
+									<td>{ entry.summary }</td>
+								</tr>
+							) ) }
+						</tbody>
+					</table>
+				) }
+
+				<div className="vmfa-audit-log-footer">
+					<div className="vmfa-audit-log-pagination">
+						<Button
+							variant="secondary"
+							onClick={ () => setPage( page - 1 ) }
+							disabled={ isLoading || page <= 1 }
+						>
+							{ __( 'Previous', 'vmfa-editorial-workflow' ) }
+						</Button>
+						<span>
+							{ sprintf(
+								/* translators: 1: current page, 2: number of pages */
+								__(
+									'Page %1$d of %2$d',
+									'vmfa-editorial-workflow'
+								),
+								page,
+								Math.max( 1, log.totalPages )
+							) }
+						</span>
+						<Button
+							variant="secondary"
+							onClick={ () => setPage( page + 1 ) }
+							disabled={ isLoading || page >= log.totalPages }
+						>
+							{ __( 'Next', 'vmfa-editorial-workflow' ) }
+						</Button>
+					</div>
+
+					<div className="vmfa-audit-log-export">
+						<Button
+							variant="secondary"
+							onClick={ () => exportLog( 'csv' ) }
+							isBusy={ exporting === 'csv' }
+							disabled={ !! exporting || log.total === 0 }
+						>
+							{ __( 'Export CSV', 'vmfa-editorial-workflow' ) }
+						</Button>
+						<Button
+							variant="secondary"
+							onClick={ () => exportLog( 'json' ) }
+							isBusy={ exporting === 'json' }
+							disabled={ !! exporting || log.total === 0 }
+						>
+							{ __( 'Export JSON', 'vmfa-editorial-workflow' ) }
+						</Button>
+					</div>
+				</div>
+			</div>
+		</div>
+	);
+}
@@ -0,0 +1,135 @@
+/**
+ * Tests for AuditLogCard component.
+ *
+ * @package VmfaEditorialWorkflow
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import apiFetch from '@wordpress/api-fetch';
+import { downloadFile } from './utils/downloadFile';
+import AuditLogCard from './AuditLogCard';
+
+// Mock WordPress packages
+vi.mock( '@wordpress/api-fetch', () => ( {
+	default: vi.fn(),
+} ) );
+
+vi.mock( '@wordpress/components', () => import( '../test-utils/components' ) );
+
+vi.mock( '@wordpress/i18n', () => import( '../test-utils/i18n' ) );
+
+vi.mock( './utils/downloadFile', () => ( {
+	downloadFile: vi.fn(),
+} ) );
+
+describe( 'AuditLogCard', () => {
+	const log = {
+		items: [
+			{
+				id: 7,
+				date: '2026-01-02T10:00:00+00:00',
+				dateLabel: 'January 2, 2026 10:00 am',
+				user: { id: 3, name: 'Dana' },
+				event: 'approved',
+				summary: 'Approved launch.jpg to Approved',
+			},
+		],
+		total: 21,
+		totalPages: 2,
+		users: [ { id: 3, name: 'Dana' } ],
+	};
+
+	beforeEach( () => {
+		apiFetch.mockReset();
+		downloadFile.mockReset();
+	} );
+
+	it( 'should list entries and page through them', async () => {
+		apiFetch.mockResolvedValue( log );
+		render(
+			<AuditLogCard auditLog={ { retention: 90 } } onChange={ vi.fn() } />
+		);
+
+		expect(
+			await screen.findByText( 'Approved launch.jpg to Approved' )
+		).toBeInTheDocument();
+		expect( screen.getByText( 'Page 1 of 2' ) ).toBeInTheDocument();
+		expect( apiFetch ).toHaveBeenCalledWith( {
+			path: '/vmfa-editorial/v1/audit-log?page=1&per_page=20',
+		} );
+
+		fireEvent.click( screen.getByText( 'Next' ) );
+
+		await waitFor( () =>
+			expect( apiFetch ).toHaveBeenLastCalledWith( {
+				path: '/vmfa-editorial/v1/audit-log?page=2&per_page=20',
+			} )
+		);
+	} );
+
+	it( 'should filter entries and return to the first page', async () => {
+		apiFetch.mockResolvedValue( log );
+		render(
+			<AuditLogCard auditLog={ { retention: 90 } } onChange={ vi.fn() } />
+		);
+
+		fireEvent.change( await screen.findByLabelText( 'User' ), {
+			target: { value: '3' },
+		} );
+		fireEvent.change( screen.getByLabelText( 'Event' ), {
+			target: { value: 'rejected' },
+		} );
+
+		await waitFor( () =>
+			expect( apiFetch ).toHaveBeenLastCalledWith( {
+				path: '/vmfa-editorial/v1/audit-log?event=rejected&user=3&page=1&per_page=20',
+			} )
+		);
+	} );
+
+	it( 'should export the filtered entries', async () => {
+		apiFetch.mockResolvedValueOnce( log ).mockResolvedValueOnce( {
+			filename: 'vmfa-audit-log-2026-01-02.csv',
+			type: 'text/csv',
+			content: 'date,user\n',
+			truncated: true,
+		} );
+		render(
+			<AuditLogCard auditLog={ { retention: 90 } } onChange={ vi.fn() } />
+		);
+
+		fireEvent.click( await screen.findByText( 'Export CSV' ) );
+
+		await waitFor( () =>
+			expect( downloadFile ).toHaveBeenCalledWith(
+				'vmfa-audit-log-2026-01-02.csv',
+				'date,user\n',
+				'text/csv'
+			)
+		);
+		expect( apiFetch ).toHaveBeenLastCalledWith( {
+			path: '/vmfa-editorial/v1/audit-log/export?format=csv',
+		} );
+		expect( screen.getByRole( 'alert' ) ).toHaveTextContent(
+			'newest 5,000 matching entries'
+		);
+	} );
+
+	it( 'should update the retention period', () => {
+		apiFetch.mockReturnValue( new Promise( () => {} ) );
+		const onChange = vi.fn();
+		render(
+			<AuditLogCard
+				auditLog={ { retention: 90 } }
+				onChange={ onChange }
+			/>
+		);
+
+		fireEvent.change( screen.getByLabelText( 'Keep entries for (days)' ), {
+			target: { value: '0' },
+		} );
+
+		expect( onChange ).toHaveBeenCalledWith( { retention: 0 } );
+	} );
+} );
@@ -0,0 +1,187 @@
+/**
+ * Notifications Card component.
+ *
+ * @package VmfaEditorialWorkflow
+ */
+
+import {
+	CheckboxControl,
+	SelectControl,
+	TextControl,
+	TextareaControl,
+} from '@wordpress/components';
+import { __ } from '@wordpress/i18n';
+
+/**
+ * Email templates with their headings and the placeholders they support.
+ *
+ * @type {Array<{key: string, label: string, placeholders: string}>}
+ */
+const TEMPLATES = [
+	{
+		key: 'inbox',
+		label: __( 'New upload (to reviewers)', 'vmfa-editorial-workflow' ),
+		placeholders:
+			'{recipient_name} {site_name} {title} {folder} {uploader} {review_url} {edit_url}',
+	},
+	{
+		key: 'digest',
+		label: __( 'Digest (to reviewers)', 'vmfa-editorial-workflow' ),
+		placeholders:
+			'{recipient_name} {site_name} {count} {items} {review_url}',
+	},
+	{
+		key: 'approved',
+		label: __( 'Approved (to uploaders)', 'vmfa-editorial-workflow' ),
+		placeholders:
+			'{recipient_name} {site_name} {title} {folder} {user} {edit_url}',
+	},
+	{
+		key: 'moved',
+		label: __( 'Moved (to uploaders)', 'vmfa-editorial-workflow' ),
+		placeholders:
+			'{recipient_name} {site_name} {title} {folder} {user} {edit_url}',
+	},
+];
+
+/**
+ * Notifications Card component.
+ *
+ * Configures when reviewers and uploaders are emailed, and the email
+ * templates. Users can opt out on their profile.
+ *
+ * @param {Object}   props               Component props.
+ * @param {Object}   props.notifications Current notification settings.
+ * @param {Function} props.onChange      Callback when the settings change.
+ * @return {JSX.Element} Notifications card.
+ */
+export default function NotificationsCard( { notifications = {}, onChange } ) {
+	const {
+		reviewers = 'immediate',
+		uploaders = true,
+		templates = {},
+	} = notifications;
+
+	/**
+	 * Update one field of a template.
+	 *
+	 * @param {string} key   Template key.
+	 * @param {string} field 'subject' or 'body'.
+	 * @param {string} value New value.
+	 */
+	const setTemplate = ( key, field, value ) => {
+		onChange( {
+			...notifications,
+			templates: {
+				...templates,
+				[ key ]: { ...templates[ key ], [ field ]: value },
+			},
+		} );
+	};
+
+	return (
+		<div className="vmfa-card">
+			<div className="vmfa-card-header">
+				<h3>
+					{ __( 'Email Notifications', 'vmfa-editorial-workflow' ) }
+				</h3>
+			</div>
+
+			<div className="vmfa-card-body">
+				<p className="vmfa-card-description">
+					{ __(
+						'Email reviewers when uploads land in an inbox they can see, and uploaders when their items are approved or moved. Users can turn these emails off on their profile.',
+						'vmfa-editorial-workflow'
+					) }
+				</p>
+
+				<div className="vmfa-workflow-settings">
+					<SelectControl
+						label={ __(
+							'Email reviewers about new uploads',
+							'vmfa-editorial-workflow'
+						) }
+						value={ reviewers }
+						options={ [
+							{
+								value: 'off',
+								label: __( 'Never', 'vmfa-editorial-workflow' ),
+							},
+							{
+								value: 'immediate',
+								label: __(
+									'Right away',
+									'vmfa-editorial-workflow'
+								),
+							},
+							{
+								value: 'hourly',
+								label: __(
+									'Hourly digest',
+									'vmfa-editorial-workflow'
+								),
+							},
+							{
+								value: 'daily',
+								label: __(
+									'Daily digest',
+									'vmfa-editorial-workflow'
+								),
+							},
+						] }
+						onChange={ ( value ) =>
+							onChange( { ...notifications, reviewers: value } )
+						}
+					/>
+
+					<CheckboxControl
+						label={ __(
+							'Email uploaders when their items are approved or moved',
+							'vmfa-editorial-workflow'
+						) }
+						checked={ uploaders }
+						onChange={ ( value ) =>
+							onChange( { ...notifications, uploaders: value } )
+						}
+					/>
+				</div>
+
+				<div className="vmfa-notification-templates">
+					{ TEMPLATES.map( ( { key, label, placeholders } ) => (
+						<fieldset
+							key={ key }
+							className="vmfa-notification-template"
+						>
+							<legend>{ label }</legend>
+							<TextControl
+								label={ __(
+									'Subject',
+									'vmfa-editorial-workflow'
+								) }
+								value={ templates[ key ]?.subject ?? '' }
+								onChange={ ( value ) =>
+									setTemplate( key, 'subject', value )
+								}
+							/>
+							<TextareaControl
+								label={ __(
+									'Message',
+									'vmfa-editorial-workflow'
+								) }
+								help={ `${ __(
+									'Placeholders:',
+									'vmfa-editorial-workflow'
+								) } ${ placeholders }` }
+								value={ templates[ key ]?.body ?? '' }
+								onChange={ ( value ) =>
+									setTemplate( key, 'body', value )
+								}
+								rows={ 6 }
+							/>
+						</fieldset>
+					) ) }
+				</div>
+			</div>
+		</div>
+	);
+}
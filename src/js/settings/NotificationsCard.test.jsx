@@ -0,0 +1,97 @@
+/**
+ * Tests for NotificationsCard component.
+ *
+ * @package VmfaEditorialWorkflow
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import NotificationsCard from './NotificationsCard';
+
+// Mock WordPress packages
+vi.mock( '@wordpress/components', () => import( '../test-utils/components' ) );
+
+vi.mock( '@wordpress/i18n', () => import( '../test-utils/i18n' ) );
+
+describe( 'NotificationsCard', () => {
+	const notifications = {
+		reviewers: 'daily',
+		uploaders: true,
+		templates: {
+			inbox: { subject: 'New: {title}', body: 'Review {title}' },
+			digest: { subject: '{count} new', body: '{items}' },
+			approved: { subject: 'Approved: {title}', body: 'Done' },
+			moved: { subject: 'Moved: {title}', body: 'Moved' },
+		},
+	};
+
+	it( 'should show the current settings and templates', () => {
+		render(
+			<NotificationsCard
+				notifications={ notifications }
+				onChange={ vi.fn() }
+			/>
+		);
+
+		expect(
+			screen.getByLabelText( 'Email reviewers about new uploads' )
+		).toHaveValue( 'daily' );
+		expect(
+			screen.getByLabelText(
+				'Email uploaders when their items are approved or moved'
+			)
+		).toBeChecked();
+		expect(
+			screen
+				.getAllByLabelText( 'Subject' )
+				.map( ( input ) => input.value )
+		).toEqual( [
+			'New: {title}',
+			'{count} new',
+			'Approved: {title}',
+			'Moved: {title}',
+		] );
+	} );
+
+	it( 'should change when reviewers are emailed', () => {
+		const onChange = vi.fn();
+		render(
+			<NotificationsCard
+				notifications={ notifications }
+				onChange={ onChange }
+			/>
+		);
+
+		fireEvent.change(
+			screen.getByLabelText( 'Email reviewers about new uploads' ),
+			{ target: { value: 'off' } }
+		);
+
+		expect( onChange ).toHaveBeenCalledWith( {
+			...notifications,
+			reviewers: 'off',
+		} );
+	} );
+
+	it( 'should edit one template field', () => {
+		const onChange = vi.fn();
+		render(
+			<NotificationsCard
+				notifications={ notifications }
+				onChange={ onChange }
+			/>
+		);
+
+		fireEvent.change( screen.getAllByLabelText( 'Message' )[ 2 ], {
+			target: { value: 'Live now' },
+		} );
+
+		expect( onChange ).toHaveBeenCalledWith( {
+			...notifications,
+			templates: {
+				...notifications.templates,
+				approved: { subject: 'Approved: {title}', body: 'Live now' },
+			},
+		} );
+	} );
+} );
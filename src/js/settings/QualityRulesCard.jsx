@@ -0,0 +1,175 @@
+/**
+ * Quality Rules Card component.
+ *
+ * @package VmfaEditorialWorkflow
+ */
+
+import {
+	CheckboxControl,
+	TextControl,
+	TextareaControl,
+} from '@wordpress/components';
+import { __ } from '@wordpress/i18n';
+
+/**
+ * Bytes per megabyte, for the maximum file size field.
+ *
+ * @type {number}
+ */
+const MB_IN_BYTES = 1024 * 1024;
+
+/**
+ * Quality Rules Card component.
+ *
+ * Configures the checks items must pass before they can be approved.
+ * A rule is off while its field is empty or 0.
+ *
+ * @param {Object}   props          Component props.
+ * @param {Object}   props.rules    Current quality rules.
+ * @param {Function} props.onChange Callback when the rules change.
+ * @return {JSX.Element} Quality rules card.
+ */
+export default function QualityRulesCard( { rules = {}, onChange } ) {
+	const {
+		altRequired = false,
+		minWidth = 0,
+		minHeight = 0,
+		maxFileSize = 0,
+		allowedMimeTypes = [],
+		filenamePattern = '',
+	} = rules;
+
+	/**
+	 * Update a single rule.
+	 *
+	 * @param {string} key   Rule key.
+	 * @param {*}      value New value.
+	 */
+	const setRule = ( key, value ) => {
+		onChange( {
+			...rules,
+			[ key ]: value,
+		} );
+	};
+
+	const toPixels = ( value ) => Math.max( 0, parseInt( value, 10 ) || 0 );
+
+	return (
+		<div className="vmfa-card">
+			<div className="vmfa-card-header">
+				<h3>{ __( 'Quality Rules', 'vmfa-editorial-workflow' ) }</h3>
+			</div>
+
+			<div className="vmfa-card-body">
+				<p className="vmfa-card-description">
+					{ __(
+						'Items must pass these checks before they can be approved. Reviewers see the results on each card; only Administrators can approve an item that fails. Leave a field empty to turn its rule off.',
+						'vmfa-editorial-workflow'
+					) }
+				</p>
+
+				<div className="vmfa-workflow-settings vmfa-quality-rules">
+					<CheckboxControl
+						label={ __(
+							'Require alt text for images',
+							'vmfa-editorial-workflow'
+						) }
+						checked={ altRequired }
+						onChange={ ( value ) =>
+							setRule( 'altRequired', value )
+						}
+					/>
+
+					<div className="vmfa-quality-rules-row">
+						<TextControl
+							type="number"
+							label={ __(
+								'Minimum image width (px)',
+								'vmfa-editorial-workflow'
+							) }
+							value={ minWidth ? String( minWidth ) : '' }
+							min={ 0 }
+							onChange={ ( value ) =>
+								setRule( 'minWidth', toPixels( value ) )
+							}
+						/>
+						<TextControl
+							type="number"
+							label={ __(
+								'Minimum image height (px)',
+								'vmfa-editorial-workflow'
+							) }
+							value={ minHeight ? String( minHeight ) : '' }
+							min={ 0 }
+							onChange={ ( value ) =>
+								setRule( 'minHeight', toPixels( value ) )
+							}
+						/>
+					</div>
+
+					<TextControl
+						type="number"
+						label={ __(
+							'Maximum file size (MB)',
+							'vmfa-editorial-workflow'
+						) }
+						value={
+							maxFileSize
+								? String(
+										Math.round(
+											( maxFileSize / MB_IN_BYTES ) * 100
+										) / 100
+								  )
+								: ''
+						}
+						min={ 0 }
+						step={ 0.1 }
+						onChange={ ( value ) =>
+							setRule(
+								'maxFileSize',
+								Math.max(
+									0,
+									Math.round(
+										( parseFloat( value ) || 0 ) *
+											MB_IN_BYTES
+									)
+								)
+							)
+						}
+					/>
+
+					<TextareaControl
+						label={ __(
+							'Allowed file types',
+							'vmfa-editorial-workflow'
+						) }
+						help={ __(
+							'One MIME type per line, such as image/jpeg or application/pdf. Use image/* for a whole group.',
+							'vmfa-editorial-workflow'
+						) }
+						value={ allowedMimeTypes.join( '\n' ) }
+						onChange={ ( value ) =>
+							setRule( 'allowedMimeTypes', value.split( '\n' ) )
+						}
+						rows={ 3 }
+					/>
+
+					<TextControl
+						label={ __(
+							'Filename pattern',
+							'vmfa-editorial-workflow'
+						) }
+						help={ __(
+							'Regular expression the file name must match, for example ^[a-z\\d-]+\\.[a-z]+$ for lowercase names without spaces.',
+							'vmfa-editorial-workflow'
+						) }
+						value={ filenamePattern }
+						onChange={ ( value ) =>
+							setRule( 'filenamePattern', value )
+						}
+					/>
+				</div>
+			</div>
+		</div>
+	);
+}
@@ -0,0 +1,73 @@
+/**
+ * Tests for QualityRulesCard component.
+ *
+ * @package VmfaEditorialWorkflow
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import QualityRulesCard from './QualityRulesCard';
+
+// Mock WordPress packages
+vi.mock( '@wordpress/components', () => import( '../test-utils/components' ) );
+
+vi.mock( '@wordpress/i18n', () => import( '../test-utils/i18n' ) );
+
+describe( 'QualityRulesCard', () => {
+	const rules = {
+		altRequired: true,
+		minWidth: 1200,
+		minHeight: 0,
+		maxFileSize: 5242880,
+		allowedMimeTypes: [ 'image/*', 'application/pdf' ],
+		filenamePattern: '',
+	};
+
+	it( 'should show the current rules', () => {
+		render( <QualityRulesCard rules={ rules } onChange={ vi.fn() } /> );
+
+		expect(
+			screen.getByLabelText( 'Require alt text for images' )
+		).toBeChecked();
+		expect(
+			screen.getByLabelText( 'Minimum image width (px)' )
+		).toHaveValue( 1200 );
+		expect(
+			screen.getByLabelText( 'Minimum image height (px)' )
+		).toHaveValue( null );
+		expect( screen.getByLabelText( 'Maximum file size (MB)' ) ).toHaveValue(
+			5
+		);
+		expect( screen.getByLabelText( 'Allowed file types' ) ).toHaveValue(
+			'image/*\napplication/pdf'
+		);
+	} );
+
+	it( 'should store the maximum file size in bytes', () => {
+		const onChange = vi.fn();
+		render( <QualityRulesCard rules={ rules } onChange={ onChange } /> );
+
+		fireEvent.change( screen.getByLabelText( 'Maximum file size (MB)' ), {
+			target: { value: '2.5' },
+		} );
+
+		expect( onChange ).toHaveBeenCalledWith( {
+			...rules,
+			maxFileSize: 2621440,
+		} );
+	} );
+
+	it( 'should split allowed file types by line', () => {
+		const onChange = vi.fn();
+		render( <QualityRulesCard rules={ rules } onChange={ onChange } /> );
+
+		fireEvent.change( screen.getByLabelText( 'Allowed file types' ), {
+			target: { value: 'image/png\nimage/jpeg' },
+		} );
+
+		expect( onChange ).toHaveBeenCalledWith( {
+			...rules,
+			allowedMimeTypes: [ 'image/png', 'image/jpeg' ],
+		} );
+	} );
+} );
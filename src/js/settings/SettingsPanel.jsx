@@ -10,8 +10,12 @@ import apiFetch from '@wordpress/api-fetch';
 import { __ } from '@wordpress/i18n';
 import StatsCard from './StatsCard';
 import WorkflowCard from './WorkflowCard';
+import StagesCard from './StagesCard';
+import QualityRulesCard from './QualityRulesCard';
 import PermissionsCard from './PermissionsCard';
 import InboxCard from './InboxCard';
+import NotificationsCard from './NotificationsCard';
+import AuditLogCard from './AuditLogCard';
 
 /**
  * Main settings panel component.
@@ -28,6 +32,10 @@ export default function SettingsPanel() {
 	const [ settings, setSettings ] = useState( {
 		permissions: {},
 		inbox: {},
+		stages: [],
+		qualityRules: {},
+		auditLog: {},
+		notifications: {},
 		workflow: {
 			enabled: true,
 			needsReviewFolder: '',
@@ -75,7 +83,8 @@ export default function SettingsPanel() {
 		} catch ( error ) {
 			setNotice( {
 				status: 'error',
-				message: error.message || i18n?.error || 'Error loading settings.',
+				message:
+					error.message || i18n?.error || 'Error loading settings.',
 			} );
 		} finally {
 			setIsLoading( false );
@@ -120,7 +129,8 @@ export default function SettingsPanel() {
 		} catch ( error ) {
 			setNotice( {
 				status: 'error',
-				message: error.message || i18n?.error || 'Error saving settings.',
+				message:
+					error.message || i18n?.error || 'Error saving settings.',
 			} );
 		} finally {
 			setIsSaving( false );
@@ -157,6 +167,46 @@ export default function SettingsPanel() {
 		} ) );
 	}, [] );
 
+	/**
+	 * Update stages state.
+	 */
+	const updateStages = useCallback( ( newStages ) => {
+		setSettings( ( prev ) => ( {
+			...prev,
+			stages: newStages,
+		} ) );
+	}, [] );
+
+	/**
+	 * Update quality rules state.
+	 */
+	const updateQualityRules = useCallback( ( newRules ) => {
+		setSettings( ( prev ) => ( {
+			...prev,
+			qualityRules: newRules,
+		} ) );
+	}, [] );
+
+	/**
+	 * Update notifications state.
+	 */
+	const updateNotifications = useCallback( ( newNotifications ) => {
+		setSettings( ( prev ) => ( {
+			...prev,
+			notifications: newNotifications,
+		} ) );
+	}, [] );
+
+	/**
+	 * Update audit log state.
+	 */
+	const updateAuditLog = useCallback( ( newAuditLog ) => {
+		setSettings( ( prev ) => ( {
+			...prev,
+			auditLog: newAuditLog,
+		} ) );
+	}, [] );
+
 	if ( isLoading ) {
 		return (
 			<div className="vmfa-settings-loading">
@@ -179,7 +229,9 @@ export default function SettingsPanel() {
 							setIsDismissing( false );
 						}, 300 );
 					} }
-					className={ `vmfa-notice${ isDismissing ? ' is-dismissing' : '' }` }
+					className={ `vmfa-notice${
+						isDismissing ? ' is-dismissing' : ''
+					}` }
 				>
 					{ notice.message }
 				</Notice>
@@ -193,6 +245,17 @@ export default function SettingsPanel() {
 				onChange={ updateWorkflow }
 			/>
 
+			<StagesCard
+				roles={ roles }
+				stages={ settings.stages }
+				onChange={ updateStages }
+			/>
+
+			<QualityRulesCard
+				rules={ settings.qualityRules }
+				onChange={ updateQualityRules }
+			/>
+
 			<PermissionsCard
 				roles={ roles }
 				folders={ folders }
@@ -208,6 +271,16 @@ export default function SettingsPanel() {
 				onChange={ updateInbox }
 			/>
 
+			<NotificationsCard
+				notifications={ settings.notifications }
+				onChange={ updateNotifications }
+			/>
+
+			<AuditLogCard
+				auditLog={ settings.auditLog }
+				onChange={ updateAuditLog }
+			/>
+
 			<div className="vmfa-settings-actions">
 				<Button
 					variant="primary"
@@ -0,0 +1,227 @@
+/**
+ * Approval Stages Card component.
+ *
+ * @package VmfaEditorialWorkflow
+ */
+
+import { Button, CheckboxControl, TextControl } from '@wordpress/components';
+import { __, sprintf } from '@wordpress/i18n';
+
+/**
+ * Approval Stages Card component.
+ *
+ * Edits the ordered list of review stages. Needs Review always comes
+ * first and approved items always end in the Approved folder; the
+ * stages in between can be added, renamed, reordered and removed.
+ *
+ * @param {Object}   props          Component props.
+ * @param {Array}    props.stages   Current stages, { key, name, roles }.
+ * @param {Array}    props.roles    Available roles, { key, name }.
+ * @param {Function} props.onChange Callback when the stages change.
+ * @return {JSX.Element} Approval stages card.
+ */
+export default function StagesCard( { stages = [], roles = [], onChange } ) {
+	/**
+	 * Update a single stage.
+	 *
+	 * @param {number} index   Stage index.
+	 * @param {Object} changes Changed values.
+	 */
+	const updateStage = ( index, changes ) => {
+		onChange(
+			stages.map( ( stage, i ) =>
+				i === index ? { ...stage, ...changes } : stage
+			)
+		);
+	};
+
+	/**
+	 * Toggle a reviewer role on a stage.
+	 *
+	 * @param {number}  index   Stage index.
+	 * @param {string}  role    Role key.
+	 * @param {boolean} checked Whether the role reviews the stage.
+	 */
+	const toggleRole = ( index, role, checked ) => {
+		const current = stages[ index ].roles || [];
+
+		updateStage( index, {
+			roles: checked
+				? [ ...current, role ]
+				: current.filter( ( key ) => key !== role ),
+		} );
+	};
+
+	/**
+	 * Swap a stage with its neighbour.
+	 *
+	 * @param {number} index  Stage index.
+	 * @param {number} offset -1 to move up, 1 to move down.
+	 */
+	const moveStage = ( index, offset ) => {
+		const next = [ ...stages ];
+		[ next[ index ], next[ index + offset ] ] = [
+			next[ index + offset ],
+			next[ index ],
+		];
+		onChange( next );
+	};
+
+	const addStage = () => {
+		onChange( [ ...stages, { key: '', name: '', roles: [] } ] );
+	};
+
+	const removeStage = ( index ) => {
+		onChange( stages.filter( ( stage, i ) => i !== index ) );
+	};
+
+	return (
+		<div className="vmfa-card">
+			<div className="vmfa-card-header">
+				<h3>{ __( 'Approval Stages', 'vmfa-editorial-workflow' ) }</h3>
+			</div>
+
+			<div className="vmfa-card-body">
+				<p className="vmfa-card-description">
+					{ __(
+						'Approving an item sends it to the next stage; approving it in the last stage moves it to the Approved folder. Each stage has its own folder. Leave the roles empty to let every reviewer approve a stage; Administrators can approve any stage.',
+						'vmfa-editorial-workflow'
+					) }
+				</p>
+
+				<ol className="vmfa-stages">
+					{ stages.map( ( stage, index ) => {
+						const isFirst = index === 0;
+
+						return (
+							<li
+								key={ stage.key || `new-${ index }` }
+								className="vmfa-stage"
+							>
+								<div className="vmfa-stage-header">
+									<span className="vmfa-stage-number">
+										{ index + 1 }
+									</span>
+									{ isFirst ? (
+										<strong className="vmfa-stage-name">
+											{ stage.name }
+										</strong>
+									) : (
+										<TextControl
+											className="vmfa-stage-name"
+											label={ __(
+												'Stage name',
+												'vmfa-editorial-workflow'
+											) }
+											hideLabelFromVision
+											placeholder={ __(
+												'Stage name',
+												'vmfa-editorial-workflow'
+											) }
+											value={ stage.name }
+											onChange={ ( value ) =>
+												updateStage( index, {
+													name: value,
+												} )
+											}
+											__nextHasNoMarginBottom
+										/>
+									) }
+									{ ! isFirst && (
+										<div className="vmfa-stage-actions">
+											<Button
+												icon="arrow-up-alt2"
+												label={ __(
+													'Move up',
+													'vmfa-editorial-workflow'
+												) }
+												disabled={ index === 1 }
+												onClick={ () =>
+													moveStage( index, -1 )
+												}
+											/>
+											<Button
+												icon="arrow-down-alt2"
+												label={ __(
+													'Move down',
+													'vmfa-editorial-workflow'
+												) }
+												disabled={
+													index === stages.length - 1
+												}
+												onClick={ () =>
+													moveStage( index, 1 )
+												}
+											/>
+											<Button
+												icon="trash"
+												label={ sprintf(
+													/* translators: %s: stage name */
+													__(
+														'Remove %s',
+														'vmfa-editorial-workflow'
+													),
+													stage.name ||
+														__(
+															'stage',
+															'vmfa-editorial-workflow'
+														)
+												) }
+												isDestructive
+												onClick={ () =>
+													removeStage( index )
+												}
+											/>
+										</div>
+									) }
+								</div>
+
+								<fieldset className="vmfa-stage-roles">
+									<legend>
+										{ __(
+											'Reviewers',
+											'vmfa-editorial-workflow'
+										) }
+									</legend>
+									{ roles.map( ( role ) => (
+										<CheckboxControl
+											key={ role.key }
+											label={ role.name }
+											checked={ (
+												stage.roles || []
+											).includes( role.key ) }
+											onChange={ ( checked ) =>
+												toggleRole(
+													index,
+													role.key,
+													checked
+												)
+											}
+											__nextHasNoMarginBottom
+										/>
+									) ) }
+								</fieldset>
+							</li>
+						);
+					} ) }
+					<li className="vmfa-stage is-final">
+						<span className="vmfa-stage-number">
+							<span className="dashicons dashicons-yes"></span>
+						</span>
+						<strong className="vmfa-stage-name">
+							{ __( 'Approved', 'vmfa-editorial-workflow' ) }
+						</strong>
+					</li>
+				</ol>
+
+				<Button
+					variant="secondary"
+					icon="plus-alt2"
+					onClick={ addStage }
+				>
+					{ __( 'Add stage', 'vmfa-editorial-workflow' ) }
+				</Button>
+			</div>
+		</div>
+	);
+}
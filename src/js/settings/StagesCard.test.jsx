@@ -0,0 +1,104 @@
+/**
+ * Tests for StagesCard component.
+ *
+ * @package VmfaEditorialWorkflow
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import StagesCard from './StagesCard';
+
+// Mock WordPress packages
+vi.mock( '@wordpress/components', () => import( '../test-utils/components' ) );
+
+vi.mock( '@wordpress/i18n', () => import( '../test-utils/i18n' ) );
+
+describe( 'StagesCard', () => {
+	const roles = [
+		{ key: 'editor', name: 'Editor' },
+		{ key: 'legal_reviewer', name: 'Legal Reviewer' },
+	];
+
+	const stages = [
+		{ key: 'needs-review', name: 'Needs Review', roles: [] },
+		{ key: 'legal', name: 'Legal', roles: [ 'legal_reviewer' ] },
+		{ key: 'brand', name: 'Brand', roles: [] },
+	];
+
+	it( 'should list the stages in order, ending with Approved', () => {
+		const { container } = render(
+			<StagesCard
+				stages={ stages }
+				roles={ roles }
+				onChange={ vi.fn() }
+			/>
+		);
+
+		const names = [ ...container.querySelectorAll( '.vmfa-stage' ) ].map(
+			( row ) =>
+				row.querySelector( 'input:not([type="checkbox"])' )?.value ||
+				row.querySelector( 'strong' ).textContent
+		);
+
+		expect( names ).toEqual( [
+			'Needs Review',
+			'Legal',
+			'Brand',
+			'Approved',
+		] );
+		expect(
+			screen.queryByLabelText( 'Remove Needs Review' )
+		).not.toBeInTheDocument();
+		expect(
+			screen.getAllByLabelText( 'Legal Reviewer' )[ 1 ]
+		).toBeChecked();
+	} );
+
+	it( 'should reorder and remove stages', () => {
+		const onChange = vi.fn();
+		render(
+			<StagesCard
+				stages={ stages }
+				roles={ roles }
+				onChange={ onChange }
+			/>
+		);
+
+		fireEvent.click( screen.getAllByLabelText( 'Move down' )[ 0 ] );
+		expect( onChange ).toHaveBeenLastCalledWith( [
+			stages[ 0 ],
+			stages[ 2 ],
+			stages[ 1 ],
+		] );
+
+		fireEvent.click( screen.getByLabelText( 'Remove Brand' ) );
+		expect( onChange ).toHaveBeenLastCalledWith( [
+			stages[ 0 ],
+			stages[ 1 ],
+		] );
+	} );
+
+	it( 'should add stages and toggle reviewer roles', () => {
+		const onChange = vi.fn();
+		render(
+			<StagesCard
+				stages={ stages }
+				roles={ roles }
+				onChange={ onChange }
+			/>
+		);
+
+		fireEvent.click( screen.getByText( 'Add stage' ) );
+		expect( onChange ).toHaveBeenLastCalledWith( [
+			...stages,
+			{ key: '', name: '', roles: [] },
+		] );
+
+		fireEvent.click( screen.getAllByLabelText( 'Editor' )[ 2 ] );
+		expect( onChange ).toHaveBeenLastCalledWith( [
+			stages[ 0 ],
+			stages[ 1 ],
+			{ ...stages[ 2 ], roles: [ 'editor' ] },
+		] );
+	} );
+} );
@@ -18,7 +18,10 @@ import { __ } from '@wordpress/i18n';
 function StatItem( { value, label, color } ) {
 	return (
 		<div className="vmfa-stat-item">
-			<div className="vmfa-stat-value" style={ color ? { color } : undefined }>
+			<div
+				className="vmfa-stat-value"
+				style={ color ? { color } : undefined }
+			>
 				{ value }
 			</div>
 			<div className="vmfa-stat-label">{ label }</div>
@@ -40,6 +43,7 @@ export default function StatsCard( { stats = {} } ) {
 		totalMedia = 0,
 		needsReview = 0,
 		approved = 0,
+		overdue = 0,
 		rolesConfigured = 0,
 	} = stats;
 
@@ -59,6 +63,11 @@ export default function StatsCard( { stats = {} } ) {
 				label={ __( 'Approved', 'vmfa-editorial-workflow' ) }
 				color={ approved > 0 ? '#008a20' : undefined }
 			/>
+			<StatItem
+				value={ overdue }
+				label={ __( 'Overdue', 'vmfa-editorial-workflow' ) }
+				color={ overdue > 0 ? '#d63638' : undefined }
+			/>
 			<StatItem
 				value={ rolesConfigured }
 				label={ __( 'Roles Configured', 'vmfa-editorial-workflow' ) }
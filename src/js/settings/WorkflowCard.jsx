@@ -5,7 +5,12 @@
  */
 
 import { useMemo } from '@wordpress/element';
-import { CheckboxControl, SelectControl } from '@wordpress/components';
+import {
+	CheckboxControl,
+	SelectControl,
+	TextControl,
+	TextareaControl,
+} from '@wordpress/components';
 import { __ } from '@wordpress/i18n';
 import { buildFolderOptions } from './utils/buildFolderOptions';
 
@@ -28,6 +33,13 @@ export default function WorkflowCard( {
 	const {
 		editorsCanReview = true,
 		approvedFolder = '',
+		rejectionReasons = [],
+		undoWindow = 10,
+		recentDays = 7,
+		approvalsRequired = 1,
+		autoAssign = false,
+		slaWarning = 3,
+		slaOverdue = 7,
 	} = workflow;
 
 	/**
@@ -65,10 +77,84 @@ export default function WorkflowCard( {
 		} );
 	};
 
+	/**
+	 * Handle rejection reasons change (one reason per line).
+	 */
+	const handleRejectionReasonsChange = ( value ) => {
+		onChange( {
+			...workflow,
+			rejectionReasons: value.split( '\n' ),
+		} );
+	};
+
+	/**
+	 * Handle undo window change.
+	 */
+	const handleUndoWindowChange = ( value ) => {
+		onChange( {
+			...workflow,
+			undoWindow: Math.min(
+				120,
+				Math.max( 0, parseInt( value, 10 ) || 0 )
+			),
+		} );
+	};
+
+	/**
+	 * Handle review history length change.
+	 */
+	const handleRecentDaysChange = ( value ) => {
+		onChange( {
+			...workflow,
+			recentDays: Math.min(
+				90,
+				Math.max( 1, parseInt( value, 10 ) || 1 )
+			),
+		} );
+	};
+
+	/**
+	 * Handle approvals required change.
+	 */
+	const handleApprovalsRequiredChange = ( value ) => {
+		onChange( {
+			...workflow,
+			approvalsRequired: Math.min(
+				5,
+				Math.max( 1, parseInt( value, 10 ) || 1 )
+			),
+		} );
+	};
+
+	/**
+	 * Handle auto-assign toggle.
+	 */
+	const handleAutoAssignChange = ( value ) => {
+		onChange( {
+			...workflow,
+			autoAssign: value,
+		} );
+	};
+
+	/**
+	 * Handle an SLA threshold change.
+	 *
+	 * @param {string} key   Threshold key: 'slaWarning' or 'slaOverdue'.
+	 * @param {string} value Days.
+	 */
+	const handleSlaChange = ( key, value ) => {
+		onChange( {
+			...workflow,
+			[ key ]: Math.min( 365, Math.max( 0, parseInt( value, 10 ) || 0 ) ),
+		} );
+	};
+
 	return (
 		<div className="vmfa-card">
 			<div className="vmfa-card-header">
-				<h3>{ __( 'Workflow Settings', 'vmfa-editorial-workflow' ) }</h3>
+				<h3>
+					{ __( 'Workflow Settings', 'vmfa-editorial-workflow' ) }
+				</h3>
 			</div>
 
 			<div className="vmfa-card-body">
@@ -79,21 +165,145 @@ export default function WorkflowCard( {
 					) }
 				</p>
 
-					<div className="vmfa-workflow-settings">
+				<div className="vmfa-workflow-settings">
 					<SelectControl
-						label={ __( 'Approved folder', 'vmfa-editorial-workflow' ) }
-						help={ __( 'Destination folder for approved media.', 'vmfa-editorial-workflow' ) }
+						label={ __(
+							'Approved folder',
+							'vmfa-editorial-workflow'
+						) }
+						help={ __(
+							'Destination folder for approved media.',
+							'vmfa-editorial-workflow'
+						) }
 						value={ String( approvedFolder || '' ) }
 						options={ folderOptions }
 						onChange={ handleApprovedFolderChange }
 					/>
 
 					<CheckboxControl
-						label={ __( 'Allow Editors to review media', 'vmfa-editorial-workflow' ) }
-						help={ __( 'Editors can access the Review page. Otherwise, only Administrators can review.', 'vmfa-editorial-workflow' ) }
+						label={ __(
+							'Allow Editors to review media',
+							'vmfa-editorial-workflow'
+						) }
+						help={ __(
+							'Editors can access the Review page. Otherwise, only Administrators can review.',
+							'vmfa-editorial-workflow'
+						) }
 						checked={ editorsCanReview }
 						onChange={ handleEditorsCanReviewChange }
 					/>
+
+					<TextControl
+						type="number"
+						label={ __(
+							'Approvals required',
+							'vmfa-editorial-workflow'
+						) }
+						help={ __(
+							'How many different reviewers must approve an item before it moves to the Approved folder. Set to 2 or more for four-eyes approval.',
+							'vmfa-editorial-workflow'
+						) }
+						value={ String( approvalsRequired ) }
+						min={ 1 }
+						max={ 5 }
+						onChange={ handleApprovalsRequiredChange }
+					/>
+
+					<CheckboxControl
+						label={ __(
+							'Assign new uploads automatically',
+							'vmfa-editorial-workflow'
+						) }
+						help={ __(
+							'Share items entering review among the reviewers in turn. Reviewers can still claim or reassign items.',
+							'vmfa-editorial-workflow'
+						) }
+						checked={ autoAssign }
+						onChange={ handleAutoAssignChange }
+					/>
+
+					<div className="vmfa-sla-fields">
+						<TextControl
+							type="number"
+							label={ __(
+								'Flag items waiting (days)',
+								'vmfa-editorial-workflow'
+							) }
+							help={ __(
+								'Review cards are highlighted once an item has waited this long. Set to 0 to turn off.',
+								'vmfa-editorial-workflow'
+							) }
+							value={ String( slaWarning ) }
+							min={ 0 }
+							max={ 365 }
+							onChange={ ( value ) =>
+								handleSlaChange( 'slaWarning', value )
+							}
+						/>
+						<TextControl
+							type="number"
+							label={ __(
+								'Overdue after (days)',
+								'vmfa-editorial-workflow'
+							) }
+							help={ __(
+								'Items waiting this long are marked overdue and counted in the statistics. Set to 0 to turn off.',
+								'vmfa-editorial-workflow'
+							) }
+							value={ String( slaOverdue ) }
+							min={ 0 }
+							max={ 365 }
+							onChange={ ( value ) =>
+								handleSlaChange( 'slaOverdue', value )
+							}
+						/>
+					</div>
+
+					<TextareaControl
+						label={ __(
+							'Rejection reasons',
+							'vmfa-editorial-workflow'
+						) }
+						help={ __(
+							'Common reasons offered when rejecting media, one per line. Reviewers can always write their own.',
+							'vmfa-editorial-workflow'
+						) }
+						value={ rejectionReasons.join( '\n' ) }
+						onChange={ handleRejectionReasonsChange }
+						rows={ 4 }
+					/>
+
+					<TextControl
+						type="number"
+						label={ __(
+							'Undo window (seconds)',
+							'vmfa-editorial-workflow'
+						) }
+						help={ __(
+							'How long reviewers can undo an approve or move on the Review screen. Set to 0 to turn off undo.',
+							'vmfa-editorial-workflow'
+						) }
+						value={ String( undoWindow ) }
+						min={ 0 }
+						max={ 120 }
+						onChange={ handleUndoWindowChange }
+					/>
+
+					<TextControl
+						type="number"
+						label={ __(
+							'Review history (days)',
+							'vmfa-editorial-workflow'
+						) }
+						help={ __(
+							'How long approved and moved items stay in the Recently approved and Recently moved tabs of the Review screen, where they can be sent back to review.',
+							'vmfa-editorial-workflow'
+						) }
+						value={ String( recentDays ) }
+						min={ 1 }
+						max={ 90 }
+						onChange={ handleRecentDaysChange }
+					/>
 				</div>
 			</div>
 		</div>
@@ -0,0 +1,27 @@
+/**
+ * Save generated content as a file.
+ *
+ * @package VmfaEditorialWorkflow
+ */
+
+/**
+ * Save content as a file through the browser's download prompt.
+ *
+ * @param {string} filename File name.
+ * @param {string} content  File content.
+ * @param {string} type     MIME type.
+ */
+export function downloadFile( filename, content, type ) {
+	const url = window.URL.createObjectURL(
+		new window.Blob( [ content ], { type } )
+	);
+	const link = document.createElement( 'a' );
+
+	link.href = url;
+	link.download = filename;
+	document.body.appendChild( link );
+	link.click();
+	link.remove();
+
+	window.URL.revokeObjectURL( url );
+}
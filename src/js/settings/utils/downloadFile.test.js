@@ -0,0 +1,35 @@
+/**
+ * Tests for downloadFile utility.
+ *
+ * @package VmfaEditorialWorkflow
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { downloadFile } from './downloadFile';
+
+describe( 'downloadFile', () => {
+	afterEach( () => {
+		vi.restoreAllMocks();
+	} );
+
+	it( 'should download the content under the file name', () => {
+		window.URL.createObjectURL = vi.fn( () => 'blob:log' );
+		window.URL.revokeObjectURL = vi.fn();
+		const click = vi
+			.spyOn( window.HTMLAnchorElement.prototype, 'click' )
+			.mockImplementation( function () {
+				expect( this.download ).toBe( 'log.csv' );
+				expect( this.href ).toBe( 'blob:log' );
+			} );
+
+		downloadFile( 'log.csv', 'a,b\n', 'text/csv' );
+
+		const blob = window.URL.createObjectURL.mock.calls[ 0 ][ 0 ];
+
+		expect( click ).toHaveBeenCalledTimes( 1 );
+		expect( blob.type ).toBe( 'text/csv' );
+		expect( blob.size ).toBe( 4 );
+		expect( window.URL.revokeObjectURL ).toHaveBeenCalledWith( 'blob:log' );
+		expect( document.querySelector( 'a' ) ).toBeNull();
+	} );
+} );
@@ -0,0 +1,460 @@
+/**
+ * Submissions App component.
+ *
+ * @package VmfaEditorialWorkflow
+ */
+
+import { useState, useEffect } from '@wordpress/element';
+import {
+	Button,
+	FormFileUpload,
+	Notice,
+	Spinner,
+	TextControl,
+} from '@wordpress/components';
+import apiFetch from '@wordpress/api-fetch';
+import { __, sprintf } from '@wordpress/i18n';
+
+/**
+ * Delay before a typed search is applied, in milliseconds.
+ *
+ * @type {number}
+ */
+const DEBOUNCE_DELAY = 400;
+
+/**
+ * Labels for the submission statuses, in tab order.
+ *
+ * @type {Object<string, string>}
+ */
+const STATUS_LABELS = {
+	pending: __( 'Pending', 'vmfa-editorial-workflow' ),
+	scheduled: __( 'Scheduled', 'vmfa-editorial-workflow' ),
+	approved: __( 'Approved', 'vmfa-editorial-workflow' ),
+	moved: __( 'Moved', 'vmfa-editorial-workflow' ),
+	rejected: __( 'Rejected', 'vmfa-editorial-workflow' ),
+};
+
+/**
+ * Describe where a submission is.
+ *
+ * @param {Object} item Submission.
+ * @return {string} Folder name, with the review stage for pending items.
+ */
+function describeLocation( item ) {
+	const folder = item.folder?.name || '';
+
+	if ( item.status === 'pending' && item.stage && item.stage !== folder ) {
+		return sprintf(
+			/* translators: 1: review stage name, 2: folder name */
+			__( '%1$s (in %2$s)', 'vmfa-editorial-workflow' ),
+			item.stage,
+			folder
+		);
+	}
+
+	return folder;
+}
+
+/**
+ * Button that replaces the file of a returned submission and sends it back to review.
+ *
+ * @param {Object}   props            Component props.
+ * @param {Object}   props.item       Rejected submission.
+ * @param {Function} props.onComplete Called with a notice once the request finishes.
+ * @return {JSX.Element} Resubmit button.
+ */
+function ResubmitButton( { item, onComplete } ) {
+	const [ isUploading, setIsUploading ] = useState( false );
+
+	/**
+	 * Upload the chosen file.
+	 *
+	 * @param {Event} event File input change event.
+	 */
+	const upload = async ( event ) => {
+		const file = event.target.files?.[ 0 ];
+
+		if ( ! file ) {
+			return;
+		}
+
+		const body = new window.FormData();
+		body.append( 'file', file );
+
+		setIsUploading( true );
+		try {
+			await apiFetch( {
+				path: `/vmfa-editorial/v1/submissions/${ item.id }/resubmit`,
+				method: 'POST',
+				body,
+			} );
+			onComplete( {
+				status: 'success',
+				message: __(
+					'The new file was sent back for review.',
+					'vmfa-editorial-workflow'
+				),
+			} );
+		} catch ( error ) {
+			onComplete( {
+				status: 'error',
+				message:
+					error.message ||
+					__(
+						'The file could not be replaced.',
+						'vmfa-editorial-workflow'
+					),
+			} );
+		} finally {
+			setIsUploading( false );
+		}
+	};
+
+	return (
+		<FormFileUpload
+			className="vmfa-submission-resubmit"
+			variant="secondary"
+			size="small"
+			accept={
+				item.mimeType
+					? `${ item.mimeType.split( '/' )[ 0 ] }/*`
+					: undefined
+			}
+			onChange={ upload }
+			disabled={ isUploading }
+			isBusy={ isUploading }
+		>
+			{ isUploading
+				? __( 'Uploading…', 'vmfa-editorial-workflow' )
+				: __( 'Replace file and resubmit', 'vmfa-editorial-workflow' ) }
+		</FormFileUpload>
+	);
+}
+
+/**
+ * "My Submissions" app.
+ *
+ * Lists the current user's uploads with their workflow status, folder,
+ * reviewer and reviewer notes, filtered by status and search term.
+ *
+ * @return {JSX.Element} Submissions app.
+ */
+export default function SubmissionsApp() {
+	const { perPage = 20 } = window.vmfaSubmissions || {};
+
+	const [ status, setStatus ] = useState( '' );
+	const [ search, setSearch ] = useState( '' );
+	const [ appliedSearch, setAppliedSearch ] = useState( '' );
+	const [ page, setPage ] = useState( 1 );
+	const [ result, setResult ] = useState( {
+		items: [],
+		total: 0,
+		totalPages: 0,
+		counts: {},
+	} );
+	const [ isLoading, setIsLoading ] = useState( true );
+	const [ error, setError ] = useState( '' );
+	const [ notice, setNotice ] = useState( null );
+	const [ reloadKey, setReloadKey ] = useState( 0 );
+
+	useEffect( () => {
+		if ( search === appliedSearch ) {
+			return;
+		}
+
+		const timer = setTimeout( () => {
+			setAppliedSearch( search );
+			setPage( 1 );
+		}, DEBOUNCE_DELAY );
+		return () => clearTimeout( timer );
+	}, [ search ] ); // eslint-disable-line react-hooks/exhaustive-deps
+
+	useEffect( () => {
+		let isCurrent = true;
+		const params = { page, per_page: perPage };
+
+		if ( status ) {
+			params.status = status;
+		}
+		if ( appliedSearch ) {
+			params.search = appliedSearch;
+		}
+
+		setIsLoading( true );
+		apiFetch( {
+			path: `/vmfa-editorial/v1/submissions?${ new URLSearchParams(
+				params
+			).toString() }`,
+		} )
+			.then( ( response ) => {
+				if ( isCurrent ) {
+					setResult( response );
+					setError( '' );
+				}
+			} )
+			.catch( ( fetchError ) => {
+				if ( isCurrent ) {
+					setError( fetchError.message );
+				}
+			} )
+			.finally( () => {
+				if ( isCurrent ) {
+					setIsLoading( false );
+				}
+			} );
+
+		return () => {
+			isCurrent = false;
+		};
+	}, [ status, appliedSearch, page, perPage, reloadKey ] );
+
+	/**
+	 * Show submissions with a status.
+	 *
+	 * @param {string} newStatus Status, or '' for all.
+	 */
+	const selectStatus = ( newStatus ) => {
+		setStatus( newStatus );
+		setPage( 1 );
+	};
+
+	/**
+	 * Show the outcome of a resubmission and refresh the list.
+	 *
+	 * @param {Object} newNotice Notice with status and message.
+	 */
+	const finishResubmit = ( newNotice ) => {
+		setNotice( newNotice );
+		if ( newNotice.status === 'success' ) {
+			setReloadKey( ( key ) => key + 1 );
+		}
+	};
+
+	const counts = result.counts || {};
+	const filters = [
+		{
+			key: '',
+			label: __( 'All', 'vmfa-editorial-workflow' ),
+			count: Object.values( counts ).reduce(
+				( sum, count ) => sum + count,
+				0
+			),
+		},
+		...Object.entries( STATUS_LABELS ).map( ( [ key, label ] ) => ( {
+			key,
+			label,
+			count: counts[ key ] || 0,
+		} ) ),
+	];
+
+	return (
+		<div className="vmfa-submissions">
+			<h1>{ __( 'My Submissions', 'vmfa-editorial-workflow' ) }</h1>
+
+			<div className="vmfa-submissions-toolbar">
+				<ul className="subsubsub vmfa-submissions-statuses">
+					{ filters.map( ( { key, label, count } ) => (
+						<li key={ key || 'all' }>
+							<Button
+								variant="link"
+								className={ status === key ? 'current' : '' }
+								aria-current={
+									status === key ? 'page' : undefined
+								}
+								onClick={ () => selectStatus( key ) }
+							>
+								{ label }{ ' ' }
+								<span className="count">({ count })</span>
+							</Button>
+						</li>
+					) ) }
+				</ul>
+
+				<TextControl
+					className="vmfa-submissions-search"
+					type="search"
+					label={ __( 'Search', 'vmfa-editorial-workflow' ) }
+					hideLabelFromVision
+					placeholder={ __(
+						'Title or filename',
+						'vmfa-editorial-workflow'
+					) }
+					value={ search }
+					onChange={ setSearch }
+					__nextHasNoMarginBottom
+				/>
+			</div>
+
+			{ notice && (
+				<Notice
+					status={ notice.status }
+					onRemove={ () => setNotice( null ) }
+				>
+					{ notice.message }
+				</Notice>
+			) }
+
+			{ error && (
+				<Notice status="error" isDismissible={ false }>
+					{ error }
+				</Notice>
+			) }
+
+			{ isLoading && <Spinner /> }
+
+			{ ! isLoading && ! error && result.items.length === 0 && (
+				<p className="vmfa-submissions-empty">
+					{ status || appliedSearch
+						? __(
+								'No submissions match.',
+								'vmfa-editorial-workflow'
+						  )
+						: __(
+								'You have not submitted any media yet.',
+								'vmfa-editorial-workflow'
+						  ) }
+				</p>
+			) }
+
+			{ ! isLoading && result.items.length > 0 && (
+				<table className="wp-list-table widefat striped vmfa-submissions-table">
+					<thead>
+						<tr>
+							<th className="column-thumbnail">
+								<span className="screen-reader-text">
+									{ __(
+										'Thumbnail',
+										'vmfa-editorial-workflow'
+									) }
+								</span>
+							</th>
+							<th>{ __( 'File', 'vmfa-editorial-workflow' ) }</th>
+							<th>
+								{ __( 'Status', 'vmfa-editorial-workflow' ) }
+							</th>
+							<th>
+								{ __( 'Folder', 'vmfa-editorial-workflow' ) }
+							</th>
+							<th>
+								{ __( 'Reviewer', 'vmfa-editorial-workflow' ) }
+							</th>
+							<th>
+								{ __( 'Notes', 'vmfa-editorial-workflow' ) }
+							</th>
+							<th>
+								{ __( 'Uploaded', 'vmfa-editorial-workflow' ) }
+							</th>
+						</tr>
+					</thead>
+					<tbody>
+						{ result.items.map( ( item ) => (
+							<tr key={ item.id }>
+								<td className="column-thumbnail">
+									{ item.thumbnail ? (
+										<img src={ item.thumbnail } alt="" />
+									) : (
+										<span
+											className="dashicons dashicons-media-default"
+											aria-hidden="true"
+										/>
+									) }
+								</td>
+								<td>
+									<a href={ item.editLink }>
+										{ item.title || item.filename }
+									</a>
+									{ item.title && item.filename && (
+										<span className="vmfa-submissions-filename">
+											{ item.filename }
+										</span>
+									) }
+								</td>
+								<td>
+									<span
+										className={ `vmfa-submission-status is-${ item.status }` }
+									>
+										{ STATUS_LABELS[ item.status ] ||
+											item.status }
+									</span>
+									{ item.resubmitted && (
+										<span className="vmfa-submission-resubmitted">
+											{ __(
+												'Resubmitted',
+												'vmfa-editorial-workflow'
+											) }
+										</span>
+									) }
+									{ item.status === 'rejected' && (
+										<ResubmitButton
+											item={ item }
+											onComplete={ finishResubmit }
+										/>
+									) }
+								</td>
+								<td>{ describeLocation( item ) }</td>
+								<td>{ item.reviewer?.name || '—' }</td>
+								<td>
+									{ item.notes.length > 0 ? (
+										<ul className="vmfa-submission-notes">
+											{ item.notes.map(
+												( note, index ) => (
+													<li
+														key={ index }
+														className={ `is-${ note.type }` }
+													>
+														<strong>
+															{ note.author }:
+														</strong>{ ' ' }
+														{ note.content }
+													</li>
+												)
+											) }
+										</ul>
+									) : (
+										'—'
+									) }
+								</td>
+								<td>
+									<time dateTime={ item.date }>
+										{ item.dateLabel }
+									</time>
+								</td>
+							</tr>
+						) ) }
+					</tbody>
+				</table>
+			) }
+
+			{ result.totalPages > 1 && (
+				<div className="vmfa-submissions-pagination">
+					<Button
+						variant="secondary"
+						onClick={ () => setPage( page - 1 ) }
+						disabled={ isLoading || page <= 1 }
+					>
+						{ __( 'Previous', 'vmfa-editorial-workflow' ) }
+					</Button>
+					<span>
+						{ sprintf(
+							/* translators: 1: current page, 2: number of pages */
+							__(
+								'Page %1$d of %2$d',
+								'vmfa-editorial-workflow'
+							),
+							page,
+							result.totalPages
+						) }
+					</span>
+					<Button
+						variant="secondary"
+						onClick={ () => setPage( page + 1 ) }
+						disabled={ isLoading || page >= result.totalPages }
+					>
+						{ __( 'Next', 'vmfa-editorial-workflow' ) }
+					</Button>
+				</div>
+			) }
+		</div>
+	);
+}
@@ -0,0 +1,196 @@
+/**
+ * Tests for SubmissionsApp component.
+ *
+ * @package VmfaEditorialWorkflow
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import apiFetch from '@wordpress/api-fetch';
+import SubmissionsApp from './SubmissionsApp';
+
+// Mock WordPress packages
+vi.mock( '@wordpress/api-fetch', () => ( {
+	default: vi.fn(),
+} ) );
+
+vi.mock( '@wordpress/components', () => import( '../test-utils/components' ) );
+
+vi.mock( '@wordpress/i18n', () => import( '../test-utils/i18n' ) );
+
+describe( 'SubmissionsApp', () => {
+	const submissions = {
+		items: [
+			{
+				id: 11,
+				title: 'Harbour',
+				filename: 'harbour.jpg',
+				date: '2026-01-02T10:00:00+00:00',
+				dateLabel: 'January 2, 2026',
+				isImage: true,
+				thumbnail: 'https://example.com/harbour-150x150.jpg',
+				editLink:
+					'https://example.com/wp-admin/post.php?post=11&action=edit',
+				status: 'pending',
+				stage: 'Legal',
+				folder: { id: 4, name: 'Needs Review' },
+				reviewer: { id: 3, name: 'Editor' },
+				notes: [],
+			},
+			{
+				id: 12,
+				title: 'Boat',
+				filename: 'boat.jpg',
+				date: '2026-01-01T10:00:00+00:00',
+				dateLabel: 'January 1, 2026',
+				mimeType: 'image/jpeg',
+				isImage: true,
+				thumbnail: '',
+				editLink:
+					'https://example.com/wp-admin/post.php?post=12&action=edit',
+				status: 'rejected',
+				stage: null,
+				folder: { id: 6, name: 'Rejected' },
+				reviewer: { id: 3, name: 'Editor' },
+				notes: [
+					{
+						type: 'rejection',
+						content: 'Out of focus',
+						author: 'Editor',
+						date: '',
+					},
+				],
+			},
+		],
+		total: 2,
+		totalPages: 1,
+		counts: {
+			pending: 1,
+			scheduled: 0,
+			approved: 3,
+			moved: 0,
+			rejected: 1,
+		},
+	};
+
+	beforeEach( () => {
+		vi.clearAllMocks();
+		apiFetch.mockResolvedValue( submissions );
+	} );
+
+	it( 'lists submissions with status, folder, reviewer and notes', async () => {
+		render( <SubmissionsApp /> );
+
+		expect( await screen.findByText( 'Harbour' ) ).toBeInTheDocument();
+		expect(
+			screen.getByText( 'Legal (in Needs Review)' )
+		).toBeInTheDocument();
+		expect( screen.getAllByText( 'Editor' ) ).toHaveLength( 2 );
+		expect( screen.getByText( 'Out of focus' ) ).toBeInTheDocument();
+		expect( screen.getByRole( 'link', { name: 'Boat' } ) ).toHaveAttribute(
+			'href',
+			'https://example.com/wp-admin/post.php?post=12&action=edit'
+		);
+		expect( apiFetch ).toHaveBeenCalledWith( {
+			path: '/vmfa-editorial/v1/submissions?page=1&per_page=20',
+		} );
+	} );
+
+	it( 'shows per-status counts and filters by status', async () => {
+		render( <SubmissionsApp /> );
+
+		expect( await screen.findByText( '(5)' ) ).toBeInTheDocument();
+
+		fireEvent.click( screen.getByRole( 'button', { name: /Approved/ } ) );
+
+		await waitFor( () =>
+			expect( apiFetch ).toHaveBeenLastCalledWith( {
+				path: '/vmfa-editorial/v1/submissions?page=1&per_page=20&status=approved',
+			} )
+		);
+	} );
+
+	it( 'shows items waiting for their release as scheduled', async () => {
+		apiFetch.mockResolvedValue( {
+			...submissions,
+			items: [
+				{
+					...submissions.items[ 0 ],
+					status: 'scheduled',
+					stage: '',
+					folder: { id: 9, name: 'Scheduled' },
+				},
+			],
+			counts: { ...submissions.counts, scheduled: 1 },
+		} );
+		render( <SubmissionsApp /> );
+
+		await screen.findByText( 'Harbour' );
+
+		expect(
+			document.querySelector( '.vmfa-submission-status.is-scheduled' )
+		).toHaveTextContent( 'Scheduled' );
+		expect(
+			screen.queryByText( 'Approved', {
+				selector: '.vmfa-submission-status',
+			} )
+		).not.toBeInTheDocument();
+	} );
+
+	it( 'applies the search after typing stops', async () => {
+		render( <SubmissionsApp /> );
+		await screen.findByText( 'Harbour' );
+
+		fireEvent.change( screen.getByLabelText( 'Search' ), {
+			target: { value: 'boat' },
+		} );
+
+		await waitFor( () =>
+			expect( apiFetch ).toHaveBeenLastCalledWith( {
+				path: '/vmfa-editorial/v1/submissions?page=1&per_page=20&search=boat',
+			} )
+		);
+	} );
+
+	it( 'replaces the file of a rejected submission and reloads the list', async () => {
+		render( <SubmissionsApp /> );
+		await screen.findByText( 'Boat' );
+
+		const input = screen.getByLabelText( 'Replace file and resubmit' );
+		expect( input ).toHaveAttribute( 'accept', 'image/*' );
+
+		apiFetch.mockResolvedValueOnce( {} );
+		const file = new window.File( [ 'new' ], 'boat-v2.jpg', {
+			type: 'image/jpeg',
+		} );
+		fireEvent.change( input, { target: { files: [ file ] } } );
+
+		expect(
+			await screen.findByText( 'The new file was sent back for review.' )
+		).toBeInTheDocument();
+
+		const request = apiFetch.mock.calls.find(
+			( [ options ] ) => options.method === 'POST'
+		)[ 0 ];
+		expect( request.path ).toBe(
+			'/vmfa-editorial/v1/submissions/12/resubmit'
+		);
+		expect( request.body.get( 'file' ).name ).toBe( 'boat-v2.jpg' );
+		await waitFor( () => expect( apiFetch ).toHaveBeenCalledTimes( 3 ) );
+	} );
+
+	it( 'shows an empty state', async () => {
+		apiFetch.mockResolvedValue( {
+			items: [],
+			total: 0,
+			totalPages: 0,
+			counts: {},
+		} );
+
+		render( <SubmissionsApp /> );
+
+		expect(
+			await screen.findByText( 'You have not submitted any media yet.' )
+		).toBeInTheDocument();
+	} );
+} );
@@ -0,0 +1,18 @@
+/**
+ * Submissions page entry point.
+ *
+ * @package VmfaEditorialWorkflow
+ */
+
+import { createRoot } from '@wordpress/element';
+import SubmissionsApp from './SubmissionsApp';
+import '../../css/submissions.css';
+
+document.addEventListener( 'DOMContentLoaded', () => {
+	const container = document.getElementById( 'vmfa-submissions-root' );
+
+	if ( container ) {
+		const root = createRoot( container );
+		root.render( <SubmissionsApp /> );
+	}
+} );
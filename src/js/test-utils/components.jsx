@@ -0,0 +1,117 @@
+/**
+ * Mock @wordpress/components controls for tests.
+ *
+ * Each control renders the plain element it wraps, labelled so tests can
+ * find it by its label:
+ *
+ *     vi.mock( '@wordpress/components', () => import( '../test-utils/components' ) );
+ *
+ * @package VmfaEditorialWorkflow
+ */
+
+import { useId } from '@wordpress/element';
+
+export const Button = ( {
+	label,
+	children,
+	onClick,
+	disabled,
+	type = 'button',
+} ) => (
+	<button
+		type={ type }
+		aria-label={ label }
+		onClick={ onClick }
+		disabled={ disabled }
+	>
+		{ children }
+	</button>
+);
+
+export const CheckboxControl = ( { label, checked, onChange } ) => {
+	const id = useId();
+
+	return (
+		<>
+			<input
+				id={ id }
+				type="checkbox"
+				checked={ checked }
+				onChange={ ( e ) => onChange( e.target.checked ) }
+			/>
+			<label htmlFor={ id }>{ label }</label>
+		</>
+	);
+};
+
+export const FormFileUpload = ( { children, accept, onChange } ) => {
+	const id = useId();
+
+	return (
+		<>
+			<label htmlFor={ id }>{ children }</label>
+			<input
+				id={ id }
+				type="file"
+				accept={ accept }
+				onChange={ onChange }
+			/>
+		</>
+	);
+};
+
+export const Notice = ( { children } ) => <div role="alert">{ children }</div>;
+
+export const SelectControl = ( { label, value, options, onChange } ) => {
+	const id = useId();
+
+	return (
+		<>
+			<label htmlFor={ id }>{ label }</label>
+			<select
+				id={ id }
+				value={ value }
+				onChange={ ( e ) => onChange( e.target.value ) }
+			>
+				{ options.map( ( opt ) => (
+					<option key={ opt.value } value={ opt.value }>
+						{ opt.label }
+					</option>
+				) ) }
+			</select>
+		</>
+	);
+};
+
+export const Spinner = () => <span>Loading</span>;
+
+export const TextControl = ( { label, type, value, onChange } ) => {
+	const id = useId();
+
+	return (
+		<>
+			<label htmlFor={ id }>{ label }</label>
+			<input
+				id={ id }
+				type={ type }
+				value={ value }
+				onChange={ ( e ) => onChange( e.target.value ) }
+			/>
+		</>
+	);
+};
+
+export const TextareaControl = ( { label, value, onChange } ) => {
+	const id = useId();
+
+	return (
+		<>
+			<label htmlFor={ id }>{ label }</label>
+			<textarea
+				id={ id }
+				value={ value }
+				onChange={ ( e ) => onChange( e.target.value ) }
+			/>
+		</>
+	);
+};
@@ -0,0 +1,28 @@
+/**
+ * Mock @wordpress/i18n for tests: strings are returned untranslated.
+ *
+ *     vi.mock( '@wordpress/i18n', () => import( '../test-utils/i18n' ) );
+ *
+ * @package VmfaEditorialWorkflow
+ */
+
+export const __ = ( str ) => str;
+
+export const _n = ( single, plural, count ) =>
+	count === 1 ? single : plural;
+
+/**
+ * Fill in numbered (`%1$s`) and then plain (`%s`, `%d`) placeholders.
+ *
+ * @param {string} format Format string.
+ * @param {...*}   args   Values.
+ * @return {string} Formatted string.
+ */
+export const sprintf = ( format, ...args ) =>
+	args.reduce(
+		( str, arg, i ) =>
+			str.includes( `%${ i + 1 }$` )
+				? str.replace( new RegExp( `%${ i + 1 }\\$[ds]` ), arg )
+				: str.replace( /%[ds]/, arg ),
+		format
+	);
@@ -23,7 +23,8 @@ defined( 'ABSPATH' ) || exit;
 /**
  * Access Enforcer class.
  *
- * Hooks into REST, AJAX, and admin to enforce folder permissions.
+ * Hooks into REST, AJAX, and admin to enforce folder permissions, and
+ * keeps items held for a scheduled release away from non-reviewers.
  */
 class AccessEnforcer {
 
@@ -34,6 +35,21 @@ class AccessEnforcer {
 	 */
 	private AccessChecker $access_checker;
 
+	/**
+	 * Workflow state instance.
+	 *
+	 * @var WorkflowState
+	 */
+	private WorkflowState $workflow_state;
+
+	/**
+	 * Whether the Scheduled folder is being looked up. Looking it up runs
+	 * a term query of its own, which must not be filtered again.
+	 *
+	 * @var bool
+	 */
+	private bool $finding_scheduled_folder = false;
+
 	/**
 	 * VMF REST namespace.
 	 *
@@ -45,9 +61,11 @@ class AccessEnforcer {
 	 * Constructor.
 	 *
 	 * @param AccessChecker $access_checker Access checker instance.
+	 * @param WorkflowState $workflow_state Workflow state instance.
 	 */
-	public function __construct( AccessChecker $access_checker ) {
+	public function __construct( AccessChecker $access_checker, WorkflowState $workflow_state ) {
 		$this->access_checker = $access_checker;
+		$this->workflow_state = $workflow_state;
 	}
 
 	/**
@@ -69,6 +87,11 @@ class AccessEnforcer {
 		// Admin folder list filtering.
 		add_filter( 'get_terms', array( $this, 'filter_folder_terms' ), 10, 4 );
 
+		// Scheduled releases stay hidden from non-reviewers until released.
+		add_filter( 'ajax_query_attachments_args', array( $this, 'hide_scheduled_media' ), 21 );
+		add_filter( 'rest_attachment_query', array( $this, 'hide_scheduled_media' ), 21 );
+		add_filter( 'get_terms', array( $this, 'hide_scheduled_folder' ), 11, 2 );
+
 		// AJAX move enforcement - intercept VMF drag-drop and bulk move actions.
 		add_action( 'wp_ajax_vmfo_move_to_folder', array( $this, 'enforce_ajax_move_permission' ), 1 );
 		add_action( 'wp_ajax_vmfo_bulk_move_to_folder', array( $this, 'enforce_ajax_move_permission' ), 1 );
@@ -278,6 +301,8 @@ class AccessEnforcer {
 			// POST = adding media to folder.
 			if ( 'POST' === $method ) {
 				if ( ! $this->access_checker->can_move_to_folder( $folder_id ) ) {
+					$this->record_denial( 'move', $folder_id );
+
 					return new WP_Error(
 						'vmfa_permission_denied',
 						__( 'You do not have permission to add media to this folder.', 'vmfa-editorial-workflow' ),
@@ -287,6 +312,21 @@ class AccessEnforcer {
 			}
 		}
 
+		// Match /wp/v2/media/{id} routes for items held for a scheduled release.
+		if ( preg_match( '#^/wp/v2/media/(\d+)$#', $route, $matches ) && 'GET' === $method ) {
+			$folder_id = (int) $this->workflow_state->get_scheduled_folder();
+
+			if ( $folder_id && ! $this->workflow_state->current_user_can_review() && $this->workflow_state->is_scheduled( (int) $matches[ 1 ] ) ) {
+				$this->record_denial( 'view', $folder_id );
+
+				return new WP_Error(
+					'vmfa_permission_denied',
+					__( 'This item is not released yet.', 'vmfa-editorial-workflow' ),
+					array( 'status' => 403 )
+				);
+			}
+		}
+
 		// Match /vmfo/v1/folders/{id} routes for single folder operations.
 		if ( preg_match( '#^/vmfo/v1/folders/(\d+)$#', $route, $matches ) ) {
 			$folder_id = (int) $matches[ 1 ];
@@ -294,6 +334,8 @@ class AccessEnforcer {
 			// GET = viewing folder.
 			if ( 'GET' === $method ) {
 				if ( ! $this->access_checker->can_view_folder( $folder_id ) ) {
+					$this->record_denial( 'view', $folder_id );
+
 					return new WP_Error(
 						'vmfa_permission_denied',
 						__( 'You do not have permission to view this folder.', 'vmfa-editorial-workflow' ),
@@ -345,6 +387,8 @@ class AccessEnforcer {
 		$target_folder_id = absint( $target_folder );
 
 		if ( ! $this->access_checker->can_move_to_folder( $target_folder_id, $user_id ) ) {
+			$this->record_denial( 'move', $target_folder_id );
+
 			wp_send_json_error(
 				array(
 					'message' => __( 'You do not have permission to move media to this folder.', 'vmfa-editorial-workflow' ),
@@ -354,6 +398,24 @@ class AccessEnforcer {
 		}
 	}
 
+	/**
+	 * Announce an operation refused by the folder permissions.
+	 *
+	 * @param string $operation Refused operation: 'view', 'move' or 'delete'.
+	 * @param int    $folder_id Folder term ID.
+	 * @return void
+	 */
+	private function record_denial( string $operation, int $folder_id ): void {
+		/**
+		 * Fires when the folder permissions refuse an operation.
+		 *
+		 * @param string $operation Refused operation: 'view', 'move' or 'delete'.
+		 * @param int    $folder_id Folder term ID.
+		 * @param int    $user_id   User who was refused.
+		 */
+		do_action( 'vmfa_access_denied', $operation, $folder_id, get_current_user_id() );
+	}
+
 	/**
 	 * Get folder IDs for a media attachment.
 	 *
@@ -451,6 +513,73 @@ class AccessEnforcer {
 		return $this->filter_media_query_args( $args );
 	}
 
+	/**
+	 * Leave items held for a scheduled release out of media queries for
+	 * users who cannot review. Used for both the AJAX and REST queries.
+	 *
+	 * @param array $query Query arguments.
+	 * @return array Modified query arguments.
+	 */
+	public function hide_scheduled_media( array $query ): array {
+		$folder_id = $this->workflow_state->get_scheduled_folder();
+
+		if ( ! $folder_id || $this->workflow_state->current_user_can_review() ) {
+			return $query;
+		}
+
+		$taxonomy = defined( 'VirtualMediaFolders\Taxonomy::TAXONOMY' )
+			? \VirtualMediaFolders\Taxonomy::TAXONOMY
+			: 'vmfo_folder';
+
+		$hidden = array(
+			'taxonomy' => $taxonomy,
+			'field'    => 'term_id',
+			'terms'    => array( $folder_id ),
+			'operator' => 'NOT IN',
+		);
+
+		$query[ 'tax_query' ] = ! empty( $query[ 'tax_query' ] ) && is_array( $query[ 'tax_query' ] )
+			? array( 'relation' => 'AND', $query[ 'tax_query' ], $hidden )
+			: array( $hidden );
+
+		return $query;
+	}
+
+	/**
+	 * Hide the Scheduled folder from users who cannot review.
+	 *
+	 * @param array      $terms      Array of found terms.
+	 * @param array|null $taxonomies Array of taxonomies.
+	 * @return array Filtered terms.
+	 */
+	public function hide_scheduled_folder( array $terms, ?array $taxonomies ): array {
+		$taxonomy = defined( 'VirtualMediaFolders\Taxonomy::TAXONOMY' )
+			? \VirtualMediaFolders\Taxonomy::TAXONOMY
+			: 'vmfo_folder';
+
+		if ( $this->finding_scheduled_folder || ! is_array( $taxonomies ) || ! in_array( $taxonomy, $taxonomies, true ) ) {
+			return $terms;
+		}
+
+		$this->finding_scheduled_folder = true;
+		$folder_id                      = $this->workflow_state->current_user_can_review() ? null : $this->workflow_state->get_scheduled_folder();
+		$this->finding_scheduled_folder = false;
+
+		if ( ! $folder_id ) {
+			return $terms;
+		}
+
+		return array_filter(
+			$terms,
+			function ( $term ) use ( $folder_id ) {
+				if ( is_object( $term ) && isset( $term->term_id ) ) {
+					return $folder_id !== (int) $term->term_id;
+				}
+				return ! is_numeric( $term ) || $folder_id !== (int) $term;
+			}
+		);
+	}
+
 	/**
 	 * Filter folder terms in admin to hide inaccessible folders.
 	 *
@@ -528,6 +657,8 @@ class AccessEnforcer {
 
 		// Check delete permission.
 		if ( ! $this->access_checker->can_delete_folder( $folder_id, $user_id ) ) {
+			$this->record_denial( 'delete', $folder_id );
+
 			return new \WP_Error(
 				'vmfa_permission_denied',
 				__( 'You do not have permission to delete this folder.', 'vmfa-editorial-workflow' )
@@ -0,0 +1,243 @@
+<?php
+/**
+ * Attachment History Admin.
+ *
+ * Shows an attachment's workflow history as a timeline.
+ *
+ * @package VmfaEditorialWorkflow
+ */
+
+declare(strict_types=1);
+
+namespace VmfaEditorialWorkflow\Admin;
+
+use VmfaEditorialWorkflow\Services\HistoryService;
+use WP_Post;
+
+// Prevent direct access.
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * Attachment History class.
+ *
+ * Adds the timeline as an attachment field, which WordPress shows both on
+ * the attachment edit screen and in the media modal's Attachment Details
+ * sidebar.
+ */
+class AttachmentHistory {
+
+	/**
+	 * History service instance.
+	 *
+	 * @var HistoryService
+	 */
+	private HistoryService $history_service;
+
+	/**
+	 * Constructor.
+	 *
+	 * @param HistoryService $history_service History service instance.
+	 */
+	public function __construct( HistoryService $history_service ) {
+		$this->history_service = $history_service;
+
+		$this->init_hooks();
+	}
+
+	/**
+	 * Initialize hooks.
+	 *
+	 * @return void
+	 */
+	private function init_hooks(): void {
+		add_filter( 'attachment_fields_to_edit', [ $this, 'add_history_field' ], 10, 2 );
+		add_action( 'wp_enqueue_media', [ $this, 'enqueue_styles' ] );
+		add_action( 'admin_enqueue_scripts', [ $this, 'enqueue_edit_screen_styles' ] );
+	}
+
+	/**
+	 * Add the workflow history to the attachment fields.
+	 *
+	 * @param array   $form_fields Attachment form fields.
+	 * @param WP_Post $post        Attachment.
+	 * @return array Form fields.
+	 */
+	public function add_history_field( array $form_fields, WP_Post $post ): array {
+		$history = $this->history_service->get_history( $post->ID );
+
+		if ( ! $history ) {
+			return $form_fields;
+		}
+
+		$form_fields[ 'vmfa_history' ] = [
+			'label'         => __( 'Workflow history', 'vmfa-editorial-workflow' ),
+			'input'         => 'html',
+			'html'          => $this->render_timeline( $history ),
+			'show_in_edit'  => true,
+			'show_in_modal' => true,
+		];
+
+		return $form_fields;
+	}
+
+	/**
+	 * Render history entries as a timeline, newest first.
+	 *
+	 * @param array $history History entries from HistoryService::get_history().
+	 * @return string Timeline markup.
+	 */
+	public function render_timeline( array $history ): string {
+		$format = get_option( 'date_format' ) . ' ' . get_option( 'time_format' );
+		$html   = '<ol class="vmfa-history">';
+
+		foreach ( array_reverse( $history ) as $entry ) {
+			$user_id = (int) ( $entry[ 'user_id' ] ?? 0 );
+			$user    = $user_id ? get_the_author_meta( 'display_name', $user_id ) : '';
+			$time    = (int) strtotime( $entry[ 'date' ] . ' UTC' );
+
+			$html .= sprintf(
+				'<li class="vmfa-history-entry is-%1$s"><span class="vmfa-history-label">%2$s</span><span class="vmfa-history-meta">%3$s<time datetime="%4$s">%5$s</time></span></li>',
+				esc_attr( $entry[ 'event' ] ),
+				esc_html( $this->get_entry_label( $entry ) ),
+				$user ? esc_html( $user ) . ' &middot; ' : '',
+				esc_attr( gmdate( 'c', $time ) ),
+				esc_html( wp_date( $format, $time ) )
+			);
+		}
+
+		return $html . '</ol>';
+	}
+
+	/**
+	 * Describe a history entry.
+	 *
+	 * @param array $entry History entry.
+	 * @return string Description.
+	 */
+	public function get_entry_label( array $entry ): string {
+		$folder = (string) ( $entry[ 'folder_name' ] ?? '' );
+
+		switch ( $entry[ 'event' ] ) {
+			case 'inbox':
+				/* translators: %s: inbox folder name */
+				return sprintf( __( 'Uploaded to %s', 'vmfa-editorial-workflow' ), $folder );
+
+			case 'needs_review':
+				return __( 'Sent for review', 'vmfa-editorial-workflow' );
+
+			case 'approval':
+				return sprintf(
+					/* translators: 1: number of approvals so far, 2: number of approvals required */
+					__( 'Approved (%1$d of %2$d approvals)', 'vmfa-editorial-workflow' ),
+					(int) ( $entry[ 'count' ] ?? 0 ),
+					(int) ( $entry[ 'required' ] ?? 0 )
+				);
+
+			case 'approved':
+				/* translators: %s: approved folder name */
+				return sprintf( __( 'Approved and moved to %s', 'vmfa-editorial-workflow' ), $folder );
+
+			case 'stage':
+				return sprintf(
+					/* translators: %s: review stage name */
+					__( 'Approved and sent on to %s', 'vmfa-editorial-workflow' ),
+					(string) ( $entry[ 'stage_name' ] ?? '' )
+				);
+
+			case 'rejected':
+				/* translators: %s: reason for the rejection */
+				return sprintf( __( 'Rejected: %s', 'vmfa-editorial-workflow' ), (string) ( $entry[ 'reason' ] ?? '' ) );
+
+			case 'moved':
+				/* translators: %s: folder name */
+				return sprintf( __( 'Moved to %s', 'vmfa-editorial-workflow' ), $folder );
+
+			case 'folder':
+				return ! empty( $entry[ 'folder' ] )
+					/* translators: %s: folder name */
+					? sprintf( __( 'Moved to %s in the Media Library', 'vmfa-editorial-workflow' ), $folder )
+					: __( 'Removed from its folder in the Media Library', 'vmfa-editorial-workflow' );
+
+			case 'assignee':
+				return empty( $entry[ 'assignee' ] )
+					? __( 'Unassigned', 'vmfa-editorial-workflow' )
+					: sprintf(
+						/* translators: %s: reviewer's name */
+						__( 'Assigned to %s', 'vmfa-editorial-workflow' ),
+						(string) ( $entry[ 'assignee_name' ] ?? '' )
+					);
+
+			case 'undone':
+				$folders = implode( ', ', array_filter( (array) ( $entry[ 'folder_names' ] ?? [] ) ) );
+
+				return 'approve' === ( $entry[ 'action' ] ?? '' )
+					? sprintf(
+						/* translators: %s: comma-separated folder names */
+						__( 'Approval undone, returned to %s', 'vmfa-editorial-workflow' ),
+						$folders
+					)
+					: sprintf(
+						/* translators: %s: comma-separated folder names */
+						__( 'Move undone, returned to %s', 'vmfa-editorial-workflow' ),
+						$folders
+					);
+
+			case 'scheduled':
+				$release = wp_date( get_option( 'date_format' ) . ' ' . get_option( 'time_format' ), (int) ( $entry[ 'release_at' ] ?? 0 ) );
+
+				return empty( $entry[ 'previous' ] )
+					/* translators: %s: release date and time */
+					? sprintf( __( 'Approved for release on %s', 'vmfa-editorial-workflow' ), $release )
+					/* translators: %s: release date and time */
+					: sprintf( __( 'Release moved to %s', 'vmfa-editorial-workflow' ), $release );
+
+			case 'released':
+				/* translators: %s: approved folder name */
+				return sprintf( __( 'Released to %s', 'vmfa-editorial-workflow' ), $folder );
+
+			case 'release_cancelled':
+				return __( 'Release cancelled', 'vmfa-editorial-workflow' );
+
+			case 'resubmitted':
+				return sprintf(
+					/* translators: %s: file name of the replaced file */
+					__( 'Resubmitted with a new file, replacing %s', 'vmfa-editorial-workflow' ),
+					(string) ( $entry[ 'previous_file' ] ?? '' )
+				);
+		}
+
+		return (string) $entry[ 'event' ];
+	}
+
+	/**
+	 * Enqueue the timeline styles wherever the media modal is used.
+	 *
+	 * @return void
+	 */
+	public function enqueue_styles(): void {
+		$asset_file = VMFA_EDITORIAL_WORKFLOW_PATH . 'build/attachment-history.asset.php';
+		$asset      = file_exists( $asset_file ) ? require $asset_file : [
+			'dependencies' => [],
+			'version'      => VMFA_EDITORIAL_WORKFLOW_VERSION,
+		];
+
+		wp_enqueue_style(
+			'vmfa-attachment-history',
+			VMFA_EDITORIAL_WORKFLOW_URL . 'build/attachment-history.css',
+			[],
+			$asset[ 'version' ]
+		);
+	}
+
+	/**
+	 * Enqueue the timeline styles on the attachment edit screen.
+	 *
+	 * @param string $hook_suffix Current admin page.
+	 * @return void
+	 */
+	public function enqueue_edit_screen_styles( string $hook_suffix ): void {
+		if ( 'post.php' === $hook_suffix && 'attachment' === get_current_screen()?->post_type ) {
+			$this->enqueue_styles();
+		}
+	}
+}
@@ -0,0 +1,135 @@
+<?php
+/**
+ * Attachment Release Admin.
+ *
+ * Shows the pending release of a scheduled attachment.
+ *
+ * @package VmfaEditorialWorkflow
+ */
+
+declare(strict_types=1);
+
+namespace VmfaEditorialWorkflow\Admin;
+
+use VmfaEditorialWorkflow\Services\ReviewService;
+use VmfaEditorialWorkflow\WorkflowState;
+use WP_Post;
+
+// Prevent direct access.
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * Attachment Release class.
+ *
+ * Adds an attachment field for reviewers on items held in the Scheduled
+ * folder, showing when the item will be released and letting them change
+ * the release time or cancel the release. WordPress shows the field on the
+ * attachment edit screen and in the media modal's Attachment Details.
+ */
+class AttachmentRelease {
+
+	/**
+	 * Workflow state instance.
+	 *
+	 * @var WorkflowState
+	 */
+	private WorkflowState $workflow_state;
+
+	/**
+	 * Review service instance.
+	 *
+	 * @var ReviewService
+	 */
+	private ReviewService $review_service;
+
+	/**
+	 * Constructor.
+	 *
+	 * @param WorkflowState $workflow_state Workflow state instance.
+	 * @param ReviewService $review_service Review service instance.
+	 */
+	public function __construct( WorkflowState $workflow_state, ReviewService $review_service ) {
+		$this->workflow_state = $workflow_state;
+		$this->review_service = $review_service;
+
+		$this->init_hooks();
+	}
+
+	/**
+	 * Initialize hooks.
+	 *
+	 * @return void
+	 */
+	private function init_hooks(): void {
+		add_filter( 'attachment_fields_to_edit', [ $this, 'add_release_field' ], 10, 2 );
+		add_filter( 'attachment_fields_to_save', [ $this, 'save_release_field' ], 10, 2 );
+	}
+
+	/**
+	 * Add the pending release to the attachment fields.
+	 *
+	 * @param array   $form_fields Attachment form fields.
+	 * @param WP_Post $post        Attachment.
+	 * @return array Form fields.
+	 */
+	public function add_release_field( array $form_fields, WP_Post $post ): array {
+		if ( ! $this->workflow_state->current_user_can_review() || ! $this->workflow_state->is_scheduled( $post->ID ) ) {
+			return $form_fields;
+		}
+
+		$release = $this->review_service->format_release( (int) $this->workflow_state->get_release( $post->ID )[ 'at' ] );
+		$name    = 'attachments[' . $post->ID . ']';
+
+		$form_fields[ 'vmfa_release' ] = [
+			'label'         => __( 'Release', 'vmfa-editorial-workflow' ),
+			'input'         => 'html',
+			'html'          => sprintf(
+				'<input type="datetime-local" id="%1$s" name="%2$s[vmfa_release]" value="%3$s" /> <label><input type="checkbox" name="%2$s[vmfa_release_cancel]" value="1" /> %4$s</label>',
+				esc_attr( 'attachments-' . $post->ID . '-vmfa_release' ),
+				esc_attr( $name ),
+				esc_attr( $release[ 'local' ] ),
+				esc_html__( 'Cancel release and send back to review', 'vmfa-editorial-workflow' )
+			),
+			/* translators: 1: release date and time, 2: site timezone */
+			'helps'         => sprintf( __( 'Approved, to be released on %1$s (%2$s).', 'vmfa-editorial-workflow' ), $release[ 'label' ], wp_timezone_string() ),
+			'show_in_edit'  => true,
+			'show_in_modal' => true,
+		];
+
+		return $form_fields;
+	}
+
+	/**
+	 * Change or cancel the release when the attachment fields are saved.
+	 *
+	 * @param array $post       Attachment post data.
+	 * @param array $attachment Submitted attachment fields.
+	 * @return array Attachment post data.
+	 */
+	public function save_release_field( array $post, array $attachment ): array {
+		$id = (int) ( $post[ 'ID' ] ?? 0 );
+
+		if ( ! $id || ! $this->workflow_state->current_user_can_review() || ! $this->workflow_state->is_scheduled( $id ) ) {
+			return $post;
+		}
+
+		if ( ! empty( $attachment[ 'vmfa_release_cancel' ] ) ) {
+			$result = $this->review_service->cancel_release( [ $id ] );
+		} else {
+			$value   = sanitize_text_field( (string) ( $attachment[ 'vmfa_release' ] ?? '' ) );
+			$release = $this->workflow_state->get_release( $id );
+
+			if ( '' === $value || ! $release || $value === $this->review_service->format_release( (int) $release[ 'at' ] )[ 'local' ] ) {
+				return $post;
+			}
+
+			$result = $this->review_service->reschedule( [ $id ], (int) get_gmt_from_date( $value, 'U' ) );
+		}
+
+		if ( is_wp_error( $result ) ) {
+			$post[ 'errors' ][ 'vmfa_release' ][ 'errors' ][] = $result->get_error_message();
+		}
+
+		return $post;
+	}
+}
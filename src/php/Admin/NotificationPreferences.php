@@ -0,0 +1,94 @@
+<?php
+/**
+ * Notification Preferences Admin.
+ *
+ * Lets users opt out of workflow emails on their profile.
+ *
+ * @package VmfaEditorialWorkflow
+ */
+
+declare(strict_types=1);
+
+namespace VmfaEditorialWorkflow\Admin;
+
+use VmfaEditorialWorkflow\Services\NotificationService;
+use WP_User;
+
+// Prevent direct access.
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * Notification Preferences class.
+ */
+class NotificationPreferences {
+
+	/**
+	 * Notification service instance.
+	 *
+	 * @var NotificationService
+	 */
+	private NotificationService $notification_service;
+
+	/**
+	 * Constructor.
+	 *
+	 * @param NotificationService $notification_service Notification service instance.
+	 */
+	public function __construct( NotificationService $notification_service ) {
+		$this->notification_service = $notification_service;
+
+		$this->init_hooks();
+	}
+
+	/**
+	 * Initialize hooks.
+	 *
+	 * @return void
+	 */
+	private function init_hooks(): void {
+		add_action( 'show_user_profile', [ $this, 'render_field' ] );
+		add_action( 'edit_user_profile', [ $this, 'render_field' ] );
+		add_action( 'personal_options_update', [ $this, 'save_field' ] );
+		add_action( 'edit_user_profile_update', [ $this, 'save_field' ] );
+	}
+
+	/**
+	 * Render the opt-out checkbox on the profile screen.
+	 *
+	 * @param WP_User $user User being edited.
+	 * @return void
+	 */
+	public function render_field( WP_User $user ): void {
+		?>
+		<h2><?php esc_html_e( 'Editorial Workflow', 'vmfa-editorial-workflow' ); ?></h2>
+		<table class="form-table" role="presentation">
+			<tr>
+				<th scope="row"><?php esc_html_e( 'Email notifications', 'vmfa-editorial-workflow' ); ?></th>
+				<td>
+					<label for="vmfa-notifications-opt-out">
+						<input type="checkbox" name="vmfa_notifications_opt_out" id="vmfa-notifications-opt-out" value="1" <?php checked( $this->notification_service->is_opted_out( $user->ID ) ); ?> />
+						<?php esc_html_e( 'Don’t email me about uploads to review or about my approved and moved uploads', 'vmfa-editorial-workflow' ); ?>
+					</label>
+				</td>
+			</tr>
+		</table>
+		<?php
+	}
+
+	/**
+	 * Save the opt-out checkbox.
+	 *
+	 * Core has verified the profile form's nonce before these hooks run.
+	 *
+	 * @param int $user_id User being saved.
+	 * @return void
+	 */
+	public function save_field( int $user_id ): void {
+		if ( ! current_user_can( 'edit_user', $user_id ) ) {
+			return;
+		}
+
+		// phpcs:ignore WordPress.Security.NonceVerification.Missing
+		$this->notification_service->set_opted_out( $user_id, ! empty( $_POST[ 'vmfa_notifications_opt_out' ] ) );
+	}
+}
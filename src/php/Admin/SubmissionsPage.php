@@ -0,0 +1,143 @@
+<?php
+/**
+ * Submissions Page Admin.
+ *
+ * "My Submissions" page where uploaders follow their media through the workflow.
+ *
+ * @package VmfaEditorialWorkflow
+ */
+
+declare(strict_types=1);
+
+namespace VmfaEditorialWorkflow\Admin;
+
+use VmfaEditorialWorkflow\Services\SubmissionService;
+use VmfaEditorialWorkflow\WorkflowState;
+
+// Prevent direct access.
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * Submissions Page class.
+ */
+class SubmissionsPage {
+
+	/**
+	 * Page slug.
+	 *
+	 * @var string
+	 */
+	public const PAGE_SLUG = 'vmfa-submissions';
+
+	/**
+	 * Workflow state instance.
+	 *
+	 * @var WorkflowState
+	 */
+	private WorkflowState $workflow_state;
+
+	/**
+	 * Constructor.
+	 *
+	 * @param WorkflowState $workflow_state Workflow state instance.
+	 */
+	public function __construct( WorkflowState $workflow_state ) {
+		$this->workflow_state = $workflow_state;
+
+		$this->init_hooks();
+	}
+
+	/**
+	 * Initialize hooks.
+	 *
+	 * @return void
+	 */
+	private function init_hooks(): void {
+		add_action( 'admin_menu', [ $this, 'add_menu_page' ] );
+		add_action( 'admin_enqueue_scripts', [ $this, 'enqueue_assets' ] );
+	}
+
+	/**
+	 * Add menu page under Media.
+	 *
+	 * @return void
+	 */
+	public function add_menu_page(): void {
+		if ( ! $this->workflow_state->is_workflow_enabled() ) {
+			return;
+		}
+
+		add_submenu_page(
+			'upload.php',
+			__( 'My Submissions', 'vmfa-editorial-workflow' ),
+			__( 'My Submissions', 'vmfa-editorial-workflow' ),
+			'upload_files',
+			self::PAGE_SLUG,
+			[ $this, 'render_page' ],
+			903
+		);
+	}
+
+	/**
+	 * Enqueue assets for the submissions page.
+	 *
+	 * @param string $hook_suffix Current admin page.
+	 * @return void
+	 */
+	public function enqueue_assets( string $hook_suffix ): void {
+		if ( 'media_page_' . self::PAGE_SLUG !== $hook_suffix ) {
+			return;
+		}
+
+		$asset_file = VMFA_EDITORIAL_WORKFLOW_PATH . 'build/submissions.asset.php';
+		$asset      = file_exists( $asset_file ) ? require $asset_file : [
+			'dependencies' => [],
+			'version'      => VMFA_EDITORIAL_WORKFLOW_VERSION,
+		];
+
+		wp_enqueue_script(
+			'vmfa-submissions',
+			VMFA_EDITORIAL_WORKFLOW_URL . 'build/submissions.js',
+			$asset[ 'dependencies' ],
+			$asset[ 'version' ],
+			true
+		);
+
+		wp_set_script_translations(
+			'vmfa-submissions',
+			'vmfa-editorial-workflow',
+			VMFA_EDITORIAL_WORKFLOW_PATH . 'languages'
+		);
+
+		wp_enqueue_style(
+			'vmfa-submissions',
+			VMFA_EDITORIAL_WORKFLOW_URL . 'build/submissions.css',
+			[ 'wp-components' ],
+			$asset[ 'version' ]
+		);
+
+		wp_localize_script(
+			'vmfa-submissions',
+			'vmfaSubmissions',
+			[
+				'perPage' => SubmissionService::PER_PAGE,
+			]
+		);
+	}
+
+	/**
+	 * Render the submissions page.
+	 *
+	 * @return void
+	 */
+	public function render_page(): void {
+		?>
+		<div class="wrap">
+			<div id="vmfa-submissions-root">
+				<h1><?php esc_html_e( 'My Submissions', 'vmfa-editorial-workflow' ); ?></h1>
+				<p class="vmfa-submissions-loading"><?php esc_html_e( 'Loading…', 'vmfa-editorial-workflow' ); ?></p>
+			</div>
+		</div>
+		<?php
+	}
+}
@@ -21,8 +21,18 @@ use VirtualMediaFolders\Addon\AbstractPlugin;
 final class Plugin extends AbstractPlugin {
 
 	private Services\AccessChecker $access_checker;
+	private Services\AssignmentService $assignment_service;
+	private Services\AuditLogService $audit_log_service;
 	private AccessEnforcer $access_enforcer;
 	private Services\InboxService $inbox_service;
+	private Services\CommentService $comment_service;
+	private Services\DuplicateService $duplicate_service;
+	private Services\HistoryService $history_service;
+	private Services\NotificationService $notification_service;
+	private Services\QualityGateService $quality_gates;
+	private Services\ResubmissionService $resubmission_service;
+	private Services\ReviewService $review_service;
+	private Services\SubmissionService $submission_service;
 	private WorkflowState $workflow_state;
 	private ?Admin\SettingsTab $settings_tab = null;
 
@@ -38,11 +48,21 @@ final class Plugin extends AbstractPlugin {
 
 	/** @inheritDoc */
 	protected function init_services(): void {
-		$this->access_checker  = new Services\AccessChecker();
-		$this->workflow_state  = new WorkflowState( $this->access_checker );
-		$this->inbox_service   = new Services\InboxService( $this->access_checker, $this->workflow_state );
-		$this->access_enforcer = new AccessEnforcer( $this->access_checker );
-		$this->settings_tab    = new Admin\SettingsTab();
+		$this->access_checker       = new Services\AccessChecker();
+		$this->workflow_state       = new WorkflowState( $this->access_checker );
+		$this->inbox_service        = new Services\InboxService( $this->access_checker, $this->workflow_state );
+		$this->access_enforcer      = new AccessEnforcer( $this->access_checker, $this->workflow_state );
+		$this->comment_service      = new Services\CommentService();
+		$this->quality_gates        = new Services\QualityGateService();
+		$this->assignment_service   = new Services\AssignmentService( $this->workflow_state );
+		$this->duplicate_service    = new Services\DuplicateService();
+		$this->history_service      = new Services\HistoryService( $this->workflow_state );
+		$this->audit_log_service    = new Services\AuditLogService();
+		$this->notification_service = new Services\NotificationService( $this->access_checker, $this->assignment_service );
+		$this->resubmission_service = new Services\ResubmissionService( $this->workflow_state );
+		$this->review_service       = new Services\ReviewService( $this->access_checker, $this->workflow_state, $this->comment_service, $this->quality_gates, $this->assignment_service, $this->duplicate_service );
+		$this->submission_service   = new Services\SubmissionService( $this->workflow_state, $this->inbox_service, $this->comment_service, $this->history_service, $this->assignment_service );
+		$this->settings_tab         = new Admin\SettingsTab();
 	}
 
 	/** @inheritDoc */
@@ -52,7 +72,11 @@ final class Plugin extends AbstractPlugin {
 
 		// Admin components.
 		if ( is_admin() ) {
-			new Admin\ReviewPage( $this->access_checker, $this->workflow_state );
+			new Admin\ReviewPage( $this->workflow_state, $this->review_service );
+			new Admin\AttachmentHistory( $this->history_service );
+			new Admin\AttachmentRelease( $this->workflow_state, $this->review_service );
+			new Admin\NotificationPreferences( $this->notification_service );
+			new Admin\SubmissionsPage( $this->workflow_state );
 
 			if ( $this->supports_parent_tabs() ) {
 				add_filter( 'vmfo_settings_tabs', [ $this->settings_tab, 'register_tab' ] );
@@ -68,8 +92,14 @@ final class Plugin extends AbstractPlugin {
 
 		// Access enforcement & inbox routing.
 		$this->access_enforcer->init();
+		$this->duplicate_service->init();
+		$this->history_service->init();
+		$this->audit_log_service->init();
+		$this->notification_service->init();
+		$this->resubmission_service->init();
 		$this->inbox_service->init();
 		$this->workflow_state->init();
+		$this->assignment_service->init();
 	}
 
 	/**
@@ -80,16 +110,68 @@ final class Plugin extends AbstractPlugin {
 	public function register_rest_routes(): void {
 		$settings_controller = new REST\SettingsController( $this->access_checker );
 		$settings_controller->register_routes();
+
+		$comments_controller = new REST\CommentsController( $this->comment_service );
+		$comments_controller->register_routes();
+
+		$review_controller = new REST\ReviewController( $this->review_service, $this->workflow_state );
+		$review_controller->register_routes();
+
+		$audit_log_controller = new REST\AuditLogController( $this->audit_log_service );
+		$audit_log_controller->register_routes();
+
+		$submissions_controller = new REST\SubmissionsController( $this->submission_service, $this->resubmission_service );
+		$submissions_controller->register_routes();
 	}
 
 	public function get_access_checker(): Services\AccessChecker {
 		return $this->access_checker;
 	}
 
+	public function get_assignment_service(): Services\AssignmentService {
+		return $this->assignment_service;
+	}
+
+	public function get_audit_log_service(): Services\AuditLogService {
+		return $this->audit_log_service;
+	}
+
+	public function get_duplicate_service(): Services\DuplicateService {
+		return $this->duplicate_service;
+	}
+
+	public function get_history_service(): Services\HistoryService {
+		return $this->history_service;
+	}
+
 	public function get_inbox_service(): Services\InboxService {
 		return $this->inbox_service;
 	}
 
+	public function get_comment_service(): Services\CommentService {
+		return $this->comment_service;
+	}
+
+	public function get_notification_service(): Services\NotificationService {
+		return $this->notification_service;
+	}
+
+	public function get_quality_gate_service(): Services\QualityGateService {
+		return $this->quality_gates;
+	}
+
+	public function get_resubmission_service(): Services\ResubmissionService {
+		return $this->resubmission_service;
+	}
+
+	public function get_review_service(): Services\ReviewService {
+		return $this->review_service;
+	}
+
+	public function get_submission_service(): Services\SubmissionService {
+		return $this->submission_service;
+	}
+
 	public function get_workflow_state(): WorkflowState {
 		return $this->workflow_state;
 	}
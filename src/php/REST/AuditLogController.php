@@ -0,0 +1,278 @@
+<?php
+/**
+ * Audit Log REST Controller.
+ *
+ * REST API endpoints for reading and exporting the audit log.
+ *
+ * @package VmfaEditorialWorkflow
+ */
+
+declare(strict_types=1);
+
+namespace VmfaEditorialWorkflow\REST;
+
+use VmfaEditorialWorkflow\Services\AuditLogService;
+use WP_Error;
+use WP_REST_Controller;
+use WP_REST_Request;
+use WP_REST_Response;
+use WP_REST_Server;
+
+// Prevent direct access.
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * Audit Log Controller class.
+ *
+ * Lists log entries for the settings panel and exports them as CSV or JSON.
+ */
+class AuditLogController extends WP_REST_Controller {
+
+	/**
+	 * Namespace.
+	 *
+	 * @var string
+	 */
+	protected $namespace = 'vmfa-editorial/v1';
+
+	/**
+	 * Largest page size for the log viewer.
+	 *
+	 * @var int
+	 */
+	private const MAX_PER_PAGE = 100;
+
+	/**
+	 * Audit log service instance.
+	 *
+	 * @var AuditLogService
+	 */
+	private AuditLogService $audit_log;
+
+	/**
+	 * Constructor.
+	 *
+	 * @param AuditLogService $audit_log Audit log service instance.
+	 */
+	public function __construct( AuditLogService $audit_log ) {
+		$this->audit_log = $audit_log;
+	}
+
+	/**
+	 * Register routes.
+	 *
+	 * @return void
+	 */
+	public function register_routes(): void {
+		// GET /audit-log - Log entries, newest first.
+		register_rest_route(
+			$this->namespace,
+			'/audit-log',
+			[
+				[
+					'methods'             => WP_REST_Server::READABLE,
+					'callback'            => [ $this, 'get_items' ],
+					'permission_callback' => [ $this, 'check_admin_permission' ],
+					'args'                => array_merge(
+						$this->get_filter_args(),
+						[
+							'page'     => [
+								'type'    => 'integer',
+								'default' => 1,
+								'minimum' => 1,
+							],
+							'per_page' => [
+								'type'    => 'integer',
+								'default' => 20,
+								'minimum' => 1,
+								'maximum' => self::MAX_PER_PAGE,
+							],
+						]
+					),
+				],
+			]
+		);
+
+		// GET /audit-log/export - Matching entries as a CSV or JSON file.
+		register_rest_route(
+			$this->namespace,
+			'/audit-log/export',
+			[
+				[
+					'methods'             => WP_REST_Server::READABLE,
+					'callback'            => [ $this, 'export_items' ],
+					'permission_callback' => [ $this, 'check_admin_permission' ],
+					'args'                => array_merge(
+						$this->get_filter_args(),
+						[
+							'format' => [
+								'type'    => 'string',
+								'default' => 'csv',
+								'enum'    => [ 'csv', 'json' ],
+							],
+						]
+					),
+				],
+			]
+		);
+	}
+
+	/**
+	 * Check admin permission.
+	 *
+	 * @return bool|WP_Error
+	 */
+	public function check_admin_permission() {
+		if ( ! current_user_can( 'manage_options' ) ) {
+			return new WP_Error(
+				'rest_forbidden',
+				__( 'You do not have permission to view the audit log.', 'vmfa-editorial-workflow' ),
+				[ 'status' => 403 ]
+			);
+		}
+
+		return true;
+	}
+
+	/**
+	 * Get the log filter args.
+	 *
+	 * @return array
+	 */
+	private function get_filter_args(): array {
+		return [
+			'event'  => [
+				'type' => 'string',
+				'enum' => AuditLogService::EVENTS,
+			],
+			'user'   => [
+				'type'    => 'integer',
+				'minimum' => 1,
+			],
+			'after'  => [
+				'type'    => 'string',
+				'pattern' => '^\\d{4}-\\d{2}-\\d{2}$',
+			],
+			'before' => [
+				'type'    => 'string',
+				'pattern' => '^\\d{4}-\\d{2}-\\d{2}$',
+			],
+		];
+	}
+
+	/**
+	 * Get the filters set on a request.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return array Query arguments for AuditLogService::query().
+	 */
+	private function get_filters( WP_REST_Request $request ): array {
+		$args = [];
+
+		foreach ( array_keys( $this->get_filter_args() ) as $key ) {
+			if ( null !== $request->get_param( $key ) ) {
+				$args[ $key ] = $request->get_param( $key );
+			}
+		}
+
+		return $args;
+	}
+
+	/**
+	 * Get log entries endpoint.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response
+	 */
+	public function get_items( $request ): WP_REST_Response {
+		$result = $this->audit_log->query(
+			array_merge(
+				$this->get_filters( $request ),
+				[
+					'page'     => $request->get_param( 'page' ),
+					'per_page' => $request->get_param( 'per_page' ),
+				]
+			)
+		);
+
+		$response = rest_ensure_response( [
+			'items'      => array_map( [ $this, 'prepare_entry' ], $result[ 'items' ] ),
+			'total'      => $result[ 'total' ],
+			'totalPages' => $result[ 'totalPages' ],
+			'users'      => array_map(
+				fn( $user_id ) => [
+					'id'   => $user_id,
+					'name' => $this->get_user_name( $user_id ),
+				],
+				$this->audit_log->get_user_ids()
+			),
+		] );
+		$response->header( 'X-WP-Total', (string) $result[ 'total' ] );
+		$response->header( 'X-WP-TotalPages', (string) $result[ 'totalPages' ] );
+
+		return $response;
+	}
+
+	/**
+	 * Export log entries endpoint.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response
+	 */
+	public function export_items( WP_REST_Request $request ): WP_REST_Response {
+		$result = $this->audit_log->query(
+			array_merge( $this->get_filters( $request ), [ 'per_page' => AuditLogService::EXPORT_LIMIT ] )
+		);
+		$items  = array_map( [ $this, 'prepare_entry' ], $result[ 'items' ] );
+		$format = $request->get_param( 'format' );
+
+		return rest_ensure_response( [
+			'filename'  => sprintf( 'vmfa-audit-log-%s.%s', gmdate( 'Y-m-d' ), $format ),
+			'type'      => 'json' === $format ? 'application/json' : 'text/csv',
+			'content'   => 'json' === $format ? (string) wp_json_encode( $items, JSON_PRETTY_PRINT ) : $this->audit_log->to_csv( $items ),
+			'truncated' => $result[ 'total' ] > count( $items ),
+		] );
+	}
+
+	/**
+	 * Format a log entry for the REST API.
+	 *
+	 * @param array $entry Entry from AuditLogService::query().
+	 * @return array Entry with camelCase keys, the user's name and a description.
+	 */
+	public function prepare_entry( array $entry ): array {
+		$time = (int) strtotime( $entry[ 'date' ] . ' UTC' );
+
+		return [
+			'id'         => $entry[ 'id' ],
+			'date'       => gmdate( 'c', $time ),
+			'dateLabel'  => wp_date( get_option( 'date_format' ) . ' ' . get_option( 'time_format' ), $time ),
+			'user'       => [
+				'id'   => $entry[ 'user_id' ],
+				'name' => $this->get_user_name( $entry[ 'user_id' ] ),
+			],
+			'event'      => $entry[ 'event' ],
+			'objectType' => $entry[ 'object_type' ],
+			'objectId'   => $entry[ 'object_id' ],
+			'summary'    => $this->audit_log->describe( $entry ),
+			'details'    => $entry[ 'details' ],
+		];
+	}
+
+	/**
+	 * Get a user's display name.
+	 *
+	 * @param int $user_id User ID.
+	 * @return string Display name, or a placeholder for deleted users and the system.
+	 */
+	private function get_user_name( int $user_id ): string {
+		if ( ! $user_id ) {
+			return __( 'System', 'vmfa-editorial-workflow' );
+		}
+
+		$user = get_userdata( $user_id );
+
+		/* translators: %d: user ID */
+		return $user ? $user->display_name : sprintf( __( 'Deleted user #%d', 'vmfa-editorial-workflow' ), $user_id );
+	}
+}
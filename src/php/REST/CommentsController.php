@@ -0,0 +1,160 @@
+<?php
+/**
+ * Comments REST Controller.
+ *
+ * REST API endpoints for review comments on attachments.
+ *
+ * @package VmfaEditorialWorkflow
+ */
+
+declare(strict_types=1);
+
+namespace VmfaEditorialWorkflow\REST;
+
+use VmfaEditorialWorkflow\Services\CommentService;
+use WP_Error;
+use WP_REST_Controller;
+use WP_REST_Request;
+use WP_REST_Response;
+use WP_REST_Server;
+
+// Prevent direct access.
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * Comments Controller class.
+ *
+ * Lets reviewers and uploaders discuss an item in the review queue.
+ */
+class CommentsController extends WP_REST_Controller {
+
+	/**
+	 * Namespace.
+	 *
+	 * @var string
+	 */
+	protected $namespace = 'vmfa-editorial/v1';
+
+	/**
+	 * Comment service instance.
+	 *
+	 * @var CommentService
+	 */
+	private CommentService $comment_service;
+
+	/**
+	 * Constructor.
+	 *
+	 * @param CommentService $comment_service Comment service instance.
+	 */
+	public function __construct( CommentService $comment_service ) {
+		$this->comment_service = $comment_service;
+	}
+
+	/**
+	 * Register routes.
+	 *
+	 * @return void
+	 */
+	public function register_routes(): void {
+		// GET/POST /media/{id}/comments - Review comments for an attachment.
+		register_rest_route(
+			$this->namespace,
+			'/media/(?P<id>\d+)/comments',
+			[
+				'args' => [
+					'id' => [
+						'type'              => 'integer',
+						'required'          => true,
+						'sanitize_callback' => 'absint',
+					],
+				],
+				[
+					'methods'             => WP_REST_Server::READABLE,
+					'callback'            => [ $this, 'get_comments' ],
+					'permission_callback' => [ $this, 'check_attachment_permission' ],
+				],
+				[
+					'methods'             => WP_REST_Server::CREATABLE,
+					'callback'            => [ $this, 'create_comment' ],
+					'permission_callback' => [ $this, 'check_attachment_permission' ],
+					'args'                => [
+						'content' => [
+							'type'        => 'string',
+							'required'    => true,
+							'description' => __( 'Comment text. Mention users with @login.', 'vmfa-editorial-workflow' ),
+						],
+					],
+				],
+			]
+		);
+	}
+
+	/**
+	 * Check that the current user can edit the attachment.
+	 *
+	 * Uploaders can edit their own media and reviewers can edit others',
+	 * so both sides of the conversation pass this check.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return bool|WP_Error
+	 */
+	public function check_attachment_permission( WP_REST_Request $request ) {
+		$attachment_id = (int) $request->get_param( 'id' );
+
+		if ( 'attachment' !== get_post_type( $attachment_id ) ) {
+			return new WP_Error(
+				'rest_post_invalid_id',
+				__( 'Invalid attachment ID.', 'vmfa-editorial-workflow' ),
+				[ 'status' => 404 ]
+			);
+		}
+
+		if ( ! current_user_can( 'edit_post', $attachment_id ) ) {
+			return new WP_Error(
+				'rest_forbidden',
+				__( 'You do not have permission to comment on this item.', 'vmfa-editorial-workflow' ),
+				[ 'status' => 403 ]
+			);
+		}
+
+		return true;
+	}
+
+	/**
+	 * Get comments endpoint.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response
+	 */
+	public function get_comments( WP_REST_Request $request ): WP_REST_Response {
+		$comments = $this->comment_service->get_comments( (int) $request->get_param( 'id' ) );
+
+		return rest_ensure_response(
+			array_map( [ $this->comment_service, 'prepare_comment' ], $comments )
+		);
+	}
+
+	/**
+	 * Create comment endpoint.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function create_comment( WP_REST_Request $request ) {
+		$comment = $this->comment_service->add_comment(
+			(int) $request->get_param( 'id' ),
+			(string) $request->get_param( 'content' ),
+			get_current_user_id()
+		);
+
+		if ( is_wp_error( $comment ) ) {
+			return $comment;
+		}
+
+		$response = rest_ensure_response( $this->comment_service->prepare_comment( $comment ) );
+		$response->set_status( 201 );
+
+		return $response;
+	}
+}
@@ -0,0 +1,758 @@
+<?php
+/**
+ * Review REST Controller.
+ *
+ * REST API endpoints for the review queue.
+ *
+ * @package VmfaEditorialWorkflow
+ */
+
+declare(strict_types=1);
+
+namespace VmfaEditorialWorkflow\REST;
+
+use VmfaEditorialWorkflow\Services\ReviewService;
+use VmfaEditorialWorkflow\WorkflowState;
+use WP_Error;
+use WP_REST_Controller;
+use WP_REST_Request;
+use WP_REST_Response;
+use WP_REST_Server;
+
+// Prevent direct access.
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * Review Controller class.
+ *
+ * Lists media needing review and applies review actions.
+ */
+class ReviewController extends WP_REST_Controller {
+
+	/**
+	 * Namespace.
+	 *
+	 * @var string
+	 */
+	protected $namespace = 'vmfa-editorial/v1';
+
+	/**
+	 * Review service instance.
+	 *
+	 * @var ReviewService
+	 */
+	private ReviewService $review_service;
+
+	/**
+	 * Workflow state instance.
+	 *
+	 * @var WorkflowState
+	 */
+	private WorkflowState $workflow_state;
+
+	/**
+	 * Constructor.
+	 *
+	 * @param ReviewService $review_service Review service instance.
+	 * @param WorkflowState $workflow_state Workflow state instance.
+	 */
+	public function __construct( ReviewService $review_service, WorkflowState $workflow_state ) {
+		$this->review_service = $review_service;
+		$this->workflow_state = $workflow_state;
+	}
+
+	/**
+	 * Register routes.
+	 *
+	 * @return void
+	 */
+	public function register_routes(): void {
+		// GET /review - Items needing review.
+		register_rest_route(
+			$this->namespace,
+			'/review',
+			[
+				[
+					'methods'             => WP_REST_Server::READABLE,
+					'callback'            => [ $this, 'get_items' ],
+					'permission_callback' => [ $this, 'check_review_permission' ],
+					'args'                => $this->get_list_args(),
+				],
+			]
+		);
+
+		// GET /review/ids - IDs of all items matching the filters.
+		register_rest_route(
+			$this->namespace,
+			'/review/ids',
+			[
+				[
+					'methods'             => WP_REST_Server::READABLE,
+					'callback'            => [ $this, 'get_item_ids' ],
+					'permission_callback' => [ $this, 'check_review_permission' ],
+					'args'                => $this->get_filter_args(),
+				],
+			]
+		);
+
+		// POST /review/approve - Approve items.
+		register_rest_route(
+			$this->namespace,
+			'/review/approve',
+			[
+				[
+					'methods'             => WP_REST_Server::CREATABLE,
+					'callback'            => [ $this, 'approve_items' ],
+					'permission_callback' => [ $this, 'check_review_permission' ],
+					'args'                => [
+						'ids'        => $this->get_ids_arg(),
+						'override'   => [
+							'type'    => 'boolean',
+							'default' => false,
+						],
+						'release_at' => $this->get_release_arg( false ),
+					],
+				],
+			]
+		);
+
+		// POST /review/assign - Move items to a folder.
+		register_rest_route(
+			$this->namespace,
+			'/review/assign',
+			[
+				[
+					'methods'             => WP_REST_Server::CREATABLE,
+					'callback'            => [ $this, 'assign_items' ],
+					'permission_callback' => [ $this, 'check_review_permission' ],
+					'args'                => [
+						'ids'    => $this->get_ids_arg(),
+						'folder' => [
+							'type'              => 'integer',
+							'required'          => true,
+							'sanitize_callback' => 'absint',
+						],
+					],
+				],
+			]
+		);
+
+		// POST /review/assignee - Assign items to a reviewer.
+		register_rest_route(
+			$this->namespace,
+			'/review/assignee',
+			[
+				[
+					'methods'             => WP_REST_Server::CREATABLE,
+					'callback'            => [ $this, 'assign_reviewer' ],
+					'permission_callback' => [ $this, 'check_review_permission' ],
+					'args'                => [
+						'ids'  => $this->get_ids_arg(),
+						'user' => [
+							'type'              => 'integer',
+							'required'          => true,
+							'description'       => __( 'Reviewer user ID, 0 to unassign.', 'vmfa-editorial-workflow' ),
+							'sanitize_callback' => 'absint',
+						],
+					],
+				],
+			]
+		);
+
+		// POST /review/discard - Discard uploads flagged as duplicates.
+		register_rest_route(
+			$this->namespace,
+			'/review/discard',
+			[
+				[
+					'methods'             => WP_REST_Server::CREATABLE,
+					'callback'            => [ $this, 'discard_duplicates' ],
+					'permission_callback' => [ $this, 'check_review_permission' ],
+					'args'                => [
+						'ids' => $this->get_ids_arg(),
+					],
+				],
+			]
+		);
+
+		// POST /review/keep - Keep uploads flagged as duplicates.
+		register_rest_route(
+			$this->namespace,
+			'/review/keep',
+			[
+				[
+					'methods'             => WP_REST_Server::CREATABLE,
+					'callback'            => [ $this, 'keep_duplicates' ],
+					'permission_callback' => [ $this, 'check_review_permission' ],
+					'args'                => [
+						'ids' => $this->get_ids_arg(),
+					],
+				],
+			]
+		);
+
+		// POST /review/view - Remember the Review screen layout.
+		register_rest_route(
+			$this->namespace,
+			'/review/view',
+			[
+				[
+					'methods'             => WP_REST_Server::CREATABLE,
+					'callback'            => [ $this, 'save_view' ],
+					'permission_callback' => [ $this, 'check_review_permission' ],
+					'args'                => [
+						'view' => [
+							'type'     => 'string',
+							'required' => true,
+							'enum'     => ReviewService::VIEWS,
+						],
+					],
+				],
+			]
+		);
+
+		// POST /review/reject - Reject items with a reason.
+		register_rest_route(
+			$this->namespace,
+			'/review/reject',
+			[
+				[
+					'methods'             => WP_REST_Server::CREATABLE,
+					'callback'            => [ $this, 'reject_items' ],
+					'permission_callback' => [ $this, 'check_review_permission' ],
+					'args'                => [
+						'ids'    => $this->get_ids_arg(),
+						'reason' => [
+							'type'     => 'string',
+							'required' => true,
+						],
+					],
+				],
+			]
+		);
+
+		// GET /review/recent - Items recently approved or moved.
+		register_rest_route(
+			$this->namespace,
+			'/review/recent',
+			[
+				[
+					'methods'             => WP_REST_Server::READABLE,
+					'callback'            => [ $this, 'get_recent_items' ],
+					'permission_callback' => [ $this, 'check_review_permission' ],
+					'args'                => [
+						'action'   => [
+							'type'     => 'string',
+							'required' => true,
+							'enum'     => ReviewService::RECENT_ACTIONS,
+						],
+						'page'     => [
+							'type'    => 'integer',
+							'default' => 1,
+							'minimum' => 1,
+						],
+						'per_page' => [
+							'type'    => 'integer',
+							'default' => ReviewService::PER_PAGE,
+							'minimum' => 1,
+							'maximum' => ReviewService::MAX_PER_PAGE,
+						],
+					],
+				],
+			]
+		);
+
+		// POST /review/send-back - Send approved or moved items back to review.
+		register_rest_route(
+			$this->namespace,
+			'/review/send-back',
+			[
+				[
+					'methods'             => WP_REST_Server::CREATABLE,
+					'callback'            => [ $this, 'send_back_items' ],
+					'permission_callback' => [ $this, 'check_review_permission' ],
+					'args'                => [
+						'ids' => $this->get_ids_arg(),
+					],
+				],
+			]
+		);
+
+		// GET /review/scheduled - Approved items waiting for their release.
+		register_rest_route(
+			$this->namespace,
+			'/review/scheduled',
+			[
+				[
+					'methods'             => WP_REST_Server::READABLE,
+					'callback'            => [ $this, 'get_scheduled_items' ],
+					'permission_callback' => [ $this, 'check_review_permission' ],
+					'args'                => [
+						'page'     => [
+							'type'    => 'integer',
+							'default' => 1,
+							'minimum' => 1,
+						],
+						'per_page' => [
+							'type'    => 'integer',
+							'default' => ReviewService::PER_PAGE,
+							'minimum' => 1,
+							'maximum' => ReviewService::MAX_PER_PAGE,
+						],
+					],
+				],
+			]
+		);
+
+		// POST /review/schedule - Change the release time of scheduled items.
+		register_rest_route(
+			$this->namespace,
+			'/review/schedule',
+			[
+				[
+					'methods'             => WP_REST_Server::CREATABLE,
+					'callback'            => [ $this, 'schedule_items' ],
+					'permission_callback' => [ $this, 'check_review_permission' ],
+					'args'                => [
+						'ids'        => $this->get_ids_arg(),
+						'release_at' => $this->get_release_arg( true ),
+					],
+				],
+			]
+		);
+
+		// POST /review/cancel-release - Cancel the release of scheduled items.
+		register_rest_route(
+			$this->namespace,
+			'/review/cancel-release',
+			[
+				[
+					'methods'             => WP_REST_Server::CREATABLE,
+					'callback'            => [ $this, 'cancel_release_items' ],
+					'permission_callback' => [ $this, 'check_review_permission' ],
+					'args'                => [
+						'ids' => $this->get_ids_arg(),
+					],
+				],
+			]
+		);
+
+		// POST /review/undo - Undo an approve or move action.
+		register_rest_route(
+			$this->namespace,
+			'/review/undo',
+			[
+				[
+					'methods'             => WP_REST_Server::CREATABLE,
+					'callback'            => [ $this, 'undo_action' ],
+					'permission_callback' => [ $this, 'check_review_permission' ],
+					'args'                => [
+						'token' => [
+							'type'              => 'string',
+							'required'          => true,
+							'sanitize_callback' => 'sanitize_key',
+						],
+					],
+				],
+			]
+		);
+	}
+
+	/**
+	 * Check that the current user can access the review queue.
+	 *
+	 * @return bool|WP_Error
+	 */
+	public function check_review_permission() {
+		if ( ! $this->workflow_state->current_user_can_review() ) {
+			return new WP_Error(
+				'rest_forbidden',
+				__( 'You do not have permission to review media.', 'vmfa-editorial-workflow' ),
+				[ 'status' => 403 ]
+			);
+		}
+
+		return true;
+	}
+
+	/**
+	 * Get review items endpoint.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response
+	 */
+	public function get_items( $request ): WP_REST_Response {
+		$args = [];
+
+		foreach ( array_keys( $this->get_list_args() ) as $key ) {
+			if ( null !== $request->get_param( $key ) ) {
+				$args[ $key ] = $request->get_param( $key );
+			}
+		}
+
+		$result = $this->review_service->get_items( $args );
+
+		// Unfiltered queue size, for the menu badge.
+		$result[ 'queueCount' ] = $this->workflow_state->get_review_count();
+		$result[ 'queues' ]     = $this->review_service->get_queues();
+
+		$response = rest_ensure_response( $result );
+		$response->header( 'X-WP-Total', (string) $result[ 'total' ] );
+		$response->header( 'X-WP-TotalPages', (string) $result[ 'totalPages' ] );
+
+		return $response;
+	}
+
+	/**
+	 * Get the IDs of all matching review items endpoint.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response
+	 */
+	public function get_item_ids( WP_REST_Request $request ): WP_REST_Response {
+		$args = [];
+
+		foreach ( array_keys( $this->get_filter_args() ) as $key ) {
+			if ( null !== $request->get_param( $key ) ) {
+				$args[ $key ] = $request->get_param( $key );
+			}
+		}
+
+		$ids = $this->review_service->get_item_ids( $args );
+
+		return rest_ensure_response(
+			[
+				'ids'   => $ids,
+				'total' => count( $ids ),
+			]
+		);
+	}
+
+	/**
+	 * Approve items endpoint.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function approve_items( WP_REST_Request $request ) {
+		$release_at = (string) $request->get_param( 'release_at' );
+
+		return rest_ensure_response(
+			$this->review_service->approve(
+				(array) $request->get_param( 'ids' ),
+				(bool) $request->get_param( 'override' ),
+				'' !== $release_at ? $this->parse_release_time( $release_at ) : null
+			)
+		);
+	}
+
+	/**
+	 * Assign items endpoint.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function assign_items( WP_REST_Request $request ) {
+		return rest_ensure_response(
+			$this->review_service->assign(
+				(array) $request->get_param( 'ids' ),
+				(int) $request->get_param( 'folder' )
+			)
+		);
+	}
+
+	/**
+	 * Assign items to a reviewer endpoint.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function assign_reviewer( WP_REST_Request $request ) {
+		return rest_ensure_response(
+			$this->review_service->set_assignee(
+				(array) $request->get_param( 'ids' ),
+				(int) $request->get_param( 'user' )
+			)
+		);
+	}
+
+	/**
+	 * Discard duplicates endpoint.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response
+	 */
+	public function discard_duplicates( WP_REST_Request $request ): WP_REST_Response {
+		return rest_ensure_response(
+			$this->review_service->discard_duplicates( (array) $request->get_param( 'ids' ) )
+		);
+	}
+
+	/**
+	 * Keep duplicates endpoint.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response
+	 */
+	public function keep_duplicates( WP_REST_Request $request ): WP_REST_Response {
+		return rest_ensure_response(
+			$this->review_service->keep_duplicates( (array) $request->get_param( 'ids' ) )
+		);
+	}
+
+	/**
+	 * Save the Review screen layout endpoint.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response
+	 */
+	public function save_view( WP_REST_Request $request ): WP_REST_Response {
+		$view = (string) $request->get_param( 'view' );
+
+		$this->review_service->set_view( $view );
+
+		return rest_ensure_response( [ 'view' => $view ] );
+	}
+
+	/**
+	 * Reject items endpoint.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function reject_items( WP_REST_Request $request ) {
+		return rest_ensure_response(
+			$this->review_service->reject(
+				(array) $request->get_param( 'ids' ),
+				(string) $request->get_param( 'reason' )
+			)
+		);
+	}
+
+	/**
+	 * Recently approved or moved items endpoint.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response
+	 */
+	public function get_recent_items( WP_REST_Request $request ): WP_REST_Response {
+		$result = $this->review_service->get_recent_items(
+			(string) $request->get_param( 'action' ),
+			[
+				'page'     => (int) $request->get_param( 'page' ),
+				'per_page' => (int) $request->get_param( 'per_page' ),
+			]
+		);
+
+		$response = rest_ensure_response( $result );
+		$response->header( 'X-WP-Total', (string) $result[ 'total' ] );
+		$response->header( 'X-WP-TotalPages', (string) $result[ 'totalPages' ] );
+
+		return $response;
+	}
+
+	/**
+	 * Send items back to review endpoint.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function send_back_items( WP_REST_Request $request ) {
+		return rest_ensure_response(
+			$this->review_service->send_back( (array) $request->get_param( 'ids' ) )
+		);
+	}
+
+	/**
+	 * Scheduled items endpoint.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response
+	 */
+	public function get_scheduled_items( WP_REST_Request $request ): WP_REST_Response {
+		$result = $this->review_service->get_scheduled_items(
+			[
+				'page'     => (int) $request->get_param( 'page' ),
+				'per_page' => (int) $request->get_param( 'per_page' ),
+			]
+		);
+
+		$response = rest_ensure_response( $result );
+		$response->header( 'X-WP-Total', (string) $result[ 'total' ] );
+		$response->header( 'X-WP-TotalPages', (string) $result[ 'totalPages' ] );
+
+		return $response;
+	}
+
+	/**
+	 * Change release time endpoint.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function schedule_items( WP_REST_Request $request ) {
+		return rest_ensure_response(
+			$this->review_service->reschedule(
+				(array) $request->get_param( 'ids' ),
+				$this->parse_release_time( (string) $request->get_param( 'release_at' ) )
+			)
+		);
+	}
+
+	/**
+	 * Cancel release endpoint.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function cancel_release_items( WP_REST_Request $request ) {
+		return rest_ensure_response(
+			$this->review_service->cancel_release( (array) $request->get_param( 'ids' ) )
+		);
+	}
+
+	/**
+	 * Undo an approve or move action.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function undo_action( WP_REST_Request $request ) {
+		return rest_ensure_response(
+			$this->review_service->undo( (string) $request->get_param( 'token' ) )
+		);
+	}
+
+	/**
+	 * Get arguments for the list endpoint.
+	 *
+	 * @return array
+	 */
+	private function get_list_args(): array {
+		return [
+			'page'      => [
+				'type'    => 'integer',
+				'default' => 1,
+				'minimum' => 1,
+			],
+			'offset'    => [
+				'type'    => 'integer',
+				'minimum' => 0,
+			],
+			'per_page'  => [
+				'type'    => 'integer',
+				'default' => ReviewService::PER_PAGE,
+				'minimum' => 1,
+				'maximum' => ReviewService::MAX_PER_PAGE,
+			],
+			'orderby'   => [
+				'type'    => 'string',
+				'default' => 'date',
+				'enum'    => ReviewService::ORDERBY,
+			],
+			'order'     => [
+				'type'    => 'string',
+				'default' => 'desc',
+				'enum'    => [ 'asc', 'desc' ],
+			],
+			'author'    => [
+				'type'    => 'integer',
+				'minimum' => 1,
+			],
+			'mime_type' => [
+				'type' => 'string',
+				'enum' => array_keys( ReviewService::MIME_GROUPS ),
+			],
+			'after'     => [
+				'type'    => 'string',
+				'pattern' => '^\\d{4}-\\d{2}-\\d{2}$',
+			],
+			'before'    => [
+				'type'    => 'string',
+				'pattern' => '^\\d{4}-\\d{2}-\\d{2}$',
+			],
+			'min_size'  => [
+				'type'    => 'integer',
+				'minimum' => 0,
+			],
+			'max_size'  => [
+				'type'    => 'integer',
+				'minimum' => 0,
+			],
+			'search'    => [
+				'type'              => 'string',
+				'sanitize_callback' => 'sanitize_text_field',
+			],
+			'stage'     => [
+				'type'              => 'string',
+				'sanitize_callback' => 'sanitize_key',
+			],
+			'folder'    => [
+				'type'    => 'integer',
+				'minimum' => 1,
+			],
+			'assignee'  => [
+				'type' => 'string',
+				'enum' => [ 'me', 'none' ],
+			],
+			'include'   => [
+				'type'  => 'array',
+				'items' => [
+					'type' => 'integer',
+				],
+			],
+		];
+	}
+
+	/**
+	 * Get the filter and sort arguments of the list endpoint, without pagination.
+	 *
+	 * @return array
+	 */
+	private function get_filter_args(): array {
+		return array_diff_key( $this->get_list_args(), array_flip( [ 'page', 'offset', 'per_page' ] ) );
+	}
+
+	/**
+	 * Get the schema for the attachment IDs argument. Larger selections
+	 * are sent in chunks of ReviewService::MAX_BATCH.
+	 *
+	 * @return array
+	 */
+	private function get_ids_arg(): array {
+		return [
+			'type'     => 'array',
+			'required' => true,
+			'minItems' => 1,
+			'maxItems' => ReviewService::MAX_BATCH,
+			'items'    => [
+				'type' => 'integer',
+			],
+		];
+	}
+
+	/**
+	 * Get the schema for a release time argument.
+	 *
+	 * @param bool $required Whether the argument is required.
+	 * @return array Argument schema.
+	 */
+	private function get_release_arg( bool $required ): array {
+		return [
+			'description' => __( 'Release date and time in the site timezone, e.g. 2026-11-01T09:00.', 'vmfa-editorial-workflow' ),
+			'type'        => 'string',
+			'required'    => $required,
+			'pattern'     => '^\\d{4}-\\d{2}-\\d{2}[T ]\\d{2}:\\d{2}(:\\d{2})?$',
+		];
+	}
+
+	/**
+	 * Convert a release time in the site timezone to a Unix timestamp.
+	 *
+	 * @param string $value Date and time, e.g. 2026-11-01T09:00.
+	 * @return int Unix timestamp.
+	 */
+	private function parse_release_time( string $value ): int {
+		return (int) get_gmt_from_date( $value, 'U' );
+	}
+}
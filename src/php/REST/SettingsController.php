@@ -12,7 +12,11 @@ declare(strict_types=1);
 namespace VmfaEditorialWorkflow\REST;
 
 use VmfaEditorialWorkflow\Services\AccessChecker;
+use VmfaEditorialWorkflow\Services\AssignmentService;
+use VmfaEditorialWorkflow\Services\AuditLogService;
 use VmfaEditorialWorkflow\Services\InboxService;
+use VmfaEditorialWorkflow\Services\NotificationService;
+use VmfaEditorialWorkflow\Services\QualityGateService;
 use VmfaEditorialWorkflow\WorkflowState;
 use WP_Error;
 use WP_REST_Controller;
@@ -114,6 +118,42 @@ class SettingsController extends WP_REST_Controller {
 			]
 		);
 
+		// GET/POST /stages - Approval pipeline stages.
+		register_rest_route(
+			$this->namespace,
+			'/stages',
+			[
+				[
+					'methods'             => WP_REST_Server::READABLE,
+					'callback'            => [ $this, 'get_stages' ],
+					'permission_callback' => [ $this, 'check_admin_permission' ],
+				],
+				[
+					'methods'             => WP_REST_Server::CREATABLE,
+					'callback'            => [ $this, 'update_stages' ],
+					'permission_callback' => [ $this, 'check_admin_permission' ],
+				],
+			]
+		);
+
+		// GET/POST /quality-rules - Quality gates for approval.
+		register_rest_route(
+			$this->namespace,
+			'/quality-rules',
+			[
+				[
+					'methods'             => WP_REST_Server::READABLE,
+					'callback'            => [ $this, 'get_quality_rules' ],
+					'permission_callback' => [ $this, 'check_admin_permission' ],
+				],
+				[
+					'methods'             => WP_REST_Server::CREATABLE,
+					'callback'            => [ $this, 'update_quality_rules' ],
+					'permission_callback' => [ $this, 'check_admin_permission' ],
+				],
+			]
+		);
+
 		// GET /stats - Workflow statistics.
 		register_rest_route(
 			$this->namespace,
@@ -170,18 +210,34 @@ class SettingsController extends WP_REST_Controller {
 	 */
 	private function get_settings_args(): array {
 		return [
-			'permissions' => [
+			'permissions'   => [
 				'type'        => 'object',
 				'description' => __( 'Folder permissions by folder ID and role.', 'vmfa-editorial-workflow' ),
 			],
-			'inbox'       => [
+			'inbox'         => [
 				'type'        => 'object',
 				'description' => __( 'Inbox folder mapping by role.', 'vmfa-editorial-workflow' ),
 			],
-			'workflow'    => [
+			'workflow'      => [
 				'type'        => 'object',
 				'description' => __( 'Workflow configuration.', 'vmfa-editorial-workflow' ),
 			],
+			'stages'        => [
+				'type'        => 'array',
+				'description' => __( 'Ordered approval stages.', 'vmfa-editorial-workflow' ),
+			],
+			'qualityRules'  => [
+				'type'        => 'object',
+				'description' => __( 'Quality rules items must pass to be approved.', 'vmfa-editorial-workflow' ),
+			],
+			'auditLog'      => [
+				'type'        => 'object',
+				'description' => __( 'Audit log configuration.', 'vmfa-editorial-workflow' ),
+			],
+			'notifications' => [
+				'type'        => 'object',
+				'description' => __( 'Email notification configuration and templates.', 'vmfa-editorial-workflow' ),
+			],
 		];
 	}
 
@@ -196,14 +252,27 @@ class SettingsController extends WP_REST_Controller {
 		$workflow_state = new WorkflowState( $this->access_checker );
 
 		return rest_ensure_response( [
-			'permissions' => $this->get_all_permissions(),
-			'inbox'       => $inbox_service->get_inbox_map(),
-			'workflow'    => [
+			'permissions'   => $this->get_all_permissions(),
+			'inbox'         => $inbox_service->get_inbox_map(),
+			'stages'        => $this->format_stages( $workflow_state->get_stages() ),
+			'qualityRules'  => $this->format_quality_rules( ( new QualityGateService() )->get_rules() ),
+			'workflow'      => [
 				'enabled'           => $workflow_state->is_workflow_enabled(),
 				'needsReviewFolder' => $workflow_state->get_needs_review_folder(),
 				'approvedFolder'    => $workflow_state->get_custom_approved_folder(),
 				'editorsCanReview'  => $workflow_state->editors_can_review(),
+				'rejectionReasons'  => $workflow_state->get_rejection_reasons(),
+				'undoWindow'        => $workflow_state->get_undo_window(),
+				'recentDays'        => $workflow_state->get_recent_days(),
+				'approvalsRequired' => $workflow_state->get_approvals_required(),
+				'autoAssign'        => ( new AssignmentService( $workflow_state ) )->is_auto_assign_enabled(),
+				'slaWarning'        => $workflow_state->get_sla_thresholds()[ 'warning' ],
+				'slaOverdue'        => $workflow_state->get_sla_thresholds()[ 'overdue' ],
 			],
+			'auditLog'      => [
+				'retention' => ( new AuditLogService() )->get_retention(),
+			],
+			'notifications' => $this->get_notification_service( $workflow_state )->get_settings(),
 		] );
 	}
 
@@ -250,6 +319,56 @@ class SettingsController extends WP_REST_Controller {
 			if ( isset( $workflow_data[ 'approvedFolder' ] ) ) {
 				$workflow_state->set_approved_folder( (int) $workflow_data[ 'approvedFolder' ] );
 			}
+
+			if ( isset( $workflow_data[ 'rejectionReasons' ] ) && is_array( $workflow_data[ 'rejectionReasons' ] ) ) {
+				$workflow_state->set_rejection_reasons( $workflow_data[ 'rejectionReasons' ] );
+			}
+
+			if ( isset( $workflow_data[ 'undoWindow' ] ) ) {
+				$workflow_state->set_undo_window( (int) $workflow_data[ 'undoWindow' ] );
+			}
+
+			if ( isset( $workflow_data[ 'recentDays' ] ) ) {
+				$workflow_state->set_recent_days( (int) $workflow_data[ 'recentDays' ] );
+			}
+
+			if ( isset( $workflow_data[ 'approvalsRequired' ] ) ) {
+				$workflow_state->set_approvals_required( (int) $workflow_data[ 'approvalsRequired' ] );
+			}
+
+			if ( isset( $workflow_data[ 'autoAssign' ] ) ) {
+				( new AssignmentService( $workflow_state ) )->set_auto_assign( (bool) $workflow_data[ 'autoAssign' ] );
+			}
+
+			$this->save_sla_thresholds( $workflow_state, (array) $workflow_data );
+		}
+
+		// Update stages if provided.
+		if ( $request->has_param( 'stages' ) && is_array( $request->get_param( 'stages' ) ) ) {
+			$result = ( new WorkflowState( $this->access_checker ) )->set_stages( $request->get_param( 'stages' ) );
+			if ( is_wp_error( $result ) ) {
+				$errors[] = $result->get_error_message();
+			}
+		}
+
+		// Update quality rules if provided.
+		if ( $request->has_param( 'qualityRules' ) && is_array( $request->get_param( 'qualityRules' ) ) ) {
+			$result = $this->save_quality_rules( $request->get_param( 'qualityRules' ) );
+			if ( is_wp_error( $result ) ) {
+				$errors[] = $result->get_error_message();
+			}
+		}
+
+		// Update audit log retention if provided.
+		$audit_log_data = $request->get_param( 'auditLog' );
+		if ( isset( $audit_log_data[ 'retention' ] ) ) {
+			( new AuditLogService() )->set_retention( (int) $audit_log_data[ 'retention' ] );
+		}
+
+		// Update notifications if provided.
+		if ( $request->has_param( 'notifications' ) && is_array( $request->get_param( 'notifications' ) ) ) {
+			$this->get_notification_service( new WorkflowState( $this->access_checker ) )
+				->set_settings( $request->get_param( 'notifications' ) );
 		}
 
 		if ( ! empty( $errors ) ) {
@@ -339,6 +458,14 @@ class SettingsController extends WP_REST_Controller {
 			'editorsCanReview'  => $workflow_state->editors_can_review(),
 			'needsReviewFolder' => $workflow_state->get_needs_review_folder(),
 			'approvedFolder'    => $workflow_state->get_approved_folder(),
+			'rejectedFolder'    => $workflow_state->get_rejected_folder(),
+			'rejectionReasons'  => $workflow_state->get_rejection_reasons(),
+			'undoWindow'        => $workflow_state->get_undo_window(),
+			'recentDays'        => $workflow_state->get_recent_days(),
+			'approvalsRequired' => $workflow_state->get_approvals_required(),
+			'autoAssign'        => ( new AssignmentService( $workflow_state ) )->is_auto_assign_enabled(),
+			'slaWarning'        => $workflow_state->get_sla_thresholds()[ 'warning' ],
+			'slaOverdue'        => $workflow_state->get_sla_thresholds()[ 'overdue' ],
 		] );
 	}
 
@@ -356,9 +483,196 @@ class SettingsController extends WP_REST_Controller {
 			$workflow_state->set_editors_can_review( (bool) $data[ 'editorsCanReview' ] );
 		}
 
+		if ( isset( $data[ 'rejectionReasons' ] ) && is_array( $data[ 'rejectionReasons' ] ) ) {
+			$workflow_state->set_rejection_reasons( $data[ 'rejectionReasons' ] );
+		}
+
+		if ( isset( $data[ 'undoWindow' ] ) ) {
+			$workflow_state->set_undo_window( (int) $data[ 'undoWindow' ] );
+		}
+
+		if ( isset( $data[ 'recentDays' ] ) ) {
+			$workflow_state->set_recent_days( (int) $data[ 'recentDays' ] );
+		}
+
+		if ( isset( $data[ 'approvalsRequired' ] ) ) {
+			$workflow_state->set_approvals_required( (int) $data[ 'approvalsRequired' ] );
+		}
+
+		if ( isset( $data[ 'autoAssign' ] ) ) {
+			( new AssignmentService( $workflow_state ) )->set_auto_assign( (bool) $data[ 'autoAssign' ] );
+		}
+
+		$this->save_sla_thresholds( $workflow_state, (array) $data );
+
 		return $this->get_workflow_settings( $request );
 	}
 
+	/**
+	 * Save the SLA thresholds from workflow settings data, keeping a
+	 * threshold that is not part of the data.
+	 *
+	 * @param WorkflowState $workflow_state Workflow state instance.
+	 * @param array         $data           Workflow settings data.
+	 * @return void
+	 */
+	private function save_sla_thresholds( WorkflowState $workflow_state, array $data ): void {
+		if ( ! isset( $data[ 'slaWarning' ] ) && ! isset( $data[ 'slaOverdue' ] ) ) {
+			return;
+		}
+
+		$current = $workflow_state->get_sla_thresholds();
+
+		$workflow_state->set_sla_thresholds(
+			(int) ( $data[ 'slaWarning' ] ?? $current[ 'warning' ] ),
+			(int) ( $data[ 'slaOverdue' ] ?? $current[ 'overdue' ] )
+		);
+	}
+
+	/**
+	 * Get stages endpoint.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response
+	 */
+	public function get_stages( WP_REST_Request $request ): WP_REST_Response {
+		$workflow_state = new WorkflowState( $this->access_checker );
+
+		return rest_ensure_response( $this->format_stages( $workflow_state->get_stages() ) );
+	}
+
+	/**
+	 * Update stages endpoint.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function update_stages( WP_REST_Request $request ) {
+		$data = $request->get_json_params();
+
+		if ( ! is_array( $data ) ) {
+			return new WP_Error(
+				'invalid_data',
+				__( 'Invalid stages.', 'vmfa-editorial-workflow' ),
+				[ 'status' => 400 ]
+			);
+		}
+
+		$result = ( new WorkflowState( $this->access_checker ) )->set_stages( $data );
+
+		if ( is_wp_error( $result ) ) {
+			return $result;
+		}
+
+		return $this->get_stages( $request );
+	}
+
+	/**
+	 * Format stages for the REST API.
+	 *
+	 * @param array $stages Stages from WorkflowState::get_stages().
+	 * @return array Stages without their folder IDs.
+	 */
+	private function format_stages( array $stages ): array {
+		return array_map(
+			fn( $stage ) => [
+				'key'   => $stage[ 'key' ],
+				'name'  => $stage[ 'name' ],
+				'roles' => $stage[ 'roles' ],
+			],
+			$stages
+		);
+	}
+
+	/**
+	 * Get quality rules endpoint.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response
+	 */
+	public function get_quality_rules( WP_REST_Request $request ): WP_REST_Response {
+		return rest_ensure_response( $this->format_quality_rules( ( new QualityGateService() )->get_rules() ) );
+	}
+
+	/**
+	 * Update quality rules endpoint.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function update_quality_rules( WP_REST_Request $request ) {
+		$data = $request->get_json_params();
+
+		if ( ! is_array( $data ) ) {
+			return new WP_Error(
+				'invalid_data',
+				__( 'Invalid quality rules.', 'vmfa-editorial-workflow' ),
+				[ 'status' => 400 ]
+			);
+		}
+
+		$result = $this->save_quality_rules( $data );
+
+		if ( is_wp_error( $result ) ) {
+			return $result;
+		}
+
+		return $this->get_quality_rules( $request );
+	}
+
+	/**
+	 * Format quality rules for the REST API.
+	 *
+	 * @param array $rules Rules from QualityGateService::get_rules().
+	 * @return array Rules with camelCase keys.
+	 */
+	private function format_quality_rules( array $rules ): array {
+		return [
+			'altRequired'      => $rules[ 'alt_required' ],
+			'minWidth'         => $rules[ 'min_width' ],
+			'minHeight'        => $rules[ 'min_height' ],
+			'maxFileSize'      => $rules[ 'max_file_size' ],
+			'allowedMimeTypes' => $rules[ 'allowed_mime_types' ],
+			'filenamePattern'  => $rules[ 'filename_pattern' ],
+		];
+	}
+
+	/**
+	 * Save quality rules sent with camelCase keys.
+	 *
+	 * @param array $data Rules, see format_quality_rules().
+	 * @return true|WP_Error True on success, WP_Error on failure.
+	 */
+	private function save_quality_rules( array $data ) {
+		$keys = [
+			'altRequired'      => 'alt_required',
+			'minWidth'         => 'min_width',
+			'minHeight'        => 'min_height',
+			'maxFileSize'      => 'max_file_size',
+			'allowedMimeTypes' => 'allowed_mime_types',
+			'filenamePattern'  => 'filename_pattern',
+		];
+
+		$rules = [];
+		foreach ( $keys as $key => $rule ) {
+			if ( array_key_exists( $key, $data ) ) {
+				$rules[ $rule ] = $data[ $key ];
+			}
+		}
+
+		return ( new QualityGateService() )->set_rules( $rules );
+	}
+
+	/**
+	 * Get a notification service.
+	 *
+	 * @param WorkflowState $workflow_state Workflow state instance.
+	 * @return NotificationService
+	 */
+	private function get_notification_service( WorkflowState $workflow_state ): NotificationService {
+		return new NotificationService( $this->access_checker, new AssignmentService( $workflow_state ) );
+	}
+
 	/**
 	 * Get all folder permissions.
 	 *
@@ -496,6 +810,7 @@ class SettingsController extends WP_REST_Controller {
 			'totalMedia'      => $total_media,
 			'needsReview'     => $needs_review_count,
 			'approved'        => $approved_count,
+			'overdue'         => $workflow_state->count_overdue(),
 			'rolesConfigured' => count( $roles_configured ),
 		] );
 	}
@@ -0,0 +1,194 @@
+<?php
+/**
+ * Submissions REST Controller.
+ *
+ * REST API endpoint for an uploader's own submissions.
+ *
+ * @package VmfaEditorialWorkflow
+ */
+
+declare(strict_types=1);
+
+namespace VmfaEditorialWorkflow\REST;
+
+use VmfaEditorialWorkflow\Services\ResubmissionService;
+use VmfaEditorialWorkflow\Services\SubmissionService;
+use WP_Error;
+use WP_REST_Controller;
+use WP_REST_Request;
+use WP_REST_Response;
+use WP_REST_Server;
+
+// Prevent direct access.
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * Submissions Controller class.
+ */
+class SubmissionsController extends WP_REST_Controller {
+
+	/**
+	 * Namespace.
+	 *
+	 * @var string
+	 */
+	protected $namespace = 'vmfa-editorial/v1';
+
+	/**
+	 * Largest page size.
+	 *
+	 * @var int
+	 */
+	private const MAX_PER_PAGE = 100;
+
+	/**
+	 * Submission service instance.
+	 *
+	 * @var SubmissionService
+	 */
+	private SubmissionService $submission_service;
+
+	/**
+	 * Resubmission service instance.
+	 *
+	 * @var ResubmissionService
+	 */
+	private ResubmissionService $resubmission_service;
+
+	/**
+	 * Constructor.
+	 *
+	 * @param SubmissionService   $submission_service   Submission service instance.
+	 * @param ResubmissionService $resubmission_service Resubmission service instance.
+	 */
+	public function __construct( SubmissionService $submission_service, ResubmissionService $resubmission_service ) {
+		$this->submission_service   = $submission_service;
+		$this->resubmission_service = $resubmission_service;
+	}
+
+	/**
+	 * Register routes.
+	 *
+	 * @return void
+	 */
+	public function register_routes(): void {
+		// GET /submissions - The current user's uploads and their workflow status.
+		register_rest_route(
+			$this->namespace,
+			'/submissions',
+			[
+				[
+					'methods'             => WP_REST_Server::READABLE,
+					'callback'            => [ $this, 'get_items' ],
+					'permission_callback' => [ $this, 'check_upload_permission' ],
+					'args'                => [
+						'status'   => [
+							'type' => 'string',
+							'enum' => SubmissionService::STATUSES,
+						],
+						'search'   => [
+							'type'              => 'string',
+							'sanitize_callback' => 'sanitize_text_field',
+						],
+						'page'     => [
+							'type'    => 'integer',
+							'default' => 1,
+							'minimum' => 1,
+						],
+						'per_page' => [
+							'type'    => 'integer',
+							'default' => SubmissionService::PER_PAGE,
+							'minimum' => 1,
+							'maximum' => self::MAX_PER_PAGE,
+						],
+					],
+				],
+			]
+		);
+
+		// POST /submissions/{id}/resubmit - Replace the file of a returned item and send it back to review.
+		register_rest_route(
+			$this->namespace,
+			'/submissions/(?P<id>\d+)/resubmit',
+			[
+				[
+					'methods'             => WP_REST_Server::CREATABLE,
+					'callback'            => [ $this, 'resubmit_item' ],
+					'permission_callback' => [ $this, 'check_upload_permission' ],
+					'args'                => [
+						'id' => [
+							'type'     => 'integer',
+							'required' => true,
+						],
+					],
+				],
+			]
+		);
+	}
+
+	/**
+	 * Check the user can upload media.
+	 *
+	 * @return bool|WP_Error
+	 */
+	public function check_upload_permission() {
+		if ( ! current_user_can( 'upload_files' ) ) {
+			return new WP_Error(
+				'rest_forbidden',
+				__( 'You do not have permission to view submissions.', 'vmfa-editorial-workflow' ),
+				[ 'status' => 403 ]
+			);
+		}
+
+		return true;
+	}
+
+	/**
+	 * Get submissions endpoint.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response
+	 */
+	public function get_items( $request ): WP_REST_Response {
+		$result = $this->submission_service->get_submissions(
+			get_current_user_id(),
+			[
+				'status'   => (string) $request->get_param( 'status' ),
+				'search'   => (string) $request->get_param( 'search' ),
+				'page'     => $request->get_param( 'page' ),
+				'per_page' => $request->get_param( 'per_page' ),
+			]
+		);
+
+		$response = rest_ensure_response( $result );
+		$response->header( 'X-WP-Total', (string) $result[ 'total' ] );
+		$response->header( 'X-WP-TotalPages', (string) $result[ 'totalPages' ] );
+
+		return $response;
+	}
+
+	/**
+	 * Resubmit endpoint.
+	 *
+	 * Expects the new file as the multipart field `file`.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function resubmit_item( WP_REST_Request $request ) {
+		$id    = (int) $request->get_param( 'id' );
+		$files = $request->get_file_params();
+
+		if ( empty( $files[ 'file' ] ) ) {
+			return new WP_Error( 'rest_upload_no_data', __( 'No file was uploaded.', 'vmfa-editorial-workflow' ), [ 'status' => 400 ] );
+		}
+
+		$result = $this->resubmission_service->resubmit( $id, $files[ 'file' ] );
+
+		if ( is_wp_error( $result ) ) {
+			return $result;
+		}
+
+		return rest_ensure_response( $this->submission_service->prepare_item( $id ) );
+	}
+}
@@ -371,11 +371,25 @@ class AccessChecker {
 		);
 
 		$meta_key = self::META_PREFIX . sanitize_key( $role );
+		$previous = get_term_meta( $folder_id, $meta_key, true );
+		$previous = is_array( $previous ) ? array_values( $previous ) : [];
 		$result   = update_term_meta( $folder_id, $meta_key, $valid_actions );
 
 		// Clear cache.
 		$this->clear_cache();
 
+		if ( false !== $result && $previous !== array_values( $valid_actions ) ) {
+			/**
+			 * Fires after a role's permissions on a folder change.
+			 *
+			 * @param int           $folder_id Folder term ID.
+			 * @param string        $role      Role name.
+			 * @param array<string> $actions   Allowed actions.
+			 * @param array<string> $previous  Previously allowed actions.
+			 */
+			do_action( 'vmfa_folder_permissions_changed', $folder_id, $role, array_values( $valid_actions ), $previous );
+		}
+
 		return false !== $result;
 	}
 
@@ -0,0 +1,245 @@
+<?php
+/**
+ * Assignment Service.
+ *
+ * Tracks which reviewer owns an item in the review queue.
+ *
+ * @package VmfaEditorialWorkflow
+ */
+
+declare(strict_types=1);
+
+namespace VmfaEditorialWorkflow\Services;
+
+use VmfaEditorialWorkflow\WorkflowState;
+use WP_Error;
+
+// Prevent direct access.
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * Assignment Service class.
+ *
+ * The assignee is stored as post meta on the attachment and cleared when
+ * the item leaves review or moves on to another stage, whose reviewers
+ * pick it up afresh.
+ */
+class AssignmentService {
+
+	/**
+	 * Post meta key for the assigned reviewer's user ID.
+	 *
+	 * @var string
+	 */
+	public const META_ASSIGNEE = 'vmfa_assignee';
+
+	/**
+	 * Option key for automatic round-robin assignment of new uploads.
+	 *
+	 * @var string
+	 */
+	public const OPTION_AUTO_ASSIGN = 'vmfa_auto_assign';
+
+	/**
+	 * Option key for the reviewer who was assigned an upload last.
+	 *
+	 * @var string
+	 */
+	public const OPTION_LAST_ASSIGNED = 'vmfa_auto_assign_last';
+
+	/**
+	 * Workflow state instance.
+	 *
+	 * @var WorkflowState
+	 */
+	private WorkflowState $workflow_state;
+
+	/**
+	 * Constructor.
+	 *
+	 * @param WorkflowState $workflow_state Workflow state instance.
+	 */
+	public function __construct( WorkflowState $workflow_state ) {
+		$this->workflow_state = $workflow_state;
+	}
+
+	/**
+	 * Initialize hooks.
+	 *
+	 * @return void
+	 */
+	public function init(): void {
+		add_action( 'vmfa_inbox_assigned', [ $this, 'maybe_auto_assign_upload' ], 10, 2 );
+		add_action( 'vmfa_marked_needs_review', [ $this, 'maybe_auto_assign' ] );
+
+		add_action( 'vmfa_stage_advanced', [ $this, 'unassign' ] );
+		add_action( 'vmfa_approved', [ $this, 'unassign' ] );
+		add_action( 'vmfa_scheduled', [ $this, 'unassign' ] );
+		add_action( 'vmfa_moved', [ $this, 'unassign' ] );
+		add_action( 'vmfa_rejected', [ $this, 'unassign' ] );
+	}
+
+	/**
+	 * Get the reviewer assigned to an attachment.
+	 *
+	 * @param int $attachment_id Attachment ID.
+	 * @return int|null User ID, or null if nobody is assigned.
+	 */
+	public function get_assignee( int $attachment_id ): ?int {
+		$user_id = (int) get_post_meta( $attachment_id, self::META_ASSIGNEE, true );
+
+		return $user_id ?: null;
+	}
+
+	/**
+	 * Assign an attachment to a reviewer.
+	 *
+	 * @param int $attachment_id Attachment ID.
+	 * @param int $user_id       Reviewer's user ID, 0 to unassign.
+	 * @return true|WP_Error True on success, WP_Error if the user cannot review.
+	 */
+	public function assign( int $attachment_id, int $user_id ) {
+		if ( $user_id && ! in_array( $user_id, $this->get_reviewer_ids(), true ) ) {
+			return new WP_Error(
+				'vmfa_invalid_assignee',
+				__( 'Items can only be assigned to reviewers.', 'vmfa-editorial-workflow' ),
+				[ 'status' => 400 ]
+			);
+		}
+
+		$previous = $this->get_assignee( $attachment_id );
+
+		if ( $user_id ) {
+			update_post_meta( $attachment_id, self::META_ASSIGNEE, $user_id );
+		} else {
+			delete_post_meta( $attachment_id, self::META_ASSIGNEE );
+		}
+
+		/**
+		 * Fires after an item is assigned to a reviewer, or unassigned.
+		 *
+		 * @param int      $attachment_id Attachment ID.
+		 * @param int      $user_id       Assigned user ID, 0 when unassigned.
+		 * @param int|null $previous      Previously assigned user ID.
+		 */
+		do_action( 'vmfa_assignee_changed', $attachment_id, $user_id, $previous );
+
+		return true;
+	}
+
+	/**
+	 * Remove the assignee from an attachment.
+	 *
+	 * @param int $attachment_id Attachment ID.
+	 * @return void
+	 */
+	public function unassign( int $attachment_id ): void {
+		delete_post_meta( $attachment_id, self::META_ASSIGNEE );
+	}
+
+	/**
+	 * Get the users who can review, sorted by ID.
+	 *
+	 * Includes everyone with the review capability and everyone holding
+	 * a role named on a review stage.
+	 *
+	 * @return array<int> User IDs.
+	 */
+	public function get_reviewer_ids(): array {
+		$ids = get_users( [
+			'capability' => $this->workflow_state->get_review_capability(),
+			'fields'     => 'ID',
+		] );
+
+		$roles = array_unique( array_merge( ...array_column( $this->workflow_state->get_stages(), 'roles' ) ) );
+		if ( $roles ) {
+			$ids = array_merge(
+				$ids,
+				get_users( [
+					'role__in' => $roles,
+					'fields'   => 'ID',
+				] )
+			);
+		}
+
+		$ids = array_values( array_unique( array_map( 'intval', $ids ) ) );
+		sort( $ids );
+
+		return $ids;
+	}
+
+	/**
+	 * Whether new uploads are assigned to reviewers automatically.
+	 *
+	 * @return bool
+	 */
+	public function is_auto_assign_enabled(): bool {
+		return (bool) get_option( self::OPTION_AUTO_ASSIGN, false );
+	}
+
+	/**
+	 * Set whether new uploads are assigned to reviewers automatically.
+	 *
+	 * @param bool $enabled Whether to auto-assign.
+	 * @return bool True on success.
+	 */
+	public function set_auto_assign( bool $enabled ): bool {
+		return update_option( self::OPTION_AUTO_ASSIGN, $enabled ? '1' : '0' );
+	}
+
+	/**
+	 * Auto-assign a new upload when its inbox is one of the review queues:
+	 * Needs Review or a role inbox folder reviewed from the Review screen.
+	 *
+	 * @param int $attachment_id Attachment ID.
+	 * @param int $folder_id     Inbox folder ID.
+	 * @return void
+	 */
+	public function maybe_auto_assign_upload( int $attachment_id, int $folder_id ): void {
+		if ( in_array( $folder_id, $this->workflow_state->get_review_folders(), true ) ) {
+			$this->maybe_auto_assign( $attachment_id );
+		}
+	}
+
+	/**
+	 * Assign an item that entered review to the next reviewer in turn.
+	 *
+	 * @param int $attachment_id Attachment ID.
+	 * @return void
+	 */
+	public function maybe_auto_assign( int $attachment_id ): void {
+		if ( ! $this->is_auto_assign_enabled() || $this->get_assignee( $attachment_id ) ) {
+			return;
+		}
+
+		$user_id = $this->get_next_reviewer();
+
+		if ( $user_id && true === $this->assign( $attachment_id, $user_id ) ) {
+			update_option( self::OPTION_LAST_ASSIGNED, $user_id, false );
+		}
+	}
+
+	/**
+	 * Get the reviewer whose turn it is: the first one after the reviewer
+	 * assigned last, wrapping around.
+	 *
+	 * @return int|null User ID, or null if there are no reviewers.
+	 */
+	public function get_next_reviewer(): ?int {
+		$reviewers = $this->get_reviewer_ids();
+
+		if ( ! $reviewers ) {
+			return null;
+		}
+
+		$last = (int) get_option( self::OPTION_LAST_ASSIGNED, 0 );
+
+		foreach ( $reviewers as $user_id ) {
+			if ( $user_id > $last ) {
+				return $user_id;
+			}
+		}
+
+		return $reviewers[ 0 ];
+	}
+}
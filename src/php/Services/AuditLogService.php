@@ -0,0 +1,868 @@
+<?php
+/**
+ * Audit Log Service.
+ *
+ * Records who changed access settings and who moved media through the
+ * workflow, in a table of its own.
+ *
+ * @package VmfaEditorialWorkflow
+ */
+
+declare(strict_types=1);
+
+namespace VmfaEditorialWorkflow\Services;
+
+// Prevent direct access.
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * Audit Log Service class.
+ *
+ * Entries are written from the plugin's own actions and the folder
+ * taxonomy's delete hook, so every code path that changes permissions or
+ * moves an item is covered. Names of folders and items are stored with
+ * the entry, as the log must stay readable after they are deleted.
+ */
+class AuditLogService {
+
+	/**
+	 * Table name, without the database prefix.
+	 *
+	 * @var string
+	 */
+	public const TABLE = 'vmfa_audit_log';
+
+	/**
+	 * Version of the table schema.
+	 *
+	 * @var int
+	 */
+	public const DB_VERSION = 1;
+
+	/**
+	 * Option key for the installed table schema version.
+	 *
+	 * @var string
+	 */
+	public const OPTION_DB_VERSION = 'vmfa_audit_log_db_version';
+
+	/**
+	 * Option key for the number of days entries are kept.
+	 *
+	 * @var string
+	 */
+	public const OPTION_RETENTION = 'vmfa_audit_retention';
+
+	/**
+	 * Days entries are kept by default.
+	 *
+	 * @var int
+	 */
+	public const DEFAULT_RETENTION = 90;
+
+	/**
+	 * Longest retention that can be set, in days.
+	 *
+	 * @var int
+	 */
+	public const MAX_RETENTION = 3650;
+
+	/**
+	 * Cron hook that removes expired entries.
+	 *
+	 * @var string
+	 */
+	public const CRON_HOOK = 'vmfa_audit_log_prune';
+
+	/**
+	 * Maximum number of entries in one export.
+	 *
+	 * @var int
+	 */
+	public const EXPORT_LIMIT = 5000;
+
+	/**
+	 * Logged events.
+	 *
+	 * @var array<string>
+	 */
+	public const EVENTS = [
+		'permissions_changed',
+		'inbox_changed',
+		'approved',
+		'stage_advanced',
+		'moved',
+		'rejected',
+		'undone',
+		'sent_back',
+		'scheduled',
+		'released',
+		'release_cancelled',
+		'access_denied',
+		'folder_deleted',
+	];
+
+	/**
+	 * VMF taxonomy name.
+	 *
+	 * @var string
+	 */
+	private string $taxonomy;
+
+	/**
+	 * Constructor.
+	 */
+	public function __construct() {
+		$this->taxonomy = defined( 'VirtualMediaFolders\Taxonomy::TAXONOMY' )
+			? \VirtualMediaFolders\Taxonomy::TAXONOMY
+			: 'vmfo_folder';
+	}
+
+	/**
+	 * Initialize hooks.
+	 *
+	 * @return void
+	 */
+	public function init(): void {
+		// Create the table after a plugin update.
+		add_action( 'admin_init', [ $this, 'maybe_create_table' ] );
+
+		add_action( 'init', [ $this, 'schedule_pruning' ] );
+		add_action( self::CRON_HOOK, [ $this, 'prune' ] );
+
+		add_action( 'vmfa_folder_permissions_changed', [ $this, 'log_permissions' ], 10, 4 );
+		add_action( 'vmfa_inbox_map_changed', [ $this, 'log_inbox_map' ], 10, 2 );
+		add_action( 'vmfa_approved', [ $this, 'log_approved' ], 10, 2 );
+		add_action( 'vmfa_stage_advanced', [ $this, 'log_stage' ], 10, 3 );
+		add_action( 'vmfa_moved', [ $this, 'log_moved' ], 10, 2 );
+		add_action( 'vmfa_rejected', [ $this, 'log_rejected' ], 10, 3 );
+		add_action( 'vmfa_review_undone', [ $this, 'log_undone' ], 10, 3 );
+		add_action( 'vmfa_sent_back', [ $this, 'log_sent_back' ], 10, 2 );
+		add_action( 'vmfa_scheduled', [ $this, 'log_scheduled' ], 10, 4 );
+		add_action( 'vmfa_released', [ $this, 'log_released' ], 10, 2 );
+		add_action( 'vmfa_release_cancelled', [ $this, 'log_release_cancelled' ], 10, 2 );
+		add_action( 'vmfa_access_denied', [ $this, 'log_denied' ], 10, 3 );
+		add_action( 'delete_' . $this->taxonomy, [ $this, 'log_folder_deleted' ], 10, 4 );
+	}
+
+	/**
+	 * Run on plugin activation.
+	 *
+	 * @return void
+	 */
+	public static function activate(): void {
+		$instance = new self();
+		$instance->create_table();
+		$instance->schedule_pruning();
+	}
+
+	/**
+	 * Get the table name.
+	 *
+	 * @return string Table name with the database prefix.
+	 */
+	public function get_table(): string {
+		global $wpdb;
+
+		return $wpdb->prefix . self::TABLE;
+	}
+
+	/**
+	 * Create or upgrade the table.
+	 *
+	 * @return void
+	 */
+	public function create_table(): void {
+		global $wpdb;
+
+		require_once ABSPATH . 'wp-admin/includes/upgrade.php';
+
+		$table   = $this->get_table();
+		$charset = $wpdb->get_charset_collate();
+
+		dbDelta(
+			"CREATE TABLE {$table} (
+				id bigint(20) unsigned NOT NULL AUTO_INCREMENT,
+				created_at datetime NOT NULL,
+				user_id bigint(20) unsigned NOT NULL DEFAULT 0,
+				event varchar(40) NOT NULL,
+				object_type varchar(20) NOT NULL DEFAULT '',
+				object_id bigint(20) unsigned NOT NULL DEFAULT 0,
+				details longtext NOT NULL,
+				PRIMARY KEY  (id),
+				KEY created_at (created_at),
+				KEY event (event),
+				KEY user_id (user_id)
+			) {$charset};"
+		);
+
+		update_option( self::OPTION_DB_VERSION, self::DB_VERSION );
+	}
+
+	/**
+	 * Create the table if it is missing or outdated.
+	 *
+	 * @return void
+	 */
+	public function maybe_create_table(): void {
+		if ( (int) get_option( self::OPTION_DB_VERSION, 0 ) >= self::DB_VERSION ) {
+			return;
+		}
+
+		$this->create_table();
+	}
+
+	/**
+	 * Schedule the daily removal of expired entries.
+	 *
+	 * @return void
+	 */
+	public function schedule_pruning(): void {
+		if ( ! wp_next_scheduled( self::CRON_HOOK ) ) {
+			wp_schedule_event( time() + HOUR_IN_SECONDS, 'daily', self::CRON_HOOK );
+		}
+	}
+
+	/**
+	 * Get the number of days entries are kept.
+	 *
+	 * @return int Days, 0 to keep entries forever.
+	 */
+	public function get_retention(): int {
+		return (int) get_option( self::OPTION_RETENTION, self::DEFAULT_RETENTION );
+	}
+
+	/**
+	 * Set the number of days entries are kept.
+	 *
+	 * @param int $days Days, 0 to keep entries forever.
+	 * @return bool True on success.
+	 */
+	public function set_retention( int $days ): bool {
+		return update_option( self::OPTION_RETENTION, max( 0, min( self::MAX_RETENTION, $days ) ) );
+	}
+
+	/**
+	 * Add an entry to the log.
+	 *
+	 * @param string   $event       Event, one of EVENTS.
+	 * @param string   $object_type Object type: 'attachment', 'folder' or 'settings'.
+	 * @param int      $object_id   Object ID, 0 for settings.
+	 * @param array    $details     Event details.
+	 * @param int|null $user_id     User who caused the event. Defaults to the current user.
+	 * @return bool True on success.
+	 */
+	public function log( string $event, string $object_type, int $object_id, array $details = [], ?int $user_id = null ): bool {
+		global $wpdb;
+
+		$result = $wpdb->insert( // phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery
+			$this->get_table(),
+			[
+				'created_at'  => current_time( 'mysql', true ),
+				'user_id'     => $user_id ?? get_current_user_id(),
+				'event'       => $event,
+				'object_type' => $object_type,
+				'object_id'   => $object_id,
+				'details'     => (string) wp_json_encode( $details ),
+			],
+			[ '%s', '%d', '%s', '%s', '%d', '%s' ]
+		);
+
+		return false !== $result;
+	}
+
+	/**
+	 * Find log entries, newest first.
+	 *
+	 * @param array $args {
+	 *     Query arguments.
+	 *
+	 *     @type string $event    Only this event.
+	 *     @type int    $user     Only entries caused by this user.
+	 *     @type string $after    Only entries on or after this date (Y-m-d, site time).
+	 *     @type string $before   Only entries on or before this date (Y-m-d, site time).
+	 *     @type int    $page     Page number. Default 1.
+	 *     @type int    $per_page Entries per page. Default 20.
+	 * }
+	 * @return array{items: array, total: int, totalPages: int} Entries and the number of matching entries.
+	 */
+	public function query( array $args = [] ): array {
+		global $wpdb;
+
+		$args = wp_parse_args(
+			$args,
+			[
+				'event'    => '',
+				'user'     => 0,
+				'after'    => '',
+				'before'   => '',
+				'page'     => 1,
+				'per_page' => 20,
+			]
+		);
+
+		$where  = [];
+		$values = [];
+
+		if ( in_array( $args[ 'event' ], self::EVENTS, true ) ) {
+			$where[]  = 'event = %s';
+			$values[] = $args[ 'event' ];
+		}
+
+		if ( (int) $args[ 'user' ] > 0 ) {
+			$where[]  = 'user_id = %d';
+			$values[] = (int) $args[ 'user' ];
+		}
+
+		if ( $args[ 'after' ] ) {
+			$where[]  = 'created_at >= %s';
+			$values[] = get_gmt_from_date( $args[ 'after' ] . ' 00:00:00' );
+		}
+
+		if ( $args[ 'before' ] ) {
+			$where[]  = 'created_at <= %s';
+			$values[] = get_gmt_from_date( $args[ 'before' ] . ' 23:59:59' );
+		}
+
+		$table    = $this->get_table();
+		$where    = $where ? 'WHERE ' . implode( ' AND ', $where ) : '';
+		$per_page = max( 1, (int) $args[ 'per_page' ] );
+		$offset   = ( max( 1, (int) $args[ 'page' ] ) - 1 ) * $per_page;
+
+		// phpcs:disable WordPress.DB.PreparedSQL.InterpolatedNotPrepared, WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+		$count_sql = "SELECT COUNT(*) FROM {$table} {$where}";
+		$total     = (int) $wpdb->get_var( $values ? $wpdb->prepare( $count_sql, $values ) : $count_sql );
+		$rows      = $wpdb->get_results(
+			$wpdb->prepare(
+				"SELECT * FROM {$table} {$where} ORDER BY id DESC LIMIT %d OFFSET %d",
+				array_merge( $values, [ $per_page, $offset ] )
+			),
+			ARRAY_A
+		);
+		// phpcs:enable
+
+		return [
+			'items'      => array_map( [ $this, 'parse_row' ], (array) $rows ),
+			'total'      => $total,
+			'totalPages' => (int) ceil( $total / $per_page ),
+		];
+	}
+
+	/**
+	 * Get the users who appear in the log.
+	 *
+	 * @return array<int> User IDs.
+	 */
+	public function get_user_ids(): array {
+		global $wpdb;
+
+		$table = $this->get_table();
+
+		// phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared, WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+		return array_map( 'intval', (array) $wpdb->get_col( "SELECT DISTINCT user_id FROM {$table} WHERE user_id > 0" ) );
+	}
+
+	/**
+	 * Remove entries older than the retention period.
+	 *
+	 * @param int|null $now Current Unix time. Defaults to now.
+	 * @return int Number of entries removed.
+	 */
+	public function prune( ?int $now = null ): int {
+		global $wpdb;
+
+		$days = $this->get_retention();
+
+		if ( $days <= 0 ) {
+			return 0;
+		}
+
+		$table  = $this->get_table();
+		$cutoff = gmdate( 'Y-m-d H:i:s', ( $now ?? time() ) - $days * DAY_IN_SECONDS );
+
+		// phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared, WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+		return (int) $wpdb->query( $wpdb->prepare( "DELETE FROM {$table} WHERE created_at < %s", $cutoff ) );
+	}
+
+	/**
+	 * Write entries as CSV.
+	 *
+	 * Titles and names come from users, so cells a spreadsheet would read
+	 * as a formula are prefixed with a quote.
+	 *
+	 * @param array $items Entries from AuditLogController::prepare_entry().
+	 * @return string CSV with a header row.
+	 */
+	public function to_csv( array $items ): string {
+		$handle = fopen( 'php://temp', 'r+' ); // phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fopen
+
+		fputcsv( $handle, [ 'date', 'user_id', 'user', 'event', 'object_type', 'object_id', 'summary', 'details' ], ',', '"', '' );
+
+		foreach ( $items as $item ) {
+			fputcsv(
+				$handle,
+				array_map(
+					[ $this, 'escape_csv_cell' ],
+					[
+						$item[ 'date' ],
+						$item[ 'user' ][ 'id' ],
+						$item[ 'user' ][ 'name' ],
+						$item[ 'event' ],
+						$item[ 'objectType' ],
+						$item[ 'objectId' ],
+						$item[ 'summary' ],
+						wp_json_encode( $item[ 'details' ] ),
+					]
+				),
+				',',
+				'"',
+				''
+			);
+		}
+
+		rewind( $handle );
+		$csv = (string) stream_get_contents( $handle );
+		fclose( $handle ); // phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fclose
+
+		return $csv;
+	}
+
+	/**
+	 * Keep a CSV cell from being read as a formula.
+	 *
+	 * @param mixed $value Cell value.
+	 * @return mixed The value, with a leading quote if it starts like a formula.
+	 */
+	private function escape_csv_cell( $value ) {
+		if ( is_string( $value ) && '' !== $value && false !== strpos( "=+-@\t\r", $value[ 0 ] ) ) {
+			return "'" . $value;
+		}
+
+		return $value;
+	}
+
+	/**
+	 * Describe an entry in a sentence.
+	 *
+	 * @param array $entry Entry from query().
+	 * @return string Description.
+	 */
+	public function describe( array $entry ): string {
+		$details = $entry[ 'details' ];
+		$item    = (string) ( $details[ 'title' ] ?? '' );
+		$folder  = (string) ( $details[ 'folder_name' ] ?? '' );
+
+		switch ( $entry[ 'event' ] ) {
+			case 'permissions_changed':
+				return sprintf(
+					/* translators: 1: role name, 2: folder name, 3: allowed actions, 4: previously allowed actions */
+					__( '%1$s on %2$s: %3$s (was %4$s)', 'vmfa-editorial-workflow' ),
+					$this->get_role_name( (string) ( $details[ 'role' ] ?? '' ) ),
+					$folder,
+					$this->list_actions( (array) ( $details[ 'actions' ] ?? [] ) ),
+					$this->list_actions( (array) ( $details[ 'previous' ] ?? [] ) )
+				);
+
+			case 'inbox_changed':
+				$changes = [];
+				foreach ( (array) ( $details[ 'changes' ] ?? [] ) as $role => $change ) {
+					$changes[] = sprintf(
+						/* translators: 1: role name, 2: inbox folder name, 3: previous inbox folder name */
+						__( '%1$s: %2$s (was %3$s)', 'vmfa-editorial-workflow' ),
+						$this->get_role_name( (string) $role ),
+						$change[ 'folder_name' ] ?: __( 'none', 'vmfa-editorial-workflow' ),
+						$change[ 'previous_name' ] ?: __( 'none', 'vmfa-editorial-workflow' )
+					);
+				}
+
+				return implode( '; ', $changes );
+
+			case 'approved':
+				/* translators: 1: item title, 2: folder name */
+				return sprintf( __( '%1$s approved and moved to %2$s', 'vmfa-editorial-workflow' ), $item, $folder );
+
+			case 'stage_advanced':
+				return sprintf(
+					/* translators: 1: item title, 2: review stage name */
+					__( '%1$s approved and sent on to %2$s', 'vmfa-editorial-workflow' ),
+					$item,
+					(string) ( $details[ 'stage' ] ?? '' )
+				);
+
+			case 'moved':
+				/* translators: 1: item title, 2: folder name */
+				return sprintf( __( '%1$s moved to %2$s', 'vmfa-editorial-workflow' ), $item, $folder );
+
+			case 'rejected':
+				return sprintf(
+					/* translators: 1: item title, 2: reason for the rejection */
+					__( '%1$s rejected: %2$s', 'vmfa-editorial-workflow' ),
+					$item,
+					(string) ( $details[ 'reason' ] ?? '' )
+				);
+
+			case 'undone':
+				return 'approve' === ( $details[ 'action' ] ?? '' )
+					/* translators: %s: item title */
+					? sprintf( __( 'Approval of %s undone', 'vmfa-editorial-workflow' ), $item )
+					/* translators: %s: item title */
+					: sprintf( __( 'Move of %s undone', 'vmfa-editorial-workflow' ), $item );
+
+			case 'sent_back':
+				return 'approved' === ( $details[ 'action' ] ?? '' )
+					/* translators: %s: item title */
+					? sprintf( __( '%s sent back to review after approval', 'vmfa-editorial-workflow' ), $item )
+					/* translators: 1: item title, 2: folder name */
+					: sprintf( __( '%1$s sent back to review from %2$s', 'vmfa-editorial-workflow' ), $item, $folder );
+
+			case 'scheduled':
+				$release = wp_date( get_option( 'date_format' ) . ' ' . get_option( 'time_format' ), (int) strtotime( (string) ( $details[ 'release_at' ] ?? '' ) ) );
+
+				return empty( $details[ 'previous' ] )
+					/* translators: 1: item title, 2: release date and time */
+					? sprintf( __( '%1$s approved for release on %2$s', 'vmfa-editorial-workflow' ), $item, $release )
+					/* translators: 1: item title, 2: release date and time */
+					: sprintf( __( 'Release of %1$s moved to %2$s', 'vmfa-editorial-workflow' ), $item, $release );
+
+			case 'released':
+				/* translators: 1: item title, 2: folder name */
+				return sprintf( __( '%1$s released to %2$s', 'vmfa-editorial-workflow' ), $item, $folder );
+
+			case 'release_cancelled':
+				/* translators: %s: item title */
+				return sprintf( __( 'Release of %s cancelled, sent back to review', 'vmfa-editorial-workflow' ), $item );
+
+			case 'access_denied':
+				switch ( $details[ 'operation' ] ?? '' ) {
+					case 'view':
+						/* translators: %s: folder name */
+						return sprintf( __( 'Refused to show folder %s', 'vmfa-editorial-workflow' ), $folder );
+					case 'delete':
+						/* translators: %s: folder name */
+						return sprintf( __( 'Refused to delete folder %s', 'vmfa-editorial-workflow' ), $folder );
+					default:
+						/* translators: %s: folder name */
+						return sprintf( __( 'Refused to move media to %s', 'vmfa-editorial-workflow' ), $folder );
+				}
+
+			case 'folder_deleted':
+				$count = (int) ( $details[ 'items' ] ?? 0 );
+
+				return sprintf(
+					/* translators: 1: folder name, 2: number of items in the folder */
+					_n( 'Folder %1$s deleted, with %2$d item', 'Folder %1$s deleted, with %2$d items', $count, 'vmfa-editorial-workflow' ),
+					$folder,
+					$count
+				);
+		}
+
+		return (string) $entry[ 'event' ];
+	}
+
+	/**
+	 * Log a change of a role's permissions on a folder.
+	 *
+	 * @param int           $folder_id Folder term ID.
+	 * @param string        $role      Role name.
+	 * @param array<string> $actions   Allowed actions.
+	 * @param array<string> $previous  Previously allowed actions.
+	 * @return void
+	 */
+	public function log_permissions( int $folder_id, string $role, array $actions, array $previous ): void {
+		$this->log(
+			'permissions_changed',
+			'folder',
+			$folder_id,
+			[
+				'folder_name' => $this->get_folder_name( $folder_id ),
+				'role'        => $role,
+				'actions'     => $actions,
+				'previous'    => $previous,
+			]
+		);
+	}
+
+	/**
+	 * Log the roles whose inbox folder changed.
+	 *
+	 * @param array<string, int> $map      Role => folder ID map.
+	 * @param array<string, int> $previous Previous map.
+	 * @return void
+	 */
+	public function log_inbox_map( array $map, array $previous ): void {
+		$changes = [];
+
+		foreach ( array_unique( array_merge( array_keys( $map ), array_keys( $previous ) ) ) as $role ) {
+			$folder_id   = (int) ( $map[ $role ] ?? 0 );
+			$previous_id = (int) ( $previous[ $role ] ?? 0 );
+
+			if ( $folder_id !== $previous_id ) {
+				$changes[ $role ] = [
+					'folder'        => $folder_id,
+					'folder_name'   => $this->get_folder_name( $folder_id ),
+					'previous'      => $previous_id,
+					'previous_name' => $this->get_folder_name( $previous_id ),
+				];
+			}
+		}
+
+		if ( $changes ) {
+			$this->log( 'inbox_changed', 'settings', 0, [ 'changes' => $changes ] );
+		}
+	}
+
+	/**
+	 * Log an approved item.
+	 *
+	 * @param int $attachment_id Attachment ID.
+	 * @param int $folder_id     Approved folder ID.
+	 * @return void
+	 */
+	public function log_approved( int $attachment_id, int $folder_id ): void {
+		$this->log( 'approved', 'attachment', $attachment_id, $this->get_item_details( $attachment_id, $folder_id ) );
+	}
+
+	/**
+	 * Log an item approved on to the next review stage.
+	 *
+	 * @param int    $attachment_id Attachment ID.
+	 * @param int    $folder_id     Folder of the stage.
+	 * @param string $stage         Stage key.
+	 * @return void
+	 */
+	public function log_stage( int $attachment_id, int $folder_id, string $stage ): void {
+		$details = $this->get_item_details( $attachment_id, $folder_id );
+
+		// Stage folders carry the name of their stage.
+		$details[ 'stage' ] = $details[ 'folder_name' ] ?: $stage;
+
+		$this->log( 'stage_advanced', 'attachment', $attachment_id, $details );
+	}
+
+	/**
+	 * Log an item moved from the Review screen.
+	 *
+	 * @param int $attachment_id Attachment ID.
+	 * @param int $folder_id     Destination folder ID.
+	 * @return void
+	 */
+	public function log_moved( int $attachment_id, int $folder_id ): void {
+		$this->log( 'moved', 'attachment', $attachment_id, $this->get_item_details( $attachment_id, $folder_id ) );
+	}
+
+	/**
+	 * Log a rejected item.
+	 *
+	 * @param int    $attachment_id Attachment ID.
+	 * @param int    $folder_id     Rejected folder ID.
+	 * @param string $reason        Reason for the rejection.
+	 * @return void
+	 */
+	public function log_rejected( int $attachment_id, int $folder_id, string $reason ): void {
+		$details             = $this->get_item_details( $attachment_id, $folder_id );
+		$details[ 'reason' ] = $reason;
+
+		$this->log( 'rejected', 'attachment', $attachment_id, $details );
+	}
+
+	/**
+	 * Log an undone approve or move.
+	 *
+	 * @param int        $attachment_id Attachment ID.
+	 * @param array<int> $folders       Restored folder IDs.
+	 * @param string     $action        Undone action: 'approve' or 'assign'.
+	 * @return void
+	 */
+	public function log_undone( int $attachment_id, array $folders, string $action ): void {
+		$this->log(
+			'undone',
+			'attachment',
+			$attachment_id,
+			[
+				'title'   => $this->get_item_title( $attachment_id ),
+				'action'  => $action,
+				'folders' => array_map( 'intval', $folders ),
+			]
+		);
+	}
+
+	/**
+	 * Log an approved or moved item sent back to review.
+	 *
+	 * @param int   $attachment_id Attachment ID.
+	 * @param array $decision      The reversed decision, see WorkflowState::META_DECISION.
+	 * @return void
+	 */
+	public function log_sent_back( int $attachment_id, array $decision ): void {
+		$details             = $this->get_item_details( $attachment_id, (int) ( $decision[ 'folder' ] ?? 0 ) );
+		$details[ 'action' ] = (string) ( $decision[ 'action' ] ?? '' );
+
+		$this->log( 'sent_back', 'attachment', $attachment_id, $details );
+	}
+
+	/**
+	 * Log an item approved for a scheduled release, or a change of its release time.
+	 *
+	 * @param int $attachment_id Attachment ID.
+	 * @param int $folder_id     Scheduled folder ID.
+	 * @param int $release_at    Release time (Unix timestamp).
+	 * @param int $previous      Previous release time, or 0 for a new schedule.
+	 * @return void
+	 */
+	public function log_scheduled( int $attachment_id, int $folder_id, int $release_at, int $previous = 0 ): void {
+		$details                 = $this->get_item_details( $attachment_id, $folder_id );
+		$details[ 'release_at' ] = gmdate( 'c', $release_at );
+		$details[ 'previous' ]   = $previous ? gmdate( 'c', $previous ) : '';
+
+		$this->log( 'scheduled', 'attachment', $attachment_id, $details );
+	}
+
+	/**
+	 * Log a scheduled item released by WP-Cron.
+	 *
+	 * @param int $attachment_id Attachment ID.
+	 * @param int $folder_id     Approved folder ID.
+	 * @return void
+	 */
+	public function log_released( int $attachment_id, int $folder_id ): void {
+		$this->log( 'released', 'attachment', $attachment_id, $this->get_item_details( $attachment_id, $folder_id ), 0 );
+	}
+
+	/**
+	 * Log a cancelled release.
+	 *
+	 * @param int   $attachment_id Attachment ID.
+	 * @param array $release       The cancelled release, see WorkflowState::get_release().
+	 * @return void
+	 */
+	public function log_release_cancelled( int $attachment_id, array $release ): void {
+		$details                 = $this->get_item_details( $attachment_id, 0 );
+		$details[ 'release_at' ] = gmdate( 'c', (int) ( $release[ 'at' ] ?? 0 ) );
+
+		$this->log( 'release_cancelled', 'attachment', $attachment_id, $details );
+	}
+
+	/**
+	 * Log an operation refused by the folder permissions.
+	 *
+	 * @param string $operation Refused operation: 'view', 'move' or 'delete'.
+	 * @param int    $folder_id Folder term ID.
+	 * @param int    $user_id   User who was refused.
+	 * @return void
+	 */
+	public function log_denied( string $operation, int $folder_id, int $user_id ): void {
+		$this->log(
+			'access_denied',
+			'folder',
+			$folder_id,
+			[
+				'operation'   => $operation,
+				'folder_name' => $this->get_folder_name( $folder_id ),
+			],
+			$user_id
+		);
+	}
+
+	/**
+	 * Log a deleted folder.
+	 *
+	 * @param int      $term_id      Folder term ID.
+	 * @param int      $tt_id        Term taxonomy ID.
+	 * @param \WP_Term $deleted_term Deleted folder.
+	 * @param array    $object_ids   IDs of the items that were in the folder.
+	 * @return void
+	 */
+	public function log_folder_deleted( int $term_id, int $tt_id, $deleted_term, array $object_ids ): void {
+		$this->log(
+			'folder_deleted',
+			'folder',
+			$term_id,
+			[
+				'folder_name' => $deleted_term instanceof \WP_Term ? $deleted_term->name : '',
+				'items'       => count( $object_ids ),
+			]
+		);
+	}
+
+	/**
+	 * Turn a table row into an entry.
+	 *
+	 * @param array $row Table row.
+	 * @return array{id: int, date: string, user_id: int, event: string, object_type: string, object_id: int, details: array} Entry.
+	 */
+	private function parse_row( array $row ): array {
+		$details = json_decode( (string) $row[ 'details' ], true );
+
+		return [
+			'id'          => (int) $row[ 'id' ],
+			'date'        => (string) $row[ 'created_at' ],
+			'user_id'     => (int) $row[ 'user_id' ],
+			'event'       => (string) $row[ 'event' ],
+			'object_type' => (string) $row[ 'object_type' ],
+			'object_id'   => (int) $row[ 'object_id' ],
+			'details'     => is_array( $details ) ? $details : [],
+		];
+	}
+
+	/**
+	 * Get the details logged for an item moved to a folder.
+	 *
+	 * @param int $attachment_id Attachment ID.
+	 * @param int $folder_id     Folder ID.
+	 * @return array{title: string, folder: int, folder_name: string} Details.
+	 */
+	private function get_item_details( int $attachment_id, int $folder_id ): array {
+		return [
+			'title'       => $this->get_item_title( $attachment_id ),
+			'folder'      => $folder_id,
+			'folder_name' => $this->get_folder_name( $folder_id ),
+		];
+	}
+
+	/**
+	 * Get an item's title, or its ID when it has none.
+	 *
+	 * @param int $attachment_id Attachment ID.
+	 * @return string Title.
+	 */
+	private function get_item_title( int $attachment_id ): string {
+		$title = (string) get_the_title( $attachment_id );
+
+		/* translators: %d: attachment ID */
+		return '' !== $title ? $title : sprintf( __( 'Item #%d', 'vmfa-editorial-workflow' ), $attachment_id );
+	}
+
+	/**
+	 * Get a folder's name.
+	 *
+	 * @param int $folder_id Folder term ID.
+	 * @return string Folder name, or an empty string for no or unknown folders.
+	 */
+	private function get_folder_name( int $folder_id ): string {
+		$term = $folder_id ? get_term( $folder_id, $this->taxonomy ) : null;
+
+		return $term instanceof \WP_Term ? $term->name : '';
+	}
+
+	/**
+	 * Get a role's display name.
+	 *
+	 * @param string $role Role name.
+	 * @return string Display name, or the role name for unknown roles.
+	 */
+	private function get_role_name( string $role ): string {
+		$names = wp_roles()->get_names();
+
+		return isset( $names[ $role ] ) ? translate_user_role( $names[ $role ] ) : $role;
+	}
+
+	/**
+	 * List permission actions for a description.
+	 *
+	 * @param array<string> $actions Actions.
+	 * @return string Comma-separated actions, or "no access".
+	 */
+	private function list_actions( array $actions ): string {
+		return $actions ? implode( ', ', $actions ) : __( 'no access', 'vmfa-editorial-workflow' );
+	}
+}
@@ -0,0 +1,177 @@
+<?php
+/**
+ * Comment Service.
+ *
+ * Stores review comments on attachments.
+ *
+ * @package VmfaEditorialWorkflow
+ */
+
+declare(strict_types=1);
+
+namespace VmfaEditorialWorkflow\Services;
+
+use WP_Error;
+
+// Prevent direct access.
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * Comment Service class.
+ *
+ * Each comment is stored as its own post meta row on the attachment so
+ * concurrent reviewers never overwrite each other's comments.
+ */
+class CommentService {
+
+	/**
+	 * Post meta key for review comments.
+	 *
+	 * Value: [ 'id' => string, 'author' => int, 'date' => string, 'content' => string, 'mentions' => int[] ].
+	 *
+	 * @var string
+	 */
+	public const META_COMMENT = 'vmfa_review_comment';
+
+	/**
+	 * Maximum comment length in characters.
+	 *
+	 * @var int
+	 */
+	public const MAX_LENGTH = 2000;
+
+	/**
+	 * Add a comment to an attachment.
+	 *
+	 * @param int    $attachment_id Attachment ID.
+	 * @param string $content       Comment text.
+	 * @param int    $author_id     Comment author user ID.
+	 * @return array|WP_Error The stored comment or error.
+	 */
+	public function add_comment( int $attachment_id, string $content, int $author_id ) {
+		$content = trim( sanitize_textarea_field( $content ) );
+
+		if ( '' === $content ) {
+			return new WP_Error(
+				'vmfa_empty_comment',
+				__( 'Comment cannot be empty.', 'vmfa-editorial-workflow' ),
+				[ 'status' => 400 ]
+			);
+		}
+
+		if ( mb_strlen( $content ) > self::MAX_LENGTH ) {
+			return new WP_Error(
+				'vmfa_comment_too_long',
+				sprintf(
+					/* translators: %d: maximum number of characters */
+					__( 'Comments are limited to %d characters.', 'vmfa-editorial-workflow' ),
+					self::MAX_LENGTH
+				),
+				[ 'status' => 400 ]
+			);
+		}
+
+		$comment = [
+			'id'       => wp_generate_uuid4(),
+			'author'   => $author_id,
+			'date'     => current_time( 'mysql', true ),
+			'content'  => $content,
+			'mentions' => $this->parse_mentions( $content ),
+		];
+
+		if ( ! add_post_meta( $attachment_id, self::META_COMMENT, wp_slash( $comment ) ) ) {
+			return new WP_Error(
+				'vmfa_comment_failed',
+				__( 'Could not save the comment.', 'vmfa-editorial-workflow' ),
+				[ 'status' => 500 ]
+			);
+		}
+
+		/**
+		 * Fires after a review comment is added to an attachment.
+		 *
+		 * @param int   $attachment_id Attachment ID.
+		 * @param array $comment       The stored comment.
+		 */
+		do_action( 'vmfa_comment_added', $attachment_id, $comment );
+
+		return $comment;
+	}
+
+	/**
+	 * Get all comments for an attachment, oldest first.
+	 *
+	 * @param int $attachment_id Attachment ID.
+	 * @return array<array> Comments.
+	 */
+	public function get_comments( int $attachment_id ): array {
+		$comments = array_filter(
+			(array) get_post_meta( $attachment_id, self::META_COMMENT, false ),
+			'is_array'
+		);
+
+		usort(
+			$comments,
+			fn( $a, $b ) => strcmp( (string) ( $a[ 'date' ] ?? '' ), (string) ( $b[ 'date' ] ?? '' ) )
+		);
+
+		return array_values( $comments );
+	}
+
+	/**
+	 * Get the number of comments on an attachment.
+	 *
+	 * @param int $attachment_id Attachment ID.
+	 * @return int Comment count.
+	 */
+	public function get_comment_count( int $attachment_id ): int {
+		return count( $this->get_comments( $attachment_id ) );
+	}
+
+	/**
+	 * Find users mentioned as @login in a comment.
+	 *
+	 * @param string $content Comment text.
+	 * @return array<int> Mentioned user IDs.
+	 */
+	public function parse_mentions( string $content ): array {
+		if ( ! preg_match_all( '/(?<![\w@])@([A-Za-z0-9_.\-]+)/', $content, $matches ) ) {
+			return [];
+		}
+
+		$user_ids = [];
+
+		foreach ( array_unique( $matches[ 1 ] ) as $login ) {
+			$user = get_user_by( 'login', rtrim( $login, '.' ) );
+			if ( $user ) {
+				$user_ids[] = (int) $user->ID;
+			}
+		}
+
+		return array_values( array_unique( $user_ids ) );
+	}
+
+	/**
+	 * Prepare a comment for output.
+	 *
+	 * @param array $comment Stored comment.
+	 * @return array Comment with author details.
+	 */
+	public function prepare_comment( array $comment ): array {
+		$author = get_userdata( (int) ( $comment[ 'author' ] ?? 0 ) );
+		$date   = (string) ( $comment[ 'date' ] ?? '' );
+
+		return [
+			'id'       => (string) ( $comment[ 'id' ] ?? '' ),
+			'content'  => (string) ( $comment[ 'content' ] ?? '' ),
+			'date'     => '' !== $date ? gmdate( DATE_ATOM, (int) strtotime( $date . ' UTC' ) ) : '',
+			'author'   => [
+				'id'     => $author ? (int) $author->ID : 0,
+				'name'   => $author ? $author->display_name : __( 'Deleted user', 'vmfa-editorial-workflow' ),
+				'login'  => $author ? $author->user_login : '',
+				'avatar' => $author ? get_avatar_url( $author->ID, [ 'size' => 48 ] ) : '',
+			],
+			'mentions' => array_map( 'intval', (array) ( $comment[ 'mentions' ] ?? [] ) ),
+		];
+	}
+}
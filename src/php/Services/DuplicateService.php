@@ -0,0 +1,424 @@
+<?php
+/**
+ * Duplicate Service.
+ *
+ * Finds uploads that repeat, or closely resemble, existing library items.
+ *
+ * @package VmfaEditorialWorkflow
+ */
+
+declare(strict_types=1);
+
+namespace VmfaEditorialWorkflow\Services;
+
+// Prevent direct access.
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * Duplicate Service class.
+ *
+ * Every new upload gets a content hash of its file and, for images, a
+ * 64-bit difference hash of its pixels that survives resizing and
+ * recompression. Matches against older attachments are stored on the
+ * upload until a reviewer discards it or keeps both. Attachments uploaded
+ * before the plugin hashed them are hashed by a WP-Cron backfill, a batch
+ * at a time, so uploads can be matched against the whole library.
+ */
+class DuplicateService {
+
+	/**
+	 * Post meta key for the SHA-1 hash of the attachment's file.
+	 *
+	 * @var string
+	 */
+	public const META_CONTENT_HASH = 'vmfa_content_hash';
+
+	/**
+	 * Post meta key for the perceptual hash of an image, 16 hex digits.
+	 *
+	 * @var string
+	 */
+	public const META_IMAGE_HASH = 'vmfa_image_hash';
+
+	/**
+	 * Post meta key for the matches found at upload time.
+	 *
+	 * @var string
+	 */
+	public const META_MATCHES = 'vmfa_duplicates';
+
+	/**
+	 * Largest number of differing bits for two images to count as similar.
+	 *
+	 * @var int
+	 */
+	public const SIMILARITY_THRESHOLD = 6;
+
+	/**
+	 * Maximum number of matches kept per upload.
+	 *
+	 * @var int
+	 */
+	public const MAX_MATCHES = 5;
+
+	/**
+	 * Cron hook hashing the next batch of older attachments.
+	 *
+	 * @var string
+	 */
+	public const BACKFILL_HOOK = 'vmfa_duplicate_backfill';
+
+	/**
+	 * Number of attachments hashed per backfill run.
+	 *
+	 * @var int
+	 */
+	public const BACKFILL_BATCH = 50;
+
+	/**
+	 * Option set once every older attachment has been hashed.
+	 *
+	 * @var string
+	 */
+	public const OPTION_BACKFILLED = 'vmfa_duplicate_backfilled';
+
+	/**
+	 * Initialize hooks.
+	 *
+	 * @return void
+	 */
+	public function init(): void {
+		// Runs just before InboxService::route_to_inbox(), so the matches are
+		// known once the upload shows up in review.
+		add_filter( 'wp_generate_attachment_metadata', [ $this, 'check_upload' ], 14, 3 );
+
+		// Start the backfill after a plugin update, too.
+		add_action( 'admin_init', [ $this, 'schedule_backfill' ] );
+		add_action( self::BACKFILL_HOOK, [ $this, 'run_backfill' ] );
+	}
+
+	/**
+	 * Start the backfill on plugin activation.
+	 *
+	 * @return void
+	 */
+	public static function activate(): void {
+		( new self() )->schedule_backfill();
+	}
+
+	/**
+	 * Hash a new upload and record the library items it duplicates.
+	 *
+	 * @param array  $metadata      Attachment metadata.
+	 * @param int    $attachment_id Attachment ID.
+	 * @param string $context       Context: 'create' for new uploads.
+	 * @return array Unmodified metadata.
+	 */
+	public function check_upload( array $metadata, int $attachment_id, string $context ): array {
+		if ( 'create' !== $context ) {
+			return $metadata;
+		}
+
+		$hashes = $this->hash_attachment( $attachment_id, $metadata );
+
+		if ( ! $hashes ) {
+			return $metadata;
+		}
+
+		$matches = $this->find_matches( $attachment_id, $hashes[ 'content' ], $hashes[ 'image' ] );
+
+		if ( $matches ) {
+			update_post_meta( $attachment_id, self::META_MATCHES, $matches );
+
+			/**
+			 * Fires when a new upload duplicates or resembles existing library items.
+			 *
+			 * @param int   $attachment_id Attachment ID.
+			 * @param array $matches       Matches, each { id, type, distance }.
+			 */
+			do_action( 'vmfa_duplicate_detected', $attachment_id, $matches );
+		}
+
+		return $metadata;
+	}
+
+	/**
+	 * Compute and store the content hash of an attachment's file and, for
+	 * images, its perceptual hash.
+	 *
+	 * @param int   $attachment_id Attachment ID.
+	 * @param array $metadata      Attachment metadata.
+	 * @return array{content: string, image: string|null}|null Hashes, or null if the file cannot be read.
+	 */
+	public function hash_attachment( int $attachment_id, array $metadata ): ?array {
+		$file = get_attached_file( $attachment_id );
+
+		if ( ! $file || ! is_readable( $file ) ) {
+			return null;
+		}
+
+		$content_hash = (string) sha1_file( $file );
+		update_post_meta( $attachment_id, self::META_CONTENT_HASH, $content_hash );
+
+		$image_hash = null;
+		if ( wp_attachment_is_image( $attachment_id ) ) {
+			// The medium size is plenty for a 9×8 hash and far cheaper to load.
+			$image_file = empty( $metadata[ 'sizes' ][ 'medium' ][ 'file' ] )
+				? $file
+				: path_join( dirname( $file ), $metadata[ 'sizes' ][ 'medium' ][ 'file' ] );
+			$image_hash = $this->get_image_hash( $image_file );
+			if ( $image_hash ) {
+				update_post_meta( $attachment_id, self::META_IMAGE_HASH, $image_hash );
+			}
+		}
+
+		return [
+			'content' => $content_hash,
+			'image'   => $image_hash,
+		];
+	}
+
+	/**
+	 * Schedule the next backfill run, unless the library is fully hashed or
+	 * a run is already scheduled.
+	 *
+	 * @return void
+	 */
+	public function schedule_backfill(): void {
+		if ( get_option( self::OPTION_BACKFILLED ) || wp_next_scheduled( self::BACKFILL_HOOK ) ) {
+			return;
+		}
+
+		wp_schedule_single_event( time(), self::BACKFILL_HOOK );
+	}
+
+	/**
+	 * Hash the next batch of attachments without a content hash. Runs from
+	 * WP-Cron and schedules itself again until none are left, so it picks up
+	 * where it stopped after a timeout or deactivation.
+	 *
+	 * Older attachments are only hashed, not flagged: they are the library
+	 * that new uploads are compared with.
+	 *
+	 * @return int Number of attachments in the batch.
+	 */
+	public function run_backfill(): int {
+		$ids = get_posts( [
+			'post_type'      => 'attachment',
+			'post_status'    => 'inherit',
+			'posts_per_page' => self::BACKFILL_BATCH,
+			'fields'         => 'ids',
+			'orderby'        => 'ID',
+			'order'          => 'ASC',
+			'no_found_rows'  => true,
+			'meta_query'     => [ // phpcs:ignore WordPress.DB.SlowDBQuery.slow_db_query_meta_query
+				[
+					'key'     => self::META_CONTENT_HASH,
+					'compare' => 'NOT EXISTS',
+				],
+			],
+		] );
+
+		foreach ( $ids as $id ) {
+			$metadata = wp_get_attachment_metadata( (int) $id );
+
+			// Files that cannot be read get an empty hash so the next batch moves on.
+			if ( ! $this->hash_attachment( (int) $id, is_array( $metadata ) ? $metadata : [] ) ) {
+				update_post_meta( (int) $id, self::META_CONTENT_HASH, '' );
+			}
+		}
+
+		if ( count( $ids ) < self::BACKFILL_BATCH ) {
+			update_option( self::OPTION_BACKFILLED, '1', false );
+		} else {
+			wp_schedule_single_event( time() + MINUTE_IN_SECONDS, self::BACKFILL_HOOK );
+		}
+
+		return count( $ids );
+	}
+
+	/**
+	 * Find older attachments with the same file or a similar image.
+	 *
+	 * @param int         $attachment_id Attachment ID.
+	 * @param string      $content_hash  Content hash of the attachment's file.
+	 * @param string|null $image_hash    Perceptual hash, or null for non-images.
+	 * @return array<array{id: int, type: string, distance: int}> Exact matches first, then the closest images.
+	 */
+	public function find_matches( int $attachment_id, string $content_hash, ?string $image_hash = null ): array {
+		$matches = [];
+
+		$exact = get_posts( [
+			'post_type'      => 'attachment',
+			'post_status'    => 'inherit',
+			'posts_per_page' => self::MAX_MATCHES,
+			'fields'         => 'ids',
+			'post__not_in'   => [ $attachment_id ], // phpcs:ignore WordPressVIPMinimum.Performance.WPQueryParams.PostNotIn_post__not_in
+			'orderby'        => 'date',
+			'order'          => 'ASC',
+			'meta_key'       => self::META_CONTENT_HASH, // phpcs:ignore WordPress.DB.SlowDBQuery.slow_db_query_meta_key
+			'meta_value'     => $content_hash, // phpcs:ignore WordPress.DB.SlowDBQuery.slow_db_query_meta_value
+		] );
+
+		foreach ( $exact as $id ) {
+			$matches[ (int) $id ] = [
+				'id'       => (int) $id,
+				'type'     => 'exact',
+				'distance' => 0,
+			];
+		}
+
+		if ( $image_hash ) {
+			$similar = [];
+
+			foreach ( $this->get_image_hashes( $attachment_id ) as $id => $hash ) {
+				$distance = $this->get_distance( $image_hash, $hash );
+
+				if ( $distance <= self::SIMILARITY_THRESHOLD && ! isset( $matches[ $id ] ) ) {
+					$similar[ $id ] = [
+						'id'       => $id,
+						'type'     => 'similar',
+						'distance' => $distance,
+					];
+				}
+			}
+
+			uasort( $similar, fn( $a, $b ) => $a[ 'distance' ] <=> $b[ 'distance' ] );
+			$matches += $similar;
+		}
+
+		return array_slice( array_values( $matches ), 0, self::MAX_MATCHES );
+	}
+
+	/**
+	 * Get the matches of an attachment whose library items still exist.
+	 *
+	 * @param int $attachment_id Attachment ID.
+	 * @return array<array{id: int, type: string, distance: int}> Matches.
+	 */
+	public function get_matches( int $attachment_id ): array {
+		$matches = get_post_meta( $attachment_id, self::META_MATCHES, true );
+
+		if ( ! is_array( $matches ) ) {
+			return [];
+		}
+
+		return array_values(
+			array_filter(
+				$matches,
+				fn( $match ) => 'attachment' === get_post_type( (int) ( $match[ 'id' ] ?? 0 ) )
+			)
+		);
+	}
+
+	/**
+	 * Keep an upload despite its matches: forget them so it is no longer flagged.
+	 *
+	 * @param int $attachment_id Attachment ID.
+	 * @return bool Whether the upload was flagged.
+	 */
+	public function keep( int $attachment_id ): bool {
+		if ( ! get_post_meta( $attachment_id, self::META_MATCHES, true ) ) {
+			return false;
+		}
+
+		delete_post_meta( $attachment_id, self::META_MATCHES );
+
+		/**
+		 * Fires after a reviewer keeps an upload that was flagged as a duplicate.
+		 *
+		 * @param int $attachment_id Attachment ID.
+		 */
+		do_action( 'vmfa_duplicate_kept', $attachment_id );
+
+		return true;
+	}
+
+	/**
+	 * Compute the difference hash of an image: shrink it to 9×8 grey
+	 * pixels and record for each row whether each pixel is brighter than
+	 * its right neighbour.
+	 *
+	 * @param string $file Path to the image file.
+	 * @return string|null 16 hex digits, or null if the image cannot be read.
+	 */
+	public function get_image_hash( string $file ): ?string {
+		if ( ! function_exists( 'imagecreatefromstring' ) ) {
+			return null;
+		}
+
+		$contents = is_readable( $file ) ? file_get_contents( $file ) : false; // phpcs:ignore WordPress.WP.AlternativeFunctions.file_get_contents_file_get_contents
+		$source   = $contents ? @imagecreatefromstring( $contents ) : false; // phpcs:ignore WordPress.PHP.NoSilencedErrors.Discouraged
+
+		if ( ! $source ) {
+			return null;
+		}
+
+		$thumb = imagecreatetruecolor( 9, 8 );
+		imagecopyresampled( $thumb, $source, 0, 0, 0, 0, 9, 8, imagesx( $source ), imagesy( $source ) );
+		imagefilter( $thumb, IMG_FILTER_GRAYSCALE );
+
+		$bits = '';
+		for ( $y = 0; $y < 8; $y++ ) {
+			for ( $x = 0; $x < 8; $x++ ) {
+				$left  = imagecolorat( $thumb, $x, $y ) & 0xFF;
+				$right = imagecolorat( $thumb, $x + 1, $y ) & 0xFF;
+
+				$bits .= $left > $right ? '1' : '0';
+			}
+		}
+
+		$hash = '';
+		foreach ( str_split( $bits, 4 ) as $nibble ) {
+			$hash .= dechex( (int) bindec( $nibble ) );
+		}
+
+		return $hash;
+	}
+
+	/**
+	 * Count the bits in which two image hashes differ.
+	 *
+	 * @param string $a Image hash.
+	 * @param string $b Image hash.
+	 * @return int Hamming distance, 64 when the hashes cannot be compared.
+	 */
+	public function get_distance( string $a, string $b ): int {
+		if ( strlen( $a ) !== strlen( $b ) || ! ctype_xdigit( $a . $b ) ) {
+			return 64;
+		}
+
+		$distance = 0;
+		for ( $i = 0, $length = strlen( $a ); $i < $length; $i++ ) {
+			$distance += substr_count( decbin( hexdec( $a[ $i ] ) ^ hexdec( $b[ $i ] ) ), '1' );
+		}
+
+		return $distance;
+	}
+
+	/**
+	 * Get the image hashes of all other attachments.
+	 *
+	 * @param int $exclude Attachment ID to leave out.
+	 * @return array<int, string> Attachment ID => image hash.
+	 */
+	private function get_image_hashes( int $exclude ): array {
+		global $wpdb;
+
+		// One query for the whole library; near matches cannot be looked up by value.
+		$rows = $wpdb->get_results( // phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+			$wpdb->prepare(
+				"SELECT post_id, meta_value FROM {$wpdb->postmeta} WHERE meta_key = %s AND post_id != %d",
+				self::META_IMAGE_HASH,
+				$exclude
+			)
+		);
+
+		$hashes = [];
+		foreach ( (array) $rows as $row ) {
+			$hashes[ (int) $row->post_id ] = (string) $row->meta_value;
+		}
+
+		return $hashes;
+	}
+}
@@ -0,0 +1,356 @@
+<?php
+/**
+ * History Service.
+ *
+ * Keeps a per-attachment record of its workflow transitions.
+ *
+ * @package VmfaEditorialWorkflow
+ */
+
+declare(strict_types=1);
+
+namespace VmfaEditorialWorkflow\Services;
+
+use VmfaEditorialWorkflow\WorkflowState;
+
+// Prevent direct access.
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * History Service class.
+ *
+ * Each transition is added as its own post meta row, so recording never
+ * rewrites earlier entries. Folder and stage names are stored with the
+ * entry, so the history still reads correctly after they are renamed or
+ * removed.
+ */
+class HistoryService {
+
+	/**
+	 * Post meta key for history entries.
+	 *
+	 * @var string
+	 */
+	public const META_HISTORY = 'vmfa_history';
+
+	/**
+	 * Workflow state instance.
+	 *
+	 * @var WorkflowState
+	 */
+	private WorkflowState $workflow_state;
+
+	/**
+	 * VMF taxonomy name.
+	 *
+	 * @var string
+	 */
+	private string $taxonomy;
+
+	/**
+	 * Constructor.
+	 *
+	 * @param WorkflowState $workflow_state Workflow state instance.
+	 */
+	public function __construct( WorkflowState $workflow_state ) {
+		$this->workflow_state = $workflow_state;
+		$this->taxonomy       = defined( 'VirtualMediaFolders\Taxonomy::TAXONOMY' )
+			? \VirtualMediaFolders\Taxonomy::TAXONOMY
+			: 'vmfo_folder';
+	}
+
+	/**
+	 * Initialize hooks.
+	 *
+	 * @return void
+	 */
+	public function init(): void {
+		add_action( 'vmfa_inbox_assigned', [ $this, 'record_inbox' ], 10, 3 );
+		add_action( 'vmfa_marked_needs_review', [ $this, 'record_needs_review' ], 10, 2 );
+		add_action( 'vmfa_approval_recorded', [ $this, 'record_approval' ], 10, 4 );
+		add_action( 'vmfa_approved', [ $this, 'record_approved' ], 10, 2 );
+		add_action( 'vmfa_stage_advanced', [ $this, 'record_stage' ], 10, 3 );
+		add_action( 'vmfa_rejected', [ $this, 'record_rejected' ], 10, 3 );
+		add_action( 'vmfa_moved', [ $this, 'record_moved' ], 10, 2 );
+		add_action( 'vmfo_folder_assigned', [ $this, 'record_folder_assigned' ], 10, 2 );
+		add_action( 'vmfa_assignee_changed', [ $this, 'record_assignee' ], 10, 2 );
+		add_action( 'vmfa_review_undone', [ $this, 'record_undone' ], 10, 3 );
+		add_action( 'vmfa_resubmitted', [ $this, 'record_resubmitted' ], 10, 2 );
+		add_action( 'vmfa_scheduled', [ $this, 'record_scheduled' ], 10, 4 );
+		add_action( 'vmfa_released', [ $this, 'record_released' ], 10, 2 );
+		add_action( 'vmfa_release_cancelled', [ $this, 'record_release_cancelled' ] );
+	}
+
+	/**
+	 * Add an entry to an attachment's history.
+	 *
+	 * @param int      $attachment_id Attachment ID.
+	 * @param string   $event         Event: 'inbox', 'needs_review', 'approval', 'approved', 'stage', 'rejected', 'moved', 'folder', 'assignee',
+	 *                                'undone', 'resubmitted', 'scheduled', 'released' or 'release_cancelled'.
+	 * @param array    $data          Event details.
+	 * @param int|null $user_id       User who caused the event. Defaults to the current user.
+	 * @return void
+	 */
+	public function record( int $attachment_id, string $event, array $data = [], ?int $user_id = null ): void {
+		// Meta values are unslashed on save; reasons and folder names may hold backslashes.
+		add_post_meta(
+			$attachment_id,
+			self::META_HISTORY,
+			wp_slash(
+				array_merge(
+					$data,
+					[
+						'event'   => $event,
+						'user_id' => $user_id ?? get_current_user_id(),
+						'date'    => current_time( 'mysql', true ),
+					]
+				)
+			)
+		);
+	}
+
+	/**
+	 * Get an attachment's history, oldest entry first.
+	 *
+	 * @param int $attachment_id Attachment ID.
+	 * @return array<array{event: string, user_id: int, date: string}> History entries with their event details.
+	 */
+	public function get_history( int $attachment_id ): array {
+		// Meta rows come back in the order they were added.
+		return array_values(
+			array_filter(
+				(array) get_post_meta( $attachment_id, self::META_HISTORY, false ),
+				fn( $entry ) => is_array( $entry ) && isset( $entry[ 'event' ], $entry[ 'date' ] )
+			)
+		);
+	}
+
+	/**
+	 * Record an upload placed in an inbox folder.
+	 *
+	 * @param int $attachment_id Attachment ID.
+	 * @param int $folder_id     Inbox folder ID.
+	 * @param int $user_id       Uploader's user ID.
+	 * @return void
+	 */
+	public function record_inbox( int $attachment_id, int $folder_id, int $user_id ): void {
+		$this->record( $attachment_id, 'inbox', $this->get_folder_data( $folder_id ), $user_id );
+	}
+
+	/**
+	 * Record an attachment sent for review.
+	 *
+	 * @param int $attachment_id Attachment ID.
+	 * @param int $folder_id     Needs Review folder ID.
+	 * @return void
+	 */
+	public function record_needs_review( int $attachment_id, int $folder_id ): void {
+		$this->record( $attachment_id, 'needs_review', $this->get_folder_data( $folder_id ) );
+	}
+
+	/**
+	 * Record an approval that still waits for more reviewers.
+	 *
+	 * The approval that completes the count is recorded as 'approved'.
+	 *
+	 * @param int $attachment_id Attachment ID.
+	 * @param int $user_id       Reviewer's user ID.
+	 * @param int $count         Number of approvals so far.
+	 * @param int $required      Number of approvals required.
+	 * @return void
+	 */
+	public function record_approval( int $attachment_id, int $user_id, int $count, int $required ): void {
+		if ( $count >= $required ) {
+			return;
+		}
+
+		$this->record(
+			$attachment_id,
+			'approval',
+			[
+				'count'    => $count,
+				'required' => $required,
+			],
+			$user_id
+		);
+	}
+
+	/**
+	 * Record an approved attachment.
+	 *
+	 * @param int $attachment_id Attachment ID.
+	 * @param int $folder_id     Approved folder ID.
+	 * @return void
+	 */
+	public function record_approved( int $attachment_id, int $folder_id ): void {
+		$this->record( $attachment_id, 'approved', $this->get_folder_data( $folder_id ) );
+	}
+
+	/**
+	 * Record an attachment approved on to the next review stage.
+	 *
+	 * @param int    $attachment_id Attachment ID.
+	 * @param int    $folder_id     Folder of the stage.
+	 * @param string $stage         Stage key.
+	 * @return void
+	 */
+	public function record_stage( int $attachment_id, int $folder_id, string $stage ): void {
+		$names = array_column( $this->workflow_state->get_stages(), 'name', 'key' );
+
+		$this->record(
+			$attachment_id,
+			'stage',
+			array_merge(
+				$this->get_folder_data( $folder_id ),
+				[
+					'stage'      => $stage,
+					'stage_name' => (string) ( $names[ $stage ] ?? $stage ),
+				]
+			)
+		);
+	}
+
+	/**
+	 * Record a rejected attachment.
+	 *
+	 * @param int    $attachment_id Attachment ID.
+	 * @param int    $folder_id     Rejected folder ID.
+	 * @param string $reason        Reason for the rejection.
+	 * @return void
+	 */
+	public function record_rejected( int $attachment_id, int $folder_id, string $reason ): void {
+		$this->record( $attachment_id, 'rejected', array_merge( $this->get_folder_data( $folder_id ), [ 'reason' => $reason ] ) );
+	}
+
+	/**
+	 * Record an attachment moved to a folder from the Review screen.
+	 *
+	 * @param int $attachment_id Attachment ID.
+	 * @param int $folder_id     Destination folder ID.
+	 * @return void
+	 */
+	public function record_moved( int $attachment_id, int $folder_id ): void {
+		$this->record( $attachment_id, 'moved', $this->get_folder_data( $folder_id ) );
+	}
+
+	/**
+	 * Record an attachment put in a folder through Virtual Media Folders,
+	 * such as by dragging it to a folder in the Media Library.
+	 *
+	 * @param int $attachment_id Attachment ID.
+	 * @param int $folder_id     Folder ID, 0 when removed from its folder.
+	 * @return void
+	 */
+	public function record_folder_assigned( int $attachment_id, int $folder_id ): void {
+		$this->record( $attachment_id, 'folder', $this->get_folder_data( $folder_id ) );
+	}
+
+	/**
+	 * Record a change of reviewer.
+	 *
+	 * @param int $attachment_id Attachment ID.
+	 * @param int $user_id       Assigned user ID, 0 when unassigned.
+	 * @return void
+	 */
+	public function record_assignee( int $attachment_id, int $user_id ): void {
+		$this->record(
+			$attachment_id,
+			'assignee',
+			[
+				'assignee'      => $user_id,
+				'assignee_name' => $user_id ? (string) get_the_author_meta( 'display_name', $user_id ) : '',
+			]
+		);
+	}
+
+	/**
+	 * Record an undone approve or move.
+	 *
+	 * @param int        $attachment_id Attachment ID.
+	 * @param array<int> $folders       Restored folder IDs.
+	 * @param string     $action        Undone action: 'approve' or 'assign'.
+	 * @return void
+	 */
+	public function record_undone( int $attachment_id, array $folders, string $action ): void {
+		$this->record(
+			$attachment_id,
+			'undone',
+			[
+				'action'       => $action,
+				'folders'      => array_map( 'intval', $folders ),
+				'folder_names' => array_map( fn( $id ) => $this->get_folder_data( (int) $id )[ 'folder_name' ], $folders ),
+			]
+		);
+	}
+
+	/**
+	 * Record an uploader replacing the file of a returned attachment.
+	 *
+	 * @param int   $attachment_id Attachment ID.
+	 * @param array $previous      Replaced file, see WorkflowState::META_RESUBMISSION.
+	 * @return void
+	 */
+	public function record_resubmitted( int $attachment_id, array $previous ): void {
+		$this->record( $attachment_id, 'resubmitted', [ 'previous_file' => wp_basename( (string) ( $previous[ 'file' ] ?? '' ) ) ] );
+	}
+
+	/**
+	 * Record an attachment approved for a scheduled release, or a change of its release time.
+	 *
+	 * @param int $attachment_id Attachment ID.
+	 * @param int $folder_id     Scheduled folder ID.
+	 * @param int $release_at    Release time (Unix timestamp).
+	 * @param int $previous      Previous release time, or 0 for a new schedule.
+	 * @return void
+	 */
+	public function record_scheduled( int $attachment_id, int $folder_id, int $release_at, int $previous = 0 ): void {
+		$this->record(
+			$attachment_id,
+			'scheduled',
+			array_merge(
+				$this->get_folder_data( $folder_id ),
+				[
+					'release_at' => $release_at,
+					'previous'   => $previous,
+				]
+			)
+		);
+	}
+
+	/**
+	 * Record a scheduled attachment released to the Approved folder. The
+	 * release runs from WP-Cron, so no user is recorded.
+	 *
+	 * @param int $attachment_id Attachment ID.
+	 * @param int $folder_id     Approved folder ID.
+	 * @return void
+	 */
+	public function record_released( int $attachment_id, int $folder_id ): void {
+		$this->record( $attachment_id, 'released', $this->get_folder_data( $folder_id ), 0 );
+	}
+
+	/**
+	 * Record a cancelled release.
+	 *
+	 * @param int $attachment_id Attachment ID.
+	 * @return void
+	 */
+	public function record_release_cancelled( int $attachment_id ): void {
+		$this->record( $attachment_id, 'release_cancelled' );
+	}
+
+	/**
+	 * Get the ID and current name of a folder.
+	 *
+	 * @param int $folder_id Folder ID.
+	 * @return array{folder: int, folder_name: string} Folder details.
+	 */
+	private function get_folder_data( int $folder_id ): array {
+		$term = $folder_id ? get_term( $folder_id, $this->taxonomy ) : null;
+
+		return [
+			'folder'      => $folder_id,
+			'folder_name' => $term instanceof \WP_Term ? $term->name : '',
+		];
+	}
+}
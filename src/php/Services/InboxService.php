@@ -75,6 +75,19 @@ class InboxService {
 	public function init(): void {
 		// Hook into attachment metadata generation (runs after upload).
 		add_filter( 'wp_generate_attachment_metadata', [ $this, 'route_to_inbox' ], 15, 3 );
+
+		// Uploads routed to a role inbox wait there for review.
+		add_filter( 'vmfa_review_folders', [ $this, 'add_review_folders' ] );
+	}
+
+	/**
+	 * Add the inbox folders to the folders reviewed on the Review screen.
+	 *
+	 * @param array<int> $folder_ids Folder term IDs.
+	 * @return array<int> Folder term IDs with the inbox folders.
+	 */
+	public function add_review_folders( array $folder_ids ): array {
+		return array_merge( $folder_ids, $this->get_all_inbox_folder_ids() );
 	}
 
 	/**
@@ -202,7 +215,20 @@ class InboxService {
 			$sanitized[ sanitize_key( $role ) ] = absint( $folder_id );
 		}
 
-		return update_option( self::OPTION_INBOX_MAP, $sanitized );
+		$previous = $this->get_inbox_map();
+		$result   = update_option( self::OPTION_INBOX_MAP, $sanitized );
+
+		if ( $result ) {
+			/**
+			 * Fires after the inbox mapping changes.
+			 *
+			 * @param array<string, int> $map      Role => folder ID map.
+			 * @param array<string, int> $previous Previous map.
+			 */
+			do_action( 'vmfa_inbox_map_changed', $sanitized, $previous );
+		}
+
+		return $result;
 	}
 
 	/**
@@ -0,0 +1,606 @@
+<?php
+/**
+ * Notification Service.
+ *
+ * Emails reviewers about new uploads and uploaders about their approved
+ * or moved items.
+ *
+ * @package VmfaEditorialWorkflow
+ */
+
+declare(strict_types=1);
+
+namespace VmfaEditorialWorkflow\Services;
+
+use VmfaEditorialWorkflow\Admin\ReviewPage;
+
+// Prevent direct access.
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * Notification Service class.
+ *
+ * Reviewers who can view an item's inbox folder hear about it right away
+ * or in an hourly or daily digest. Uploads are queued in each reviewer's
+ * user meta, one row per upload so that concurrent uploads don't overwrite
+ * each other, and sent from WP-Cron rather than during the upload. Users
+ * can opt out of all notifications on their profile.
+ */
+class NotificationService {
+
+	/**
+	 * Option key for the notification settings.
+	 *
+	 * @var string
+	 */
+	public const OPTION_SETTINGS = 'vmfa_notifications';
+
+	/**
+	 * User meta key for uploads waiting to be sent to a reviewer, one row
+	 * per upload.
+	 *
+	 * @var string
+	 */
+	public const META_QUEUE = 'vmfa_notification_queue';
+
+	/**
+	 * User meta key for opting out of notifications.
+	 *
+	 * @var string
+	 */
+	public const META_OPT_OUT = 'vmfa_notifications_opt_out';
+
+	/**
+	 * Cron hook that sends the digests.
+	 *
+	 * @var string
+	 */
+	public const CRON_HOOK = 'vmfa_notification_digest';
+
+	/**
+	 * Cron hook that sends the immediate notifications.
+	 *
+	 * @var string
+	 */
+	public const SEND_HOOK = 'vmfa_notification_send';
+
+	/**
+	 * When reviewers are emailed about new uploads.
+	 *
+	 * @var array<string>
+	 */
+	public const REVIEWER_MODES = [ 'off', 'immediate', 'hourly', 'daily' ];
+
+	/**
+	 * Email templates.
+	 *
+	 * @var array<string>
+	 */
+	public const TEMPLATES = [ 'inbox', 'digest', 'approved', 'moved' ];
+
+	/**
+	 * Access checker instance.
+	 *
+	 * @var AccessChecker
+	 */
+	private AccessChecker $access_checker;
+
+	/**
+	 * Assignment service instance.
+	 *
+	 * @var AssignmentService
+	 */
+	private AssignmentService $assignment_service;
+
+	/**
+	 * VMF taxonomy name.
+	 *
+	 * @var string
+	 */
+	private string $taxonomy;
+
+	/**
+	 * Constructor.
+	 *
+	 * @param AccessChecker     $access_checker     Access checker instance.
+	 * @param AssignmentService $assignment_service Assignment service instance.
+	 */
+	public function __construct( AccessChecker $access_checker, AssignmentService $assignment_service ) {
+		$this->access_checker     = $access_checker;
+		$this->assignment_service = $assignment_service;
+		$this->taxonomy           = defined( 'VirtualMediaFolders\Taxonomy::TAXONOMY' )
+			? \VirtualMediaFolders\Taxonomy::TAXONOMY
+			: 'vmfo_folder';
+	}
+
+	/**
+	 * Initialize hooks.
+	 *
+	 * @return void
+	 */
+	public function init(): void {
+		add_action( 'vmfa_inbox_assigned', [ $this, 'notify_reviewers' ], 10, 3 );
+		add_action( 'vmfa_approved', [ $this, 'notify_approved' ], 10, 2 );
+		add_action( 'vmfa_released', [ $this, 'notify_released' ], 10, 3 );
+		add_action( 'vmfa_moved', [ $this, 'notify_moved' ], 10, 2 );
+
+		add_action( 'init', [ $this, 'schedule_digest' ] );
+		add_action( self::CRON_HOOK, [ $this, 'send_digests' ] );
+		add_action( self::SEND_HOOK, [ $this, 'send_queued' ] );
+	}
+
+	/**
+	 * Get the notification settings.
+	 *
+	 * @return array{reviewers: string, uploaders: bool, templates: array} Settings.
+	 */
+	public function get_settings(): array {
+		$saved     = (array) get_option( self::OPTION_SETTINGS, [] );
+		$defaults  = $this->get_default_templates();
+		$templates = [];
+
+		foreach ( self::TEMPLATES as $key ) {
+			$template          = (array) ( $saved[ 'templates' ][ $key ] ?? [] );
+			$templates[ $key ] = [
+				'subject' => '' !== (string) ( $template[ 'subject' ] ?? '' ) ? (string) $template[ 'subject' ] : $defaults[ $key ][ 'subject' ],
+				'body'    => '' !== (string) ( $template[ 'body' ] ?? '' ) ? (string) $template[ 'body' ] : $defaults[ $key ][ 'body' ],
+			];
+		}
+
+		$reviewers = (string) ( $saved[ 'reviewers' ] ?? 'immediate' );
+
+		return [
+			'reviewers' => in_array( $reviewers, self::REVIEWER_MODES, true ) ? $reviewers : 'immediate',
+			'uploaders' => (bool) ( $saved[ 'uploaders' ] ?? true ),
+			'templates' => $templates,
+		];
+	}
+
+	/**
+	 * Save the notification settings.
+	 *
+	 * Templates left empty, or equal to the default, fall back to the
+	 * default, so they follow its translation.
+	 *
+	 * @param array $settings Settings, as returned by get_settings().
+	 * @return bool True on success.
+	 */
+	public function set_settings( array $settings ): bool {
+		$current   = $this->get_settings();
+		$defaults  = $this->get_default_templates();
+		$templates = [];
+
+		foreach ( self::TEMPLATES as $key ) {
+			$template = (array) ( $settings[ 'templates' ][ $key ] ?? $current[ 'templates' ][ $key ] );
+			$subject  = sanitize_text_field( (string) ( $template[ 'subject' ] ?? '' ) );
+			$body     = sanitize_textarea_field( (string) ( $template[ 'body' ] ?? '' ) );
+
+			$templates[ $key ] = [
+				'subject' => $subject === $defaults[ $key ][ 'subject' ] ? '' : $subject,
+				'body'    => $body === $defaults[ $key ][ 'body' ] ? '' : $body,
+			];
+		}
+
+		$reviewers = (string) ( $settings[ 'reviewers' ] ?? $current[ 'reviewers' ] );
+
+		$result = update_option(
+			self::OPTION_SETTINGS,
+			[
+				'reviewers' => in_array( $reviewers, self::REVIEWER_MODES, true ) ? $reviewers : $current[ 'reviewers' ],
+				'uploaders' => (bool) ( $settings[ 'uploaders' ] ?? $current[ 'uploaders' ] ),
+				'templates' => $templates,
+			]
+		);
+
+		$this->schedule_digest();
+
+		return $result;
+	}
+
+	/**
+	 * Get the default email templates.
+	 *
+	 * @return array<string, array{subject: string, body: string}> Templates by key.
+	 */
+	public function get_default_templates(): array {
+		return [
+			'inbox'    => [
+				/* translators: Email subject. Keep the {placeholders} untranslated. */
+				'subject' => __( '[{site_name}] New upload to review: {title}', 'vmfa-editorial-workflow' ),
+				/* translators: Email body. Keep the {placeholders} untranslated. */
+				'body'    => __( "Hi {recipient_name},\n\n{uploader} uploaded \"{title}\" to {folder}.\n\nReview it: {review_url}", 'vmfa-editorial-workflow' ),
+			],
+			'digest'   => [
+				/* translators: Email subject. Keep the {placeholders} untranslated. */
+				'subject' => __( '[{site_name}] {count} new uploads to review', 'vmfa-editorial-workflow' ),
+				/* translators: Email body. Keep the {placeholders} untranslated. */
+				'body'    => __( "Hi {recipient_name},\n\nThese uploads are waiting for review:\n\n{items}\n\nReview them: {review_url}", 'vmfa-editorial-workflow' ),
+			],
+			'approved' => [
+				/* translators: Email subject. Keep the {placeholders} untranslated. */
+				'subject' => __( '[{site_name}] Approved: {title}', 'vmfa-editorial-workflow' ),
+				/* translators: Email body. Keep the {placeholders} untranslated. */
+				'body'    => __( "Hi {recipient_name},\n\n{user} approved \"{title}\" and moved it to {folder}.\n\nView it: {edit_url}", 'vmfa-editorial-workflow' ),
+			],
+			'moved'    => [
+				/* translators: Email subject. Keep the {placeholders} untranslated. */
+				'subject' => __( '[{site_name}] Moved to {folder}: {title}', 'vmfa-editorial-workflow' ),
+				/* translators: Email body. Keep the {placeholders} untranslated. */
+				'body'    => __( "Hi {recipient_name},\n\n{user} moved \"{title}\" to {folder}.\n\nView it: {edit_url}", 'vmfa-editorial-workflow' ),
+			],
+		];
+	}
+
+	/**
+	 * Whether a user has opted out of notifications.
+	 *
+	 * @param int $user_id User ID.
+	 * @return bool
+	 */
+	public function is_opted_out( int $user_id ): bool {
+		return (bool) get_user_meta( $user_id, self::META_OPT_OUT, true );
+	}
+
+	/**
+	 * Set whether a user has opted out of notifications.
+	 *
+	 * @param int  $user_id   User ID.
+	 * @param bool $opted_out Whether to stop emailing the user.
+	 * @return void
+	 */
+	public function set_opted_out( int $user_id, bool $opted_out ): void {
+		if ( $opted_out ) {
+			update_user_meta( $user_id, self::META_OPT_OUT, '1' );
+		} else {
+			delete_user_meta( $user_id, self::META_OPT_OUT );
+		}
+	}
+
+	/**
+	 * Queue a new upload for the reviewers of its inbox folder, to be sent
+	 * right away from WP-Cron or in their next digest.
+	 *
+	 * @param int $attachment_id Attachment ID.
+	 * @param int $folder_id     Inbox folder ID.
+	 * @param int $uploader_id   User who uploaded the item.
+	 * @return void
+	 */
+	public function notify_reviewers( int $attachment_id, int $folder_id, int $uploader_id ): void {
+		$mode = $this->get_settings()[ 'reviewers' ];
+
+		if ( 'off' === $mode ) {
+			return;
+		}
+
+		$entry = [
+			'id'       => $attachment_id,
+			'folder'   => $folder_id,
+			'uploader' => $uploader_id,
+		];
+
+		foreach ( $this->get_reviewers( $folder_id, $uploader_id ) as $user_id ) {
+			add_user_meta( $user_id, self::META_QUEUE, $entry );
+		}
+
+		if ( 'immediate' === $mode && ! wp_next_scheduled( self::SEND_HOOK ) ) {
+			wp_schedule_single_event( time(), self::SEND_HOOK );
+		}
+	}
+
+	/**
+	 * Email the uploader that their item was approved.
+	 *
+	 * @param int $attachment_id Attachment ID.
+	 * @param int $folder_id     Approved folder ID.
+	 * @return void
+	 */
+	public function notify_approved( int $attachment_id, int $folder_id ): void {
+		$this->notify_uploader( $attachment_id, $folder_id, 'approved' );
+	}
+
+	/**
+	 * Email the uploader that their item was released to the Approved folder.
+	 * The release runs from WP-Cron, so the reviewer who scheduled it is named.
+	 *
+	 * @param int   $attachment_id Attachment ID.
+	 * @param int   $folder_id     Approved folder ID.
+	 * @param array $release       The release, see WorkflowState::get_release().
+	 * @return void
+	 */
+	public function notify_released( int $attachment_id, int $folder_id, array $release ): void {
+		$this->notify_uploader( $attachment_id, $folder_id, 'approved', (int) ( $release[ 'user_id' ] ?? 0 ) );
+	}
+
+	/**
+	 * Email the uploader that their item was moved.
+	 *
+	 * @param int $attachment_id Attachment ID.
+	 * @param int $folder_id     Folder the item was moved to.
+	 * @return void
+	 */
+	public function notify_moved( int $attachment_id, int $folder_id ): void {
+		$this->notify_uploader( $attachment_id, $folder_id, 'moved' );
+	}
+
+	/**
+	 * Schedule the digest for the reviewer notification setting, and
+	 * unschedule it when reviewers are not sent digests.
+	 *
+	 * @return void
+	 */
+	public function schedule_digest(): void {
+		$mode     = $this->get_settings()[ 'reviewers' ];
+		$schedule = wp_get_schedule( self::CRON_HOOK );
+
+		if ( $schedule === $mode ) {
+			return;
+		}
+
+		if ( $schedule ) {
+			wp_clear_scheduled_hook( self::CRON_HOOK );
+		}
+
+		if ( in_array( $mode, [ 'hourly', 'daily' ], true ) ) {
+			wp_schedule_event( time() + HOUR_IN_SECONDS, $mode, self::CRON_HOOK );
+		} elseif ( $schedule ) {
+			// Don't leave queued uploads behind when digests are turned off.
+			$this->send_digests();
+		}
+	}
+
+	/**
+	 * Send each reviewer a digest of the uploads queued for them.
+	 *
+	 * Uploads deleted in the meantime are left out.
+	 *
+	 * @return int Number of digests sent.
+	 */
+	public function send_digests(): int {
+		$sent = 0;
+
+		foreach ( $this->get_queued_user_ids() as $user_id ) {
+			$items = array_values(
+				array_filter(
+					array_unique( array_column( $this->take_queue( $user_id ), 'id' ) ),
+					fn( $attachment_id ) => null !== get_post( $attachment_id )
+				)
+			);
+
+			if ( ! $items ) {
+				continue;
+			}
+
+			$lines = array_map(
+				fn( $attachment_id ) => '- ' . $this->get_item_title( $attachment_id ),
+				$items
+			);
+
+			$sent += (int) $this->send(
+				$user_id,
+				'digest',
+				[
+					'count' => (string) count( $items ),
+					'items' => implode( "\n", $lines ),
+				]
+			);
+		}
+
+		return $sent;
+	}
+
+	/**
+	 * Email each reviewer about the uploads queued for them, one email per
+	 * upload.
+	 *
+	 * Uploads deleted in the meantime are left out.
+	 *
+	 * @return int Number of emails sent.
+	 */
+	public function send_queued(): int {
+		$sent = 0;
+
+		foreach ( $this->get_queued_user_ids() as $user_id ) {
+			$entries = array_column( $this->take_queue( $user_id ), null, 'id' );
+
+			foreach ( $entries as $attachment_id => $entry ) {
+				if ( null === get_post( $attachment_id ) ) {
+					continue;
+				}
+
+				$sent += (int) $this->send(
+					$user_id,
+					'inbox',
+					array_merge(
+						$this->get_item_placeholders( $attachment_id, (int) $entry[ 'folder' ] ),
+						[ 'uploader' => $this->get_user_name( (int) $entry[ 'uploader' ] ) ]
+					)
+				);
+			}
+		}
+
+		return $sent;
+	}
+
+	/**
+	 * Get the users with uploads queued for them.
+	 *
+	 * @return array<int> User IDs.
+	 */
+	private function get_queued_user_ids(): array {
+		return array_map(
+			'intval',
+			get_users( [
+				'meta_key' => self::META_QUEUE, // phpcs:ignore WordPress.DB.SlowDBQuery.slow_db_query_meta_key
+				'fields'   => 'ID',
+			] )
+		);
+	}
+
+	/**
+	 * Remove and return the uploads queued for a user.
+	 *
+	 * Only the rows read are deleted, so uploads queued meanwhile wait for
+	 * the next run.
+	 *
+	 * @param int $user_id User ID.
+	 * @return array<array{id: int, folder: int, uploader: int}> Queued uploads.
+	 */
+	private function take_queue( int $user_id ): array {
+		$entries = array_filter( (array) get_user_meta( $user_id, self::META_QUEUE ), 'is_array' );
+
+		foreach ( $entries as $entry ) {
+			delete_user_meta( $user_id, self::META_QUEUE, $entry );
+		}
+
+		return array_values(
+			array_map(
+				fn( $entry ) => array_map( 'intval', $entry ),
+				array_filter( $entries, fn( $entry ) => isset( $entry[ 'id' ], $entry[ 'folder' ], $entry[ 'uploader' ] ) )
+			)
+		);
+	}
+
+	/**
+	 * Fill in a template's placeholders.
+	 *
+	 * @param string               $template     Template with {placeholders}.
+	 * @param array<string, string> $placeholders Values by placeholder name.
+	 * @return string Text with the placeholders replaced. Unknown placeholders are kept.
+	 */
+	public function render( string $template, array $placeholders ): string {
+		$pairs = [];
+
+		foreach ( $placeholders as $name => $value ) {
+			$pairs[ '{' . $name . '}' ] = (string) $value;
+		}
+
+		return strtr( $template, $pairs );
+	}
+
+	/**
+	 * Email a user.
+	 *
+	 * @param int                   $user_id      Recipient's user ID.
+	 * @param string                $template     Template key, one of TEMPLATES.
+	 * @param array<string, string> $placeholders Values for the template.
+	 * @return bool True if the email was handed to the mailer.
+	 */
+	public function send( int $user_id, string $template, array $placeholders ): bool {
+		$user = get_userdata( $user_id );
+
+		if ( ! $user || ! $user->user_email || $this->is_opted_out( $user_id ) ) {
+			return false;
+		}
+
+		$placeholders = array_merge(
+			[
+				'site_name'      => wp_specialchars_decode( (string) get_option( 'blogname' ), ENT_QUOTES ),
+				'recipient_name' => $user->display_name,
+				'review_url'     => admin_url( 'upload.php?page=' . ReviewPage::PAGE_SLUG ),
+			],
+			$placeholders
+		);
+
+		$template = $this->get_settings()[ 'templates' ][ $template ];
+
+		return wp_mail(
+			$user->user_email,
+			$this->render( $template[ 'subject' ], $placeholders ),
+			$this->render( $template[ 'body' ], $placeholders )
+		);
+	}
+
+	/**
+	 * Get the reviewers to tell about an upload to a folder.
+	 *
+	 * @param int $folder_id   Inbox folder ID.
+	 * @param int $uploader_id User who uploaded the item, who is left out.
+	 * @return array<int> User IDs.
+	 */
+	private function get_reviewers( int $folder_id, int $uploader_id ): array {
+		return array_values(
+			array_filter(
+				$this->assignment_service->get_reviewer_ids(),
+				fn( $user_id ) => $user_id !== $uploader_id
+					&& ! $this->is_opted_out( $user_id )
+					&& $this->access_checker->can_view_folder( $folder_id, $user_id )
+			)
+		);
+	}
+
+	/**
+	 * Email the uploader about what happened to their item.
+	 *
+	 * Nobody is emailed about their own actions.
+	 *
+	 * @param int      $attachment_id Attachment ID.
+	 * @param int      $folder_id     Folder the item is now in.
+	 * @param string   $template      Template key: 'approved' or 'moved'.
+	 * @param int|null $user_id       User who acted, defaults to the current user.
+	 * @return void
+	 */
+	private function notify_uploader( int $attachment_id, int $folder_id, string $template, ?int $user_id = null ): void {
+		if ( ! $this->get_settings()[ 'uploaders' ] ) {
+			return;
+		}
+
+		$post        = get_post( $attachment_id );
+		$uploader_id = $post ? (int) $post->post_author : 0;
+		$user_id     = $user_id ?? get_current_user_id();
+
+		if ( ! $uploader_id || $user_id === $uploader_id ) {
+			return;
+		}
+
+		$this->send(
+			$uploader_id,
+			$template,
+			array_merge(
+				$this->get_item_placeholders( $attachment_id, $folder_id ),
+				[ 'user' => $this->get_user_name( $user_id ) ]
+			)
+		);
+	}
+
+	/**
+	 * Get the placeholders describing an item and its folder.
+	 *
+	 * @param int $attachment_id Attachment ID.
+	 * @param int $folder_id     Folder ID.
+	 * @return array<string, string> Values for {title}, {folder} and {edit_url}.
+	 */
+	private function get_item_placeholders( int $attachment_id, int $folder_id ): array {
+		$term = get_term( $folder_id, $this->taxonomy );
+
+		return [
+			'title'    => $this->get_item_title( $attachment_id ),
+			'folder'   => $term instanceof \WP_Term ? $term->name : '',
+			'edit_url' => admin_url( 'post.php?post=' . $attachment_id . '&action=edit' ),
+		];
+	}
+
+	/**
+	 * Get an item's title, or its ID when it has none.
+	 *
+	 * @param int $attachment_id Attachment ID.
+	 * @return string Title.
+	 */
+	private function get_item_title( int $attachment_id ): string {
+		$title = wp_specialchars_decode( (string) get_the_title( $attachment_id ), ENT_QUOTES );
+
+		/* translators: %d: attachment ID */
+		return '' !== $title ? $title : sprintf( __( 'Item #%d', 'vmfa-editorial-workflow' ), $attachment_id );
+	}
+
+	/**
+	 * Get a user's display name.
+	 *
+	 * @param int $user_id User ID.
+	 * @return string Display name, or an empty string for unknown users.
+	 */
+	private function get_user_name( int $user_id ): string {
+		$user = $user_id ? get_userdata( $user_id ) : false;
+
+		return $user ? $user->display_name : '';
+	}
+}
@@ -0,0 +1,262 @@
+<?php
+/**
+ * Quality Gate Service.
+ *
+ * Checks review items against the configured media standards.
+ *
+ * @package VmfaEditorialWorkflow
+ */
+
+declare(strict_types=1);
+
+namespace VmfaEditorialWorkflow\Services;
+
+use WP_Error;
+
+// Prevent direct access.
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * Quality Gate Service class.
+ *
+ * Rules are stored in a single option. Each rule is off while its value is
+ * empty: false, 0, an empty list or an empty pattern.
+ */
+class QualityGateService {
+
+	/**
+	 * Option key for the quality rules.
+	 *
+	 * @var string
+	 */
+	public const OPTION_RULES = 'vmfa_quality_rules';
+
+	/**
+	 * Default rules: all off.
+	 *
+	 * @var array
+	 */
+	public const DEFAULT_RULES = [
+		'alt_required'       => false,
+		'min_width'          => 0,
+		'min_height'         => 0,
+		'max_file_size'      => 0,
+		'allowed_mime_types' => [],
+		'filename_pattern'   => '',
+	];
+
+	/**
+	 * Get the configured rules.
+	 *
+	 * @return array Rules, see self::DEFAULT_RULES.
+	 */
+	public function get_rules(): array {
+		$rules = get_option( self::OPTION_RULES, [] );
+
+		return $this->sanitize_rules( is_array( $rules ) ? $rules : [] );
+	}
+
+	/**
+	 * Save the rules.
+	 *
+	 * @param array $rules Rules, see self::DEFAULT_RULES. Missing keys keep their current value.
+	 * @return true|WP_Error True on success, WP_Error if the filename pattern is not a valid regular expression.
+	 */
+	public function set_rules( array $rules ) {
+		$rules = $this->sanitize_rules( array_merge( $this->get_rules(), $rules ) );
+
+		if ( '' !== $rules[ 'filename_pattern' ] && ! $this->is_valid_pattern( $rules[ 'filename_pattern' ] ) ) {
+			return new WP_Error(
+				'vmfa_invalid_pattern',
+				__( 'The filename pattern is not a valid regular expression.', 'vmfa-editorial-workflow' ),
+				[ 'status' => 400 ]
+			);
+		}
+
+		update_option( self::OPTION_RULES, $rules );
+
+		return true;
+	}
+
+	/**
+	 * Whether any rule is turned on.
+	 *
+	 * @return bool
+	 */
+	public function has_rules(): bool {
+		return (bool) array_filter( $this->get_rules() );
+	}
+
+	/**
+	 * Check a review item against the rules.
+	 *
+	 * Image-only rules (alt text, dimensions) are skipped for other files.
+	 *
+	 * @param array $item Review item, as prepared by ReviewService::prepare_item().
+	 * @return array<array{rule: string, label: string, requirement: string, passed: bool}> One entry per applicable rule.
+	 */
+	public function evaluate( array $item ): array {
+		$rules    = $this->get_rules();
+		$is_image = ! empty( $item[ 'isImage' ] );
+		$checks   = [];
+
+		if ( $rules[ 'alt_required' ] && $is_image ) {
+			$checks[] = $this->check(
+				'alt_required',
+				__( 'Alt text', 'vmfa-editorial-workflow' ),
+				__( 'Images need alt text.', 'vmfa-editorial-workflow' ),
+				'' !== trim( (string) ( $item[ 'alt' ] ?? '' ) )
+			);
+		}
+
+		if ( ( $rules[ 'min_width' ] || $rules[ 'min_height' ] ) && $is_image ) {
+			$checks[] = $this->check(
+				'min_dimensions',
+				__( 'Dimensions', 'vmfa-editorial-workflow' ),
+				sprintf(
+					/* translators: 1: minimum width in pixels, 2: minimum height in pixels */
+					__( 'At least %1$d × %2$d px.', 'vmfa-editorial-workflow' ),
+					$rules[ 'min_width' ],
+					$rules[ 'min_height' ]
+				),
+				(int) ( $item[ 'width' ] ?? 0 ) >= $rules[ 'min_width' ]
+					&& (int) ( $item[ 'height' ] ?? 0 ) >= $rules[ 'min_height' ]
+			);
+		}
+
+		if ( $rules[ 'max_file_size' ] ) {
+			$checks[] = $this->check(
+				'max_file_size',
+				__( 'File size', 'vmfa-editorial-workflow' ),
+				sprintf(
+					/* translators: %s: maximum file size, e.g. "5 MB" */
+					__( 'At most %s.', 'vmfa-editorial-workflow' ),
+					size_format( $rules[ 'max_file_size' ], 1 )
+				),
+				(int) ( $item[ 'fileSize' ] ?? 0 ) <= $rules[ 'max_file_size' ]
+			);
+		}
+
+		if ( $rules[ 'allowed_mime_types' ] ) {
+			$checks[] = $this->check(
+				'allowed_mime_types',
+				__( 'File type', 'vmfa-editorial-workflow' ),
+				sprintf(
+					/* translators: %s: comma-separated list of MIME types */
+					__( 'One of: %s.', 'vmfa-editorial-workflow' ),
+					implode( ', ', $rules[ 'allowed_mime_types' ] )
+				),
+				$this->is_allowed_mime_type( (string) ( $item[ 'mimeType' ] ?? '' ), $rules[ 'allowed_mime_types' ] )
+			);
+		}
+
+		if ( '' !== $rules[ 'filename_pattern' ] ) {
+			$checks[] = $this->check(
+				'filename_pattern',
+				__( 'File name', 'vmfa-editorial-workflow' ),
+				sprintf(
+					/* translators: %s: regular expression */
+					__( 'Matches %s', 'vmfa-editorial-workflow' ),
+					$rules[ 'filename_pattern' ]
+				),
+				1 === preg_match( $this->to_regex( $rules[ 'filename_pattern' ] ), (string) ( $item[ 'filename' ] ?? '' ) )
+			);
+		}
+
+		return $checks;
+	}
+
+	/**
+	 * Get the checks an item fails.
+	 *
+	 * @param array $checks Checks from evaluate().
+	 * @return array Failed checks.
+	 */
+	public function get_failures( array $checks ): array {
+		return array_values( array_filter( $checks, fn( $check ) => ! $check[ 'passed' ] ) );
+	}
+
+	/**
+	 * Normalize stored or submitted rules.
+	 *
+	 * @param array $rules Raw rules.
+	 * @return array Rules with every key of self::DEFAULT_RULES.
+	 */
+	private function sanitize_rules( array $rules ): array {
+		$rules = array_merge( self::DEFAULT_RULES, array_intersect_key( $rules, self::DEFAULT_RULES ) );
+
+		$mime_types = array_map(
+			fn( $type ) => strtolower( trim( (string) $type ) ),
+			(array) $rules[ 'allowed_mime_types' ]
+		);
+
+		return [
+			'alt_required'       => (bool) $rules[ 'alt_required' ],
+			'min_width'          => max( 0, (int) $rules[ 'min_width' ] ),
+			'min_height'         => max( 0, (int) $rules[ 'min_height' ] ),
+			'max_file_size'      => max( 0, (int) $rules[ 'max_file_size' ] ),
+			'allowed_mime_types' => array_values(
+				array_unique( array_filter( $mime_types, fn( $type ) => (bool) preg_match( '#^[a-z0-9.+-]+/([a-z0-9.+-]+|\*)$#', $type ) ) )
+			),
+			'filename_pattern'   => trim( (string) $rules[ 'filename_pattern' ] ),
+		];
+	}
+
+	/**
+	 * Build a check result.
+	 *
+	 * @param string $rule        Rule key.
+	 * @param string $label       Short label for the badge.
+	 * @param string $requirement What the rule requires.
+	 * @param bool   $passed      Whether the item passes.
+	 * @return array
+	 */
+	private function check( string $rule, string $label, string $requirement, bool $passed ): array {
+		return [
+			'rule'        => $rule,
+			'label'       => $label,
+			'requirement' => $requirement,
+			'passed'      => $passed,
+		];
+	}
+
+	/**
+	 * Whether a MIME type matches the allowed list. Entries like `image/*` match a whole group.
+	 *
+	 * @param string        $mime_type MIME type.
+	 * @param array<string> $allowed   Allowed MIME types.
+	 * @return bool
+	 */
+	private function is_allowed_mime_type( string $mime_type, array $allowed ): bool {
+		$mime_type = strtolower( $mime_type );
+
+		foreach ( $allowed as $type ) {
+			if ( $type === $mime_type || ( str_ends_with( $type, '/*' ) && str_starts_with( $mime_type, substr( $type, 0, -1 ) ) ) ) {
+				return true;
+			}
+		}
+
+		return false;
+	}
+
+	/**
+	 * Whether a filename pattern compiles.
+	 *
+	 * @param string $pattern Pattern without delimiters.
+	 * @return bool
+	 */
+	private function is_valid_pattern( string $pattern ): bool {
+		// phpcs:ignore WordPress.PHP.NoSilencedErrors.Discouraged -- An invalid pattern is reported to the user instead.
+		return false !== @preg_match( $this->to_regex( $pattern ), '' );
+	}
+
+	/**
+	 * Wrap a filename pattern in delimiters.
+	 *
+	 * @param string $pattern Pattern without delimiters.
+	 * @return string Regular expression.
+	 */
+	private function to_regex( string $pattern ): string {
+		return '~' . str_replace( '~', '\~', $pattern ) . '~u';
+	}
+}
@@ -0,0 +1,232 @@
+<?php
+/**
+ * Resubmission Service.
+ *
+ * Lets uploaders replace the file of a returned attachment and send it back to review.
+ *
+ * @package VmfaEditorialWorkflow
+ */
+
+declare(strict_types=1);
+
+namespace VmfaEditorialWorkflow\Services;
+
+use VmfaEditorialWorkflow\WorkflowState;
+use WP_Error;
+
+// Prevent direct access.
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * Resubmission Service class.
+ *
+ * The attachment keeps its ID, title, metadata fields and history; only the
+ * file changes. The replaced file (and its medium size, for the comparison)
+ * stays on disk until the resubmission is approved, moved, rejected again or
+ * deleted, so reviewers can compare before and after.
+ */
+class ResubmissionService {
+
+	/**
+	 * Workflow state instance.
+	 *
+	 * @var WorkflowState
+	 */
+	private WorkflowState $workflow_state;
+
+	/**
+	 * VMF taxonomy name.
+	 *
+	 * @var string
+	 */
+	private string $taxonomy;
+
+	/**
+	 * Constructor.
+	 *
+	 * @param WorkflowState $workflow_state Workflow state instance.
+	 */
+	public function __construct( WorkflowState $workflow_state ) {
+		$this->workflow_state = $workflow_state;
+		$this->taxonomy       = defined( 'VirtualMediaFolders\Taxonomy::TAXONOMY' )
+			? \VirtualMediaFolders\Taxonomy::TAXONOMY
+			: 'vmfo_folder';
+	}
+
+	/**
+	 * Initialize hooks.
+	 *
+	 * @return void
+	 */
+	public function init(): void {
+		// Once a reviewer has decided, the replaced file is no longer needed.
+		add_action( 'vmfa_approved', [ $this, 'clear' ] );
+		add_action( 'vmfa_scheduled', [ $this, 'clear' ] );
+		add_action( 'vmfa_moved', [ $this, 'clear' ] );
+		add_action( 'vmfa_rejected', [ $this, 'clear' ] );
+		add_action( 'delete_attachment', [ $this, 'clear' ] );
+	}
+
+	/**
+	 * Check if a user can resubmit an attachment.
+	 *
+	 * Only the uploader can resubmit, and only items returned to the Rejected folder.
+	 *
+	 * @param int      $attachment_id Attachment ID.
+	 * @param int|null $user_id       User ID. Defaults to current user.
+	 * @return bool
+	 */
+	public function can_resubmit( int $attachment_id, ?int $user_id = null ): bool {
+		$user_id    = $user_id ?? get_current_user_id();
+		$attachment = get_post( $attachment_id );
+
+		if ( ! $attachment || 'attachment' !== $attachment->post_type || (int) $attachment->post_author !== $user_id ) {
+			return false;
+		}
+
+		$rejected_folder = $this->workflow_state->get_rejected_folder();
+
+		return $rejected_folder && has_term( $rejected_folder, $this->taxonomy, $attachment_id );
+	}
+
+	/**
+	 * Replace the file of a returned attachment and send it back to review.
+	 *
+	 * @param int   $attachment_id Attachment ID.
+	 * @param array $file          Uploaded file, as in $_FILES.
+	 * @return true|WP_Error True on success, or error.
+	 */
+	public function resubmit( int $attachment_id, array $file ) {
+		if ( ! $this->can_resubmit( $attachment_id ) ) {
+			return new WP_Error(
+				'vmfa_cannot_resubmit',
+				__( 'Only the uploader can resubmit an item, and only after it was returned.', 'vmfa-editorial-workflow' ),
+				[ 'status' => 403 ]
+			);
+		}
+
+		if ( ! $this->workflow_state->get_needs_review_folder() ) {
+			return new WP_Error( 'vmfa_missing_folder', __( 'Needs Review folder not found.', 'vmfa-editorial-workflow' ), [ 'status' => 500 ] );
+		}
+
+		require_once ABSPATH . 'wp-admin/includes/file.php';
+		require_once ABSPATH . 'wp-admin/includes/image.php';
+
+		$upload = wp_handle_upload( $file, [ 'test_form' => false ] );
+
+		if ( isset( $upload[ 'error' ] ) ) {
+			return new WP_Error( 'vmfa_upload_failed', $upload[ 'error' ], [ 'status' => 400 ] );
+		}
+
+		$mime_type = (string) get_post_mime_type( $attachment_id );
+
+		if ( strtok( $mime_type, '/' ) !== strtok( $upload[ 'type' ], '/' ) ) {
+			wp_delete_file( $upload[ 'file' ] );
+
+			return new WP_Error(
+				'vmfa_resubmission_type',
+				/* translators: %s: MIME type of the current file */
+				sprintf( __( 'The new file must be the same kind of file as the one it replaces (%s).', 'vmfa-editorial-workflow' ), $mime_type ),
+				[ 'status' => 400 ]
+			);
+		}
+
+		$this->clear( $attachment_id );
+		$previous = $this->keep_current_file( $attachment_id );
+
+		update_attached_file( $attachment_id, $upload[ 'file' ] );
+		wp_update_post(
+			[
+				'ID'             => $attachment_id,
+				'post_mime_type' => $upload[ 'type' ],
+			]
+		);
+
+		// Matches found for the old file no longer apply; the new file is
+		// hashed and checked again while its metadata is generated.
+		delete_post_meta( $attachment_id, DuplicateService::META_MATCHES );
+		wp_update_attachment_metadata( $attachment_id, wp_generate_attachment_metadata( $attachment_id, $upload[ 'file' ] ) );
+
+		update_post_meta( $attachment_id, WorkflowState::META_RESUBMISSION, $previous );
+
+		/**
+		 * Fires after an uploader replaces the file of a returned attachment.
+		 *
+		 * Runs before the attachment is sent back to review.
+		 *
+		 * @param int   $attachment_id Attachment ID.
+		 * @param array $previous      Replaced file, see WorkflowState::META_RESUBMISSION.
+		 */
+		do_action( 'vmfa_resubmitted', $attachment_id, $previous );
+
+		$this->workflow_state->mark_needs_review( $attachment_id );
+
+		return true;
+	}
+
+	/**
+	 * Delete the file a resubmitted attachment replaced and forget it.
+	 *
+	 * @param int $attachment_id Attachment ID.
+	 * @return void
+	 */
+	public function clear( int $attachment_id ): void {
+		$resubmission = $this->workflow_state->get_resubmission( $attachment_id );
+
+		if ( ! $resubmission ) {
+			return;
+		}
+
+		$basedir = wp_get_upload_dir()[ 'basedir' ];
+
+		foreach ( [ 'file', 'thumbnail' ] as $key ) {
+			if ( ! empty( $resubmission[ $key ] ) ) {
+				wp_delete_file( path_join( $basedir, $resubmission[ $key ] ) );
+			}
+		}
+
+		delete_post_meta( $attachment_id, WorkflowState::META_RESUBMISSION );
+	}
+
+	/**
+	 * Describe the current file before it is replaced.
+	 *
+	 * Its sizes are deleted, except the medium size used for the comparison,
+	 * since the attachment's metadata will no longer list them.
+	 *
+	 * @param int $attachment_id Attachment ID.
+	 * @return array Previous file details, see WorkflowState::META_RESUBMISSION.
+	 */
+	private function keep_current_file( int $attachment_id ): array {
+		$file     = (string) get_attached_file( $attachment_id );
+		$dir      = dirname( $file );
+		$metadata = wp_get_attachment_metadata( $attachment_id );
+		$metadata = is_array( $metadata ) ? $metadata : [];
+		$medium   = (string) ( $metadata[ 'sizes' ][ 'medium' ][ 'file' ] ?? '' );
+
+		$unused = array_column( $metadata[ 'sizes' ] ?? [], 'file' );
+		if ( ! empty( $metadata[ 'original_image' ] ) ) {
+			$unused[] = $metadata[ 'original_image' ];
+		}
+
+		foreach ( array_unique( $unused ) as $size_file ) {
+			if ( $size_file !== $medium && $size_file !== wp_basename( $file ) ) {
+				wp_delete_file( path_join( $dir, $size_file ) );
+			}
+		}
+
+		$rejection = $this->workflow_state->get_rejection( $attachment_id );
+
+		return [
+			'file'      => _wp_relative_upload_path( $file ),
+			'thumbnail' => '' !== $medium ? _wp_relative_upload_path( path_join( $dir, $medium ) ) : '',
+			'mime_type' => (string) get_post_mime_type( $attachment_id ),
+			'width'     => (int) ( $metadata[ 'width' ] ?? 0 ),
+			'height'    => (int) ( $metadata[ 'height' ] ?? 0 ),
+			'filesize'  => (int) ( $metadata[ 'filesize' ] ?? ( file_exists( $file ) ? filesize( $file ) : 0 ) ),
+			'reason'    => (string) ( $rejection[ 'reason' ] ?? '' ),
+			'user_id'   => get_current_user_id(),
+			'date'      => current_time( 'mysql', true ),
+		];
+	}
+}
@@ -0,0 +1,1845 @@
+<?php
+/**
+ * Review Service.
+ *
+ * Queries the review queue and performs review actions.
+ *
+ * @package VmfaEditorialWorkflow
+ */
+
+declare(strict_types=1);
+
+namespace VmfaEditorialWorkflow\Services;
+
+use VmfaEditorialWorkflow\WorkflowState;
+use WP_Error;
+
+// Prevent direct access.
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * Review Service class.
+ *
+ * Used by the Review REST endpoints.
+ */
+class ReviewService {
+
+	/**
+	 * Default number of items per page.
+	 *
+	 * @var int
+	 */
+	public const PER_PAGE = 50;
+
+	/**
+	 * Maximum number of items per page.
+	 *
+	 * @var int
+	 */
+	public const MAX_PER_PAGE = 100;
+
+	/**
+	 * Maximum number of items per review action request. Larger selections
+	 * are sent in chunks, so no single request runs into a timeout.
+	 *
+	 * @var int
+	 */
+	public const MAX_BATCH = 50;
+
+	/**
+	 * Sortable fields.
+	 *
+	 * @var array<string>
+	 */
+	public const ORDERBY = [ 'date', 'title', 'queued' ];
+
+	/**
+	 * MIME type groups for filtering, mapped to post_mime_type patterns.
+	 *
+	 * @var array<string, array<string>>
+	 */
+	public const MIME_GROUPS = [
+		'image'    => [ 'image' ],
+		'video'    => [ 'video' ],
+		'audio'    => [ 'audio' ],
+		'document' => [ 'application', 'text' ],
+	];
+
+	/**
+	 * EXIF fields shown in the preview, as stored in the attachment's image_meta.
+	 *
+	 * @var array<string>
+	 */
+	public const EXIF_FIELDS = [
+		'camera',
+		'aperture',
+		'shutter_speed',
+		'iso',
+		'focal_length',
+		'created_timestamp',
+		'credit',
+		'copyright',
+	];
+
+	/**
+	 * Layouts of the Review screen.
+	 *
+	 * @var array<string>
+	 */
+	public const VIEWS = [ 'grid', 'table' ];
+
+	/**
+	 * Decisions listed in the Review screen's history tabs.
+	 *
+	 * @var array<string>
+	 */
+	public const RECENT_ACTIONS = [ 'approved', 'moved' ];
+
+	/**
+	 * User meta key for the layout a reviewer last chose.
+	 *
+	 * @var string
+	 */
+	public const META_VIEW = 'vmfa_review_view';
+
+	/**
+	 * Transient prefix for undo records.
+	 *
+	 * @var string
+	 */
+	public const UNDO_TRANSIENT_PREFIX = 'vmfa_undo_';
+
+	/**
+	 * Seconds an undo record outlives the undo window, to allow for request latency.
+	 *
+	 * @var int
+	 */
+	public const UNDO_GRACE = 5;
+
+	/**
+	 * Access checker instance.
+	 *
+	 * @var AccessChecker
+	 */
+	private AccessChecker $access_checker;
+
+	/**
+	 * Workflow state instance.
+	 *
+	 * @var WorkflowState
+	 */
+	private WorkflowState $workflow_state;
+
+	/**
+	 * Comment service instance.
+	 *
+	 * @var CommentService
+	 */
+	private CommentService $comment_service;
+
+	/**
+	 * Quality gate service instance.
+	 *
+	 * @var QualityGateService
+	 */
+	private QualityGateService $quality_gates;
+
+	/**
+	 * Assignment service instance.
+	 *
+	 * @var AssignmentService
+	 */
+	private AssignmentService $assignments;
+
+	/**
+	 * Duplicate service instance.
+	 *
+	 * @var DuplicateService
+	 */
+	private DuplicateService $duplicates;
+
+	/**
+	 * VMF taxonomy name.
+	 *
+	 * @var string
+	 */
+	private string $taxonomy;
+
+	/**
+	 * Constructor.
+	 *
+	 * @param AccessChecker      $access_checker  Access checker instance.
+	 * @param WorkflowState      $workflow_state  Workflow state instance.
+	 * @param CommentService     $comment_service Comment service instance.
+	 * @param QualityGateService $quality_gates   Quality gate service instance.
+	 * @param AssignmentService  $assignments     Assignment service instance.
+	 * @param DuplicateService   $duplicates      Duplicate service instance.
+	 */
+	public function __construct( AccessChecker $access_checker, WorkflowState $workflow_state, CommentService $comment_service, QualityGateService $quality_gates, AssignmentService $assignments, DuplicateService $duplicates ) {
+		$this->access_checker  = $access_checker;
+		$this->workflow_state  = $workflow_state;
+		$this->comment_service = $comment_service;
+		$this->quality_gates   = $quality_gates;
+		$this->assignments     = $assignments;
+		$this->duplicates      = $duplicates;
+		$this->taxonomy        = defined( 'VirtualMediaFolders\Taxonomy::TAXONOMY' )
+			? \VirtualMediaFolders\Taxonomy::TAXONOMY
+			: 'vmfo_folder';
+	}
+
+	/**
+	 * Get a page of items needing review.
+	 *
+	 * @param array $args {
+	 *     Optional. Query arguments.
+	 *
+	 *     @type int    $per_page  Items per page. Default 50, maximum 100.
+	 *     @type int    $page      Page number. Default 1.
+	 *     @type int    $offset    Number of items to skip. Overrides $page when set.
+	 *     @type string $orderby   Sort field: 'date', 'title' or 'queued' (time in the queue). Default 'date'.
+	 *     @type string $order     Sort direction: 'asc' or 'desc'. Default 'desc'.
+	 *     @type int    $author    Uploader user ID.
+	 *     @type string $mime_type MIME type group, see self::MIME_GROUPS.
+	 *     @type string $after     Uploaded on or after this date (Y-m-d).
+	 *     @type string $before    Uploaded on or before this date (Y-m-d).
+	 *     @type int    $min_size  Minimum file size in bytes.
+	 *     @type int    $max_size  Maximum file size in bytes.
+	 *     @type string $search    Search term matched against title and filename.
+	 *     @type string $since     Only items uploaded at or after this GMT time (Y-m-d H:i:s).
+	 *     @type array  $include   Only these attachment IDs.
+	 *     @type string $stage     Only items in this review stage (stage key).
+	 *     @type string $assignee  'me' for items assigned to the current user, 'none' for unassigned items.
+	 * }
+	 * @return array{items: array, total: int, totalPages: int}
+	 */
+	public function get_items( array $args = [] ): array {
+		$per_page = min( self::MAX_PER_PAGE, max( 1, (int) ( $args[ 'per_page' ] ?? self::PER_PAGE ) ) );
+		$offset   = isset( $args[ 'offset' ] )
+			? max( 0, (int) $args[ 'offset' ] )
+			: ( max( 1, (int) ( $args[ 'page' ] ?? 1 ) ) - 1 ) * $per_page;
+		$min_size = max( 0, (int) ( $args[ 'min_size' ] ?? 0 ) );
+		$max_size = max( 0, (int) ( $args[ 'max_size' ] ?? 0 ) );
+
+		// File sizes live in serialized attachment metadata, so size filters
+		// are applied to the full result set and paginated here.
+		$filter_size = $min_size || $max_size;
+
+		$query_args = array_merge(
+			$this->get_filter_query_args( $args ),
+			[
+				'posts_per_page' => $filter_size ? -1 : $per_page,
+				'offset'         => $filter_size ? 0 : $offset,
+			]
+		);
+
+		$query = $this->query_items( $query_args, $args );
+
+		if ( ! $query ) {
+			return [
+				'items'      => [],
+				'total'      => 0,
+				'totalPages' => 0,
+			];
+		}
+
+		$ids   = $query->posts;
+		$total = (int) $query->found_posts;
+
+		if ( $filter_size ) {
+			$ids   = $this->filter_by_size( $ids, $min_size, $max_size );
+			$total = count( $ids );
+			$ids   = array_slice( $ids, $offset, $per_page );
+		}
+
+		return [
+			'items'      => array_values( array_filter( array_map( [ $this, 'prepare_item' ], $ids ) ) ),
+			'total'      => $total,
+			'totalPages' => (int) ceil( $total / $per_page ),
+		];
+	}
+
+	/**
+	 * Get the IDs of all items matching the review filters, in list order.
+	 *
+	 * Used to select every matching item, not just the loaded pages.
+	 *
+	 * @param array $args Filters and sort order, see get_items(). Pagination is ignored.
+	 * @return array<int> Attachment IDs.
+	 */
+	public function get_item_ids( array $args = [] ): array {
+		$query_args = array_merge(
+			$this->get_filter_query_args( $args ),
+			[
+				'posts_per_page' => -1,
+				'no_found_rows'  => true,
+			]
+		);
+
+		$query = $this->query_items( $query_args, $args );
+
+		if ( ! $query ) {
+			return [];
+		}
+
+		$ids      = array_map( 'intval', $query->posts );
+		$min_size = max( 0, (int) ( $args[ 'min_size' ] ?? 0 ) );
+		$max_size = max( 0, (int) ( $args[ 'max_size' ] ?? 0 ) );
+
+		return $min_size || $max_size ? $this->filter_by_size( $ids, $min_size, $max_size ) : $ids;
+	}
+
+	/**
+	 * Query the review queue, matching the search term against file names too.
+	 *
+	 * @param array $query_args WP_Query arguments.
+	 * @param array $args       Filters, see get_items().
+	 * @return \WP_Query|null Query, or null if the workflow is not set up.
+	 */
+	private function query_items( array $query_args, array $args ): ?\WP_Query {
+		$search = trim( (string) ( $args[ 'search' ] ?? '' ) );
+		if ( '' !== $search ) {
+			$query_args[ 's' ] = $search;
+			add_filter( 'wp_allow_query_attachment_by_filename', '__return_true' );
+		}
+
+		$query = $this->workflow_state->query_items_needing_review( $query_args );
+
+		if ( '' !== $search ) {
+			remove_filter( 'wp_allow_query_attachment_by_filename', '__return_true' );
+		}
+
+		return $query;
+	}
+
+	/**
+	 * Keep the attachments whose file size lies within a range.
+	 *
+	 * @param array $ids      Attachment IDs.
+	 * @param int   $min_size Minimum file size in bytes.
+	 * @param int   $max_size Maximum file size in bytes, 0 for no limit.
+	 * @return array<int> Matching attachment IDs.
+	 */
+	private function filter_by_size( array $ids, int $min_size, int $max_size ): array {
+		update_meta_cache( 'post', $ids );
+
+		return array_values(
+			array_filter(
+				$ids,
+				function ( $id ) use ( $min_size, $max_size ) {
+					$size = $this->get_file_size( (int) $id );
+					return $size >= $min_size && ( ! $max_size || $size <= $max_size );
+				}
+			)
+		);
+	}
+
+	/**
+	 * Translate review filters into WP_Query arguments.
+	 *
+	 * @param array $args Filters, see get_items().
+	 * @return array WP_Query arguments.
+	 */
+	private function get_filter_query_args( array $args ): array {
+		$orderby = in_array( $args[ 'orderby' ] ?? '', self::ORDERBY, true ) ? $args[ 'orderby' ] : 'date';
+		$order   = 'asc' === strtolower( (string) ( $args[ 'order' ] ?? '' ) ) ? 'ASC' : 'DESC';
+
+		$query_args = [
+			'orderby' => $orderby,
+			'order'   => $order,
+		];
+		$meta_query = [];
+
+		// Items queued before the time was recorded have no meta; keep them,
+		// ordered by upload date.
+		if ( 'queued' === $orderby ) {
+			$meta_query[]            = [
+				'relation' => 'OR',
+				'queued'   => [
+					'key'  => WorkflowState::META_QUEUED_AT,
+					'type' => 'NUMERIC',
+				],
+				[
+					'key'     => WorkflowState::META_QUEUED_AT,
+					'compare' => 'NOT EXISTS',
+				],
+			];
+			$query_args[ 'orderby' ] = [
+				'queued' => $order,
+				'date'   => $order,
+			];
+		}
+
+		if ( ! empty( $args[ 'author' ] ) ) {
+			$query_args[ 'author' ] = (int) $args[ 'author' ];
+		}
+
+		$mime_group = (string) ( $args[ 'mime_type' ] ?? '' );
+		if ( isset( self::MIME_GROUPS[ $mime_group ] ) ) {
+			$query_args[ 'post_mime_type' ] = self::MIME_GROUPS[ $mime_group ];
+		}
+
+		$date_query = [];
+		foreach ( [ 'after', 'before' ] as $key ) {
+			$date = (string) ( $args[ $key ] ?? '' );
+			if ( preg_match( '/^\d{4}-\d{2}-\d{2}$/', $date ) ) {
+				$date_query[ $key ] = $date;
+			}
+		}
+
+		if ( $date_query ) {
+			$date_query[ 'inclusive' ]  = true;
+			$query_args[ 'date_query' ] = [ $date_query ];
+		}
+
+		$tax_query = [];
+
+		$stage = (string) ( $args[ 'stage' ] ?? '' );
+		if ( '' !== $stage ) {
+			$stages = array_column( $this->workflow_state->get_stages(), 'folder', 'key' );
+
+			$tax_query[] = [
+				'taxonomy' => $this->taxonomy,
+				'terms'    => (int) ( $stages[ $stage ] ?? 0 ),
+				'field'    => 'term_id',
+			];
+		}
+
+		$folder = (int) ( $args[ 'folder' ] ?? 0 );
+		if ( $folder > 0 ) {
+			$tax_query[] = [
+				'taxonomy' => $this->taxonomy,
+				'terms'    => $this->get_queue_folders( $folder ),
+				'field'    => 'term_id',
+			];
+		}
+
+		if ( $tax_query ) {
+			$query_args[ 'tax_query' ] = $tax_query; // phpcs:ignore WordPress.DB.SlowDBQuery.slow_db_query_tax_query
+		}
+
+		$assignee = (string) ( $args[ 'assignee' ] ?? '' );
+		if ( 'me' === $assignee ) {
+			$meta_query[] = [
+				'key'   => AssignmentService::META_ASSIGNEE,
+				'value' => get_current_user_id(),
+			];
+		} elseif ( 'none' === $assignee ) {
+			$meta_query[] = [
+				'key'     => AssignmentService::META_ASSIGNEE,
+				'compare' => 'NOT EXISTS',
+			];
+		}
+
+		if ( $meta_query ) {
+			$query_args[ 'meta_query' ] = $meta_query; // phpcs:ignore WordPress.DB.SlowDBQuery.slow_db_query_meta_query
+		}
+
+		if ( ! empty( $args[ 'include' ] ) ) {
+			$query_args[ 'post__in' ] = array_map( 'absint', (array) $args[ 'include' ] );
+		}
+
+		$since = (string) ( $args[ 'since' ] ?? '' );
+		if ( preg_match( '/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/', $since ) ) {
+			$query_args[ 'date_query' ][] = [
+				'column'    => 'post_date_gmt',
+				'after'     => $since,
+				'inclusive' => true,
+			];
+		}
+
+		return $query_args;
+	}
+
+	/**
+	 * Get the file size of an attachment in bytes.
+	 *
+	 * @param int $attachment_id Attachment ID.
+	 * @return int File size, or 0 if unknown.
+	 */
+	public function get_file_size( int $attachment_id ): int {
+		$metadata = wp_get_attachment_metadata( $attachment_id );
+
+		if ( is_array( $metadata ) && ! empty( $metadata[ 'filesize' ] ) ) {
+			return (int) $metadata[ 'filesize' ];
+		}
+
+		$file_path = get_attached_file( $attachment_id );
+
+		return $file_path && file_exists( $file_path ) ? (int) filesize( $file_path ) : 0;
+	}
+
+	/**
+	 * Prepare a review item for output.
+	 *
+	 * @param int|string $attachment_id Attachment ID.
+	 * @return array|null Item data or null if the attachment does not exist.
+	 */
+	public function prepare_item( $attachment_id ): ?array {
+		$attachment_id = (int) $attachment_id;
+		$attachment    = get_post( $attachment_id );
+
+		if ( ! $attachment || 'attachment' !== $attachment->post_type ) {
+			return null;
+		}
+
+		$mime_type  = (string) get_post_mime_type( $attachment_id );
+		$medium_src = wp_get_attachment_image_src( $attachment_id, 'medium' );
+		$file_path  = get_attached_file( $attachment_id );
+		$file_size  = $this->get_file_size( $attachment_id );
+		$metadata   = wp_get_attachment_metadata( $attachment_id );
+		$metadata   = is_array( $metadata ) ? $metadata : [];
+
+		$item = [
+			'id'            => $attachment_id,
+			'title'         => $attachment->post_title,
+			'filename'      => $file_path ? wp_basename( $file_path ) : '',
+			'author'        => [
+				'id'   => (int) $attachment->post_author,
+				'name' => get_the_author_meta( 'display_name', (int) $attachment->post_author ),
+			],
+			'date'          => get_post_time( DATE_ATOM, true, $attachment ),
+			'dateLabel'     => get_the_date( '', $attachment ),
+			'mimeType'      => $mime_type,
+			'isImage'       => str_starts_with( $mime_type, 'image/' ),
+			'icon'          => $this->get_mime_icon( $mime_type ),
+			'url'           => (string) wp_get_attachment_url( $attachment_id ),
+			'thumbnail'     => $medium_src ? $medium_src[ 0 ] : '',
+			'fileSize'      => $file_size,
+			'fileSizeLabel' => $file_size ? size_format( $file_size, 1 ) : '',
+			'editLink'      => (string) get_edit_post_link( $attachment_id, 'raw' ),
+			'commentCount'  => $this->comment_service->get_comment_count( $attachment_id ),
+			'width'         => (int) ( $metadata[ 'width' ] ?? 0 ),
+			'height'        => (int) ( $metadata[ 'height' ] ?? 0 ),
+			'length'        => (string) ( $metadata[ 'length_formatted' ] ?? '' ),
+			'alt'           => (string) get_post_meta( $attachment_id, '_wp_attachment_image_alt', true ),
+			'caption'       => $attachment->post_excerpt,
+			'description'   => $attachment->post_content,
+			'exif'          => $this->get_exif( $metadata ),
+		];
+
+		$item[ 'checks' ]       = $this->quality_gates->evaluate( $item );
+		$item[ 'stage' ]        = $this->get_stage_data( $attachment_id );
+		$item[ 'approvals' ]    = $this->get_approval_data( $attachment_id, $item[ 'stage' ] );
+		$item[ 'assignee' ]     = $this->get_assignee_data( $attachment_id );
+		$item[ 'age' ]          = $this->get_age_data( $attachment_id );
+		$item[ 'duplicates' ]   = $this->get_duplicate_data( $attachment_id );
+		$item[ 'resubmission' ] = $this->get_resubmission_data( $attachment_id, $attachment );
+		$item[ 'queue' ]        = $this->get_item_queue( $attachment_id, $item[ 'stage' ] );
+
+		return $item;
+	}
+
+	/**
+	 * Get the review queues shown as tabs on the Review screen.
+	 *
+	 * Needs Review comes first and covers every review stage. Each other
+	 * review folder, such as a role inbox, is a queue of its own when the
+	 * current user can view it.
+	 *
+	 * @return array<int, array{id: int, name: string, count: int}> Queues.
+	 */
+	public function get_queues(): array {
+		$needs_review = (int) $this->workflow_state->get_needs_review_folder();
+
+		if ( ! $needs_review ) {
+			return [];
+		}
+
+		$folder_ids = array_filter(
+			array_diff( $this->workflow_state->get_review_folders(), $this->workflow_state->get_stage_folders() ),
+			fn( $folder_id ) => $this->access_checker->can_view_folder( $folder_id )
+		);
+
+		$queues = [];
+		foreach ( [ $needs_review, ...$folder_ids ] as $folder_id ) {
+			$term = get_term( $folder_id, $this->taxonomy );
+
+			if ( ! $term instanceof \WP_Term ) {
+				continue;
+			}
+
+			$query = $this->workflow_state->query_items_needing_review( [
+				'posts_per_page' => 1,
+				'tax_query'      => [ // phpcs:ignore WordPress.DB.SlowDBQuery.slow_db_query_tax_query
+					[
+						'taxonomy' => $this->taxonomy,
+						'terms'    => $this->get_queue_folders( $folder_id ),
+						'field'    => 'term_id',
+					],
+				],
+			] );
+
+			$queues[] = [
+				'id'    => $folder_id,
+				'name'  => $term->name,
+				'count' => $query ? (int) $query->found_posts : 0,
+			];
+		}
+
+		return $queues;
+	}
+
+	/**
+	 * Get the folders a review queue is made of.
+	 *
+	 * @param int $folder_id Queue folder ID, see get_queues().
+	 * @return array<int> Folder IDs: all stage folders for Needs Review, the
+	 *                    folder itself for other review folders, and none
+	 *                    (0) for folders that are not reviewed.
+	 */
+	private function get_queue_folders( int $folder_id ): array {
+		if ( $folder_id === $this->workflow_state->get_needs_review_folder() ) {
+			return $this->workflow_state->get_stage_folders();
+		}
+
+		return in_array( $folder_id, $this->workflow_state->get_review_folders(), true ) ? [ $folder_id ] : [ 0 ];
+	}
+
+	/**
+	 * Get the review queue an item is in.
+	 *
+	 * @param int        $attachment_id Attachment ID.
+	 * @param array|null $stage         Stage data from get_stage_data().
+	 * @return int Queue folder ID, see get_queues(), or 0 when the item is not in review.
+	 */
+	private function get_item_queue( int $attachment_id, ?array $stage ): int {
+		if ( $stage ) {
+			return (int) $this->workflow_state->get_needs_review_folder();
+		}
+
+		$folders = wp_get_object_terms( $attachment_id, $this->taxonomy, [ 'fields' => 'ids' ] );
+
+		if ( is_wp_error( $folders ) ) {
+			return 0;
+		}
+
+		$queues = array_intersect( $this->workflow_state->get_review_folders(), array_map( 'intval', $folders ) );
+
+		return (int) ( reset( $queues ) ?: 0 );
+	}
+
+	/**
+	 * Get the approval progress of an item for output.
+	 *
+	 * @param int        $attachment_id Attachment ID.
+	 * @param array|null $stage         Stage data from get_stage_data().
+	 * @return array|null Number of approvals, number required and whether the
+	 *                    current user has approved; null unless the item is in
+	 *                    its last stage and more than one approval is required.
+	 */
+	private function get_approval_data( int $attachment_id, ?array $stage ): ?array {
+		$required = $this->workflow_state->get_approvals_required();
+
+		if ( $required < 2 || ( $stage && '' !== $stage[ 'next' ] ) ) {
+			return null;
+		}
+
+		return [
+			'count'        => count( $this->workflow_state->get_approvals( $attachment_id ) ),
+			'required'     => $required,
+			'approvedByMe' => $this->workflow_state->has_approved( $attachment_id ),
+		];
+	}
+
+	/**
+	 * Get how long an item has been waiting for review, for output.
+	 *
+	 * @param int $attachment_id Attachment ID.
+	 * @return array{since: string, label: string, status: string} Time the item
+	 *         entered the queue, a readable age and 'ok', 'warning' or 'overdue'.
+	 */
+	private function get_age_data( int $attachment_id ): array {
+		$queued_at = $this->workflow_state->get_queued_at( $attachment_id );
+
+		return [
+			'since'  => gmdate( DATE_ATOM, $queued_at ),
+			'label'  => human_time_diff( $queued_at ),
+			'status' => $this->workflow_state->get_age_status( $queued_at ),
+		];
+	}
+
+	/**
+	 * Get the library items an upload duplicates or resembles, for output.
+	 *
+	 * @param int $attachment_id Attachment ID.
+	 * @return array<array> Matches with the details needed to compare them side by side.
+	 */
+	private function get_duplicate_data( int $attachment_id ): array {
+		return array_map(
+			function ( $match ) {
+				$id         = (int) $match[ 'id' ];
+				$mime_type  = (string) get_post_mime_type( $id );
+				$medium_src = wp_get_attachment_image_src( $id, 'medium' );
+				$file_path  = get_attached_file( $id );
+				$file_size  = $this->get_file_size( $id );
+				$metadata   = wp_get_attachment_metadata( $id );
+
+				return [
+					'id'            => $id,
+					'type'          => $match[ 'type' ],
+					'title'         => get_the_title( $id ),
+					'filename'      => $file_path ? wp_basename( $file_path ) : '',
+					'isImage'       => str_starts_with( $mime_type, 'image/' ),
+					'icon'          => $this->get_mime_icon( $mime_type ),
+					'thumbnail'     => $medium_src ? $medium_src[ 0 ] : '',
+					'dateLabel'     => get_the_date( '', $id ),
+					'fileSizeLabel' => $file_size ? size_format( $file_size, 1 ) : '',
+					'width'         => (int) ( $metadata[ 'width' ] ?? 0 ),
+					'height'        => (int) ( $metadata[ 'height' ] ?? 0 ),
+					'editLink'      => (string) get_edit_post_link( $id, 'raw' ),
+				];
+			},
+			$this->duplicates->get_matches( $attachment_id )
+		);
+	}
+
+	/**
+	 * Get the file a resubmitted item replaced, for output.
+	 *
+	 * @param int      $attachment_id Attachment ID.
+	 * @param \WP_Post $attachment    Attachment post.
+	 * @return array|null Date of the resubmission, why the item was returned and the replaced
+	 *                    file with the details needed to compare it side by side;
+	 *                    null unless the item was resubmitted.
+	 */
+	private function get_resubmission_data( int $attachment_id, \WP_Post $attachment ): ?array {
+		$resubmission = $this->workflow_state->get_resubmission( $attachment_id );
+
+		if ( ! $resubmission ) {
+			return null;
+		}
+
+		$baseurl   = wp_get_upload_dir()[ 'baseurl' ];
+		$file      = (string) ( $resubmission[ 'file' ] ?? '' );
+		$image     = (string) ( $resubmission[ 'thumbnail' ] ?? '' ) ?: $file;
+		$mime_type = (string) ( $resubmission[ 'mime_type' ] ?? '' );
+		$file_size = (int) ( $resubmission[ 'filesize' ] ?? 0 );
+		$stored    = (string) ( $resubmission[ 'date' ] ?? '' );
+		$date      = '' !== $stored ? (int) strtotime( $stored . ' UTC' ) : 0;
+
+		return [
+			'date'      => $date ? gmdate( DATE_ATOM, $date ) : '',
+			'dateLabel' => $date ? wp_date( (string) get_option( 'date_format' ), $date ) : '',
+			'reason'    => (string) ( $resubmission[ 'reason' ] ?? '' ),
+			'previous'  => [
+				'title'         => $attachment->post_title,
+				'filename'      => wp_basename( $file ),
+				'isImage'       => str_starts_with( $mime_type, 'image/' ),
+				'icon'          => $this->get_mime_icon( $mime_type ),
+				'url'           => $baseurl . '/' . $file,
+				'thumbnail'     => '' !== $image ? $baseurl . '/' . $image : '',
+				'dateLabel'     => get_the_date( '', $attachment ),
+				'fileSizeLabel' => $file_size ? size_format( $file_size, 1 ) : '',
+				'width'         => (int) ( $resubmission[ 'width' ] ?? 0 ),
+				'height'        => (int) ( $resubmission[ 'height' ] ?? 0 ),
+			],
+		];
+	}
+
+	/**
+	 * Get the reviewer assigned to an item for output.
+	 *
+	 * @param int $attachment_id Attachment ID.
+	 * @return array|null User ID, display name and avatar URL; null when unassigned.
+	 */
+	private function get_assignee_data( int $attachment_id ): ?array {
+		$user_id = $this->assignments->get_assignee( $attachment_id );
+
+		return $user_id ? $this->format_user( $user_id ) : null;
+	}
+
+	/**
+	 * Get the review stage of an item for output.
+	 *
+	 * @param int $attachment_id Attachment ID.
+	 * @return array|null Stage key, name, 1-based position, number of stages,
+	 *                    name of the next stage ('' when approval is next) and
+	 *                    whether the current user can approve it; null when the
+	 *                    item is not in review.
+	 */
+	private function get_stage_data( int $attachment_id ): ?array {
+		$stage = $this->workflow_state->get_item_stage( $attachment_id );
+
+		if ( ! $stage ) {
+			return null;
+		}
+
+		$next = $this->workflow_state->get_next_stage( $stage[ 'key' ] );
+
+		return [
+			'key'       => $stage[ 'key' ],
+			'name'      => $stage[ 'name' ],
+			'position'  => $stage[ 'position' ] + 1,
+			'total'     => count( $this->workflow_state->get_stages() ),
+			'next'      => $next ? $next[ 'name' ] : '',
+			'canReview' => $this->workflow_state->can_review_stage( $stage ),
+		];
+	}
+
+	/**
+	 * Get the non-empty EXIF fields of an attachment.
+	 *
+	 * @param array $metadata Attachment metadata.
+	 * @return array<string, string> EXIF values keyed by field, see self::EXIF_FIELDS.
+	 */
+	public function get_exif( array $metadata ): array {
+		$image_meta = is_array( $metadata[ 'image_meta' ] ?? null ) ? $metadata[ 'image_meta' ] : [];
+		$exif       = [];
+
+		foreach ( self::EXIF_FIELDS as $field ) {
+			$value = (string) ( $image_meta[ $field ] ?? '' );
+
+			// WordPress stores missing numeric EXIF values as 0.
+			if ( '' === $value || '0' === $value ) {
+				continue;
+			}
+
+			$exif[ $field ] = 'created_timestamp' === $field
+				? wp_date( get_option( 'date_format' ) . ' ' . get_option( 'time_format' ), (int) $value )
+				: $value;
+		}
+
+		return $exif;
+	}
+
+	/**
+	 * Get changes to the review queue for a Review screen that is already open.
+	 *
+	 * @param array<int> $known_ids IDs of the items the screen shows.
+	 * @param string     $since     GMT time of the previous check (Y-m-d H:i:s).
+	 * @param array      $filters   Active filters, as accepted by get_items().
+	 * @return array{count: int, queues: array, removed: array<int>, items: array, time: string}
+	 */
+	public function get_updates( array $known_ids, string $since, array $filters = [] ): array {
+		$known_ids = array_values( array_unique( array_filter( array_map( 'absint', $known_ids ) ) ) );
+		$removed   = [];
+
+		// Items the screen shows that are no longer in the queue.
+		if ( $known_ids ) {
+			$query   = $this->workflow_state->query_items_needing_review( [
+				'post__in'       => $known_ids,
+				'posts_per_page' => count( $known_ids ),
+			] );
+			$queued  = $query ? array_map( 'intval', $query->posts ) : [];
+			$removed = array_values( array_diff( $known_ids, $queued ) );
+		}
+
+		// Items uploaded since the previous check that match the filters.
+		$items = [];
+		if ( '' !== $since ) {
+			$page  = $this->get_items(
+				array_merge(
+					$filters,
+					[
+						'since'    => $since,
+						'page'     => 1,
+						'per_page' => self::MAX_PER_PAGE,
+					]
+				)
+			);
+			$items = array_values(
+				array_filter( $page[ 'items' ], fn( $item ) => ! in_array( $item[ 'id' ], $known_ids, true ) )
+			);
+		}
+
+		return [
+			'count'   => $this->workflow_state->get_review_count( true ),
+			'queues'  => $this->get_queues(),
+			'removed' => $removed,
+			'items'   => $items,
+			'time'    => current_time( 'mysql', true ),
+		];
+	}
+
+	/**
+	 * Approve items.
+	 *
+	 * Items in a review stage with a stage after it move on to that stage
+	 * and are reported under 'advanced'; items in the last stage move to the
+	 * Approved folder. Items in a stage the user cannot review fail.
+	 *
+	 * Items that fail the quality checks are not approved and are reported
+	 * under 'blocked', unless an administrator overrides the checks.
+	 *
+	 * When more than one approval is required, items that still need other
+	 * reviewers stay in review and are reported under 'pending' with their
+	 * approval count. Approving an item twice fails.
+	 *
+	 * With a release time, approved items wait in the Scheduled folder and
+	 * move on to the Approved folder at that time.
+	 *
+	 * Only items in a review folder can be approved. Scheduled items are
+	 * refused; their release is changed with reschedule() or cancel_release().
+	 *
+	 * @param array<int> $ids        Attachment IDs.
+	 * @param bool       $override   Approve items that fail the quality checks. Administrators only.
+	 * @param int|null   $release_at Release time (Unix timestamp), or null to approve right away.
+	 * @return array|WP_Error Result with 'success', 'failed', 'advanced', 'pending', 'blocked', 'message' and 'undo', or error.
+	 */
+	public function approve( array $ids, bool $override = false, ?int $release_at = null ) {
+		$approved_folder = $this->workflow_state->get_approved_folder();
+		if ( ! $approved_folder ) {
+			return new WP_Error( 'vmfa_missing_folder', __( 'Approved folder not found.', 'vmfa-editorial-workflow' ), [ 'status' => 500 ] );
+		}
+
+		$scheduled_folder = $this->workflow_state->get_scheduled_folder();
+		if ( null !== $release_at ) {
+			if ( ! $scheduled_folder ) {
+				return new WP_Error( 'vmfa_missing_folder', __( 'Scheduled folder not found.', 'vmfa-editorial-workflow' ), [ 'status' => 500 ] );
+			}
+
+			if ( $release_at <= time() ) {
+				return new WP_Error( 'vmfa_invalid_release', __( 'The release time must be in the future.', 'vmfa-editorial-workflow' ), [ 'status' => 400 ] );
+			}
+		}
+
+		// Check permission to move to approved folder. Reviewers named on a
+		// stage may approve that stage's items without folder permissions.
+		$can_approve = $this->access_checker->can_move_to_folder( $approved_folder );
+		if ( ! $can_approve && ! $this->workflow_state->is_stage_reviewer() ) {
+			return new WP_Error( 'vmfa_permission_denied', __( 'Permission denied.', 'vmfa-editorial-workflow' ), [ 'status' => 403 ] );
+		}
+
+		if ( $override && ! current_user_can( 'manage_options' ) ) {
+			return new WP_Error( 'vmfa_permission_denied', __( 'Only administrators can override the quality checks.', 'vmfa-editorial-workflow' ), [ 'status' => 403 ] );
+		}
+
+		$check_quality  = $this->quality_gates->has_rules();
+		$required       = $this->workflow_state->get_approvals_required();
+		$review_folders = $this->workflow_state->get_review_folders();
+		$blocked        = [];
+		$advanced       = [];
+		$pending        = [];
+		$destinations   = [];
+		$previous       = [];
+		$result         = $this->process(
+			$ids,
+			function ( $id ) use ( &$previous, &$blocked, &$advanced, &$pending, &$destinations, $can_approve, $check_quality, $override, $required, $release_at, $review_folders, $scheduled_folder ) {
+				$folders = $this->get_item_folders( $id );
+
+				// Approving a scheduled item again would release it early.
+				if ( ! array_intersect( $folders, $review_folders ) || ( $scheduled_folder && in_array( $scheduled_folder, $folders, true ) ) ) {
+					return false;
+				}
+
+				$stage = $this->workflow_state->get_item_stage( $id );
+
+				if ( $stage && ! $this->workflow_state->can_review_stage( $stage ) ) {
+					return false;
+				}
+
+				if ( ! $can_approve && empty( $stage[ 'roles' ] ) ) {
+					return false;
+				}
+
+				$failures = $check_quality ? $this->get_quality_failures( $id ) : [];
+
+				if ( $failures && ! $override ) {
+					$blocked[ $id ] = $failures;
+					return false;
+				}
+
+				$previous[ $id ] = $folders;
+				$next            = $stage ? $this->workflow_state->get_next_stage( $stage[ 'key' ] ) : null;
+
+				if ( $next ) {
+					if ( ! $this->workflow_state->mark_stage( $id, $next ) ) {
+						return false;
+					}
+
+					$advanced[ $id ]     = $next[ 'key' ];
+					$destinations[ $id ] = (int) $next[ 'folder' ];
+				} elseif ( $required > 1 && $this->workflow_state->has_approved( $id ) ) {
+					// The same reviewer approving twice does not count.
+					return false;
+				} elseif ( ! $this->workflow_state->mark_approved( $id, $release_at ) ) {
+					$count = count( $this->workflow_state->get_approvals( $id ) );
+
+					// Recorded, but waiting for other reviewers.
+					if ( $required < 2 || $count >= $required || ! $this->workflow_state->has_approved( $id ) ) {
+						return false;
+					}
+
+					unset( $previous[ $id ] );
+					$pending[ $id ] = $count;
+				}
+
+				if ( $failures ) {
+					/**
+					 * Fires after an item that fails the quality checks is approved by an administrator.
+					 *
+					 * @param int           $attachment_id Attachment ID.
+					 * @param array<string> $failures      Failed rule keys.
+					 */
+					do_action( 'vmfa_quality_checks_overridden', $id, $failures );
+				}
+
+				return true;
+			}
+		);
+
+		$result[ 'advanced' ] = $advanced;
+		$result[ 'pending' ]  = $pending;
+		$result[ 'blocked' ]  = $blocked;
+
+		$approved = count( $result[ 'success' ] ) - count( $advanced ) - count( $pending );
+		$messages = [];
+
+		if ( $approved && null !== $release_at ) {
+			$messages[] = sprintf(
+				/* translators: 1: number of items approved, 2: release date and time */
+				__( '%1$d items approved, to be released on %2$s.', 'vmfa-editorial-workflow' ),
+				$approved,
+				$this->format_release( $release_at )[ 'label' ]
+			);
+		} elseif ( $approved || ( ! $advanced && ! $pending ) ) {
+			$messages[] = sprintf(
+				/* translators: %d: number of items approved */
+				__( '%d items approved.', 'vmfa-editorial-workflow' ),
+				$approved
+			);
+		}
+
+		if ( $advanced ) {
+			$messages[] = sprintf(
+				/* translators: %d: number of items sent to the next review stage */
+				__( '%d items sent to the next stage.', 'vmfa-editorial-workflow' ),
+				count( $advanced )
+			);
+		}
+
+		if ( $pending ) {
+			$messages[] = sprintf(
+				/* translators: 1: number of items, 2: number of approvals required */
+				__( '%1$d items need more approvals (%2$d required).', 'vmfa-editorial-workflow' ),
+				count( $pending ),
+				$required
+			);
+		}
+
+		$result[ 'message' ] = implode( ' ', $messages );
+
+		if ( $blocked ) {
+			$result[ 'message' ] .= ' ' . sprintf(
+				/* translators: %d: number of items that failed the quality checks */
+				__( '%d items did not pass the quality checks.', 'vmfa-editorial-workflow' ),
+				count( $blocked )
+			);
+		}
+
+		return $this->add_undo( $result, 'approve', null !== $release_at ? $scheduled_folder : $approved_folder, $previous, $destinations );
+	}
+
+	/**
+	 * Move items to a folder.
+	 *
+	 * @param array<int> $ids       Attachment IDs.
+	 * @param int        $folder_id Destination folder ID.
+	 * @return array|WP_Error Result with 'success', 'failed', 'message' and 'undo', or error.
+	 */
+	public function assign( array $ids, int $folder_id ) {
+		if ( ! $folder_id ) {
+			return new WP_Error( 'vmfa_no_folder', __( 'No folder selected.', 'vmfa-editorial-workflow' ), [ 'status' => 400 ] );
+		}
+
+		// Check permission.
+		if ( ! $this->access_checker->can_move_to_folder( $folder_id ) ) {
+			return new WP_Error( 'vmfa_permission_denied', __( 'Permission denied for this folder.', 'vmfa-editorial-workflow' ), [ 'status' => 403 ] );
+		}
+
+		$previous = [];
+		$result   = $this->process(
+			$ids,
+			function ( $id ) use ( &$previous, $folder_id ) {
+				$previous[ $id ] = $this->get_item_folders( $id );
+
+				if ( is_wp_error( wp_set_object_terms( $id, $folder_id, $this->taxonomy ) ) ) {
+					return false;
+				}
+
+				/**
+				 * Fires after an attachment is moved to a folder from the Review screen.
+				 *
+				 * @param int        $attachment_id Attachment ID.
+				 * @param int        $folder_id     Destination folder ID.
+				 * @param array<int> $previous      Folder IDs before the move.
+				 */
+				do_action( 'vmfa_moved', $id, $folder_id, $previous[ $id ] );
+
+				return true;
+			}
+		);
+
+		$result[ 'message' ] = sprintf(
+			/* translators: %d: number of items assigned */
+			__( '%d items assigned.', 'vmfa-editorial-workflow' ),
+			count( $result[ 'success' ] )
+		);
+
+		return $this->add_undo( $result, 'assign', $folder_id, $previous );
+	}
+
+	/**
+	 * Assign items to a reviewer, or unassign them.
+	 *
+	 * @param array<int> $ids     Attachment IDs.
+	 * @param int        $user_id Reviewer's user ID, 0 to unassign.
+	 * @return array|WP_Error Result with 'success', 'failed' and 'message', or error.
+	 */
+	public function set_assignee( array $ids, int $user_id ) {
+		if ( $user_id && ! in_array( $user_id, $this->assignments->get_reviewer_ids(), true ) ) {
+			return new WP_Error( 'vmfa_invalid_assignee', __( 'Items can only be assigned to reviewers.', 'vmfa-editorial-workflow' ), [ 'status' => 400 ] );
+		}
+
+		$result = $this->process( $ids, fn( $id ) => true === $this->assignments->assign( $id, $user_id ) );
+
+		$result[ 'message' ] = $user_id
+			? sprintf(
+				/* translators: 1: number of items, 2: reviewer's name */
+				__( '%1$d items assigned to %2$s.', 'vmfa-editorial-workflow' ),
+				count( $result[ 'success' ] ),
+				get_the_author_meta( 'display_name', $user_id )
+			)
+			: sprintf(
+				/* translators: %d: number of items */
+				__( '%d items unassigned.', 'vmfa-editorial-workflow' ),
+				count( $result[ 'success' ] )
+			);
+
+		return $result;
+	}
+
+	/**
+	 * Undo an approve or move action, restoring each item's previous folders.
+	 *
+	 * Items that have been moved again since the action are left alone and
+	 * reported as failed.
+	 *
+	 * @param string $token Undo token returned by approve() or assign().
+	 * @return array|WP_Error Result with 'success', 'failed' and 'message', or error.
+	 */
+	public function undo( string $token ) {
+		$key    = self::UNDO_TRANSIENT_PREFIX . $token;
+		$record = '' !== $token ? get_transient( $key ) : false;
+
+		if ( ! is_array( $record ) || time() > (int) $record[ 'expires' ] + self::UNDO_GRACE ) {
+			return new WP_Error( 'vmfa_undo_expired', __( 'This action can no longer be undone.', 'vmfa-editorial-workflow' ), [ 'status' => 410 ] );
+		}
+
+		if ( (int) $record[ 'user_id' ] !== get_current_user_id() ) {
+			return new WP_Error( 'vmfa_permission_denied', __( 'Permission denied.', 'vmfa-editorial-workflow' ), [ 'status' => 403 ] );
+		}
+
+		delete_transient( $key );
+
+		$previous = (array) $record[ 'items' ];
+
+		$result = $this->process(
+			array_keys( $previous ),
+			function ( $id ) use ( $previous, $record ) {
+				$folder_id = (int) ( $record[ 'folders' ][ $id ] ?? $record[ 'folder' ] );
+
+				if ( ! in_array( $folder_id, $this->get_item_folders( $id ), true ) ) {
+					return false;
+				}
+
+				$folders = array_map( 'intval', (array) $previous[ $id ] );
+
+				if ( is_wp_error( wp_set_object_terms( $id, $folders, $this->taxonomy ) ) ) {
+					return false;
+				}
+
+				/**
+				 * Fires after an approve or move action is undone for an attachment.
+				 *
+				 * @param int        $attachment_id Attachment ID.
+				 * @param array<int> $folders       Restored folder IDs.
+				 * @param string     $action        Undone action: 'approve' or 'assign'.
+				 */
+				do_action( 'vmfa_review_undone', $id, $folders, $record[ 'action' ] );
+
+				return true;
+			}
+		);
+
+		$result[ 'message' ] = sprintf(
+			/* translators: %d: number of items restored */
+			__( '%d items restored.', 'vmfa-editorial-workflow' ),
+			count( $result[ 'success' ] )
+		);
+
+		return $result;
+	}
+
+	/**
+	 * Reject items.
+	 *
+	 * @param array<int> $ids    Attachment IDs.
+	 * @param string     $reason Reason for the rejection.
+	 * @return array|WP_Error Result with 'success', 'failed' and 'message', or error.
+	 */
+	public function reject( array $ids, string $reason ) {
+		$reason = trim( sanitize_textarea_field( $reason ) );
+
+		if ( '' === $reason ) {
+			return new WP_Error( 'vmfa_reason_required', __( 'A reason is required to reject media.', 'vmfa-editorial-workflow' ), [ 'status' => 400 ] );
+		}
+
+		$rejected_folder = $this->workflow_state->get_rejected_folder();
+		if ( ! $rejected_folder ) {
+			return new WP_Error( 'vmfa_missing_folder', __( 'Rejected folder not found.', 'vmfa-editorial-workflow' ), [ 'status' => 500 ] );
+		}
+
+		// Check permission to move to rejected folder.
+		if ( ! $this->access_checker->can_move_to_folder( $rejected_folder ) ) {
+			return new WP_Error( 'vmfa_permission_denied', __( 'Permission denied.', 'vmfa-editorial-workflow' ), [ 'status' => 403 ] );
+		}
+
+		$result = $this->process( $ids, fn( $id ) => $this->workflow_state->mark_rejected( $id, $reason ) );
+
+		$result[ 'message' ] = sprintf(
+			/* translators: %d: number of items rejected */
+			__( '%d items rejected.', 'vmfa-editorial-workflow' ),
+			count( $result[ 'success' ] )
+		);
+
+		return $result;
+	}
+
+	/**
+	 * Get items recently taken out of review, newest decision first.
+	 *
+	 * Items are listed by where they are now: 'approved' lists items in the
+	 * Approved folder, 'moved' items outside the Approved, Rejected, Scheduled
+	 * and review folders. Decisions older than the workflow's recent days are left out.
+	 *
+	 * @param string $action 'approved' or 'moved', see self::RECENT_ACTIONS.
+	 * @param array  $args   Optional 'page' and 'per_page'.
+	 * @return array{items: array, total: int, totalPages: int}
+	 */
+	public function get_recent_items( string $action, array $args = [] ): array {
+		$per_page = min( self::MAX_PER_PAGE, max( 1, (int) ( $args[ 'per_page' ] ?? self::PER_PAGE ) ) );
+		$approved = (int) $this->workflow_state->get_approved_folder();
+
+		if ( ! $approved || ! in_array( $action, self::RECENT_ACTIONS, true ) ) {
+			return [
+				'items'      => [],
+				'total'      => 0,
+				'totalPages' => 0,
+			];
+		}
+
+		$folders = 'approved' === $action
+			? [ $approved ]
+			: array_values(
+				array_filter(
+					[
+						$approved,
+						(int) $this->workflow_state->get_rejected_folder(),
+						(int) $this->workflow_state->get_scheduled_folder(),
+						...$this->workflow_state->get_review_folders(),
+					]
+				)
+			);
+
+		$query = new \WP_Query( [
+			'post_type'      => 'attachment',
+			'post_status'    => 'inherit',
+			'fields'         => 'ids',
+			'posts_per_page' => $per_page,
+			'paged'          => max( 1, (int) ( $args[ 'page' ] ?? 1 ) ),
+			'meta_key'       => WorkflowState::META_DECIDED_AT, // phpcs:ignore WordPress.DB.SlowDBQuery.slow_db_query_meta_key
+			'orderby'        => 'meta_value_num',
+			'order'          => 'DESC',
+			'meta_query'     => [ // phpcs:ignore WordPress.DB.SlowDBQuery.slow_db_query_meta_query
+				[
+					'key'     => WorkflowState::META_DECIDED_AT,
+					'value'   => time() - $this->workflow_state->get_recent_days() * DAY_IN_SECONDS,
+					'compare' => '>=',
+					'type'    => 'NUMERIC',
+				],
+			],
+			'tax_query'      => [ // phpcs:ignore WordPress.DB.SlowDBQuery.slow_db_query_tax_query
+				[
+					'taxonomy' => $this->taxonomy,
+					'terms'    => $folders,
+					'field'    => 'term_id',
+					'operator' => 'approved' === $action ? 'IN' : 'NOT IN',
+				],
+			],
+		] );
+
+		$total = (int) $query->found_posts;
+
+		return [
+			'items'      => array_values( array_filter( array_map( [ $this, 'prepare_recent_item' ], $query->posts ) ) ),
+			'total'      => $total,
+			'totalPages' => (int) ceil( $total / $per_page ),
+		];
+	}
+
+	/**
+	 * Prepare an item recently taken out of review for output.
+	 *
+	 * @param int|string $attachment_id Attachment ID.
+	 * @return array|null Item with the decision, who made it and the folder
+	 *                    the item is in now, or null without a decision.
+	 */
+	private function prepare_recent_item( $attachment_id ): ?array {
+		$attachment_id = (int) $attachment_id;
+		$summary       = $this->get_item_summary( $attachment_id );
+		$decision      = $this->workflow_state->get_decision( $attachment_id );
+
+		if ( ! $summary || ! $decision ) {
+			return null;
+		}
+
+		$folders    = wp_get_object_terms( $attachment_id, $this->taxonomy );
+		$decided_at = (int) strtotime( $decision[ 'date' ] . ' UTC' );
+		$user_id    = (int) ( $decision[ 'user_id' ] ?? 0 );
+
+		return array_merge(
+			$summary,
+			[
+				'action'    => (string) $decision[ 'action' ],
+				'user'      => $user_id ? $this->format_user( $user_id ) : null,
+				'date'      => gmdate( DATE_ATOM, $decided_at ),
+				/* translators: %s: time since the decision, e.g. "2 hours" */
+				'dateLabel' => sprintf( __( '%s ago', 'vmfa-editorial-workflow' ), human_time_diff( $decided_at ) ),
+				'folder'    => ! is_wp_error( $folders ) && $folders
+					? [
+						'id'   => (int) $folders[ 0 ]->term_id,
+						'name' => $folders[ 0 ]->name,
+					]
+					: null,
+			]
+		);
+	}
+
+	/**
+	 * Get the fields that identify an item in the history and scheduled lists.
+	 *
+	 * @param int $attachment_id Attachment ID.
+	 * @return array|null Title, file name, type and thumbnail, or null if it is not an attachment.
+	 */
+	private function get_item_summary( int $attachment_id ): ?array {
+		$attachment = get_post( $attachment_id );
+
+		if ( ! $attachment || 'attachment' !== $attachment->post_type ) {
+			return null;
+		}
+
+		$mime_type = (string) get_post_mime_type( $attachment_id );
+		$thumb_src = wp_get_attachment_image_src( $attachment_id, 'thumbnail' );
+		$file_path = get_attached_file( $attachment_id );
+
+		return [
+			'id'        => $attachment_id,
+			'title'     => $attachment->post_title,
+			'filename'  => $file_path ? wp_basename( $file_path ) : '',
+			'mimeType'  => $mime_type,
+			'isImage'   => str_starts_with( $mime_type, 'image/' ),
+			'icon'      => $this->get_mime_icon( $mime_type ),
+			'thumbnail' => $thumb_src ? $thumb_src[ 0 ] : '',
+			'editLink'  => (string) get_edit_post_link( $attachment_id, 'raw' ),
+		];
+	}
+
+	/**
+	 * Get approved items waiting in the Scheduled folder, next release first.
+	 *
+	 * @param array $args Optional 'page' and 'per_page'.
+	 * @return array{items: array, total: int, totalPages: int}
+	 */
+	public function get_scheduled_items( array $args = [] ): array {
+		$per_page  = min( self::MAX_PER_PAGE, max( 1, (int) ( $args[ 'per_page' ] ?? self::PER_PAGE ) ) );
+		$scheduled = (int) $this->workflow_state->get_scheduled_folder();
+
+		if ( ! $scheduled ) {
+			return [
+				'items'      => [],
+				'total'      => 0,
+				'totalPages' => 0,
+			];
+		}
+
+		$query = new \WP_Query( [
+			'post_type'      => 'attachment',
+			'post_status'    => 'inherit',
+			'fields'         => 'ids',
+			'posts_per_page' => $per_page,
+			'paged'          => max( 1, (int) ( $args[ 'page' ] ?? 1 ) ),
+			'meta_key'       => WorkflowState::META_RELEASE_AT, // phpcs:ignore WordPress.DB.SlowDBQuery.slow_db_query_meta_key
+			'orderby'        => 'meta_value_num',
+			'order'          => 'ASC',
+			'tax_query'      => [ // phpcs:ignore WordPress.DB.SlowDBQuery.slow_db_query_tax_query
+				[
+					'taxonomy' => $this->taxonomy,
+					'terms'    => [ $scheduled ],
+					'field'    => 'term_id',
+				],
+			],
+		] );
+
+		$total = (int) $query->found_posts;
+
+		return [
+			'items'      => array_values( array_filter( array_map( [ $this, 'prepare_scheduled_item' ], $query->posts ) ) ),
+			'total'      => $total,
+			'totalPages' => (int) ceil( $total / $per_page ),
+		];
+	}
+
+	/**
+	 * Prepare a scheduled item for output.
+	 *
+	 * @param int|string $attachment_id Attachment ID.
+	 * @return array|null Item with its release and who scheduled it, or null without a release.
+	 */
+	private function prepare_scheduled_item( $attachment_id ): ?array {
+		$attachment_id = (int) $attachment_id;
+		$summary       = $this->get_item_summary( $attachment_id );
+		$release       = $this->workflow_state->get_release( $attachment_id );
+
+		if ( ! $summary || ! $release ) {
+			return null;
+		}
+
+		$user_id = (int) ( $release[ 'user_id' ] ?? 0 );
+
+		return array_merge(
+			$summary,
+			[
+				'user'    => $user_id ? $this->format_user( $user_id ) : null,
+				'release' => $this->format_release( (int) $release[ 'at' ] ),
+			]
+		);
+	}
+
+	/**
+	 * Format a release time for output.
+	 *
+	 * @param int $release_at Release time (Unix timestamp).
+	 * @return array{date: string, label: string, local: string} ISO 8601 date, readable label and site-time value for date inputs.
+	 */
+	public function format_release( int $release_at ): array {
+		return [
+			'date'  => gmdate( DATE_ATOM, $release_at ),
+			'label' => wp_date( get_option( 'date_format' ) . ' ' . get_option( 'time_format' ), $release_at ),
+			'local' => wp_date( 'Y-m-d\\TH:i', $release_at ),
+		];
+	}
+
+	/**
+	 * Change the release time of scheduled items.
+	 *
+	 * @param array<int> $ids        Attachment IDs.
+	 * @param int        $release_at New release time (Unix timestamp).
+	 * @return array|WP_Error Result with 'success', 'failed' and 'message', or error.
+	 */
+	public function reschedule( array $ids, int $release_at ) {
+		$approved_folder = $this->workflow_state->get_approved_folder();
+
+		// Releasing an item approves it, so it takes the same permission.
+		if ( ! $approved_folder || ( ! $this->access_checker->can_move_to_folder( $approved_folder ) && ! $this->workflow_state->is_stage_reviewer() ) ) {
+			return new WP_Error( 'vmfa_permission_denied', __( 'Permission denied.', 'vmfa-editorial-workflow' ), [ 'status' => 403 ] );
+		}
+
+		if ( $release_at <= time() ) {
+			return new WP_Error( 'vmfa_invalid_release', __( 'The release time must be in the future.', 'vmfa-editorial-workflow' ), [ 'status' => 400 ] );
+		}
+
+		$result = $this->process(
+			$ids,
+			fn( $id ) => $this->workflow_state->is_scheduled( $id ) && $this->workflow_state->schedule_release( $id, $release_at )
+		);
+
+		$result[ 'message' ] = sprintf(
+			/* translators: 1: number of items, 2: release date and time */
+			__( '%1$d items will be released on %2$s.', 'vmfa-editorial-workflow' ),
+			count( $result[ 'success' ] ),
+			$this->format_release( $release_at )[ 'label' ]
+		);
+
+		return $result;
+	}
+
+	/**
+	 * Cancel the release of scheduled items and send them back to Needs Review.
+	 *
+	 * @param array<int> $ids Attachment IDs.
+	 * @return array|WP_Error Result with 'success', 'failed' and 'message', or error.
+	 */
+	public function cancel_release( array $ids ) {
+		if ( ! $this->workflow_state->get_needs_review_folder() ) {
+			return new WP_Error( 'vmfa_missing_folder', __( 'Needs Review folder not found.', 'vmfa-editorial-workflow' ), [ 'status' => 500 ] );
+		}
+
+		$approved_folder = $this->workflow_state->get_approved_folder();
+
+		// Cancelling a release takes back an approval, so it takes the same permission.
+		if ( ! $approved_folder || ( ! $this->access_checker->can_move_to_folder( $approved_folder ) && ! $this->workflow_state->is_stage_reviewer() ) ) {
+			return new WP_Error( 'vmfa_permission_denied', __( 'Permission denied.', 'vmfa-editorial-workflow' ), [ 'status' => 403 ] );
+		}
+
+		$result = $this->process( $ids, fn( $id ) => $this->workflow_state->cancel_release( $id ) );
+
+		$result[ 'message' ] = sprintf(
+			/* translators: %d: number of items sent back to review */
+			__( '%d items sent back to review.', 'vmfa-editorial-workflow' ),
+			count( $result[ 'success' ] )
+		);
+
+		return $result;
+	}
+
+	/**
+	 * Send approved or moved items back to Needs Review.
+	 *
+	 * Only items with a recent review decision can be sent back, while they
+	 * are still in the folder the decision put them in and the user can view
+	 * their folders; the decision is cleared once they are in review again.
+	 *
+	 * @param array<int> $ids Attachment IDs.
+	 * @return array|WP_Error Result with 'success', 'failed' and 'message', or error.
+	 */
+	public function send_back( array $ids ) {
+		$needs_review = $this->workflow_state->get_needs_review_folder();
+
+		if ( ! $needs_review ) {
+			return new WP_Error( 'vmfa_missing_folder', __( 'Needs Review folder not found.', 'vmfa-editorial-workflow' ), [ 'status' => 500 ] );
+		}
+
+		if ( ! $this->access_checker->can_move_to_folder( $needs_review ) ) {
+			return new WP_Error( 'vmfa_permission_denied', __( 'Permission denied.', 'vmfa-editorial-workflow' ), [ 'status' => 403 ] );
+		}
+
+		$recent_since = time() - $this->workflow_state->get_recent_days() * DAY_IN_SECONDS;
+
+		$result = $this->process(
+			$ids,
+			function ( $id ) use ( $recent_since ) {
+				$decision = $this->workflow_state->get_decision( $id );
+				$folders  = $this->get_item_folders( $id );
+
+				if (
+					! $decision
+					|| ! in_array( (int) $decision[ 'folder' ], $folders, true )
+					|| (int) $this->workflow_state->get_decided_at( $id ) < $recent_since
+				) {
+					return false;
+				}
+
+				foreach ( $folders as $folder_id ) {
+					if ( ! $this->access_checker->can_view_folder( $folder_id ) ) {
+						return false;
+					}
+				}
+
+				if ( ! $this->workflow_state->mark_needs_review( $id ) ) {
+					return false;
+				}
+
+				/**
+				 * Fires after an approved or moved item is sent back to review.
+				 *
+				 * @param int   $attachment_id Attachment ID.
+				 * @param array $decision      The decision that was reversed, see WorkflowState::META_DECISION.
+				 */
+				do_action( 'vmfa_sent_back', $id, $decision );
+
+				return true;
+			}
+		);
+
+		$result[ 'message' ] = sprintf(
+			/* translators: %d: number of items sent back to review */
+			__( '%d items sent back to review.', 'vmfa-editorial-workflow' ),
+			count( $result[ 'success' ] )
+		);
+
+		return $result;
+	}
+
+	/**
+	 * Discard uploads flagged as duplicates. Attachments go to the trash
+	 * when media trash is on, and are deleted otherwise.
+	 *
+	 * @param array<int> $ids Attachment IDs.
+	 * @return array Result with 'success', 'failed' and 'message'.
+	 */
+	public function discard_duplicates( array $ids ): array {
+		$result = $this->process(
+			$ids,
+			function ( $id ) {
+				$matches = $this->duplicates->get_matches( $id );
+
+				if ( ! $matches || ! current_user_can( 'delete_post', $id ) ) {
+					return false;
+				}
+
+				/**
+				 * Fires before an upload flagged as a duplicate is discarded.
+				 *
+				 * @param int   $attachment_id Attachment ID.
+				 * @param array $matches       Library items it duplicates, each { id, type, distance }.
+				 */
+				do_action( 'vmfa_duplicate_discarded', $id, $matches );
+
+				return (bool) wp_delete_attachment( $id );
+			}
+		);
+
+		$result[ 'message' ] = sprintf(
+			/* translators: %d: number of items discarded */
+			__( '%d duplicates discarded.', 'vmfa-editorial-workflow' ),
+			count( $result[ 'success' ] )
+		);
+
+		return $result;
+	}
+
+	/**
+	 * Keep uploads flagged as duplicates alongside the items they match.
+	 *
+	 * @param array<int> $ids Attachment IDs.
+	 * @return array Result with 'success', 'failed' and 'message'.
+	 */
+	public function keep_duplicates( array $ids ): array {
+		$result = $this->process( $ids, fn( $id ) => $this->duplicates->keep( $id ) );
+
+		$result[ 'message' ] = sprintf(
+			/* translators: %d: number of items */
+			__( '%d items kept as separate files.', 'vmfa-editorial-workflow' ),
+			count( $result[ 'success' ] )
+		);
+
+		return $result;
+	}
+
+	/**
+	 * Get folders the current user can assign media to.
+	 *
+	 * @return array Array of folder data [ 'id' => int, 'name' => string, 'parent' => int ].
+	 */
+	public function get_allowed_destination_folders(): array {
+		$user_id    = get_current_user_id();
+		$folder_ids = $this->access_checker->get_allowed_folders( $user_id, AccessChecker::ACTION_MOVE );
+
+		// Exclude workflow system folders from destinations.
+		$system_folders = [
+			$this->workflow_state->get_workflow_folder(),
+			$this->workflow_state->get_needs_review_folder(),
+			$this->workflow_state->get_approved_folder(),
+			$this->workflow_state->get_rejected_folder(),
+			$this->workflow_state->get_scheduled_folder(),
+			...$this->workflow_state->get_review_folders(),
+		];
+
+		$folder_ids = array_diff( $folder_ids, array_filter( $system_folders ) );
+
+		$folders = [];
+		foreach ( $folder_ids as $folder_id ) {
+			$term = get_term( $folder_id );
+			if ( $term && ! is_wp_error( $term ) ) {
+				$folders[] = [
+					'id'     => $term->term_id,
+					'name'   => $term->name,
+					'parent' => $term->parent,
+				];
+			}
+		}
+
+		return $folders;
+	}
+
+	/**
+	 * Get users who can upload media, for the uploader filter.
+	 *
+	 * @return array Array of user data [ 'id' => int, 'name' => string ].
+	 */
+	public function get_uploaders(): array {
+		$users = get_users( [
+			'capability' => 'upload_files',
+			'fields'     => [ 'ID', 'display_name' ],
+			'orderby'    => 'display_name',
+		] );
+
+		return array_map(
+			fn( $user ) => [
+				'id'   => (int) $user->ID,
+				'name' => $user->display_name,
+			],
+			$users
+		);
+	}
+
+	/**
+	 * Get users items can be assigned to.
+	 *
+	 * @return array Array of user data [ 'id' => int, 'name' => string, 'avatar' => string ].
+	 */
+	public function get_reviewers(): array {
+		$reviewers = array_map( [ $this, 'format_user' ], $this->assignments->get_reviewer_ids() );
+
+		usort( $reviewers, fn( $a, $b ) => strcasecmp( $a[ 'name' ], $b[ 'name' ] ) );
+
+		return $reviewers;
+	}
+
+	/**
+	 * Format a user for output.
+	 *
+	 * @param int $user_id User ID.
+	 * @return array{id: int, name: string, avatar: string}
+	 */
+	private function format_user( int $user_id ): array {
+		return [
+			'id'     => $user_id,
+			'name'   => (string) get_the_author_meta( 'display_name', $user_id ),
+			'avatar' => (string) get_avatar_url( $user_id, [ 'size' => 48 ] ),
+		];
+	}
+
+	/**
+	 * Get the Review screen layout the current user last chose.
+	 *
+	 * @return string One of self::VIEWS.
+	 */
+	public function get_view(): string {
+		$view = (string) get_user_meta( get_current_user_id(), self::META_VIEW, true );
+
+		return in_array( $view, self::VIEWS, true ) ? $view : self::VIEWS[ 0 ];
+	}
+
+	/**
+	 * Remember the Review screen layout for the current user.
+	 *
+	 * @param string $view One of self::VIEWS.
+	 * @return bool True on success.
+	 */
+	public function set_view( string $view ): bool {
+		if ( ! in_array( $view, self::VIEWS, true ) ) {
+			return false;
+		}
+
+		return (bool) update_user_meta( get_current_user_id(), self::META_VIEW, $view );
+	}
+
+	/**
+	 * Run an action for each attachment and collect the results.
+	 *
+	 * @param array<int> $ids    Attachment IDs.
+	 * @param callable   $action Callback receiving an attachment ID and returning success.
+	 * @return array{success: array<int>, failed: array<int>}
+	 */
+	private function process( array $ids, callable $action ): array {
+		$result = [
+			'success' => [],
+			'failed'  => [],
+		];
+
+		foreach ( array_unique( array_map( 'absint', $ids ) ) as $attachment_id ) {
+			if ( 'attachment' === get_post_type( $attachment_id ) && $action( $attachment_id ) ) {
+				$result[ 'success' ][] = $attachment_id;
+			} else {
+				$result[ 'failed' ][] = $attachment_id;
+			}
+		}
+
+		$this->workflow_state->invalidate_review_count_cache();
+
+		return $result;
+	}
+
+	/**
+	 * Get the quality rules an attachment fails.
+	 *
+	 * @param int $attachment_id Attachment ID.
+	 * @return array<string> Failed rule keys.
+	 */
+	private function get_quality_failures( int $attachment_id ): array {
+		$item = $this->prepare_item( $attachment_id );
+
+		return $item ? array_column( $this->quality_gates->get_failures( $item[ 'checks' ] ), 'rule' ) : [];
+	}
+
+	/**
+	 * Get the folder IDs an attachment is assigned to.
+	 *
+	 * @param int $attachment_id Attachment ID.
+	 * @return array<int> Folder IDs.
+	 */
+	private function get_item_folders( int $attachment_id ): array {
+		$folders = wp_get_object_terms( $attachment_id, $this->taxonomy, [ 'fields' => 'ids' ] );
+
+		return is_wp_error( $folders ) ? [] : array_map( 'intval', $folders );
+	}
+
+	/**
+	 * Record the previous folders of successfully processed items so the
+	 * action can be undone, and add the undo token to the result.
+	 *
+	 * @param array  $result       Result from process().
+	 * @param string $action       Action name: 'approve' or 'assign'.
+	 * @param int    $folder_id    Folder the items were moved to.
+	 * @param array  $previous     Attachment ID => previous folder IDs.
+	 * @param array  $destinations Attachment ID => folder ID, for items that went elsewhere than $folder_id.
+	 * @return array Result, with 'undo' => { token, window } when undo is available.
+	 */
+	private function add_undo( array $result, string $action, int $folder_id, array $previous, array $destinations = [] ): array {
+		$window = $this->workflow_state->get_undo_window();
+		$items  = array_intersect_key( $previous, array_flip( $result[ 'success' ] ) );
+
+		if ( ! $window || ! $items ) {
+			return $result;
+		}
+
+		$token = wp_generate_uuid4();
+
+		set_transient(
+			self::UNDO_TRANSIENT_PREFIX . $token,
+			[
+				'user_id' => get_current_user_id(),
+				'action'  => $action,
+				'folder'  => $folder_id,
+				'folders' => $destinations,
+				'items'   => $items,
+				'expires' => time() + $window,
+			],
+			$window + self::UNDO_GRACE
+		);
+
+		$result[ 'undo' ] = [
+			'token'  => $token,
+			'window' => $window,
+		];
+
+		return $result;
+	}
+
+	/**
+	 * Get appropriate dashicon class for MIME type.
+	 *
+	 * @param string $mime_type MIME type.
+	 * @return string Dashicon class.
+	 */
+	private function get_mime_icon( string $mime_type ): string {
+		if ( strpos( $mime_type, 'image/' ) === 0 ) {
+			return 'dashicons-format-image';
+		}
+		if ( strpos( $mime_type, 'video/' ) === 0 ) {
+			return 'dashicons-format-video';
+		}
+		if ( strpos( $mime_type, 'audio/' ) === 0 ) {
+			return 'dashicons-format-audio';
+		}
+		if ( strpos( $mime_type, 'application/pdf' ) === 0 ) {
+			return 'dashicons-pdf';
+		}
+		if ( strpos( $mime_type, 'application/' ) === 0 ) {
+			return 'dashicons-media-document';
+		}
+		return 'dashicons-media-default';
+	}
+}
@@ -0,0 +1,461 @@
+<?php
+/**
+ * Submission Service.
+ *
+ * Lists an uploader's own media with where it stands in the workflow.
+ *
+ * @package VmfaEditorialWorkflow
+ */
+
+declare(strict_types=1);
+
+namespace VmfaEditorialWorkflow\Services;
+
+use VmfaEditorialWorkflow\WorkflowState;
+
+// Prevent direct access.
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * Submission Service class.
+ *
+ * An upload's status follows from the folder it is in: rejected in the
+ * Rejected folder, scheduled in the Scheduled folder until its release,
+ * approved in the Approved folder, pending in an inbox or review stage
+ * folder, and moved in any other folder. Only uploads
+ * that entered the workflow, by landing in an inbox or being sent to
+ * review, are listed; uploads filed straight into an ordinary folder
+ * never did.
+ */
+class SubmissionService {
+
+	/**
+	 * Submission statuses.
+	 *
+	 * @var array<string>
+	 */
+	public const STATUSES = [ 'pending', 'scheduled', 'approved', 'moved', 'rejected' ];
+
+	/**
+	 * Default number of submissions per page.
+	 *
+	 * @var int
+	 */
+	public const PER_PAGE = 20;
+
+	/**
+	 * History events that record a reviewer's decision.
+	 *
+	 * @var array<string>
+	 */
+	private const DECISION_EVENTS = [ 'approved', 'scheduled', 'stage', 'rejected', 'moved' ];
+
+	/**
+	 * History events that record an upload entering the workflow.
+	 *
+	 * @var array<string>
+	 */
+	private const WORKFLOW_EVENTS = [ 'inbox', 'needs_review' ];
+
+	/**
+	 * Workflow state instance.
+	 *
+	 * @var WorkflowState
+	 */
+	private WorkflowState $workflow_state;
+
+	/**
+	 * Inbox service instance.
+	 *
+	 * @var InboxService
+	 */
+	private InboxService $inbox_service;
+
+	/**
+	 * Comment service instance.
+	 *
+	 * @var CommentService
+	 */
+	private CommentService $comment_service;
+
+	/**
+	 * History service instance.
+	 *
+	 * @var HistoryService
+	 */
+	private HistoryService $history_service;
+
+	/**
+	 * Assignment service instance.
+	 *
+	 * @var AssignmentService
+	 */
+	private AssignmentService $assignments;
+
+	/**
+	 * VMF taxonomy name.
+	 *
+	 * @var string
+	 */
+	private string $taxonomy;
+
+	/**
+	 * Constructor.
+	 *
+	 * @param WorkflowState     $workflow_state  Workflow state instance.
+	 * @param InboxService      $inbox_service   Inbox service instance.
+	 * @param CommentService    $comment_service Comment service instance.
+	 * @param HistoryService    $history_service History service instance.
+	 * @param AssignmentService $assignments     Assignment service instance.
+	 */
+	public function __construct( WorkflowState $workflow_state, InboxService $inbox_service, CommentService $comment_service, HistoryService $history_service, AssignmentService $assignments ) {
+		$this->workflow_state  = $workflow_state;
+		$this->inbox_service   = $inbox_service;
+		$this->comment_service = $comment_service;
+		$this->history_service = $history_service;
+		$this->assignments     = $assignments;
+		$this->taxonomy        = defined( 'VirtualMediaFolders\Taxonomy::TAXONOMY' )
+			? \VirtualMediaFolders\Taxonomy::TAXONOMY
+			: 'vmfo_folder';
+	}
+
+	/**
+	 * Get the folders that decide each status, other than 'moved'.
+	 *
+	 * @return array<string, array<int>> Status => folder IDs.
+	 */
+	public function get_status_folders(): array {
+		$approved  = array_filter( [ (int) $this->workflow_state->get_approved_folder() ] );
+		$scheduled = array_filter( [ (int) $this->workflow_state->get_scheduled_folder() ] );
+		$rejected  = array_filter( [ (int) $this->workflow_state->get_rejected_folder() ] );
+		$pending   = array_diff(
+			array_unique( array_merge( $this->workflow_state->get_stage_folders(), $this->inbox_service->get_all_inbox_folder_ids() ) ),
+			$approved,
+			$scheduled,
+			$rejected
+		);
+
+		return [
+			'pending'   => array_values( array_map( 'intval', $pending ) ),
+			'scheduled' => array_values( $scheduled ),
+			'approved'  => array_values( $approved ),
+			'rejected'  => array_values( $rejected ),
+		];
+	}
+
+	/**
+	 * Get the status of an upload in the given folders.
+	 *
+	 * @param array<int> $folder_ids Folders the upload is in.
+	 * @return string|null One of STATUSES, or null for uploads without a folder.
+	 */
+	public function get_status( array $folder_ids ): ?string {
+		if ( ! $folder_ids ) {
+			return null;
+		}
+
+		$status_folders = $this->get_status_folders();
+
+		foreach ( [ 'rejected', 'scheduled', 'approved', 'pending' ] as $status ) {
+			if ( array_intersect( $folder_ids, $status_folders[ $status ] ) ) {
+				return $status;
+			}
+		}
+
+		return 'moved';
+	}
+
+	/**
+	 * Check whether an upload entered the workflow: it was queued for
+	 * review, or its history shows it landing in an inbox or being sent
+	 * to review.
+	 *
+	 * @param int $attachment_id Attachment ID.
+	 * @return bool True if the upload entered the workflow.
+	 */
+	public function has_entered_workflow( int $attachment_id ): bool {
+		if ( get_post_meta( $attachment_id, WorkflowState::META_QUEUED_AT, true ) ) {
+			return true;
+		}
+
+		return (bool) array_intersect(
+			array_column( $this->history_service->get_history( $attachment_id ), 'event' ),
+			self::WORKFLOW_EVENTS
+		);
+	}
+
+	/**
+	 * Get a user's submissions, newest first.
+	 *
+	 * @param int   $user_id User ID.
+	 * @param array $args {
+	 *     Optional. Query arguments.
+	 *
+	 *     @type string $status   Only submissions with this status.
+	 *     @type string $search   Search term matched against title and filename.
+	 *     @type int    $page     Page number. Default 1.
+	 *     @type int    $per_page Submissions per page. Default PER_PAGE.
+	 * }
+	 * @return array{items: array, total: int, totalPages: int, counts: array<string, int>}
+	 */
+	public function get_submissions( int $user_id, array $args = [] ): array {
+		$per_page = max( 1, (int) ( $args[ 'per_page' ] ?? self::PER_PAGE ) );
+		$status   = in_array( $args[ 'status' ] ?? '', self::STATUSES, true ) ? $args[ 'status' ] : '';
+		$search   = trim( (string) ( $args[ 'search' ] ?? '' ) );
+
+		if ( '' !== $search ) {
+			add_filter( 'wp_allow_query_attachment_by_filename', '__return_true' );
+		}
+
+		$query = new \WP_Query(
+			array_merge(
+				$this->get_query_args( $user_id, $status, $search ),
+				[
+					'posts_per_page' => $per_page,
+					'paged'          => max( 1, (int) ( $args[ 'page' ] ?? 1 ) ),
+				]
+			)
+		);
+
+		$counts = [];
+		foreach ( self::STATUSES as $key ) {
+			$counts[ $key ] = $this->count( $user_id, $key, $search );
+		}
+
+		if ( '' !== $search ) {
+			remove_filter( 'wp_allow_query_attachment_by_filename', '__return_true' );
+		}
+
+		$total = (int) $query->found_posts;
+
+		return [
+			'items'      => array_values( array_filter( array_map( [ $this, 'prepare_item' ], $query->posts ) ) ),
+			'total'      => $total,
+			'totalPages' => (int) ceil( $total / $per_page ),
+			'counts'     => $counts,
+		];
+	}
+
+	/**
+	 * Prepare a submission for output.
+	 *
+	 * @param int|string $attachment_id Attachment ID.
+	 * @return array|null Submission data or null if the attachment does not exist.
+	 */
+	public function prepare_item( $attachment_id ): ?array {
+		$attachment_id = (int) $attachment_id;
+		$attachment    = get_post( $attachment_id );
+
+		if ( ! $attachment || 'attachment' !== $attachment->post_type ) {
+			return null;
+		}
+
+		$folders   = wp_get_object_terms( $attachment_id, $this->taxonomy );
+		$folders   = is_wp_error( $folders ) ? [] : $folders;
+		$status    = $this->has_entered_workflow( $attachment_id )
+			? $this->get_status( array_map( fn( $term ) => (int) $term->term_id, $folders ) )
+			: null;
+		$file_path = get_attached_file( $attachment_id );
+		$mime_type = (string) get_post_mime_type( $attachment_id );
+		$thumb_src = wp_get_attachment_image_src( $attachment_id, 'thumbnail' );
+		$reviewer  = $this->get_reviewer_id( $attachment_id, (string) $status );
+		$stage     = 'pending' === $status ? $this->workflow_state->get_item_stage( $attachment_id ) : null;
+
+		return [
+			'id'          => $attachment_id,
+			'title'       => $attachment->post_title,
+			'filename'    => $file_path ? wp_basename( $file_path ) : '',
+			'date'        => get_post_time( DATE_ATOM, true, $attachment ),
+			'dateLabel'   => get_the_date( '', $attachment ),
+			'mimeType'    => $mime_type,
+			'isImage'     => str_starts_with( $mime_type, 'image/' ),
+			'thumbnail'   => $thumb_src ? $thumb_src[ 0 ] : '',
+			'editLink'    => (string) get_edit_post_link( $attachment_id, 'raw' ),
+			'status'      => $status,
+			'stage'       => $stage ? $stage[ 'name' ] : '',
+			'resubmitted' => null !== $this->workflow_state->get_resubmission( $attachment_id ),
+			'folder'      => $folders
+				? [
+					'id'   => (int) $folders[ 0 ]->term_id,
+					'name' => $folders[ 0 ]->name,
+				]
+				: null,
+			'reviewer'    => $reviewer
+				? [
+					'id'   => $reviewer,
+					'name' => (string) get_the_author_meta( 'display_name', $reviewer ),
+				]
+				: null,
+			'notes'       => $this->get_notes( $attachment_id, (int) $attachment->post_author, (string) $status ),
+		];
+	}
+
+	/**
+	 * Build the query for a user's submissions with a status.
+	 *
+	 * Only uploads that entered the workflow are included, see
+	 * has_entered_workflow().
+	 *
+	 * @param int    $user_id User ID.
+	 * @param string $status  One of STATUSES, or '' for all submissions.
+	 * @param string $search  Search term.
+	 * @return array WP_Query arguments.
+	 */
+	private function get_query_args( int $user_id, string $status, string $search ): array {
+		$folders = $this->get_status_folders();
+
+		if ( 'moved' === $status ) {
+			$tax_query = [
+				[
+					'taxonomy' => $this->taxonomy,
+					'operator' => 'EXISTS',
+				],
+				[
+					'taxonomy' => $this->taxonomy,
+					'terms'    => array_merge( ...array_values( $folders ) ) ?: [ 0 ],
+					'field'    => 'term_id',
+					'operator' => 'NOT IN',
+				],
+			];
+		} elseif ( '' !== $status ) {
+			$tax_query = [
+				[
+					'taxonomy' => $this->taxonomy,
+					'terms'    => $folders[ $status ] ?: [ 0 ],
+					'field'    => 'term_id',
+				],
+			];
+		} else {
+			$tax_query = [
+				[
+					'taxonomy' => $this->taxonomy,
+					'operator' => 'EXISTS',
+				],
+			];
+		}
+
+		$args = [
+			'post_type'   => 'attachment',
+			'post_status' => 'inherit',
+			'author'      => $user_id,
+			'fields'      => 'ids',
+			'orderby'     => 'date',
+			'order'       => 'DESC',
+			'tax_query'   => $tax_query, // phpcs:ignore WordPress.DB.SlowDBQuery.slow_db_query_tax_query
+			'meta_query'  => array_merge( // phpcs:ignore WordPress.DB.SlowDBQuery.slow_db_query_meta_query
+				[
+					'relation' => 'OR',
+					[
+						'key'     => WorkflowState::META_QUEUED_AT,
+						'compare' => 'EXISTS',
+					],
+				],
+				// History rows are serialized arrays; match their event.
+				array_map(
+					fn( $event ) => [
+						'key'     => HistoryService::META_HISTORY,
+						'value'   => serialize( 'event' ) . serialize( $event ), // phpcs:ignore WordPress.PHP.DiscouragedPHPFunctions.serialize_serialize
+						'compare' => 'LIKE',
+					],
+					self::WORKFLOW_EVENTS
+				)
+			),
+		];
+
+		if ( '' !== $search ) {
+			$args[ 's' ] = $search;
+		}
+
+		return $args;
+	}
+
+	/**
+	 * Count a user's submissions with a status.
+	 *
+	 * @param int    $user_id User ID.
+	 * @param string $status  One of STATUSES.
+	 * @param string $search  Search term.
+	 * @return int Number of submissions.
+	 */
+	private function count( int $user_id, string $status, string $search ): int {
+		$query = new \WP_Query(
+			array_merge(
+				$this->get_query_args( $user_id, $status, $search ),
+				[ 'posts_per_page' => 1 ]
+			)
+		);
+
+		return (int) $query->found_posts;
+	}
+
+	/**
+	 * Get the reviewer of a submission: the assignee while it is pending,
+	 * otherwise whoever last approved, rejected or moved it.
+	 *
+	 * @param int    $attachment_id Attachment ID.
+	 * @param string $status        Submission status.
+	 * @return int|null User ID, or null if nobody has picked it up.
+	 */
+	private function get_reviewer_id( int $attachment_id, string $status ): ?int {
+		if ( 'pending' === $status ) {
+			return $this->assignments->get_assignee( $attachment_id );
+		}
+
+		$decisions = array_filter(
+			$this->history_service->get_history( $attachment_id ),
+			fn( $entry ) => in_array( $entry[ 'event' ], self::DECISION_EVENTS, true )
+		);
+		$last      = end( $decisions );
+
+		if ( $last && ! empty( $last[ 'user_id' ] ) ) {
+			return (int) $last[ 'user_id' ];
+		}
+
+		$rejection = 'rejected' === $status ? $this->workflow_state->get_rejection( $attachment_id ) : null;
+
+		return ! empty( $rejection[ 'user_id' ] ) ? (int) $rejection[ 'user_id' ] : null;
+	}
+
+	/**
+	 * Get the reviewer notes on a submission: the rejection reason and
+	 * review comments by anyone but the uploader, newest first.
+	 *
+	 * @param int    $attachment_id Attachment ID.
+	 * @param int    $uploader_id   Uploader's user ID.
+	 * @param string $status        Submission status.
+	 * @return array<array{type: string, content: string, author: string, date: string}> Notes.
+	 */
+	private function get_notes( int $attachment_id, int $uploader_id, string $status ): array {
+		$notes = [];
+
+		foreach ( $this->comment_service->get_comments( $attachment_id ) as $comment ) {
+			if ( (int) ( $comment[ 'author' ] ?? 0 ) === $uploader_id ) {
+				continue;
+			}
+
+			$comment = $this->comment_service->prepare_comment( $comment );
+			$notes[] = [
+				'type'    => 'comment',
+				'content' => $comment[ 'content' ],
+				'author'  => $comment[ 'author' ][ 'name' ],
+				'date'    => $comment[ 'date' ],
+			];
+		}
+
+		$rejection = 'rejected' === $status ? $this->workflow_state->get_rejection( $attachment_id ) : null;
+
+		if ( $rejection ) {
+			$date    = (string) ( $rejection[ 'date' ] ?? '' );
+			$notes[] = [
+				'type'    => 'rejection',
+				'content' => (string) ( $rejection[ 'reason' ] ?? '' ),
+				'author'  => (string) get_the_author_meta( 'display_name', (int) ( $rejection[ 'user_id' ] ?? 0 ) ),
+				'date'    => '' !== $date ? gmdate( DATE_ATOM, (int) strtotime( $date . ' UTC' ) ) : '',
+			];
+		}
+
+		usort( $notes, fn( $a, $b ) => strcmp( $b[ 'date' ], $a[ 'date' ] ) );
+
+		return $notes;
+	}
+}
@@ -2,7 +2,7 @@
 /**
  * Workflow State Manager.
  *
- * Manages workflow state system folders (Needs Review, Approved).
+ * Manages workflow state system folders (Needs Review, Approved, Rejected).
  *
  * @package VmfaEditorialWorkflow
  */
@@ -46,6 +46,20 @@ class WorkflowState {
 	 */
 	public const FOLDER_APPROVED = 'vmfa-approved';
 
+	/**
+	 * Rejected folder slug.
+	 *
+	 * @var string
+	 */
+	public const FOLDER_REJECTED = 'vmfa-rejected';
+
+	/**
+	 * Scheduled folder slug, holding approved items until their release time.
+	 *
+	 * @var string
+	 */
+	public const FOLDER_SCHEDULED = 'vmfa-scheduled';
+
 	/**
 	 * Term meta key for system folder flag.
 	 *
@@ -74,6 +88,221 @@ class WorkflowState {
 	 */
 	public const OPTION_APPROVED_FOLDER = 'vmfa_approved_folder';
 
+	/**
+	 * Option key for canned rejection reasons.
+	 *
+	 * @var string
+	 */
+	public const OPTION_REJECTION_REASONS = 'vmfa_rejection_reasons';
+
+	/**
+	 * Option key for the number of seconds approve and move actions can be undone.
+	 *
+	 * @var string
+	 */
+	public const OPTION_UNDO_WINDOW = 'vmfa_undo_window';
+
+	/**
+	 * Default undo window in seconds.
+	 *
+	 * @var int
+	 */
+	public const DEFAULT_UNDO_WINDOW = 10;
+
+	/**
+	 * Maximum undo window in seconds.
+	 *
+	 * @var int
+	 */
+	public const MAX_UNDO_WINDOW = 120;
+
+	/**
+	 * Option key for how many days approved and moved items stay in the
+	 * Review screen's history tabs.
+	 *
+	 * @var string
+	 */
+	public const OPTION_RECENT_DAYS = 'vmfa_recent_days';
+
+	/**
+	 * Default number of days in the history tabs.
+	 *
+	 * @var int
+	 */
+	public const DEFAULT_RECENT_DAYS = 7;
+
+	/**
+	 * Maximum number of days in the history tabs.
+	 *
+	 * @var int
+	 */
+	public const MAX_RECENT_DAYS = 90;
+
+	/**
+	 * Option key for the number of distinct reviewers who must approve an item.
+	 *
+	 * @var string
+	 */
+	public const OPTION_APPROVALS_REQUIRED = 'vmfa_approvals_required';
+
+	/**
+	 * Maximum number of required approvals.
+	 *
+	 * @var int
+	 */
+	public const MAX_APPROVALS_REQUIRED = 5;
+
+	/**
+	 * Option key for the review stages.
+	 *
+	 * Value: ordered list of [ 'key' => string, 'name' => string, 'roles' => string[] ].
+	 *
+	 * @var string
+	 */
+	public const OPTION_STAGES = 'vmfa_review_stages';
+
+	/**
+	 * Key of the first review stage, backed by the Needs Review folder.
+	 *
+	 * @var string
+	 */
+	public const STAGE_NEEDS_REVIEW = 'needs-review';
+
+	/**
+	 * Slug prefix for the folders of additional review stages.
+	 *
+	 * @var string
+	 */
+	public const STAGE_FOLDER_PREFIX = 'vmfa-stage-';
+
+	/**
+	 * Option key for the installed system folder version.
+	 *
+	 * @var string
+	 */
+	public const OPTION_SYSTEM_FOLDERS_VERSION = 'vmfa_system_folders_version';
+
+	/**
+	 * Current system folder version.
+	 *
+	 * Bump when a new system folder is added so existing sites get it on upgrade.
+	 *
+	 * @var int
+	 */
+	public const SYSTEM_FOLDERS_VERSION = 3;
+
+	/**
+	 * Post meta key for rejection details.
+	 *
+	 * Value: [ 'reason' => string, 'user_id' => int, 'date' => string ].
+	 *
+	 * @var string
+	 */
+	public const META_REJECTION = 'vmfa_rejection';
+
+	/**
+	 * Post meta key for the file a resubmitted item replaced.
+	 *
+	 * Value: [ 'file' => string, 'thumbnail' => string, 'mime_type' => string,
+	 * 'width' => int, 'height' => int, 'filesize' => int, 'reason' => string,
+	 * 'user_id' => int, 'date' => string ], with paths relative to the uploads folder.
+	 *
+	 * @var string
+	 */
+	public const META_RESUBMISSION = 'vmfa_resubmission';
+
+	/**
+	 * Post meta key for the approvals an item has collected.
+	 *
+	 * Value: list of [ 'user_id' => int, 'date' => string ].
+	 *
+	 * @var string
+	 */
+	public const META_APPROVALS = 'vmfa_approvals';
+
+	/**
+	 * Post meta key for when an item entered the review queue (Unix timestamp).
+	 *
+	 * @var string
+	 */
+	public const META_QUEUED_AT = 'vmfa_queued_at';
+
+	/**
+	 * Post meta key for the review decision that took an item out of review.
+	 *
+	 * Value: [ 'action' => 'approved'|'moved', 'folder' => int, 'user_id' => int, 'date' => string ].
+	 *
+	 * @var string
+	 */
+	public const META_DECISION = 'vmfa_decision';
+
+	/**
+	 * Post meta key for when that decision was made (Unix timestamp), so
+	 * recent decisions can be queried.
+	 *
+	 * @var string
+	 */
+	public const META_DECIDED_AT = 'vmfa_decided_at';
+
+	/**
+	 * Post meta key for the scheduled release of an approved item.
+	 *
+	 * Value: [ 'user_id' => int, 'date' => string ], who scheduled it and when.
+	 *
+	 * @var string
+	 */
+	public const META_RELEASE = 'vmfa_release';
+
+	/**
+	 * Post meta key for the release time (Unix timestamp), so scheduled
+	 * items can be queried in release order.
+	 *
+	 * @var string
+	 */
+	public const META_RELEASE_AT = 'vmfa_release_at';
+
+	/**
+	 * Cron hook that releases a scheduled item.
+	 *
+	 * @var string
+	 */
+	public const RELEASE_HOOK = 'vmfa_release_scheduled';
+
+	/**
+	 * Option key for the number of days after which a waiting item is flagged.
+	 *
+	 * @var string
+	 */
+	public const OPTION_SLA_WARNING = 'vmfa_sla_warning_days';
+
+	/**
+	 * Option key for the number of days after which a waiting item is overdue.
+	 *
+	 * @var string
+	 */
+	public const OPTION_SLA_OVERDUE = 'vmfa_sla_overdue_days';
+
+	/**
+	 * Default warning threshold in days.
+	 *
+	 * @var int
+	 */
+	public const DEFAULT_SLA_WARNING = 3;
+
+	/**
+	 * Default overdue threshold in days.
+	 *
+	 * @var int
+	 */
+	public const DEFAULT_SLA_OVERDUE = 7;
+
+	/**
+	 * Maximum SLA threshold in days.
+	 *
+	 * @var int
+	 */
+	public const MAX_SLA_DAYS = 365;
+
 	/**
 	 * Access checker instance.
 	 *
@@ -88,6 +317,20 @@ class WorkflowState {
 	 */
 	private string $taxonomy;
 
+	/**
+	 * Review stages, cached for the request.
+	 *
+	 * @var array|null
+	 */
+	private ?array $stages = null;
+
+	/**
+	 * Whether a stage folder is being renamed by set_stages().
+	 *
+	 * @var bool
+	 */
+	private bool $renaming_stage = false;
+
 	/**
 	 * Constructor.
 	 *
@@ -111,6 +354,38 @@ class WorkflowState {
 
 		// Protect system folders from renaming.
 		add_filter( 'pre_update_term', [ $this, 'protect_system_folder_rename' ], 10, 2 );
+
+		// Create system folders added after the plugin was activated.
+		add_action( 'admin_init', [ $this, 'maybe_create_system_folders' ] );
+
+		// Start counting approvals afresh whenever an item leaves or re-enters review.
+		add_action( 'vmfa_marked_needs_review', [ $this, 'clear_approvals' ] );
+		add_action( 'vmfa_approved', [ $this, 'clear_approvals' ] );
+		add_action( 'vmfa_rejected', [ $this, 'clear_approvals' ] );
+
+		// Start the review clock when an item enters the queue. Moving on to
+		// another stage keeps the clock running.
+		add_action( 'vmfa_inbox_assigned', [ $this, 'maybe_record_queued_upload' ], 10, 2 );
+		add_action( 'vmfa_marked_needs_review', [ $this, 'record_queued' ] );
+
+		// Remember who approved or moved an item until it re-enters review.
+		add_action( 'vmfa_approved', [ $this, 'record_approved_decision' ], 10, 2 );
+		add_action( 'vmfa_moved', [ $this, 'record_moved_decision' ], 10, 2 );
+		add_action( 'vmfa_marked_needs_review', [ $this, 'clear_decision' ] );
+		add_action( 'vmfa_rejected', [ $this, 'clear_decision' ] );
+		add_action( 'vmfa_review_undone', [ $this, 'clear_decision' ] );
+		add_action( 'vmfa_released', [ $this, 'record_released_decision' ], 10, 3 );
+
+		// Release scheduled items on time, and forget the release when they leave the Scheduled folder.
+		add_action( self::RELEASE_HOOK, [ $this, 'release' ] );
+		add_action( 'vmfa_scheduled', [ $this, 'clear_approvals' ] );
+		add_action( 'vmfa_marked_needs_review', [ $this, 'clear_release' ] );
+		add_action( 'vmfa_rejected', [ $this, 'clear_release' ] );
+		add_action( 'vmfa_moved', [ $this, 'clear_release' ] );
+		add_action( 'vmfa_review_undone', [ $this, 'clear_release' ] );
+
+		// Inbox folders are reviewed too, so remapping them changes the count.
+		add_action( 'vmfa_inbox_map_changed', [ $this, 'invalidate_review_count_cache' ] );
 	}
 
 	/**
@@ -125,10 +400,26 @@ class WorkflowState {
 		$instance = new self( new AccessChecker() );
 		$instance->create_system_folders();
 
+		// Release events are cleared on deactivation.
+		$instance->schedule_pending_releases();
+
 		// Enable workflow by default.
 		update_option( self::OPTION_WORKFLOW_ENABLED, true );
 	}
 
+	/**
+	 * Create missing system folders after a plugin update.
+	 *
+	 * @return void
+	 */
+	public function maybe_create_system_folders(): void {
+		if ( (int) get_option( self::OPTION_SYSTEM_FOLDERS_VERSION, 0 ) >= self::SYSTEM_FOLDERS_VERSION ) {
+			return;
+		}
+
+		$this->create_system_folders();
+	}
+
 	/**
 	 * Create system workflow folders.
 	 *
@@ -160,7 +451,32 @@ class WorkflowState {
 			$workflow_folder
 		);
 
-		return ( false !== $needs_review && false !== $approved );
+		// Create Rejected folder.
+		$rejected = $this->ensure_folder(
+			self::FOLDER_REJECTED,
+			__( 'Rejected', 'vmfa-editorial-workflow' ),
+			$workflow_folder
+		);
+
+		// Create Scheduled folder.
+		$scheduled = $this->ensure_folder(
+			self::FOLDER_SCHEDULED,
+			__( 'Scheduled', 'vmfa-editorial-workflow' ),
+			$workflow_folder
+		);
+
+		$success = ( false !== $needs_review && false !== $approved && false !== $rejected && false !== $scheduled );
+
+		// Recreate the folders of configured review stages, e.g. after reactivation.
+		foreach ( array_slice( $this->get_stages(), 1 ) as $stage ) {
+			$success = false !== $this->ensure_folder( self::STAGE_FOLDER_PREFIX . $stage[ 'key' ], $stage[ 'name' ], $workflow_folder ) && $success;
+		}
+
+		if ( $success ) {
+			update_option( self::OPTION_SYSTEM_FOLDERS_VERSION, self::SYSTEM_FOLDERS_VERSION );
+		}
+
+		return $success;
 	}
 
 	/**
@@ -231,7 +547,7 @@ class WorkflowState {
 	 * @return mixed
 	 */
 	public function protect_system_folder_rename( $value, int $term_id ) {
-		if ( $this->is_system_folder( $term_id ) ) {
+		if ( ! $this->renaming_stage && $this->is_system_folder( $term_id ) ) {
 			return new WP_Error(
 				'vmfa_system_folder',
 				__( 'System workflow folders cannot be renamed.', 'vmfa-editorial-workflow' )
@@ -309,6 +625,28 @@ class WorkflowState {
 		return (int) get_option( self::OPTION_APPROVED_FOLDER, 0 );
 	}
 
+	/**
+	 * Get the Rejected folder ID.
+	 *
+	 * @return int|null Folder term ID or null if not found.
+	 */
+	public function get_rejected_folder(): ?int {
+		$term = get_term_by( 'slug', self::FOLDER_REJECTED, $this->taxonomy );
+
+		return ( $term instanceof WP_Term ) ? $term->term_id : null;
+	}
+
+	/**
+	 * Get the Scheduled folder ID.
+	 *
+	 * @return int|null Folder term ID or null if not found.
+	 */
+	public function get_scheduled_folder(): ?int {
+		$term = get_term_by( 'slug', self::FOLDER_SCHEDULED, $this->taxonomy );
+
+		return ( $term instanceof WP_Term ) ? $term->term_id : null;
+	}
+
 	/**
 	 * Get the parent Workflow folder ID.
 	 *
@@ -353,16 +691,38 @@ class WorkflowState {
 	/**
 	 * Mark an attachment as approved.
 	 *
-	 * @param int $attachment_id Attachment ID.
-	 * @return bool True on success.
+	 * When more than one approval is required, the current user's approval
+	 * is recorded first and the item only moves once enough distinct
+	 * reviewers have approved it. Approving twice does not count twice.
+	 *
+	 * With a release time the item goes to the Scheduled folder instead,
+	 * and moves on to the Approved folder at that time.
+	 *
+	 * @param int      $attachment_id Attachment ID.
+	 * @param int|null $release_at    Release time (Unix timestamp), or null to approve right away.
+	 * @return bool True if the item moved to the Approved or Scheduled folder.
 	 */
-	public function mark_approved( int $attachment_id ): bool {
+	public function mark_approved( int $attachment_id, ?int $release_at = null ): bool {
 		$folder_id = $this->get_approved_folder();
 
-		if ( ! $folder_id ) {
+		if ( ! $folder_id || ( null !== $release_at && ! $this->get_scheduled_folder() ) ) {
 			return false;
 		}
 
+		$required = $this->get_approvals_required();
+
+		if ( $required > 1 ) {
+			$this->record_approval( $attachment_id, get_current_user_id() );
+
+			if ( count( $this->get_approvals( $attachment_id ) ) < $required ) {
+				return false;
+			}
+		}
+
+		if ( null !== $release_at ) {
+			return $this->schedule_release( $attachment_id, $release_at );
+		}
+
 		$result = wp_set_object_terms( $attachment_id, $folder_id, $this->taxonomy );
 
 		if ( is_wp_error( $result ) ) {
@@ -381,64 +741,906 @@ class WorkflowState {
 	}
 
 	/**
-	 * Get all attachments needing review.
+	 * Mark an attachment as rejected.
 	 *
-	 * @param array $args Optional query arguments.
-	 * @return array Array of attachment IDs.
+	 * @param int    $attachment_id Attachment ID.
+	 * @param string $reason        Reason for the rejection.
+	 * @return bool True on success.
 	 */
-	public function get_items_needing_review( array $args = [] ): array {
-		$folder_id = $this->get_needs_review_folder();
+	public function mark_rejected( int $attachment_id, string $reason ): bool {
+		$folder_id = $this->get_rejected_folder();
 
 		if ( ! $folder_id ) {
-			return [];
+			return false;
 		}
 
-		$defaults = [
-			'post_type'      => 'attachment',
-			'post_status'    => 'inherit',
-			'posts_per_page' => -1,
-			'fields'         => 'ids',
-			'tax_query'      => [
+		$result = wp_set_object_terms( $attachment_id, $folder_id, $this->taxonomy );
+
+		if ( is_wp_error( $result ) ) {
+			return false;
+		}
+
+		// Meta values are unslashed on save, which would strip backslashes from the reason.
+		update_post_meta(
+			$attachment_id,
+			self::META_REJECTION,
+			wp_slash(
 				[
-					'taxonomy' => $this->taxonomy,
-					'terms'    => $folder_id,
-					'field'    => 'term_id',
-				],
-			],
-		];
+					'reason'  => $reason,
+					'user_id' => get_current_user_id(),
+					'date'    => current_time( 'mysql', true ),
+				]
+			)
+		);
 
-		$query_args = wp_parse_args( $args, $defaults );
-		$query      = new \WP_Query( $query_args );
+		/**
+		 * Fires after an attachment is rejected.
+		 *
+		 * @param int    $attachment_id Attachment ID.
+		 * @param int    $folder_id     Rejected folder ID.
+		 * @param string $reason        Reason for the rejection.
+		 */
+		do_action( 'vmfa_rejected', $attachment_id, $folder_id, $reason );
 
-		return $query->posts;
+		return true;
 	}
 
 	/**
-	 * Get count of items needing review.
+	 * Schedule the release of an approved item, or change its release time.
 	 *
-	 * Uses transient for performance.
+	 * A newly scheduled item moves to the Scheduled folder; a WP-Cron event
+	 * moves it on to the Approved folder at the release time.
 	 *
-	 * @param bool $force Force refresh of cached count.
-	 * @return int Count of items.
+	 * @param int $attachment_id Attachment ID.
+	 * @param int $release_at    Release time (Unix timestamp).
+	 * @return bool True on success.
 	 */
-	public function get_review_count( bool $force = false ): int {
-		$transient_key = 'vmfa_editorial_workflow_review_count';
+	public function schedule_release( int $attachment_id, int $release_at ): bool {
+		$folder_id = $this->get_scheduled_folder();
 
-		if ( ! $force ) {
-			$cached = get_transient( $transient_key );
-			if ( false !== $cached ) {
-				return (int) $cached;
-			}
+		if ( ! $folder_id ) {
+			return false;
 		}
 
-		$count = count( $this->get_items_needing_review() );
+		$previous = $this->is_scheduled( $attachment_id ) ? (int) $this->get_release( $attachment_id )[ 'at' ] : 0;
 
-		set_transient( $transient_key, $count, HOUR_IN_SECONDS );
+		if ( $previous ) {
+			wp_clear_scheduled_hook( self::RELEASE_HOOK, [ $attachment_id ] );
+		} else {
+			$result = wp_set_object_terms( $attachment_id, $folder_id, $this->taxonomy );
 
-		return $count;
-	}
+			if ( is_wp_error( $result ) ) {
+				return false;
+			}
 
-	/**
+			update_post_meta(
+				$attachment_id,
+				self::META_RELEASE,
+				[
+					'user_id' => get_current_user_id(),
+					'date'    => current_time( 'mysql', true ),
+				]
+			);
+		}
+
+		update_post_meta( $attachment_id, self::META_RELEASE_AT, $release_at );
+		wp_schedule_single_event( $release_at, self::RELEASE_HOOK, [ $attachment_id ] );
+
+		/**
+		 * Fires after an approved attachment is scheduled for release, or its release time changes.
+		 *
+		 * @param int $attachment_id Attachment ID.
+		 * @param int $folder_id     Scheduled folder ID.
+		 * @param int $release_at    Release time (Unix timestamp).
+		 * @param int $previous      Previous release time, or 0 for a new schedule.
+		 */
+		do_action( 'vmfa_scheduled', $attachment_id, $folder_id, $release_at, $previous );
+
+		return true;
+	}
+
+	/**
+	 * Get the scheduled release of an item.
+	 *
+	 * @param int $attachment_id Attachment ID.
+	 * @return array|null Release with 'at' (Unix timestamp) and who scheduled it when, see META_RELEASE, or null.
+	 */
+	public function get_release( int $attachment_id ): ?array {
+		$release_at = (int) get_post_meta( $attachment_id, self::META_RELEASE_AT, true );
+
+		if ( ! $release_at ) {
+			return null;
+		}
+
+		$release = get_post_meta( $attachment_id, self::META_RELEASE, true );
+
+		return array_merge( is_array( $release ) ? $release : [], [ 'at' => $release_at ] );
+	}
+
+	/**
+	 * Check whether an item waits in the Scheduled folder for its release.
+	 *
+	 * @param int $attachment_id Attachment ID.
+	 * @return bool
+	 */
+	public function is_scheduled( int $attachment_id ): bool {
+		$folder_id = $this->get_scheduled_folder();
+
+		return $folder_id
+			&& null !== $this->get_release( $attachment_id )
+			&& true === is_object_in_term( $attachment_id, $this->taxonomy, $folder_id );
+	}
+
+	/**
+	 * Release a scheduled item to the Approved folder. Runs from WP-Cron.
+	 *
+	 * @param int $attachment_id Attachment ID.
+	 * @return void
+	 */
+	public function release( int $attachment_id ): void {
+		// Moved out of the Scheduled folder by other means.
+		if ( ! $this->is_scheduled( $attachment_id ) ) {
+			$this->clear_release( $attachment_id );
+			return;
+		}
+
+		$release   = $this->get_release( $attachment_id );
+		$folder_id = $this->get_approved_folder();
+
+		// The release time was moved later; its own event releases the item.
+		if ( ! $folder_id || $release[ 'at' ] > time() ) {
+			return;
+		}
+
+		if ( is_wp_error( wp_set_object_terms( $attachment_id, $folder_id, $this->taxonomy ) ) ) {
+			return;
+		}
+
+		$this->clear_release( $attachment_id );
+
+		/**
+		 * Fires after a scheduled attachment is released to the Approved folder.
+		 *
+		 * @param int   $attachment_id Attachment ID.
+		 * @param int   $folder_id     Approved folder ID.
+		 * @param array $release       The release, see get_release().
+		 */
+		do_action( 'vmfa_released', $attachment_id, $folder_id, $release );
+	}
+
+	/**
+	 * Cancel the release of a scheduled item and send it back to review.
+	 *
+	 * @param int $attachment_id Attachment ID.
+	 * @return bool True on success.
+	 */
+	public function cancel_release( int $attachment_id ): bool {
+		if ( ! $this->is_scheduled( $attachment_id ) ) {
+			return false;
+		}
+
+		$release = $this->get_release( $attachment_id );
+
+		if ( ! $this->mark_needs_review( $attachment_id ) ) {
+			return false;
+		}
+
+		/**
+		 * Fires after the release of a scheduled attachment is cancelled and it is sent back to review.
+		 *
+		 * @param int   $attachment_id Attachment ID.
+		 * @param array $release       The cancelled release, see get_release().
+		 */
+		do_action( 'vmfa_release_cancelled', $attachment_id, $release );
+
+		return true;
+	}
+
+	/**
+	 * Forget the scheduled release of an item.
+	 *
+	 * @param int $attachment_id Attachment ID.
+	 * @return void
+	 */
+	public function clear_release( int $attachment_id ): void {
+		delete_post_meta( $attachment_id, self::META_RELEASE );
+		delete_post_meta( $attachment_id, self::META_RELEASE_AT );
+		wp_clear_scheduled_hook( self::RELEASE_HOOK, [ $attachment_id ] );
+	}
+
+	/**
+	 * Schedule the release events of scheduled items that have none, e.g.
+	 * after the plugin was deactivated. Overdue items are released right away.
+	 *
+	 * @return void
+	 */
+	public function schedule_pending_releases(): void {
+		$ids = get_posts(
+			[
+				'post_type'      => 'attachment',
+				'post_status'    => 'inherit',
+				'fields'         => 'ids',
+				'posts_per_page' => -1,
+				'meta_key'       => self::META_RELEASE_AT, // phpcs:ignore WordPress.DB.SlowDBQuery.slow_query_meta_key
+			]
+		);
+
+		foreach ( $ids as $attachment_id ) {
+			$release = $this->get_release( (int) $attachment_id );
+
+			if ( $release && ! wp_next_scheduled( self::RELEASE_HOOK, [ (int) $attachment_id ] ) ) {
+				wp_schedule_single_event( max( time(), $release[ 'at' ] ), self::RELEASE_HOOK, [ (int) $attachment_id ] );
+			}
+		}
+	}
+
+	/**
+	 * Get the approvals an attachment has collected in the current review.
+	 *
+	 * @param int $attachment_id Attachment ID.
+	 * @return array<array{user_id: int, date: string}> Approvals in the order they were given.
+	 */
+	public function get_approvals( int $attachment_id ): array {
+		$approvals = get_post_meta( $attachment_id, self::META_APPROVALS, true );
+
+		return is_array( $approvals ) ? array_values( $approvals ) : [];
+	}
+
+	/**
+	 * Check if a user has approved an attachment in the current review.
+	 *
+	 * @param int      $attachment_id Attachment ID.
+	 * @param int|null $user_id       User ID. Defaults to current user.
+	 * @return bool
+	 */
+	public function has_approved( int $attachment_id, ?int $user_id = null ): bool {
+		$user_id = $user_id ?? get_current_user_id();
+
+		return in_array( $user_id, array_map( 'intval', array_column( $this->get_approvals( $attachment_id ), 'user_id' ) ), true );
+	}
+
+	/**
+	 * Record a reviewer's approval of an attachment.
+	 *
+	 * @param int $attachment_id Attachment ID.
+	 * @param int $user_id       Reviewer's user ID.
+	 * @return bool True if the approval was added, false if the user had already approved.
+	 */
+	public function record_approval( int $attachment_id, int $user_id ): bool {
+		if ( ! $user_id || $this->has_approved( $attachment_id, $user_id ) ) {
+			return false;
+		}
+
+		$approvals   = $this->get_approvals( $attachment_id );
+		$approvals[] = [
+			'user_id' => $user_id,
+			'date'    => current_time( 'mysql', true ),
+		];
+
+		update_post_meta( $attachment_id, self::META_APPROVALS, $approvals );
+
+		/**
+		 * Fires after a reviewer approves an item that needs more than one approval.
+		 *
+		 * @param int $attachment_id Attachment ID.
+		 * @param int $user_id       Reviewer's user ID.
+		 * @param int $count         Number of approvals so far.
+		 * @param int $required      Number of approvals required.
+		 */
+		do_action( 'vmfa_approval_recorded', $attachment_id, $user_id, count( $approvals ), $this->get_approvals_required() );
+
+		return true;
+	}
+
+	/**
+	 * Forget the approvals an attachment has collected.
+	 *
+	 * @param int $attachment_id Attachment ID.
+	 * @return void
+	 */
+	public function clear_approvals( int $attachment_id ): void {
+		delete_post_meta( $attachment_id, self::META_APPROVALS );
+	}
+
+	/**
+	 * Record that an attachment entered the review queue now.
+	 *
+	 * @param int $attachment_id Attachment ID.
+	 * @return void
+	 */
+	public function record_queued( int $attachment_id ): void {
+		update_post_meta( $attachment_id, self::META_QUEUED_AT, time() );
+	}
+
+	/**
+	 * Record that an item was approved, for the history tabs.
+	 *
+	 * @param int $attachment_id Attachment ID.
+	 * @param int $folder_id     Approved folder ID.
+	 * @return void
+	 */
+	public function record_approved_decision( int $attachment_id, int $folder_id ): void {
+		$this->record_decision( $attachment_id, 'approved', $folder_id );
+	}
+
+	/**
+	 * Record that an item was moved to a folder, for the history tabs.
+	 *
+	 * @param int $attachment_id Attachment ID.
+	 * @param int $folder_id     Destination folder ID.
+	 * @return void
+	 */
+	public function record_moved_decision( int $attachment_id, int $folder_id ): void {
+		$this->record_decision( $attachment_id, 'moved', $folder_id );
+	}
+
+	/**
+	 * Record that a scheduled item was released, for the history tabs. The
+	 * decision belongs to whoever scheduled the release.
+	 *
+	 * @param int   $attachment_id Attachment ID.
+	 * @param int   $folder_id     Approved folder ID.
+	 * @param array $release       The release, see get_release().
+	 * @return void
+	 */
+	public function record_released_decision( int $attachment_id, int $folder_id, array $release ): void {
+		$this->record_decision( $attachment_id, 'approved', $folder_id, (int) ( $release[ 'user_id' ] ?? 0 ) );
+	}
+
+	/**
+	 * Get the review decision that took an item out of review.
+	 *
+	 * @param int $attachment_id Attachment ID.
+	 * @return array|null Decision, see META_DECISION, or null if the item has none.
+	 */
+	public function get_decision( int $attachment_id ): ?array {
+		$decision = get_post_meta( $attachment_id, self::META_DECISION, true );
+
+		return is_array( $decision ) && ! empty( $decision[ 'action' ] ) ? $decision : null;
+	}
+
+	/**
+	 * Get when the review decision on an item was made.
+	 *
+	 * @param int $attachment_id Attachment ID.
+	 * @return int|null Unix timestamp, or null if the item has no decision.
+	 */
+	public function get_decided_at( int $attachment_id ): ?int {
+		$decided_at = (int) get_post_meta( $attachment_id, self::META_DECIDED_AT, true );
+
+		return $decided_at ?: null;
+	}
+
+	/**
+	 * Forget the review decision on an item, e.g. when it re-enters review.
+	 *
+	 * @param int $attachment_id Attachment ID.
+	 * @return void
+	 */
+	public function clear_decision( int $attachment_id ): void {
+		delete_post_meta( $attachment_id, self::META_DECISION );
+		delete_post_meta( $attachment_id, self::META_DECIDED_AT );
+	}
+
+	/**
+	 * Store a review decision.
+	 *
+	 * @param int      $attachment_id Attachment ID.
+	 * @param string   $action        'approved' or 'moved'.
+	 * @param int      $folder_id     Folder the item went to.
+	 * @param int|null $user_id       User who decided. Defaults to the current user.
+	 * @return void
+	 */
+	private function record_decision( int $attachment_id, string $action, int $folder_id, ?int $user_id = null ): void {
+		update_post_meta(
+			$attachment_id,
+			self::META_DECISION,
+			[
+				'action'  => $action,
+				'folder'  => $folder_id,
+				'user_id' => $user_id ?? get_current_user_id(),
+				'date'    => current_time( 'mysql', true ),
+			]
+		);
+		update_post_meta( $attachment_id, self::META_DECIDED_AT, time() );
+	}
+
+	/**
+	 * Record a new upload as queued when its inbox is a review folder.
+	 *
+	 * @param int $attachment_id Attachment ID.
+	 * @param int $folder_id     Inbox folder ID.
+	 * @return void
+	 */
+	public function maybe_record_queued_upload( int $attachment_id, int $folder_id ): void {
+		if ( in_array( $folder_id, $this->get_review_folders(), true ) ) {
+			$this->record_queued( $attachment_id );
+		}
+	}
+
+	/**
+	 * Get when an attachment entered the review queue.
+	 *
+	 * Items queued before the time was recorded fall back to their upload time.
+	 *
+	 * @param int $attachment_id Attachment ID.
+	 * @return int Unix timestamp.
+	 */
+	public function get_queued_at( int $attachment_id ): int {
+		$queued_at = (int) get_post_meta( $attachment_id, self::META_QUEUED_AT, true );
+
+		return $queued_at ?: (int) get_post_time( 'U', true, $attachment_id );
+	}
+
+	/**
+	 * Get the aging status of an item that entered the queue at a given time.
+	 *
+	 * @param int      $queued_at Unix timestamp the item entered the queue.
+	 * @param int|null $now       Current Unix timestamp. Defaults to time().
+	 * @return string 'ok', 'warning' or 'overdue'.
+	 */
+	public function get_age_status( int $queued_at, ?int $now = null ): string {
+		$days       = ( ( $now ?? time() ) - $queued_at ) / DAY_IN_SECONDS;
+		$thresholds = $this->get_sla_thresholds();
+
+		if ( $thresholds[ 'overdue' ] && $days >= $thresholds[ 'overdue' ] ) {
+			return 'overdue';
+		}
+
+		if ( $thresholds[ 'warning' ] && $days >= $thresholds[ 'warning' ] ) {
+			return 'warning';
+		}
+
+		return 'ok';
+	}
+
+	/**
+	 * Count the items in review that are overdue.
+	 *
+	 * @return int Number of overdue items, 0 when no overdue threshold is set.
+	 */
+	public function count_overdue(): int {
+		if ( ! $this->get_sla_thresholds()[ 'overdue' ] ) {
+			return 0;
+		}
+
+		$ids = $this->get_items_needing_review();
+		update_meta_cache( 'post', $ids );
+
+		$now = time();
+
+		return count(
+			array_filter(
+				$ids,
+				fn( $id ) => 'overdue' === $this->get_age_status( $this->get_queued_at( (int) $id ), $now )
+			)
+		);
+	}
+
+	/**
+	 * Get rejection details for an attachment.
+	 *
+	 * @param int $attachment_id Attachment ID.
+	 * @return array|null Rejection details or null if never rejected.
+	 */
+	public function get_rejection( int $attachment_id ): ?array {
+		$rejection = get_post_meta( $attachment_id, self::META_REJECTION, true );
+
+		return is_array( $rejection ) ? $rejection : null;
+	}
+
+	/**
+	 * Get the file a resubmitted attachment replaced.
+	 *
+	 * @param int $attachment_id Attachment ID.
+	 * @return array|null Previous file details or null unless the item is back in review after a resubmission.
+	 */
+	public function get_resubmission( int $attachment_id ): ?array {
+		$resubmission = get_post_meta( $attachment_id, self::META_RESUBMISSION, true );
+
+		return is_array( $resubmission ) ? $resubmission : null;
+	}
+
+	/**
+	 * Get the review stages in order.
+	 *
+	 * The first stage is always Needs Review. An item approved in the last
+	 * stage moves to the Approved folder; otherwise it moves to the next stage.
+	 *
+	 * @return array<array{key: string, name: string, roles: array<string>, folder: int|null}> Stages.
+	 */
+	public function get_stages(): array {
+		if ( null !== $this->stages ) {
+			return $this->stages;
+		}
+
+		$stages = [
+			[
+				'key'    => self::STAGE_NEEDS_REVIEW,
+				'name'   => __( 'Needs Review', 'vmfa-editorial-workflow' ),
+				'roles'  => [],
+				'folder' => $this->get_needs_review_folder(),
+			],
+		];
+
+		$stored = get_option( self::OPTION_STAGES, [] );
+
+		foreach ( is_array( $stored ) ? $stored : [] as $stage ) {
+			if ( ! is_array( $stage ) || empty( $stage[ 'key' ] ) ) {
+				continue;
+			}
+
+			$roles = array_values( array_map( 'strval', (array) ( $stage[ 'roles' ] ?? [] ) ) );
+
+			if ( self::STAGE_NEEDS_REVIEW === $stage[ 'key' ] ) {
+				$stages[ 0 ][ 'roles' ] = $roles;
+				continue;
+			}
+
+			$term = get_term_by( 'slug', self::STAGE_FOLDER_PREFIX . $stage[ 'key' ], $this->taxonomy );
+
+			$stages[] = [
+				'key'    => (string) $stage[ 'key' ],
+				'name'   => (string) ( $stage[ 'name' ] ?? $stage[ 'key' ] ),
+				'roles'  => $roles,
+				'folder' => $term instanceof WP_Term ? $term->term_id : null,
+			];
+		}
+
+		$this->stages = $stages;
+
+		return $stages;
+	}
+
+	/**
+	 * Save the review stages and create, rename or remove their folders.
+	 *
+	 * Stages without a key are new; their key is derived from the name.
+	 * A stage that still holds items cannot be removed.
+	 *
+	 * @param array $stages Ordered stages: [ 'key' => string, 'name' => string, 'roles' => string[] ].
+	 * @return true|WP_Error True on success, WP_Error if a removed stage is not empty.
+	 */
+	public function set_stages( array $stages ) {
+		$current   = $this->get_stages();
+		$sanitized = [];
+		$keys      = [ self::STAGE_NEEDS_REVIEW ];
+		$first     = [];
+
+		foreach ( $stages as $stage ) {
+			if ( ! is_array( $stage ) ) {
+				continue;
+			}
+
+			$roles = array_values( array_unique( array_filter( array_map( 'sanitize_key', (array) ( $stage[ 'roles' ] ?? [] ) ) ) ) );
+			$key   = sanitize_key( (string) ( $stage[ 'key' ] ?? '' ) );
+
+			if ( self::STAGE_NEEDS_REVIEW === $key ) {
+				$first = $roles;
+				continue;
+			}
+
+			$name = sanitize_text_field( (string) ( $stage[ 'name' ] ?? '' ) );
+			if ( '' === $name ) {
+				continue;
+			}
+
+			if ( '' === $key ) {
+				$key = sanitize_key( sanitize_title( $name ) );
+			}
+
+			// Keep keys unique, e.g. two stages both named "Legal".
+			$base = '' !== $key ? $key : 'stage';
+			$key  = $base;
+			for ( $i = 2; in_array( $key, $keys, true ); $i++ ) {
+				$key = $base . '-' . $i;
+			}
+
+			$keys[]      = $key;
+			$sanitized[] = [
+				'key'   => $key,
+				'name'  => $name,
+				'roles' => $roles,
+			];
+		}
+
+		// Refuse to drop a stage that still holds items.
+		foreach ( array_slice( $current, 1 ) as $stage ) {
+			if ( in_array( $stage[ 'key' ], $keys, true ) || ! $stage[ 'folder' ] ) {
+				continue;
+			}
+
+			$query = $this->query_items_needing_review( [
+				'posts_per_page' => 1,
+				'tax_query'      => [ // phpcs:ignore WordPress.DB.SlowDBQuery.slow_db_query_tax_query
+					[
+						'taxonomy' => $this->taxonomy,
+						'terms'    => $stage[ 'folder' ],
+						'field'    => 'term_id',
+					],
+				],
+			] );
+
+			if ( $query && $query->found_posts > 0 ) {
+				return new WP_Error(
+					'vmfa_stage_not_empty',
+					sprintf(
+						/* translators: 1: stage name, 2: number of items */
+						__( 'The "%1$s" stage still has %2$d items. Approve or move them before removing the stage.', 'vmfa-editorial-workflow' ),
+						$stage[ 'name' ],
+						$query->found_posts
+					),
+					[ 'status' => 400 ]
+				);
+			}
+		}
+
+		$workflow_folder = (int) $this->get_workflow_folder();
+
+		foreach ( array_slice( $current, 1 ) as $stage ) {
+			if ( ! in_array( $stage[ 'key' ], $keys, true ) && $stage[ 'folder' ] ) {
+				wp_delete_term( $stage[ 'folder' ], $this->taxonomy );
+			}
+		}
+
+		foreach ( $sanitized as $stage ) {
+			$folder_id = $this->ensure_folder( self::STAGE_FOLDER_PREFIX . $stage[ 'key' ], $stage[ 'name' ], $workflow_folder );
+			$term      = $folder_id ? get_term( $folder_id, $this->taxonomy ) : null;
+
+			if ( $term instanceof WP_Term && $term->name !== $stage[ 'name' ] ) {
+				$this->renaming_stage = true;
+				wp_update_term( $folder_id, $this->taxonomy, [ 'name' => $stage[ 'name' ] ] );
+				$this->renaming_stage = false;
+			}
+		}
+
+		array_unshift(
+			$sanitized,
+			[
+				'key'   => self::STAGE_NEEDS_REVIEW,
+				'roles' => $first,
+			]
+		);
+
+		update_option( self::OPTION_STAGES, $sanitized );
+
+		$this->stages = null;
+		$this->invalidate_review_count_cache();
+
+		return true;
+	}
+
+	/**
+	 * Get the folder IDs of all review stages.
+	 *
+	 * @return array<int> Folder term IDs.
+	 */
+	public function get_stage_folders(): array {
+		return array_values( array_filter( array_column( $this->get_stages(), 'folder' ) ) );
+	}
+
+	/**
+	 * Get the folder IDs whose items wait for review.
+	 *
+	 * These are the review stage folders plus any folder added through the
+	 * vmfa_review_folders filter, such as role inbox folders. The Approved,
+	 * Rejected and Scheduled folders are never review folders.
+	 *
+	 * @return array<int> Folder term IDs, stage folders first.
+	 */
+	public function get_review_folders(): array {
+		/**
+		 * Filter the folders whose items wait for review, besides the stage folders.
+		 *
+		 * @param array<int> $folder_ids Folder term IDs.
+		 */
+		$extra = (array) apply_filters( 'vmfa_review_folders', [] );
+		$extra = array_diff(
+			array_map( 'intval', $extra ),
+			[ 0, (int) $this->get_approved_folder(), (int) $this->get_rejected_folder(), (int) $this->get_scheduled_folder() ]
+		);
+
+		return array_values( array_unique( array_merge( $this->get_stage_folders(), $extra ) ) );
+	}
+
+	/**
+	 * Get the review stage an attachment is in.
+	 *
+	 * @param int $attachment_id Attachment ID.
+	 * @return array|null Stage with its 'position' (0-based), or null if the item is not in review.
+	 */
+	public function get_item_stage( int $attachment_id ): ?array {
+		$folders = wp_get_object_terms( $attachment_id, $this->taxonomy, [ 'fields' => 'ids' ] );
+
+		if ( is_wp_error( $folders ) ) {
+			return null;
+		}
+
+		$folders = array_map( 'intval', $folders );
+
+		foreach ( $this->get_stages() as $position => $stage ) {
+			if ( $stage[ 'folder' ] && in_array( $stage[ 'folder' ], $folders, true ) ) {
+				return array_merge( $stage, [ 'position' => $position ] );
+			}
+		}
+
+		return null;
+	}
+
+	/**
+	 * Get the stage that follows a stage.
+	 *
+	 * @param string $key Stage key.
+	 * @return array|null Next stage, or null when the item is approved next.
+	 */
+	public function get_next_stage( string $key ): ?array {
+		$stages = $this->get_stages();
+		$index  = array_search( $key, array_column( $stages, 'key' ), true );
+
+		return false !== $index && isset( $stages[ $index + 1 ] ) ? $stages[ $index + 1 ] : null;
+	}
+
+	/**
+	 * Check if a user can approve items in a stage.
+	 *
+	 * Administrators can review every stage. A stage without roles is open
+	 * to everyone with the review capability.
+	 *
+	 * @param array    $stage   Stage from get_stages().
+	 * @param int|null $user_id User ID. Defaults to current user.
+	 * @return bool
+	 */
+	public function can_review_stage( array $stage, ?int $user_id = null ): bool {
+		$user_id = $user_id ?? get_current_user_id();
+
+		if ( user_can( $user_id, 'manage_options' ) ) {
+			return true;
+		}
+
+		if ( empty( $stage[ 'roles' ] ) ) {
+			return user_can( $user_id, $this->get_review_capability() );
+		}
+
+		$user = get_userdata( $user_id );
+
+		return $user && array_intersect( (array) $user->roles, $stage[ 'roles' ] );
+	}
+
+	/**
+	 * Check if a user holds one of the roles named on a review stage.
+	 *
+	 * @param int|null $user_id User ID. Defaults to current user.
+	 * @return bool
+	 */
+	public function is_stage_reviewer( ?int $user_id = null ): bool {
+		$user = get_userdata( $user_id ?? get_current_user_id() );
+
+		if ( ! $user ) {
+			return false;
+		}
+
+		foreach ( $this->get_stages() as $stage ) {
+			if ( array_intersect( (array) $user->roles, $stage[ 'roles' ] ) ) {
+				return true;
+			}
+		}
+
+		return false;
+	}
+
+	/**
+	 * Check if the current user can use the Review screen: through the
+	 * review capability or as a reviewer of at least one stage.
+	 *
+	 * @return bool
+	 */
+	public function current_user_can_review(): bool {
+		return current_user_can( $this->get_review_capability() ) || $this->is_stage_reviewer();
+	}
+
+	/**
+	 * Move an attachment into a review stage.
+	 *
+	 * @param int   $attachment_id Attachment ID.
+	 * @param array $stage         Stage from get_stages().
+	 * @return bool True on success.
+	 */
+	public function mark_stage( int $attachment_id, array $stage ): bool {
+		if ( empty( $stage[ 'folder' ] ) ) {
+			return false;
+		}
+
+		$result = wp_set_object_terms( $attachment_id, (int) $stage[ 'folder' ], $this->taxonomy );
+
+		if ( is_wp_error( $result ) ) {
+			return false;
+		}
+
+		/**
+		 * Fires after an approved attachment moves on to the next review stage.
+		 *
+		 * @param int    $attachment_id Attachment ID.
+		 * @param int    $folder_id     Folder of the stage.
+		 * @param string $stage         Stage key.
+		 */
+		do_action( 'vmfa_stage_advanced', $attachment_id, (int) $stage[ 'folder' ], $stage[ 'key' ] );
+
+		return true;
+	}
+
+	/**
+	 * Get all attachments needing review.
+	 *
+	 * @param array $args Optional query arguments.
+	 * @return array Array of attachment IDs.
+	 */
+	public function get_items_needing_review( array $args = [] ): array {
+		$query = $this->query_items_needing_review( $args );
+
+		return $query ? $query->posts : [];
+	}
+
+	/**
+	 * Query attachments needing review, in any review folder.
+	 *
+	 * Unlike get_items_needing_review(), the query object is returned so
+	 * callers can read pagination totals.
+	 *
+	 * @param array $args Optional query arguments.
+	 * @return \WP_Query|null Query object or null if the Needs Review folder is missing.
+	 */
+	public function query_items_needing_review( array $args = [] ): ?\WP_Query {
+		if ( ! $this->get_needs_review_folder() ) {
+			return null;
+		}
+
+		$folder_ids = $this->get_review_folders();
+
+		$defaults = [
+			'post_type'      => 'attachment',
+			'post_status'    => 'inherit',
+			'posts_per_page' => -1,
+			'fields'         => 'ids',
+			'tax_query'      => [
+				[
+					'taxonomy' => $this->taxonomy,
+					'terms'    => $folder_ids,
+					'field'    => 'term_id',
+				],
+			],
+		];
+
+		$query_args = wp_parse_args( $args, $defaults );
+
+		return new \WP_Query( $query_args );
+	}
+
+	/**
+	 * Get count of items needing review.
+	 *
+	 * Uses transient for performance.
+	 *
+	 * @param bool $force Force refresh of cached count.
+	 * @return int Count of items.
+	 */
+	public function get_review_count( bool $force = false ): int {
+		$transient_key = 'vmfa_editorial_workflow_review_count';
+
+		if ( ! $force ) {
+			$cached = get_transient( $transient_key );
+			if ( false !== $cached ) {
+				return (int) $cached;
+			}
+		}
+
+		$count = count( $this->get_items_needing_review() );
+
+		set_transient( $transient_key, $count, HOUR_IN_SECONDS );
+
+		return $count;
+	}
+
+	/**
 	 * Invalidate review count cache.
 	 *
 	 * @return void
@@ -487,6 +1689,17 @@ class WorkflowState {
 		return (bool) $value;
 	}
 
+	/**
+	 * Get the capability required to review media.
+	 *
+	 * Administrators always have access. Editors only if the setting allows.
+	 *
+	 * @return string Capability name.
+	 */
+	public function get_review_capability(): string {
+		return $this->editors_can_review() ? 'edit_others_posts' : 'manage_options';
+	}
+
 	/**
 	 * Set whether editors can access the review page.
 	 *
@@ -496,4 +1709,127 @@ class WorkflowState {
 	public function set_editors_can_review( bool $can_review ): bool {
 		return update_option( self::OPTION_EDITORS_CAN_REVIEW, $can_review ? '1' : '0' );
 	}
+
+	/**
+	 * Get the number of seconds approve and move actions can be undone.
+	 *
+	 * @return int Seconds, 0 when undo is disabled.
+	 */
+	public function get_undo_window(): int {
+		$window = (int) get_option( self::OPTION_UNDO_WINDOW, self::DEFAULT_UNDO_WINDOW );
+
+		return max( 0, min( self::MAX_UNDO_WINDOW, $window ) );
+	}
+
+	/**
+	 * Set the number of seconds approve and move actions can be undone.
+	 *
+	 * @param int $seconds Seconds, 0 to disable undo.
+	 * @return bool True on success.
+	 */
+	public function set_undo_window( int $seconds ): bool {
+		return update_option( self::OPTION_UNDO_WINDOW, max( 0, min( self::MAX_UNDO_WINDOW, $seconds ) ) );
+	}
+
+	/**
+	 * Get how many days approved and moved items stay in the history tabs.
+	 *
+	 * @return int Days.
+	 */
+	public function get_recent_days(): int {
+		$days = (int) get_option( self::OPTION_RECENT_DAYS, self::DEFAULT_RECENT_DAYS );
+
+		return max( 1, min( self::MAX_RECENT_DAYS, $days ) );
+	}
+
+	/**
+	 * Set how many days approved and moved items stay in the history tabs.
+	 *
+	 * @param int $days Days.
+	 * @return bool True on success.
+	 */
+	public function set_recent_days( int $days ): bool {
+		return update_option( self::OPTION_RECENT_DAYS, max( 1, min( self::MAX_RECENT_DAYS, $days ) ) );
+	}
+
+	/**
+	 * Get the number of distinct reviewers who must approve an item.
+	 *
+	 * @return int Approvals, at least 1.
+	 */
+	public function get_approvals_required(): int {
+		$required = (int) get_option( self::OPTION_APPROVALS_REQUIRED, 1 );
+
+		return max( 1, min( self::MAX_APPROVALS_REQUIRED, $required ) );
+	}
+
+	/**
+	 * Set the number of distinct reviewers who must approve an item.
+	 *
+	 * @param int $required Approvals, 1 for a single approval.
+	 * @return bool True on success.
+	 */
+	public function set_approvals_required( int $required ): bool {
+		return update_option( self::OPTION_APPROVALS_REQUIRED, max( 1, min( self::MAX_APPROVALS_REQUIRED, $required ) ) );
+	}
+
+	/**
+	 * Get the number of days after which waiting items are flagged and overdue.
+	 *
+	 * @return array{warning: int, overdue: int} Days, 0 when a threshold is off.
+	 */
+	public function get_sla_thresholds(): array {
+		return [
+			'warning' => max( 0, min( self::MAX_SLA_DAYS, (int) get_option( self::OPTION_SLA_WARNING, self::DEFAULT_SLA_WARNING ) ) ),
+			'overdue' => max( 0, min( self::MAX_SLA_DAYS, (int) get_option( self::OPTION_SLA_OVERDUE, self::DEFAULT_SLA_OVERDUE ) ) ),
+		];
+	}
+
+	/**
+	 * Set the number of days after which waiting items are flagged and overdue.
+	 *
+	 * @param int $warning Days until the warning, 0 to turn it off.
+	 * @param int $overdue Days until an item is overdue, 0 to turn it off.
+	 * @return void
+	 */
+	public function set_sla_thresholds( int $warning, int $overdue ): void {
+		update_option( self::OPTION_SLA_WARNING, max( 0, min( self::MAX_SLA_DAYS, $warning ) ) );
+		update_option( self::OPTION_SLA_OVERDUE, max( 0, min( self::MAX_SLA_DAYS, $overdue ) ) );
+	}
+
+	/**
+	 * Get the canned rejection reasons offered in the reject dialog.
+	 *
+	 * @return array<string> Rejection reasons.
+	 */
+	public function get_rejection_reasons(): array {
+		$reasons = get_option( self::OPTION_REJECTION_REASONS, null );
+
+		if ( ! is_array( $reasons ) ) {
+			return [
+				__( 'Poor image quality', 'vmfa-editorial-workflow' ),
+				__( 'Missing usage rights', 'vmfa-editorial-workflow' ),
+				__( 'Duplicate of an existing item', 'vmfa-editorial-workflow' ),
+				__( 'Does not follow brand guidelines', 'vmfa-editorial-workflow' ),
+			];
+		}
+
+		return array_values( array_filter( array_map( 'strval', $reasons ) ) );
+	}
+
+	/**
+	 * Set the canned rejection reasons.
+	 *
+	 * @param array<string> $reasons Rejection reasons.
+	 * @return bool True on success.
+	 */
+	public function set_rejection_reasons( array $reasons ): bool {
+		$sanitized = array_values(
+			array_unique(
+				array_filter( array_map( 'sanitize_text_field', array_map( 'strval', $reasons ) ) )
+			)
+		);
+
+		return update_option( self::OPTION_REJECTION_REASONS, $sanitized );
+	}
 }
@@ -9,6 +9,7 @@ declare(strict_types=1);
 
 namespace VmfaEditorialWorkflow\Tests;
 
+use Brain\Monkey\Actions;
 use Brain\Monkey\Functions;
 use VmfaEditorialWorkflow\Services\AccessChecker;
 
@@ -88,6 +89,7 @@ class AccessCheckerTest extends \VMFA_TestCase {
 	 */
 	public function test_set_folder_permissions(): void {
 		$updated = false;
+		Functions\when( 'get_term_meta' )->justReturn( [ 'view' ] );
 		Functions\when( 'update_term_meta' )->alias( function ( $term_id, $key, $value ) use ( &$updated ) {
 			$updated = true;
 			$this->assertEquals( 123, $term_id );
@@ -96,6 +98,8 @@ class AccessCheckerTest extends \VMFA_TestCase {
 			return true;
 		} );
 
+		Actions\expectDone( 'vmfa_folder_permissions_changed' )->once()->with( 123, 'editor', [ 'view', 'move' ], [ 'view' ] );
+
 		$checker = new AccessChecker();
 		$result  = $checker->set_folder_permissions( 123, 'editor', [ 'view', 'move', 'invalid' ] );
 
@@ -0,0 +1,174 @@
+<?php
+/**
+ * AssignmentService tests.
+ *
+ * @package VmfaEditorialWorkflow
+ */
+
+declare(strict_types=1);
+
+namespace VmfaEditorialWorkflow\Tests;
+
+use Brain\Monkey\Actions;
+use Brain\Monkey\Functions;
+use VmfaEditorialWorkflow\Services\AssignmentService;
+use VmfaEditorialWorkflow\WorkflowState;
+
+/**
+ * Test case for AssignmentService.
+ */
+class AssignmentServiceTest extends \VMFA_TestCase {
+
+	/**
+	 * Create a service whose reviewers are users 3 and 7 by capability and 5 by stage role.
+	 *
+	 * @return AssignmentService
+	 */
+	private function create_service(): AssignmentService {
+		$workflow_state = $this->createMock( WorkflowState::class );
+		$workflow_state->method( 'get_review_capability' )->willReturn( 'manage_options' );
+		$workflow_state->method( 'get_review_folders' )->willReturn( [ 5, 12 ] );
+		$workflow_state->method( 'get_stages' )->willReturn( [
+			[
+				'key'   => 'needs-review',
+				'roles' => [],
+			],
+			[
+				'key'   => 'legal',
+				'roles' => [ 'author' ],
+			],
+		] );
+
+		Functions\when( 'get_users' )->alias(
+			fn( $args ) => isset( $args[ 'role__in' ] ) ? [ '5', '7' ] : [ '7', '3' ]
+		);
+
+		return new AssignmentService( $workflow_state );
+	}
+
+	/**
+	 * Test reviewers combine the review capability and stage roles.
+	 *
+	 * @return void
+	 */
+	public function test_get_reviewer_ids_includes_stage_roles(): void {
+		$this->assertSame( [ 3, 5, 7 ], $this->create_service()->get_reviewer_ids() );
+	}
+
+	/**
+	 * Test new uploads go to the reviewer after the one assigned last, wrapping around.
+	 *
+	 * @return void
+	 */
+	public function test_maybe_auto_assign_rotates_reviewers(): void {
+		$options  = [
+			AssignmentService::OPTION_AUTO_ASSIGN    => '1',
+			AssignmentService::OPTION_LAST_ASSIGNED => 5,
+		];
+		$assigned = [];
+		Functions\when( 'get_option' )->alias(
+			function ( $key, $default = false ) use ( &$options ) {
+				return $options[ $key ] ?? $default;
+			}
+		);
+		Functions\when( 'update_option' )->alias(
+			function ( $key, $value ) use ( &$options ) {
+				$options[ $key ] = $value;
+				return true;
+			}
+		);
+		Functions\when( 'get_post_meta' )->alias(
+			function ( $id ) use ( &$assigned ) {
+				return $assigned[ $id ] ?? '';
+			}
+		);
+		Functions\when( 'update_post_meta' )->alias(
+			function ( $id, $key, $value ) use ( &$assigned ) {
+				$assigned[ $id ] = $value;
+				return true;
+			}
+		);
+
+		$service = $this->create_service();
+		$service->maybe_auto_assign( 10 );
+		$service->maybe_auto_assign( 11 );
+		$service->maybe_auto_assign( 11 );
+
+		$this->assertSame( [ 10 => 7, 11 => 3 ], $assigned );
+		$this->assertSame( 3, $options[ AssignmentService::OPTION_LAST_ASSIGNED ] );
+	}
+
+	/**
+	 * Test uploads are left unassigned while auto-assignment is off.
+	 *
+	 * @return void
+	 */
+	public function test_maybe_auto_assign_when_disabled(): void {
+		Functions\when( 'get_option' )->justReturn( false );
+		Functions\expect( 'update_post_meta' )->never();
+
+		$this->create_service()->maybe_auto_assign( 10 );
+
+		$this->addToAssertionCount( 1 );
+	}
+
+	/**
+	 * Test uploads routed to any review queue are auto-assigned, and uploads to other folders are not.
+	 *
+	 * @return void
+	 */
+	public function test_maybe_auto_assign_upload_covers_review_queues(): void {
+		$assigned = [];
+		Functions\when( 'get_option' )->alias(
+			fn( $key, $default = false ) => AssignmentService::OPTION_AUTO_ASSIGN === $key ? '1' : $default
+		);
+		Functions\when( 'update_option' )->justReturn( true );
+		Functions\when( 'get_post_meta' )->justReturn( '' );
+		Functions\when( 'update_post_meta' )->alias(
+			function ( $id, $key, $value ) use ( &$assigned ) {
+				$assigned[ $id ] = $value;
+				return true;
+			}
+		);
+
+		$service = $this->create_service();
+		$service->maybe_auto_assign_upload( 10, 5 );
+		$service->maybe_auto_assign_upload( 11, 12 );
+		$service->maybe_auto_assign_upload( 12, 40 );
+
+		$this->assertSame( [ 10, 11 ], array_keys( $assigned ) );
+	}
+
+	/**
+	 * Test items lose their assignee when they leave review, including by being moved.
+	 *
+	 * @return void
+	 */
+	public function test_init_unassigns_items_leaving_review(): void {
+		$service = $this->create_service();
+		$service->init();
+
+		foreach ( [ 'vmfa_stage_advanced', 'vmfa_approved', 'vmfa_scheduled', 'vmfa_rejected', 'vmfa_moved' ] as $hook ) {
+			$this->assertNotFalse( has_action( $hook, [ $service, 'unassign' ] ), $hook );
+		}
+	}
+
+	/**
+	 * Test items can only be assigned to reviewers.
+	 *
+	 * @return void
+	 */
+	public function test_assign_validates_reviewer(): void {
+		Functions\when( 'get_post_meta' )->justReturn( '7' );
+		Functions\expect( 'update_post_meta' )->once()->with( 10, AssignmentService::META_ASSIGNEE, 3 );
+		Functions\expect( 'delete_post_meta' )->once()->with( 10, AssignmentService::META_ASSIGNEE );
+		Actions\expectDone( 'vmfa_assignee_changed' )->twice();
+
+		$service = $this->create_service();
+
+		$this->assertInstanceOf( \WP_Error::class, $service->assign( 10, 4 ) );
+		$this->assertTrue( $service->assign( 10, 3 ) );
+		$this->assertTrue( $service->assign( 10, 0 ) );
+		$this->assertSame( 7, $service->get_assignee( 10 ) );
+	}
+}
@@ -0,0 +1,181 @@
+<?php
+/**
+ * AuditLogService tests.
+ *
+ * @package VmfaEditorialWorkflow
+ */
+
+declare(strict_types=1);
+
+namespace VmfaEditorialWorkflow\Tests;
+
+use Brain\Monkey\Functions;
+use VmfaEditorialWorkflow\Services\AuditLogService;
+
+/**
+ * Test case for AuditLogService.
+ */
+class AuditLogServiceTest extends \VMFA_TestCase {
+
+	/**
+	 * Set up a database that records inserts and deletes.
+	 *
+	 * @return void
+	 */
+	protected function setUp(): void {
+		parent::setUp();
+
+		$GLOBALS[ 'wpdb' ] = new class() {
+			public $prefix  = 'wp_';
+			public $rows    = [];
+			public $queries = [];
+
+			public function insert( $table, $data ) {
+				$this->rows[] = $data;
+				return 1;
+			}
+
+			public function prepare( $query, ...$args ) {
+				return vsprintf( str_replace( '%s', "'%s'", $query ), $args );
+			}
+
+			public function query( $query ) {
+				$this->queries[] = $query;
+				return 2;
+			}
+		};
+
+		Functions\when( 'current_time' )->justReturn( '2026-01-01 12:00:00' );
+		Functions\when( 'get_current_user_id' )->justReturn( 3 );
+		Functions\when( 'wp_json_encode' )->alias( 'json_encode' );
+		Functions\when( 'get_term' )->alias(
+			fn( $id ) => new \WP_Term( (object) [ 'name' => 'Folder ' . $id ] )
+		);
+	}
+
+	/**
+	 * Restore the database global.
+	 *
+	 * @return void
+	 */
+	protected function tearDown(): void {
+		unset( $GLOBALS[ 'wpdb' ] );
+		parent::tearDown();
+	}
+
+	/**
+	 * Test an inbox map change is logged with only the roles that changed.
+	 *
+	 * @return void
+	 */
+	public function test_log_inbox_map_records_changed_roles(): void {
+		$service = new AuditLogService();
+
+		$service->log_inbox_map(
+			[
+				'author'      => 4,
+				'contributor' => 6,
+			],
+			[
+				'author'      => 4,
+				'contributor' => 5,
+				'editor'      => 7,
+			]
+		);
+
+		$rows = $GLOBALS[ 'wpdb' ]->rows;
+
+		$this->assertCount( 1, $rows );
+		$this->assertSame( 'inbox_changed', $rows[ 0 ][ 'event' ] );
+		$this->assertSame( 3, $rows[ 0 ][ 'user_id' ] );
+		$this->assertSame( '2026-01-01 12:00:00', $rows[ 0 ][ 'created_at' ] );
+
+		$changes = json_decode( $rows[ 0 ][ 'details' ], true )[ 'changes' ];
+
+		$this->assertSame( [ 'contributor', 'editor' ], array_keys( $changes ) );
+		$this->assertSame( 'Folder 6', $changes[ 'contributor' ][ 'folder_name' ] );
+		$this->assertSame( 0, $changes[ 'editor' ][ 'folder' ] );
+	}
+
+	/**
+	 * Test an unchanged inbox map is not logged.
+	 *
+	 * @return void
+	 */
+	public function test_log_inbox_map_skips_unchanged_map(): void {
+		( new AuditLogService() )->log_inbox_map( [ 'author' => 4 ], [ 'author' => 4 ] );
+
+		$this->assertSame( [], $GLOBALS[ 'wpdb' ]->rows );
+	}
+
+	/**
+	 * Test pruning removes entries older than the retention period.
+	 *
+	 * @return void
+	 */
+	public function test_prune_uses_retention(): void {
+		Functions\when( 'get_option' )->justReturn( 30 );
+
+		$removed = ( new AuditLogService() )->prune( strtotime( '2026-03-31 00:00:00 UTC' ) );
+
+		$this->assertSame( 2, $removed );
+		$this->assertSame(
+			[ "DELETE FROM wp_vmfa_audit_log WHERE created_at < '2026-03-01 00:00:00'" ],
+			$GLOBALS[ 'wpdb' ]->queries
+		);
+	}
+
+	/**
+	 * Test a retention of zero keeps entries forever.
+	 *
+	 * @return void
+	 */
+	public function test_prune_keeps_entries_without_retention(): void {
+		Functions\when( 'get_option' )->justReturn( 0 );
+
+		$this->assertSame( 0, ( new AuditLogService() )->prune() );
+		$this->assertSame( [], $GLOBALS[ 'wpdb' ]->queries );
+	}
+
+	/**
+	 * Test cells that would run as spreadsheet formulas are quoted in CSV exports.
+	 *
+	 * @return void
+	 */
+	public function test_to_csv_quotes_formulas(): void {
+		$csv = ( new AuditLogService() )->to_csv( [
+			[
+				'date'       => '2026-01-01T12:00:00+00:00',
+				'user'       => [
+					'id'   => 3,
+					'name' => '@Editor',
+				],
+				'event'      => 'approved',
+				'objectType' => 'attachment',
+				'objectId'   => 10,
+				'summary'    => '=HYPERLINK("https://example.com","Photo")',
+				'details'    => [ 'title' => '-1+2' ],
+			],
+			[
+				'date'       => '2026-01-01T12:00:00+00:00',
+				'user'       => [
+					'id'   => 3,
+					'name' => "\tEditor",
+				],
+				'event'      => 'moved',
+				'objectType' => 'attachment',
+				'objectId'   => 11,
+				'summary'    => 'Moved "Photo" to Archive.',
+				'details'    => [],
+			],
+		] );
+
+		$rows = array_map( fn( $line ) => str_getcsv( $line, ',', '"', '' ), explode( "\n", trim( $csv ) ) );
+
+		$this->assertSame( "'@Editor", $rows[ 1 ][ 2 ] );
+		$this->assertSame( '\'=HYPERLINK("https://example.com","Photo")', $rows[ 1 ][ 6 ] );
+		$this->assertSame( '{"title":"-1+2"}', $rows[ 1 ][ 7 ] );
+		$this->assertSame( "'\tEditor", $rows[ 2 ][ 2 ] );
+		$this->assertSame( 'Moved "Photo" to Archive.', $rows[ 2 ][ 6 ] );
+	}
+}
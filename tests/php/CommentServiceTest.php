@@ -0,0 +1,114 @@
+<?php
+/**
+ * CommentService tests.
+ *
+ * @package VmfaEditorialWorkflow
+ */
+
+declare(strict_types=1);
+
+namespace VmfaEditorialWorkflow\Tests;
+
+use Brain\Monkey\Functions;
+use Brain\Monkey\Actions;
+use VmfaEditorialWorkflow\Services\CommentService;
+
+/**
+ * Test case for CommentService.
+ */
+class CommentServiceTest extends \VMFA_TestCase {
+
+	/**
+	 * Set up common stubs.
+	 *
+	 * @return void
+	 */
+	protected function setUp(): void {
+		parent::setUp();
+
+		Functions\stubs( [
+			'sanitize_textarea_field' => fn( $text ) => strip_tags( $text ),
+			'wp_slash'                => fn( $value ) => $value,
+			'wp_generate_uuid4'       => fn() => 'uuid-1',
+			'current_time'            => fn( $type, $gmt = false ) => '2026-01-01 12:00:00',
+			'get_user_by'             => function ( $field, $value ) {
+				return 'anna' === $value ? (object) [ 'ID' => 5 ] : false;
+			},
+		] );
+	}
+
+	/**
+	 * Test adding a comment stores it with mentions and fires the action.
+	 *
+	 * @return void
+	 */
+	public function test_add_comment(): void {
+		$saved = null;
+		Functions\when( 'add_post_meta' )->alias( function ( $post_id, $key, $value ) use ( &$saved ) {
+			$saved = [ $post_id, $key, $value ];
+			return 1;
+		} );
+
+		Actions\expectDone( 'vmfa_comment_added' )->once();
+
+		$service = new CommentService();
+		$comment = $service->add_comment( 50, ' Please crop this, @anna. ', 3 );
+
+		$expected = [
+			'id'       => 'uuid-1',
+			'author'   => 3,
+			'date'     => '2026-01-01 12:00:00',
+			'content'  => 'Please crop this, @anna.',
+			'mentions' => [ 5 ],
+		];
+
+		$this->assertEquals( $expected, $comment );
+		$this->assertEquals( [ 50, 'vmfa_review_comment', $expected ], $saved );
+	}
+
+	/**
+	 * Test empty comments are rejected.
+	 *
+	 * @return void
+	 */
+	public function test_add_comment_rejects_empty_content(): void {
+		Functions\expect( 'add_post_meta' )->never();
+
+		$service = new CommentService();
+		$result  = $service->add_comment( 50, "  \n ", 3 );
+
+		$this->assertInstanceOf( \WP_Error::class, $result );
+		$this->assertEquals( 'vmfa_empty_comment', $result->get_error_code() );
+	}
+
+	/**
+	 * Test comments are returned oldest first.
+	 *
+	 * @return void
+	 */
+	public function test_get_comments_sorted_by_date(): void {
+		Functions\when( 'get_post_meta' )->justReturn( [
+			[ 'id' => 'b', 'date' => '2026-01-02 00:00:00' ],
+			'garbage',
+			[ 'id' => 'a', 'date' => '2026-01-01 00:00:00' ],
+		] );
+
+		$service  = new CommentService();
+		$comments = $service->get_comments( 50 );
+
+		$this->assertSame( [ 'a', 'b' ], array_column( $comments, 'id' ) );
+		$this->assertSame( 2, $service->get_comment_count( 50 ) );
+	}
+
+	/**
+	 * Test mention parsing ignores unknown users and email addresses.
+	 *
+	 * @return void
+	 */
+	public function test_parse_mentions(): void {
+		$service = new CommentService();
+
+		$this->assertSame( [ 5 ], $service->parse_mentions( '@anna @nobody mail anna@example.com @anna' ) );
+		$this->assertSame( [], $service->parse_mentions( 'No mentions here.' ) );
+	}
+}
@@ -0,0 +1,191 @@
+<?php
+/**
+ * DuplicateService tests.
+ *
+ * @package VmfaEditorialWorkflow
+ */
+
+declare(strict_types=1);
+
+namespace VmfaEditorialWorkflow\Tests;
+
+use Brain\Monkey\Actions;
+use Brain\Monkey\Functions;
+use VmfaEditorialWorkflow\Services\DuplicateService;
+
+/**
+ * Test case for DuplicateService.
+ */
+class DuplicateServiceTest extends \VMFA_TestCase {
+
+	/**
+	 * Restore the database global.
+	 *
+	 * @return void
+	 */
+	protected function tearDown(): void {
+		unset( $GLOBALS[ 'wpdb' ] );
+		parent::tearDown();
+	}
+
+	/**
+	 * Test the distance counts differing bits.
+	 *
+	 * @return void
+	 */
+	public function test_get_distance(): void {
+		$service = new DuplicateService();
+
+		$this->assertSame( 0, $service->get_distance( 'ffff0000ffff0000', 'ffff0000ffff0000' ) );
+		$this->assertSame( 5, $service->get_distance( 'ffff0000ffff0000', 'fffe0000ffff000f' ) );
+		$this->assertSame( 64, $service->get_distance( 'ffff', 'ffff0000ffff0000' ) );
+	}
+
+	/**
+	 * Test exact copies come first, then similar images by distance.
+	 *
+	 * @return void
+	 */
+	public function test_find_matches_orders_exact_then_similar(): void {
+		Functions\expect( 'get_posts' )->once()->andReturn( [ '12' ] );
+
+		$GLOBALS[ 'wpdb' ] = new class() {
+			public $postmeta = 'wp_postmeta';
+
+			public function prepare( $query ) {
+				return $query;
+			}
+
+			public function get_results() {
+				return [
+					(object) [ 'post_id' => '12', 'meta_value' => 'ffff0000ffff0000' ],
+					(object) [ 'post_id' => '30', 'meta_value' => 'fff00000ffff0000' ],
+					(object) [ 'post_id' => '31', 'meta_value' => 'fffe0000ffff0000' ],
+					(object) [ 'post_id' => '32', 'meta_value' => '0000ffff0000ffff' ],
+				];
+			}
+		};
+
+		$matches = ( new DuplicateService() )->find_matches( 40, 'sha', 'ffff0000ffff0000' );
+
+		$this->assertSame(
+			[
+				[
+					'id'       => 12,
+					'type'     => 'exact',
+					'distance' => 0,
+				],
+				[
+					'id'       => 31,
+					'type'     => 'similar',
+					'distance' => 1,
+				],
+				[
+					'id'       => 30,
+					'type'     => 'similar',
+					'distance' => 4,
+				],
+			],
+			$matches
+		);
+	}
+
+	/**
+	 * Test keeping an upload clears its matches once.
+	 *
+	 * @return void
+	 */
+	public function test_keep_clears_matches(): void {
+		$meta = [ [ 'id' => 12 ] ];
+		Functions\when( 'get_post_meta' )->alias(
+			function () use ( &$meta ) {
+				return $meta;
+			}
+		);
+		Functions\when( 'delete_post_meta' )->alias(
+			function () use ( &$meta ) {
+				$meta = '';
+				return true;
+			}
+		);
+		Actions\expectDone( 'vmfa_duplicate_kept' )->once()->with( 40 );
+
+		$service = new DuplicateService();
+
+		$this->assertTrue( $service->keep( 40 ) );
+		$this->assertFalse( $service->keep( 40 ) );
+	}
+
+	/**
+	 * Test the backfill hashes a batch of older attachments and schedules the next one.
+	 *
+	 * @return void
+	 */
+	public function test_run_backfill_hashes_batch_and_continues(): void {
+		$file = tempnam( sys_get_temp_dir(), 'vmfa' );
+		file_put_contents( $file, 'press kit' ); // phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_file_put_contents
+
+		$meta      = [];
+		$scheduled = [];
+		Functions\when( 'get_posts' )->justReturn( range( 1, DuplicateService::BACKFILL_BATCH ) );
+		Functions\when( 'wp_get_attachment_metadata' )->justReturn( [] );
+		Functions\when( 'get_attached_file' )->alias( fn( $id ) => 2 === $id ? '/missing/file.jpg' : $file );
+		Functions\when( 'wp_attachment_is_image' )->justReturn( false );
+		Functions\when( 'update_post_meta' )->alias(
+			function ( $id, $key, $value ) use ( &$meta ) {
+				$meta[ $id ][ $key ] = $value;
+				return true;
+			}
+		);
+		Functions\when( 'wp_schedule_single_event' )->alias(
+			function ( $time, $hook ) use ( &$scheduled ) {
+				$scheduled[] = $hook;
+				return true;
+			}
+		);
+		Functions\expect( 'update_option' )->never();
+		Actions\expectDone( 'vmfa_duplicate_detected' )->never();
+
+		$service = new DuplicateService();
+
+		$this->assertSame( DuplicateService::BACKFILL_BATCH, $service->run_backfill() );
+		$this->assertSame( sha1( 'press kit' ), $meta[ 1 ][ DuplicateService::META_CONTENT_HASH ] );
+		$this->assertSame( '', $meta[ 2 ][ DuplicateService::META_CONTENT_HASH ] );
+		$this->assertSame( [ DuplicateService::BACKFILL_HOOK ], $scheduled );
+
+		unlink( $file );
+	}
+
+	/**
+	 * Test the backfill stops once a batch comes up short.
+	 *
+	 * @return void
+	 */
+	public function test_run_backfill_finishes(): void {
+		Functions\when( 'get_posts' )->justReturn( [] );
+		Functions\expect( 'wp_schedule_single_event' )->never();
+		Functions\expect( 'update_option' )->once()->with( DuplicateService::OPTION_BACKFILLED, '1', false );
+
+		$this->assertSame( 0, ( new DuplicateService() )->run_backfill() );
+	}
+
+	/**
+	 * Test the backfill is only scheduled while it has work left and is not already pending.
+	 *
+	 * @return void
+	 */
+	public function test_schedule_backfill(): void {
+		$done = false;
+		Functions\when( 'get_option' )->alias( function () use ( &$done ) {
+			return $done ? '1' : false;
+		} );
+		Functions\when( 'wp_next_scheduled' )->justReturn( false );
+		Functions\expect( 'wp_schedule_single_event' )->once()->with( \Mockery::type( 'int' ), DuplicateService::BACKFILL_HOOK );
+
+		$service = new DuplicateService();
+		$service->schedule_backfill();
+
+		$done = true;
+		$service->schedule_backfill();
+	}
+}
@@ -0,0 +1,138 @@
+<?php
+/**
+ * HistoryService tests.
+ *
+ * @package VmfaEditorialWorkflow
+ */
+
+declare(strict_types=1);
+
+namespace VmfaEditorialWorkflow\Tests;
+
+use Brain\Monkey\Functions;
+use VmfaEditorialWorkflow\Services\HistoryService;
+use VmfaEditorialWorkflow\WorkflowState;
+
+/**
+ * Test case for HistoryService.
+ */
+class HistoryServiceTest extends \VMFA_TestCase {
+
+	/**
+	 * Meta rows added during the test, keyed by attachment ID.
+	 *
+	 * @var array
+	 */
+	private array $meta = [];
+
+	/**
+	 * Create a service that keeps its meta rows in memory.
+	 *
+	 * @return HistoryService
+	 */
+	private function create_service(): HistoryService {
+		$this->meta = [];
+
+		Functions\when( 'get_current_user_id' )->justReturn( 3 );
+		Functions\when( 'current_time' )->justReturn( '2026-01-01 12:00:00' );
+		Functions\when( 'get_term' )->alias(
+			fn( $id ) => new \WP_Term( (object) [ 'name' => 5 === $id ? 'Approved' : 'Needs Review' ] )
+		);
+		// Store what WordPress would: the value unslashed.
+		Functions\when( 'add_post_meta' )->alias(
+			function ( $id, $key, $value ) {
+				array_walk_recursive(
+					$value,
+					function ( &$item ) {
+						$item = is_string( $item ) ? stripslashes( $item ) : $item;
+					}
+				);
+				$this->meta[ $id ][] = $value;
+				return true;
+			}
+		);
+		Functions\when( 'get_post_meta' )->alias( fn( $id ) => $this->meta[ $id ] ?? [] );
+
+		$workflow_state = $this->createMock( WorkflowState::class );
+		$workflow_state->method( 'get_stages' )->willReturn( [
+			[
+				'key'  => 'legal',
+				'name' => 'Legal',
+			],
+		] );
+
+		return new HistoryService( $workflow_state );
+	}
+
+	/**
+	 * Test transitions are recorded in order with the user, date and folder name.
+	 *
+	 * @return void
+	 */
+	public function test_records_transitions_in_order(): void {
+		$service = $this->create_service();
+
+		$service->record_inbox( 10, 4, 8 );
+		$service->record_stage( 10, 6, 'legal' );
+		$service->record_approved( 10, 5 );
+
+		$history = $service->get_history( 10 );
+
+		$this->assertSame( [ 'inbox', 'stage', 'approved' ], array_column( $history, 'event' ) );
+		$this->assertSame( [ 8, 3, 3 ], array_column( $history, 'user_id' ) );
+		$this->assertSame( 'Needs Review', $history[ 0 ][ 'folder_name' ] );
+		$this->assertSame( 'Legal', $history[ 1 ][ 'stage_name' ] );
+		$this->assertSame( 'Approved', $history[ 2 ][ 'folder_name' ] );
+		$this->assertSame( '2026-01-01 12:00:00', $history[ 2 ][ 'date' ] );
+	}
+
+	/**
+	 * Test only approvals still waiting for more reviewers are recorded on their own.
+	 *
+	 * @return void
+	 */
+	public function test_record_approval_skips_final_approval(): void {
+		$service = $this->create_service();
+
+		$service->record_approval( 10, 7, 1, 2 );
+		$service->record_approval( 10, 3, 2, 2 );
+
+		$history = $service->get_history( 10 );
+
+		$this->assertCount( 1, $history );
+		$this->assertSame( 7, $history[ 0 ][ 'user_id' ] );
+		$this->assertSame( 1, $history[ 0 ][ 'count' ] );
+	}
+
+	/**
+	 * Test backslashes in a rejection reason survive saving.
+	 *
+	 * @return void
+	 */
+	public function test_record_keeps_backslashes(): void {
+		$service = $this->create_service();
+
+		$service->record_rejected( 10, 7, 'Use the file in \\\\nas\\press' );
+
+		$this->assertSame( 'Use the file in \\\\nas\\press', $service->get_history( 10 )[ 0 ][ 'reason' ] );
+	}
+
+	/**
+	 * Test folder changes made in the Media Library are recorded.
+	 *
+	 * @return void
+	 */
+	public function test_record_folder_assigned(): void {
+		$service = $this->create_service();
+		$service->init();
+
+		$this->assertNotFalse( has_action( 'vmfo_folder_assigned', [ $service, 'record_folder_assigned' ] ) );
+
+		$service->record_folder_assigned( 10, 5 );
+
+		$history = $service->get_history( 10 );
+
+		$this->assertSame( 'folder', $history[ 0 ][ 'event' ] );
+		$this->assertSame( 'Approved', $history[ 0 ][ 'folder_name' ] );
+	}
+}
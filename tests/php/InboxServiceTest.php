@@ -40,6 +40,7 @@ class InboxServiceTest extends \VMFA_TestCase {
 	 */
 	public function test_set_inbox_map(): void {
 		$saved = null;
+		Functions\when( 'get_option' )->justReturn( [] );
 		Functions\when( 'update_option' )->alias( function ( $option, $value ) use ( &$saved ) {
 			$saved = $value;
 			return true;
@@ -145,4 +146,18 @@ class InboxServiceTest extends \VMFA_TestCase {
 		$this->assertTrue( $service->is_inbox_folder( 123 ) );
 		$this->assertFalse( $service->is_inbox_folder( 999 ) );
 	}
+
+	/**
+	 * Test inbox folders are added to the review folders.
+	 *
+	 * @return void
+	 */
+	public function test_add_review_folders(): void {
+		Functions\when( 'get_option' )->justReturn( [ 'editor' => 123, 'author' => 123, 'contributor' => 456 ] );
+
+		$access_checker = $this->createMock( AccessChecker::class );
+		$service        = new InboxService( $access_checker );
+
+		$this->assertSame( [ 100, 123, 456 ], $service->add_review_folders( [ 100 ] ) );
+	}
 }
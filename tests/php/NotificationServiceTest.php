@@ -0,0 +1,241 @@
+<?php
+/**
+ * NotificationService tests.
+ *
+ * @package VmfaEditorialWorkflow
+ */
+
+declare(strict_types=1);
+
+namespace VmfaEditorialWorkflow\Tests;
+
+use Brain\Monkey\Functions;
+use VmfaEditorialWorkflow\Services\AccessChecker;
+use VmfaEditorialWorkflow\Services\AssignmentService;
+use VmfaEditorialWorkflow\Services\NotificationService;
+
+/**
+ * Test case for NotificationService.
+ */
+class NotificationServiceTest extends \VMFA_TestCase {
+
+	/**
+	 * Emails sent during the test.
+	 *
+	 * @var array
+	 */
+	private array $mails = [];
+
+	/**
+	 * Options stored during the test.
+	 *
+	 * @var array
+	 */
+	private array $options = [];
+
+	/**
+	 * Notification queue user meta rows stored during the test, by user.
+	 *
+	 * @var array
+	 */
+	private array $queue = [];
+
+	/**
+	 * Single cron events scheduled during the test.
+	 *
+	 * @var array
+	 */
+	private array $events = [];
+
+	/**
+	 * Create a service with reviewers 2, 3 and 4, of whom 4 cannot view folder 9.
+	 *
+	 * @param array $settings Notification settings.
+	 * @return NotificationService
+	 */
+	private function create_service( array $settings = [] ): NotificationService {
+		$this->mails   = [];
+		$this->queue   = [];
+		$this->events  = [];
+		$this->options = [
+			NotificationService::OPTION_SETTINGS => $settings,
+			'blogname'                           => 'Newsroom',
+		];
+
+		Functions\when( 'get_option' )->alias( fn( $key, $default = false ) => $this->options[ $key ] ?? $default );
+		Functions\when( 'update_option' )->alias(
+			function ( $key, $value ) {
+				$this->options[ $key ] = $value;
+				return true;
+			}
+		);
+		Functions\when( 'delete_option' )->alias(
+			function ( $key ) {
+				unset( $this->options[ $key ] );
+				return true;
+			}
+		);
+		Functions\when( 'wp_mail' )->alias(
+			function ( $to, $subject, $body ) {
+				$this->mails[] = compact( 'to', 'subject', 'body' );
+				return true;
+			}
+		);
+		Functions\when( 'get_user_meta' )->alias(
+			fn( $user_id, $key, $single = false ) => NotificationService::META_QUEUE === $key
+				? ( $this->queue[ $user_id ] ?? [] )
+				: ( 3 === $user_id ? '1' : '' )
+		);
+		Functions\when( 'add_user_meta' )->alias(
+			function ( $user_id, $key, $value ) {
+				$this->queue[ $user_id ][] = $value;
+				return true;
+			}
+		);
+		Functions\when( 'delete_user_meta' )->alias(
+			function ( $user_id, $key, $value ) {
+				$this->queue[ $user_id ] = array_values( array_filter( $this->queue[ $user_id ] ?? [], fn( $row ) => $row !== $value ) );
+				if ( ! $this->queue[ $user_id ] ) {
+					unset( $this->queue[ $user_id ] );
+				}
+				return true;
+			}
+		);
+		Functions\when( 'get_users' )->alias( fn() => array_map( 'strval', array_keys( $this->queue ) ) );
+		Functions\when( 'wp_next_scheduled' )->alias( fn( $hook ) => in_array( $hook, $this->events, true ) ? time() : false );
+		Functions\when( 'wp_schedule_single_event' )->alias(
+			function ( $timestamp, $hook ) {
+				$this->events[] = $hook;
+				return true;
+			}
+		);
+		Functions\when( 'get_userdata' )->alias(
+			fn( $user_id ) => (object) [
+				'user_email'   => "user{$user_id}@example.com",
+				'display_name' => "User {$user_id}",
+			]
+		);
+		Functions\when( 'get_post' )->alias( fn( $id ) => (object) [ 'post_author' => 5 ] );
+		Functions\when( 'get_the_title' )->alias( fn( $id ) => "Photo {$id}" );
+		Functions\when( 'get_term' )->justReturn( new \WP_Term( (object) [ 'name' => 'Inbox' ] ) );
+		Functions\when( 'admin_url' )->alias( fn( $path ) => 'https://example.com/wp-admin/' . $path );
+		Functions\when( 'wp_specialchars_decode' )->returnArg();
+		Functions\when( 'get_current_user_id' )->justReturn( 2 );
+
+		$access_checker = $this->createMock( AccessChecker::class );
+		$access_checker->method( 'can_view_folder' )->willReturnCallback( fn( $folder_id, $user_id ) => 4 !== $user_id );
+
+		$assignment_service = $this->createMock( AssignmentService::class );
+		$assignment_service->method( 'get_reviewer_ids' )->willReturn( [ 2, 3, 4 ] );
+
+		return new NotificationService( $access_checker, $assignment_service );
+	}
+
+	/**
+	 * Test reviewers who can view the inbox are emailed from a single cron
+	 * event, except for the uploader and users who opted out.
+	 *
+	 * @return void
+	 */
+	public function test_notify_reviewers_immediately(): void {
+		$service = $this->create_service( [ 'reviewers' => 'immediate' ] );
+
+		$service->notify_reviewers( 10, 9, 5 );
+		$service->notify_reviewers( 11, 9, 5 );
+
+		$this->assertSame( [], $this->mails );
+		$this->assertSame( [ NotificationService::SEND_HOOK ], $this->events );
+
+		$this->assertSame( 2, $service->send_queued() );
+		$this->assertSame( [ 'user2@example.com', 'user2@example.com' ], array_column( $this->mails, 'to' ) );
+		$this->assertSame( '[Newsroom] New upload to review: Photo 10', $this->mails[ 0 ][ 'subject' ] );
+		$this->assertStringContainsString( 'User 5 uploaded "Photo 10" to Inbox.', $this->mails[ 0 ][ 'body' ] );
+		$this->assertStringContainsString( 'upload.php?page=vmfa-review', $this->mails[ 0 ][ 'body' ] );
+		$this->assertSame( [], $this->queue );
+	}
+
+	/**
+	 * Test digest mode queues uploads per reviewer and sends one email per reviewer.
+	 *
+	 * @return void
+	 */
+	public function test_digest_queues_uploads(): void {
+		$service = $this->create_service( [ 'reviewers' => 'daily' ] );
+
+		$service->notify_reviewers( 10, 9, 5 );
+		$service->notify_reviewers( 11, 9, 5 );
+
+		$this->assertSame( [], $this->mails );
+		$this->assertSame( [], $this->events );
+		$this->assertSame(
+			[
+				2 => [
+					[ 'id' => 10, 'folder' => 9, 'uploader' => 5 ],
+					[ 'id' => 11, 'folder' => 9, 'uploader' => 5 ],
+				],
+			],
+			$this->queue
+		);
+
+		$this->assertSame( 1, $service->send_digests() );
+		$this->assertSame( '[Newsroom] 2 new uploads to review', $this->mails[ 0 ][ 'subject' ] );
+		$this->assertStringContainsString( "- Photo 10\n- Photo 11", $this->mails[ 0 ][ 'body' ] );
+		$this->assertSame( [], $this->queue );
+	}
+
+	/**
+	 * Test uploads queued while a digest is being sent are kept for the next one.
+	 *
+	 * @return void
+	 */
+	public function test_digest_keeps_uploads_queued_meanwhile(): void {
+		$service = $this->create_service( [ 'reviewers' => 'daily' ] );
+
+		$service->notify_reviewers( 10, 9, 5 );
+
+		Functions\when( 'get_the_title' )->alias(
+			function ( $id ) use ( $service ) {
+				$service->notify_reviewers( 12, 9, 5 );
+				return "Photo {$id}";
+			}
+		);
+
+		$this->assertSame( 1, $service->send_digests() );
+		$this->assertSame( [ 2 => [ [ 'id' => 12, 'folder' => 9, 'uploader' => 5 ] ] ], $this->queue );
+	}
+
+	/**
+	 * Test the uploader is emailed with a custom template when their item is approved.
+	 *
+	 * @return void
+	 */
+	public function test_notify_approved_uses_template(): void {
+		$service = $this->create_service( [
+			'templates' => [
+				'approved' => [
+					'subject' => '{title} is live',
+					'body'    => '{user} approved it. {unknown}',
+				],
+			],
+		] );
+
+		$service->notify_approved( 10, 9 );
+
+		$this->assertSame( 'user5@example.com', $this->mails[ 0 ][ 'to' ] );
+		$this->assertSame( 'Photo 10 is live', $this->mails[ 0 ][ 'subject' ] );
+		$this->assertSame( 'User 2 approved it. {unknown}', $this->mails[ 0 ][ 'body' ] );
+	}
+
+	/**
+	 * Test uploaders are not emailed when uploader notifications are off.
+	 *
+	 * @return void
+	 */
+	public function test_notify_moved_respects_setting(): void {
+		$service = $this->create_service( [ 'uploaders' => false ] );
+
+		$service->notify_moved( 10, 9 );
+
+		$this->assertSame( [], $this->mails );
+	}
+}
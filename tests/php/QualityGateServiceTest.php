@@ -0,0 +1,107 @@
+<?php
+/**
+ * QualityGateService tests.
+ *
+ * @package VmfaEditorialWorkflow
+ */
+
+declare(strict_types=1);
+
+namespace VmfaEditorialWorkflow\Tests;
+
+use Brain\Monkey\Functions;
+use VmfaEditorialWorkflow\Services\QualityGateService;
+
+/**
+ * Test case for QualityGateService.
+ */
+class QualityGateServiceTest extends \VMFA_TestCase {
+
+	/**
+	 * Test items are checked against every configured rule.
+	 *
+	 * @return void
+	 */
+	public function test_evaluate_checks_configured_rules(): void {
+		Functions\when( 'get_option' )->justReturn( [
+			'alt_required'       => true,
+			'min_width'          => 1200,
+			'max_file_size'      => 5242880,
+			'allowed_mime_types' => [ 'image/*', 'application/pdf' ],
+			'filename_pattern'   => '^[a-z0-9-]+\.[a-z]+$',
+		] );
+		Functions\when( 'size_format' )->justReturn( '5 MB' );
+
+		$service = new QualityGateService();
+		$checks  = $service->evaluate( [
+			'isImage'  => true,
+			'alt'      => '',
+			'width'    => 1600,
+			'height'   => 900,
+			'fileSize' => 6291456,
+			'mimeType' => 'image/jpeg',
+			'filename' => 'team-photo.jpg',
+		] );
+
+		$this->assertSame(
+			[
+				'alt_required'       => false,
+				'min_dimensions'     => true,
+				'max_file_size'      => false,
+				'allowed_mime_types' => true,
+				'filename_pattern'   => true,
+			],
+			array_column( $checks, 'passed', 'rule' )
+		);
+		$this->assertSame( [ 'alt_required', 'max_file_size' ], array_column( $service->get_failures( $checks ), 'rule' ) );
+	}
+
+	/**
+	 * Test image-only rules are skipped for other files.
+	 *
+	 * @return void
+	 */
+	public function test_evaluate_skips_image_rules_for_documents(): void {
+		Functions\when( 'get_option' )->justReturn( [
+			'alt_required'       => true,
+			'min_height'         => 600,
+			'allowed_mime_types' => [ 'image/*' ],
+		] );
+
+		$checks = ( new QualityGateService() )->evaluate( [
+			'isImage'  => false,
+			'mimeType' => 'application/pdf',
+			'filename' => 'brochure.pdf',
+		] );
+
+		$this->assertSame( [ 'allowed_mime_types' => false ], array_column( $checks, 'passed', 'rule' ) );
+	}
+
+	/**
+	 * Test saving rejects a filename pattern that is not a valid regular expression.
+	 *
+	 * @return void
+	 */
+	public function test_set_rules_rejects_invalid_pattern(): void {
+		$saved = null;
+		Functions\when( 'get_option' )->justReturn( [] );
+		Functions\when( 'update_option' )->alias(
+			function ( $key, $value ) use ( &$saved ) {
+				$saved = [ $key, $value ];
+				return true;
+			}
+		);
+
+		$service = new QualityGateService();
+
+		$this->assertInstanceOf( \WP_Error::class, $service->set_rules( [ 'filename_pattern' => '([a-z' ] ) );
+		$this->assertNull( $saved );
+		$this->assertTrue( $service->set_rules( [
+			'min_width'          => '800',
+			'allowed_mime_types' => [ ' IMAGE/PNG ', 'not a type' ],
+		] ) );
+		$this->assertSame( QualityGateService::OPTION_RULES, $saved[ 0 ] );
+		$this->assertSame( 800, $saved[ 1 ][ 'min_width' ] );
+		$this->assertSame( [ 'image/png' ], $saved[ 1 ][ 'allowed_mime_types' ] );
+	}
+}
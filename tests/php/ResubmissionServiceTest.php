@@ -0,0 +1,109 @@
+<?php
+/**
+ * ResubmissionService tests.
+ *
+ * @package VmfaEditorialWorkflow
+ */
+
+declare(strict_types=1);
+
+namespace VmfaEditorialWorkflow\Tests;
+
+use Brain\Monkey\Functions;
+use VmfaEditorialWorkflow\Services\ResubmissionService;
+use VmfaEditorialWorkflow\WorkflowState;
+
+/**
+ * Test case for ResubmissionService.
+ */
+class ResubmissionServiceTest extends \VMFA_TestCase {
+
+	/**
+	 * Create a service with Rejected folder 6 and an optional stored resubmission.
+	 *
+	 * @param array|null $resubmission Stored resubmission.
+	 * @return ResubmissionService
+	 */
+	private function create_service( ?array $resubmission = null ): ResubmissionService {
+		$workflow_state = $this->createMock( WorkflowState::class );
+		$workflow_state->method( 'get_rejected_folder' )->willReturn( 6 );
+		$workflow_state->method( 'get_resubmission' )->willReturn( $resubmission );
+
+		return new ResubmissionService( $workflow_state );
+	}
+
+	/**
+	 * Test only the uploader can resubmit, and only returned items.
+	 *
+	 * @return void
+	 */
+	public function test_can_resubmit(): void {
+		Functions\when( 'get_current_user_id' )->justReturn( 3 );
+		Functions\when( 'get_post' )->justReturn(
+			(object) [
+				'post_type'   => 'attachment',
+				'post_author' => '3',
+			]
+		);
+		Functions\when( 'has_term' )->alias( fn( $term, $taxonomy, $post ) => 41 === $post );
+
+		$service = $this->create_service();
+
+		$this->assertTrue( $service->can_resubmit( 41 ) );
+		$this->assertFalse( $service->can_resubmit( 42 ) );
+		$this->assertFalse( $service->can_resubmit( 41, 4 ) );
+	}
+
+	/**
+	 * Test other users' items are refused before anything is uploaded.
+	 *
+	 * @return void
+	 */
+	public function test_resubmit_refuses_other_users(): void {
+		Functions\when( 'get_current_user_id' )->justReturn( 4 );
+		Functions\when( 'get_post' )->justReturn(
+			(object) [
+				'post_type'   => 'attachment',
+				'post_author' => '3',
+			]
+		);
+		Functions\expect( 'wp_handle_upload' )->never();
+
+		$result = $this->create_service()->resubmit( 41, [ 'name' => 'new.jpg' ] );
+
+		$this->assertInstanceOf( \WP_Error::class, $result );
+		$this->assertSame( 'vmfa_cannot_resubmit', $result->get_error_code() );
+	}
+
+	/**
+	 * Test clearing deletes the replaced file and its medium size.
+	 *
+	 * @return void
+	 */
+	public function test_clear_deletes_replaced_file(): void {
+		Functions\when( 'wp_get_upload_dir' )->justReturn( [ 'basedir' => '/uploads' ] );
+		Functions\when( 'path_join' )->alias( fn( $base, $path ) => $base . '/' . $path );
+		Functions\expect( 'wp_delete_file' )->once()->with( '/uploads/2026/01/photo.jpg' );
+		Functions\expect( 'wp_delete_file' )->once()->with( '/uploads/2026/01/photo-300x200.jpg' );
+		Functions\expect( 'delete_post_meta' )->once()->with( 41, WorkflowState::META_RESUBMISSION );
+
+		$this->create_service(
+			[
+				'file'      => '2026/01/photo.jpg',
+				'thumbnail' => '2026/01/photo-300x200.jpg',
+			]
+		)->clear( 41 );
+	}
+
+	/**
+	 * Test clearing an item that was never resubmitted does nothing.
+	 *
+	 * @return void
+	 */
+	public function test_clear_without_resubmission(): void {
+		Functions\expect( 'wp_delete_file' )->never();
+		Functions\expect( 'delete_post_meta' )->never();
+
+		$this->create_service()->clear( 41 );
+	}
+}
@@ -0,0 +1,931 @@
+<?php
+/**
+ * ReviewService tests.
+ *
+ * @package VmfaEditorialWorkflow
+ */
+
+declare(strict_types=1);
+
+namespace VmfaEditorialWorkflow\Tests;
+
+use Brain\Monkey\Actions;
+use Brain\Monkey\Functions;
+use VmfaEditorialWorkflow\Services\AccessChecker;
+use VmfaEditorialWorkflow\Services\AssignmentService;
+use VmfaEditorialWorkflow\Services\CommentService;
+use VmfaEditorialWorkflow\Services\DuplicateService;
+use VmfaEditorialWorkflow\Services\QualityGateService;
+use VmfaEditorialWorkflow\Services\ReviewService;
+use VmfaEditorialWorkflow\WorkflowState;
+
+/**
+ * Test case for ReviewService.
+ */
+class ReviewServiceTest extends \VMFA_TestCase {
+
+	/**
+	 * Test listing returns an empty page when the Needs Review folder is missing.
+	 *
+	 * @return void
+	 */
+	public function test_get_items_without_folder(): void {
+		$workflow_state = $this->createMock( WorkflowState::class );
+		$workflow_state->method( 'query_items_needing_review' )->willReturn( null );
+
+		$service = new ReviewService( $this->createMock( AccessChecker::class ), $workflow_state, new CommentService(), $this->createMock( QualityGateService::class ), $this->createMock( AssignmentService::class ), $this->createMock( DuplicateService::class ) );
+
+		$this->assertSame(
+			[
+				'items'      => [],
+				'total'      => 0,
+				'totalPages' => 0,
+			],
+			$service->get_items()
+		);
+	}
+
+	/**
+	 * Test filters are translated into query arguments.
+	 *
+	 * @return void
+	 */
+	public function test_get_items_applies_filters(): void {
+		$captured       = null;
+		$workflow_state = $this->createMock( WorkflowState::class );
+		$workflow_state->method( 'query_items_needing_review' )->willReturnCallback(
+			function ( $args ) use ( &$captured ) {
+				$captured = $args;
+				return null;
+			}
+		);
+
+		$service = new ReviewService( $this->createMock( AccessChecker::class ), $workflow_state, new CommentService(), $this->createMock( QualityGateService::class ), $this->createMock( AssignmentService::class ), $this->createMock( DuplicateService::class ) );
+		$service->get_items( [
+			'per_page'  => 20,
+			'page'      => 3,
+			'orderby'   => 'title',
+			'order'     => 'asc',
+			'author'    => 7,
+			'mime_type' => 'document',
+			'after'     => '2026-01-01',
+			'before'    => 'next week',
+		] );
+
+		$this->assertSame( 20, $captured[ 'posts_per_page' ] );
+		$this->assertSame( 40, $captured[ 'offset' ] );
+		$this->assertSame( 'title', $captured[ 'orderby' ] );
+		$this->assertSame( 'ASC', $captured[ 'order' ] );
+		$this->assertSame( 7, $captured[ 'author' ] );
+		$this->assertSame( [ 'application', 'text' ], $captured[ 'post_mime_type' ] );
+		$this->assertSame(
+			[
+				[
+					'after'     => '2026-01-01',
+					'inclusive' => true,
+				],
+			],
+			$captured[ 'date_query' ]
+		);
+		$this->assertArrayNotHasKey( 's', $captured );
+	}
+
+	/**
+	 * Test the queue filter covers every stage for Needs Review and only review folders otherwise.
+	 *
+	 * @return void
+	 */
+	public function test_get_items_filters_by_queue(): void {
+		$captured       = null;
+		$workflow_state = $this->createMock( WorkflowState::class );
+		$workflow_state->method( 'get_needs_review_folder' )->willReturn( 5 );
+		$workflow_state->method( 'get_stage_folders' )->willReturn( [ 5, 8 ] );
+		$workflow_state->method( 'get_review_folders' )->willReturn( [ 5, 8, 12 ] );
+		$workflow_state->method( 'query_items_needing_review' )->willReturnCallback(
+			function ( $args ) use ( &$captured ) {
+				$captured = $args;
+				return null;
+			}
+		);
+
+		$service = new ReviewService( $this->createMock( AccessChecker::class ), $workflow_state, new CommentService(), $this->createMock( QualityGateService::class ), $this->createMock( AssignmentService::class ), $this->createMock( DuplicateService::class ) );
+
+		$service->get_items( [ 'folder' => 5 ] );
+		$this->assertSame( [ 5, 8 ], $captured[ 'tax_query' ][ 0 ][ 'terms' ] );
+
+		$service->get_items( [ 'folder' => 12 ] );
+		$this->assertSame( [ 12 ], $captured[ 'tax_query' ][ 0 ][ 'terms' ] );
+
+		$service->get_items( [ 'folder' => 30 ] );
+		$this->assertSame( [ 0 ], $captured[ 'tax_query' ][ 0 ][ 'terms' ] );
+	}
+
+	/**
+	 * Test queues list Needs Review first, then the inbox folders the user can view.
+	 *
+	 * @return void
+	 */
+	public function test_get_queues(): void {
+		Functions\when( 'get_term' )->alias(
+			function ( $id ) {
+				$term          = new \WP_Term();
+				$term->term_id = $id;
+				$term->name    = 'Folder ' . $id;
+				return $term;
+			}
+		);
+
+		$counted        = [];
+		$workflow_state = $this->createMock( WorkflowState::class );
+		$workflow_state->method( 'get_needs_review_folder' )->willReturn( 5 );
+		$workflow_state->method( 'get_stage_folders' )->willReturn( [ 5 ] );
+		$workflow_state->method( 'get_review_folders' )->willReturn( [ 5, 12, 13 ] );
+		$workflow_state->method( 'query_items_needing_review' )->willReturnCallback(
+			function ( $args ) use ( &$counted ) {
+				$counted[] = $args[ 'tax_query' ][ 0 ][ 'terms' ];
+				return null;
+			}
+		);
+
+		$access_checker = $this->createMock( AccessChecker::class );
+		$access_checker->method( 'can_view_folder' )->willReturnCallback( fn( $id ) => 13 !== $id );
+
+		$service = new ReviewService( $access_checker, $workflow_state, new CommentService(), $this->createMock( QualityGateService::class ), $this->createMock( AssignmentService::class ), $this->createMock( DuplicateService::class ) );
+
+		$this->assertSame(
+			[
+				[
+					'id'    => 5,
+					'name'  => 'Folder 5',
+					'count' => 0,
+				],
+				[
+					'id'    => 12,
+					'name'  => 'Folder 12',
+					'count' => 0,
+				],
+			],
+			$service->get_queues()
+		);
+		$this->assertSame( [ [ 5 ], [ 12 ] ], $counted );
+	}
+
+	/**
+	 * Test selecting all matching items queries every page with the same filters.
+	 *
+	 * @return void
+	 */
+	public function test_get_item_ids_ignores_pagination(): void {
+		$captured       = null;
+		$workflow_state = $this->createMock( WorkflowState::class );
+		$workflow_state->method( 'query_items_needing_review' )->willReturnCallback(
+			function ( $args ) use ( &$captured ) {
+				$captured = $args;
+				return null;
+			}
+		);
+
+		$service = new ReviewService( $this->createMock( AccessChecker::class ), $workflow_state, new CommentService(), $this->createMock( QualityGateService::class ), $this->createMock( AssignmentService::class ), $this->createMock( DuplicateService::class ) );
+		$ids     = $service->get_item_ids( [
+			'per_page' => 20,
+			'page'     => 3,
+			'orderby'  => 'title',
+			'author'   => 7,
+			'search'   => 'sunset',
+		] );
+
+		$this->assertSame( [], $ids );
+		$this->assertSame( -1, $captured[ 'posts_per_page' ] );
+		$this->assertArrayNotHasKey( 'offset', $captured );
+		$this->assertSame( 'title', $captured[ 'orderby' ] );
+		$this->assertSame( 7, $captured[ 'author' ] );
+		$this->assertSame( 'sunset', $captured[ 's' ] );
+	}
+
+	/**
+	 * Test heartbeat updates look for items uploaded since the previous check.
+	 *
+	 * @return void
+	 */
+	public function test_get_updates_queries_new_items(): void {
+		$captured = null;
+		Functions\when( 'current_time' )->justReturn( '2026-01-01 10:00:15' );
+
+		$workflow_state = $this->createMock( WorkflowState::class );
+		$workflow_state->method( 'query_items_needing_review' )->willReturnCallback(
+			function ( $args ) use ( &$captured ) {
+				$captured = $args;
+				return null;
+			}
+		);
+		$workflow_state->expects( $this->once() )->method( 'get_review_count' )->with( true )->willReturn( 4 );
+
+		$service = new ReviewService( $this->createMock( AccessChecker::class ), $workflow_state, new CommentService(), $this->createMock( QualityGateService::class ), $this->createMock( AssignmentService::class ), $this->createMock( DuplicateService::class ) );
+		$result  = $service->get_updates( [], '2026-01-01 10:00:00', [ 'author' => 7 ] );
+
+		$this->assertSame( 7, $captured[ 'author' ] );
+		$this->assertSame(
+			[
+				[
+					'column'    => 'post_date_gmt',
+					'after'     => '2026-01-01 10:00:00',
+					'inclusive' => true,
+				],
+			],
+			$captured[ 'date_query' ]
+		);
+		$this->assertSame(
+			[
+				'count'   => 4,
+				'queues'  => [],
+				'removed' => [],
+				'items'   => [],
+				'time'    => '2026-01-01 10:00:15',
+			],
+			$result
+		);
+	}
+
+	/**
+	 * Test approving is refused without permission for the Approved folder.
+	 *
+	 * @return void
+	 */
+	public function test_approve_requires_folder_permission(): void {
+		$access_checker = $this->createMock( AccessChecker::class );
+		$access_checker->method( 'can_move_to_folder' )->willReturn( false );
+
+		$workflow_state = $this->createMock( WorkflowState::class );
+		$workflow_state->method( 'get_approved_folder' )->willReturn( 20 );
+		$workflow_state->expects( $this->never() )->method( 'mark_approved' );
+
+		$service = new ReviewService( $access_checker, $workflow_state, new CommentService(), $this->createMock( QualityGateService::class ), $this->createMock( AssignmentService::class ), $this->createMock( DuplicateService::class ) );
+		$result  = $service->approve( [ 10 ] );
+
+		$this->assertInstanceOf( \WP_Error::class, $result );
+		$this->assertEquals( 'vmfa_permission_denied', $result->get_error_code() );
+	}
+
+	/**
+	 * Test approving reports succeeded and failed items.
+	 *
+	 * @return void
+	 */
+	public function test_approve_reports_results(): void {
+		Functions\when( 'get_post_type' )->alias( fn( $id ) => 12 === $id ? 'post' : 'attachment' );
+		Functions\when( 'wp_get_object_terms' )->justReturn( [ 5 ] );
+
+		$access_checker = $this->createMock( AccessChecker::class );
+		$access_checker->method( 'can_move_to_folder' )->willReturn( true );
+
+		$workflow_state = $this->createMock( WorkflowState::class );
+		$workflow_state->method( 'get_approved_folder' )->willReturn( 20 );
+		$workflow_state->method( 'get_review_folders' )->willReturn( [ 5 ] );
+		$workflow_state->method( 'mark_approved' )->willReturnCallback( fn( $id ) => 10 === $id );
+		$workflow_state->expects( $this->once() )->method( 'invalidate_review_count_cache' );
+
+		$service = new ReviewService( $access_checker, $workflow_state, new CommentService(), $this->createMock( QualityGateService::class ), $this->createMock( AssignmentService::class ), $this->createMock( DuplicateService::class ) );
+		$result  = $service->approve( [ 10, 11, 12, 10 ] );
+
+		$this->assertSame( [ 10 ], $result[ 'success' ] );
+		$this->assertSame( [ 11, 12 ], $result[ 'failed' ] );
+		$this->assertEquals( '1 items approved.', $result[ 'message' ] );
+	}
+
+	/**
+	 * Test approving with a release time in the past is refused.
+	 *
+	 * @return void
+	 */
+	public function test_approve_rejects_past_release_time(): void {
+		$access_checker = $this->createMock( AccessChecker::class );
+		$access_checker->method( 'can_move_to_folder' )->willReturn( true );
+
+		$workflow_state = $this->createMock( WorkflowState::class );
+		$workflow_state->method( 'get_approved_folder' )->willReturn( 20 );
+		$workflow_state->method( 'get_scheduled_folder' )->willReturn( 30 );
+		$workflow_state->expects( $this->never() )->method( 'mark_approved' );
+
+		$service = new ReviewService( $access_checker, $workflow_state, new CommentService(), $this->createMock( QualityGateService::class ), $this->createMock( AssignmentService::class ), $this->createMock( DuplicateService::class ) );
+		$result  = $service->approve( [ 10 ], false, time() - 60 );
+
+		$this->assertInstanceOf( \WP_Error::class, $result );
+		$this->assertEquals( 'vmfa_invalid_release', $result->get_error_code() );
+	}
+
+	/**
+	 * Test changing the release time only applies to scheduled items.
+	 *
+	 * @return void
+	 */
+	public function test_reschedule_changes_scheduled_items_only(): void {
+		$release_at = time() + 3600;
+		Functions\when( 'get_post_type' )->justReturn( 'attachment' );
+		Functions\when( 'wp_date' )->justReturn( 'November 2, 2026 9:00 am' );
+
+		$access_checker = $this->createMock( AccessChecker::class );
+		$access_checker->method( 'can_move_to_folder' )->willReturn( true );
+
+		$workflow_state = $this->createMock( WorkflowState::class );
+		$workflow_state->method( 'get_approved_folder' )->willReturn( 20 );
+		$workflow_state->method( 'is_scheduled' )->willReturnCallback( fn( $id ) => 10 === $id );
+		$workflow_state->expects( $this->once() )->method( 'schedule_release' )->with( 10, $release_at )->willReturn( true );
+
+		$service = new ReviewService( $access_checker, $workflow_state, new CommentService(), $this->createMock( QualityGateService::class ), $this->createMock( AssignmentService::class ), $this->createMock( DuplicateService::class ) );
+		$result  = $service->reschedule( [ 10, 11 ], $release_at );
+
+		$this->assertSame( [ 10 ], $result[ 'success' ] );
+		$this->assertSame( [ 11 ], $result[ 'failed' ] );
+		$this->assertEquals( '1 items will be released on November 2, 2026 9:00 am.', $result[ 'message' ] );
+	}
+
+	/**
+	 * Test approving refuses items outside the review folders, and scheduled
+	 * items in particular, which would otherwise be released early.
+	 *
+	 * @return void
+	 */
+	public function test_approve_refuses_items_outside_review(): void {
+		Functions\when( 'get_post_type' )->justReturn( 'attachment' );
+		Functions\when( 'wp_get_object_terms' )->alias(
+			fn( $id ) => [
+				10 => [ 5 ],
+				11 => [ 30 ],
+				12 => [ 40 ],
+				13 => [ 5, 30 ],
+			][ $id ]
+		);
+
+		$access_checker = $this->createMock( AccessChecker::class );
+		$access_checker->method( 'can_move_to_folder' )->willReturn( true );
+
+		$workflow_state = $this->createMock( WorkflowState::class );
+		$workflow_state->method( 'get_approved_folder' )->willReturn( 20 );
+		$workflow_state->method( 'get_scheduled_folder' )->willReturn( 30 );
+		$workflow_state->method( 'get_review_folders' )->willReturn( [ 5 ] );
+		$workflow_state->expects( $this->once() )->method( 'mark_approved' )->with( 10 )->willReturn( true );
+
+		$service = new ReviewService( $access_checker, $workflow_state, new CommentService(), $this->createMock( QualityGateService::class ), $this->createMock( AssignmentService::class ), $this->createMock( DuplicateService::class ) );
+		$result  = $service->approve( [ 10, 11, 12, 13 ] );
+
+		$this->assertSame( [ 10 ], $result[ 'success' ] );
+		$this->assertSame( [ 11, 12, 13 ], $result[ 'failed' ] );
+	}
+
+	/**
+	 * Test cancelling a release is refused without permission for the Approved folder.
+	 *
+	 * @return void
+	 */
+	public function test_cancel_release_requires_folder_permission(): void {
+		$access_checker = $this->createMock( AccessChecker::class );
+		$access_checker->method( 'can_move_to_folder' )->willReturn( false );
+
+		$workflow_state = $this->createMock( WorkflowState::class );
+		$workflow_state->method( 'get_needs_review_folder' )->willReturn( 5 );
+		$workflow_state->method( 'get_approved_folder' )->willReturn( 20 );
+		$workflow_state->method( 'is_stage_reviewer' )->willReturn( false );
+		$workflow_state->expects( $this->never() )->method( 'cancel_release' );
+
+		$service = new ReviewService( $access_checker, $workflow_state, new CommentService(), $this->createMock( QualityGateService::class ), $this->createMock( AssignmentService::class ), $this->createMock( DuplicateService::class ) );
+		$result  = $service->cancel_release( [ 10 ] );
+
+		$this->assertInstanceOf( \WP_Error::class, $result );
+		$this->assertEquals( 'vmfa_permission_denied', $result->get_error_code() );
+	}
+
+	/**
+	 * Test approving skips items that fail the quality checks unless an administrator overrides them.
+	 *
+	 * @return void
+	 */
+	public function test_approve_enforces_quality_checks(): void {
+		$is_admin = false;
+		Functions\when( 'get_post_type' )->justReturn( 'attachment' );
+		Functions\when( 'wp_get_object_terms' )->justReturn( [ 5 ] );
+		Functions\when( 'current_user_can' )->alias(
+			function () use ( &$is_admin ) {
+				return $is_admin;
+			}
+		);
+
+		$access_checker = $this->createMock( AccessChecker::class );
+		$access_checker->method( 'can_move_to_folder' )->willReturn( true );
+
+		$workflow_state = $this->createMock( WorkflowState::class );
+		$workflow_state->method( 'get_approved_folder' )->willReturn( 20 );
+		$workflow_state->method( 'get_review_folders' )->willReturn( [ 5 ] );
+		$workflow_state->method( 'mark_approved' )->willReturn( true );
+
+		$quality_gates = $this->createMock( QualityGateService::class );
+		$quality_gates->method( 'has_rules' )->willReturn( true );
+		$quality_gates->method( 'get_failures' )->willReturnCallback(
+			fn( $checks ) => array_values( array_filter( $checks, fn( $check ) => ! $check[ 'passed' ] ) )
+		);
+
+		$service = $this->getMockBuilder( ReviewService::class )
+			->setConstructorArgs( [ $access_checker, $workflow_state, new CommentService(), $quality_gates, $this->createMock( AssignmentService::class ), $this->createMock( DuplicateService::class ) ] )
+			->onlyMethods( [ 'prepare_item' ] )
+			->getMock();
+		$service->method( 'prepare_item' )->willReturnCallback(
+			fn( $id ) => [
+				'id'     => $id,
+				'checks' => [
+					[
+						'rule'   => 'alt_required',
+						'passed' => 10 === $id,
+					],
+				],
+			]
+		);
+
+		$result = $service->approve( [ 10, 11 ] );
+
+		$this->assertSame( [ 10 ], $result[ 'success' ] );
+		$this->assertSame( [ 11 ], $result[ 'failed' ] );
+		$this->assertSame( [ 11 => [ 'alt_required' ] ], $result[ 'blocked' ] );
+		$this->assertEquals( '1 items approved. 1 items did not pass the quality checks.', $result[ 'message' ] );
+
+		$this->assertEquals( 'vmfa_permission_denied', $service->approve( [ 11 ], true )->get_error_code() );
+
+		$is_admin = true;
+		Actions\expectDone( 'vmfa_quality_checks_overridden' )->once()->with( 11, [ 'alt_required' ] );
+
+		$result = $service->approve( [ 10, 11 ], true );
+
+		$this->assertSame( [ 10, 11 ], $result[ 'success' ] );
+		$this->assertSame( [], $result[ 'blocked' ] );
+	}
+
+	/**
+	 * Test approving records the previous folders for undo.
+	 *
+	 * @return void
+	 */
+	public function test_approve_records_undo(): void {
+		$stored  = null;
+		$folders = [ 5 ];
+		Functions\when( 'get_current_user_id' )->justReturn( 1 );
+		Functions\when( 'get_post_type' )->justReturn( 'attachment' );
+		Functions\when( 'wp_get_object_terms' )->alias(
+			function () use ( &$folders ) {
+				return $folders;
+			}
+		);
+		Functions\when( 'wp_generate_uuid4' )->justReturn( 'token-1' );
+		Functions\expect( 'set_transient' )
+			->once()
+			->andReturnUsing(
+				function ( $key, $value, $expiration ) use ( &$stored ) {
+					$stored = compact( 'key', 'value', 'expiration' );
+					return true;
+				}
+			);
+
+		$access_checker = $this->createMock( AccessChecker::class );
+		$access_checker->method( 'can_move_to_folder' )->willReturn( true );
+
+		$workflow_state = $this->createMock( WorkflowState::class );
+		$workflow_state->method( 'get_approved_folder' )->willReturn( 20 );
+		$workflow_state->method( 'get_scheduled_folder' )->willReturn( 30 );
+		$workflow_state->method( 'get_review_folders' )->willReturn( [ 5 ] );
+		$workflow_state->method( 'get_undo_window' )->willReturn( 10 );
+		$workflow_state->method( 'mark_approved' )->willReturnCallback( fn( $id ) => 10 === $id );
+
+		$service = new ReviewService( $access_checker, $workflow_state, new CommentService(), $this->createMock( QualityGateService::class ), $this->createMock( AssignmentService::class ), $this->createMock( DuplicateService::class ) );
+		$result  = $service->approve( [ 10, 11 ] );
+
+		$this->assertSame(
+			[
+				'token'  => 'token-1',
+				'window' => 10,
+			],
+			$result[ 'undo' ]
+		);
+		$this->assertSame( 'vmfa_undo_token-1', $stored[ 'key' ] );
+		$this->assertSame( [ 10 => [ 5 ] ], $stored[ 'value' ][ 'items' ] );
+		$this->assertSame( 20, $stored[ 'value' ][ 'folder' ] );
+		$this->assertSame( 10 + ReviewService::UNDO_GRACE, $stored[ 'expiration' ] );
+
+		// The item is now in the Approved folder, so undo restores it.
+		$folders = [ 20 ];
+		Functions\when( 'get_transient' )->alias( fn() => $stored[ 'value' ] );
+		Functions\when( 'delete_transient' )->justReturn( true );
+		Functions\when( 'wp_set_object_terms' )->alias( fn( $id, $terms ) => $terms );
+
+		$this->assertSame( [ 10 ], $service->undo( 'token-1' )[ 'success' ] );
+	}
+
+	/**
+	 * Test approving sends items to the next stage until the last stage approves them.
+	 *
+	 * @return void
+	 */
+	public function test_approve_advances_through_stages(): void {
+		$stored = null;
+		Functions\when( 'get_post_type' )->justReturn( 'attachment' );
+		Functions\when( 'wp_get_object_terms' )->justReturn( [ 5 ] );
+		Functions\when( 'wp_generate_uuid4' )->justReturn( 'token-1' );
+		Functions\when( 'set_transient' )->alias(
+			function ( $key, $value ) use ( &$stored ) {
+				$stored = $value;
+				return true;
+			}
+		);
+
+		$stages = [
+			10 => [ 'key' => 'needs-review', 'roles' => [], 'folder' => 5 ],
+			11 => [ 'key' => 'legal', 'roles' => [ 'legal_reviewer' ], 'folder' => 6 ],
+			12 => [ 'key' => 'brand', 'roles' => [ 'brand_manager' ], 'folder' => 7 ],
+		];
+
+		$access_checker = $this->createMock( AccessChecker::class );
+		$access_checker->method( 'can_move_to_folder' )->willReturn( true );
+
+		$workflow_state = $this->createMock( WorkflowState::class );
+		$workflow_state->method( 'get_approved_folder' )->willReturn( 20 );
+		$workflow_state->method( 'get_review_folders' )->willReturn( [ 5 ] );
+		$workflow_state->method( 'get_undo_window' )->willReturn( 10 );
+		$workflow_state->method( 'get_item_stage' )->willReturnCallback( fn( $id ) => $stages[ $id ] );
+		$workflow_state->method( 'can_review_stage' )->willReturnCallback( fn( $stage ) => 'brand' !== $stage[ 'key' ] );
+		$workflow_state->method( 'get_next_stage' )->willReturnCallback(
+			fn( $key ) => 'needs-review' === $key ? $stages[ 11 ] : null
+		);
+		$workflow_state->expects( $this->once() )->method( 'mark_stage' )->with( 10, $stages[ 11 ] )->willReturn( true );
+		$workflow_state->expects( $this->once() )->method( 'mark_approved' )->with( 11 )->willReturn( true );
+
+		$service = new ReviewService( $access_checker, $workflow_state, new CommentService(), $this->createMock( QualityGateService::class ), $this->createMock( AssignmentService::class ), $this->createMock( DuplicateService::class ) );
+		$result  = $service->approve( [ 10, 11, 12 ] );
+
+		$this->assertSame( [ 10, 11 ], $result[ 'success' ] );
+		$this->assertSame( [ 12 ], $result[ 'failed' ] );
+		$this->assertSame( [ 10 => 'legal' ], $result[ 'advanced' ] );
+		$this->assertEquals( '1 items approved. 1 items sent to the next stage.', $result[ 'message' ] );
+		$this->assertSame( [ 10 => 6 ], $stored[ 'folders' ] );
+	}
+
+	/**
+	 * Test items needing more approvals stay in review and a second approval by the same reviewer fails.
+	 *
+	 * @return void
+	 */
+	public function test_approve_waits_for_required_approvals(): void {
+		$voted = [ 11 ];
+		Functions\when( 'get_post_type' )->justReturn( 'attachment' );
+		Functions\when( 'wp_get_object_terms' )->justReturn( [ 5 ] );
+
+		$access_checker = $this->createMock( AccessChecker::class );
+		$access_checker->method( 'can_move_to_folder' )->willReturn( true );
+
+		$workflow_state = $this->createMock( WorkflowState::class );
+		$workflow_state->method( 'get_approved_folder' )->willReturn( 20 );
+		$workflow_state->method( 'get_review_folders' )->willReturn( [ 5 ] );
+		$workflow_state->method( 'get_approvals_required' )->willReturn( 2 );
+		$workflow_state->method( 'get_approvals' )->willReturn( [ [ 'user_id' => 1 ] ] );
+		$workflow_state->method( 'has_approved' )->willReturnCallback(
+			function ( $id ) use ( &$voted ) {
+				return in_array( $id, $voted, true );
+			}
+		);
+		$workflow_state->method( 'mark_approved' )->willReturnCallback(
+			function ( $id ) use ( &$voted ) {
+				$voted[] = $id;
+				return 12 === $id;
+			}
+		);
+
+		$service = new ReviewService( $access_checker, $workflow_state, new CommentService(), $this->createMock( QualityGateService::class ), $this->createMock( AssignmentService::class ), $this->createMock( DuplicateService::class ) );
+		$result  = $service->approve( [ 10, 11, 12 ] );
+
+		$this->assertSame( [ 10, 12 ], $result[ 'success' ] );
+		$this->assertSame( [ 11 ], $result[ 'failed' ] );
+		$this->assertSame( [ 10 => 1 ], $result[ 'pending' ] );
+		$this->assertEquals( '1 items approved. 1 items need more approvals (2 required).', $result[ 'message' ] );
+	}
+
+	/**
+	 * Test undo is not offered when the undo window is disabled.
+	 *
+	 * @return void
+	 */
+	public function test_assign_without_undo_window(): void {
+		Functions\when( 'get_post_type' )->justReturn( 'attachment' );
+		Functions\when( 'wp_get_object_terms' )->justReturn( [ 5 ] );
+		Functions\when( 'wp_set_object_terms' )->justReturn( [ 30 ] );
+		Functions\expect( 'set_transient' )->never();
+
+		$access_checker = $this->createMock( AccessChecker::class );
+		$access_checker->method( 'can_move_to_folder' )->willReturn( true );
+
+		$workflow_state = $this->createMock( WorkflowState::class );
+		$workflow_state->method( 'get_undo_window' )->willReturn( 0 );
+
+		$service = new ReviewService( $access_checker, $workflow_state, new CommentService(), $this->createMock( QualityGateService::class ), $this->createMock( AssignmentService::class ), $this->createMock( DuplicateService::class ) );
+		$result  = $service->assign( [ 10 ], 30 );
+
+		$this->assertSame( [ 10 ], $result[ 'success' ] );
+		$this->assertArrayNotHasKey( 'undo', $result );
+	}
+
+	/**
+	 * Test undo restores previous folders, skipping items moved since.
+	 *
+	 * @return void
+	 */
+	public function test_undo_restores_previous_folders(): void {
+		$restored = [];
+		Functions\when( 'get_current_user_id' )->justReturn( 1 );
+		Functions\when( 'get_post_type' )->justReturn( 'attachment' );
+		Functions\when( 'get_transient' )->justReturn( [
+			'user_id' => 1,
+			'action'  => 'assign',
+			'folder'  => 30,
+			'items'   => [
+				10 => [ 5 ],
+				11 => [ 5 ],
+			],
+			'expires' => time() + 10,
+		] );
+		Functions\when( 'wp_get_object_terms' )->alias( fn( $id ) => 10 === $id ? [ 30 ] : [ 40 ] );
+		Functions\when( 'wp_set_object_terms' )->alias(
+			function ( $id, $folders ) use ( &$restored ) {
+				$restored[ $id ] = $folders;
+				return $folders;
+			}
+		);
+		Functions\expect( 'delete_transient' )->once()->with( 'vmfa_undo_token-1' );
+		Actions\expectDone( 'vmfa_review_undone' )->once()->with( 10, [ 5 ], 'assign' );
+
+		$service = new ReviewService(
+			$this->createMock( AccessChecker::class ),
+			$this->createMock( WorkflowState::class ),
+			new CommentService(),
+			$this->createMock( QualityGateService::class ),
+			$this->createMock( AssignmentService::class ),
+			$this->createMock( DuplicateService::class )
+		);
+		$result  = $service->undo( 'token-1' );
+
+		$this->assertSame( [ 10 ], $result[ 'success' ] );
+		$this->assertSame( [ 11 ], $result[ 'failed' ] );
+		$this->assertSame( [ 10 => [ 5 ] ], $restored );
+	}
+
+	/**
+	 * Test undo fails once the record has expired or belongs to someone else.
+	 *
+	 * @return void
+	 */
+	public function test_undo_rejects_expired_and_foreign_records(): void {
+		$record = [
+			'user_id' => 1,
+			'action'  => 'approve',
+			'folder'  => 20,
+			'items'   => [ 10 => [ 5 ] ],
+			'expires' => time() - ReviewService::UNDO_GRACE - 1,
+		];
+		Functions\when( 'get_current_user_id' )->justReturn( 1 );
+		Functions\when( 'get_transient' )->alias(
+			function () use ( &$record ) {
+				return $record;
+			}
+		);
+
+		$service = new ReviewService(
+			$this->createMock( AccessChecker::class ),
+			$this->createMock( WorkflowState::class ),
+			new CommentService(),
+			$this->createMock( QualityGateService::class ),
+			$this->createMock( AssignmentService::class ),
+			$this->createMock( DuplicateService::class )
+		);
+
+		$this->assertEquals( 'vmfa_undo_expired', $service->undo( 'token-1' )->get_error_code() );
+
+		$record[ 'expires' ] = time() + 10;
+		$record[ 'user_id' ] = 2;
+
+		$this->assertEquals( 'vmfa_permission_denied', $service->undo( 'token-1' )->get_error_code() );
+	}
+
+	/**
+	 * Test EXIF data skips the empty values WordPress stores as 0.
+	 *
+	 * @return void
+	 */
+	public function test_get_exif_skips_empty_values(): void {
+		$service = new ReviewService(
+			$this->createMock( AccessChecker::class ),
+			$this->createMock( WorkflowState::class ),
+			new CommentService(),
+			$this->createMock( QualityGateService::class ),
+			$this->createMock( AssignmentService::class ),
+			$this->createMock( DuplicateService::class )
+		);
+
+		$exif = $service->get_exif( [
+			'image_meta' => [
+				'camera'        => 'X100V',
+				'aperture'      => '2.8',
+				'shutter_speed' => '0',
+				'iso'           => 0,
+				'title'         => 'Sunset',
+			],
+		] );
+
+		$this->assertSame(
+			[
+				'camera'   => 'X100V',
+				'aperture' => '2.8',
+			],
+			$exif
+		);
+		$this->assertSame( [], $service->get_exif( [] ) );
+	}
+
+	/**
+	 * Test rejecting requires a reason.
+	 *
+	 * @return void
+	 */
+	public function test_reject_requires_reason(): void {
+		Functions\when( 'sanitize_textarea_field' )->alias( fn( $text ) => strip_tags( $text ) );
+
+		$workflow_state = $this->createMock( WorkflowState::class );
+		$workflow_state->expects( $this->never() )->method( 'mark_rejected' );
+
+		$service = new ReviewService( $this->createMock( AccessChecker::class ), $workflow_state, new CommentService(), $this->createMock( QualityGateService::class ), $this->createMock( AssignmentService::class ), $this->createMock( DuplicateService::class ) );
+		$result  = $service->reject( [ 10 ], '  ' );
+
+		$this->assertInstanceOf( \WP_Error::class, $result );
+		$this->assertEquals( 'vmfa_reason_required', $result->get_error_code() );
+	}
+
+	/**
+	 * Test the layout is remembered per user and falls back to the grid.
+	 *
+	 * @return void
+	 */
+	public function test_view_is_stored_per_user(): void {
+		$meta = [];
+		Functions\when( 'get_current_user_id' )->justReturn( 5 );
+		Functions\when( 'get_user_meta' )->alias(
+			function ( $user_id, $key ) use ( &$meta ) {
+				return $meta[ $user_id ][ $key ] ?? '';
+			}
+		);
+		Functions\when( 'update_user_meta' )->alias(
+			function ( $user_id, $key, $value ) use ( &$meta ) {
+				$meta[ $user_id ][ $key ] = $value;
+				return true;
+			}
+		);
+
+		$service = new ReviewService( $this->createMock( AccessChecker::class ), $this->createMock( WorkflowState::class ), new CommentService(), $this->createMock( QualityGateService::class ), $this->createMock( AssignmentService::class ), $this->createMock( DuplicateService::class ) );
+
+		$this->assertSame( 'grid', $service->get_view() );
+		$this->assertFalse( $service->set_view( 'mosaic' ) );
+		$this->assertTrue( $service->set_view( 'table' ) );
+		$this->assertSame( 'table', $service->get_view() );
+		$this->assertSame( [ 5 => [ ReviewService::META_VIEW => 'table' ] ], $meta );
+	}
+
+	/**
+	 * Create a service for sending back items 10 to 13, all approved to
+	 * folder 20: 10 and 11 recently, 12 long ago and 13 with no decision.
+	 * Item 11 has since been moved on to folder 21, and the user cannot
+	 * view folder 22.
+	 *
+	 * @param bool       $can_move_to_review Whether the user can move items to Needs Review.
+	 * @param array<int> $folders            Folders of item 10.
+	 * @return ReviewService
+	 */
+	private function create_send_back_service( bool $can_move_to_review = true, array $folders = [ 20 ] ): ReviewService {
+		Functions\when( 'get_post_type' )->justReturn( 'attachment' );
+		Functions\when( 'wp_get_object_terms' )->alias( fn( $id ) => 11 === $id ? [ 21 ] : $folders );
+
+		$access_checker = $this->createMock( AccessChecker::class );
+		$access_checker->method( 'can_move_to_folder' )->willReturnCallback( fn( $folder_id ) => 5 !== $folder_id || $can_move_to_review );
+		$access_checker->method( 'can_view_folder' )->willReturnCallback( fn( $folder_id ) => 22 !== $folder_id );
+
+		$workflow_state = $this->createMock( WorkflowState::class );
+		$workflow_state->method( 'get_needs_review_folder' )->willReturn( 5 );
+		$workflow_state->method( 'get_recent_days' )->willReturn( 7 );
+		$workflow_state->method( 'get_decision' )->willReturnCallback(
+			fn( $id ) => 13 === $id ? null : [
+				'action'  => 'approved',
+				'folder'  => 20,
+				'user_id' => 3,
+				'date'    => '2026-01-01 10:00:00',
+			]
+		);
+		$workflow_state->method( 'get_decided_at' )->willReturnCallback(
+			fn( $id ) => 12 === $id ? time() - 30 * DAY_IN_SECONDS : time() - 3600
+		);
+		$workflow_state->method( 'mark_needs_review' )->willReturn( true );
+
+		return new ReviewService( $access_checker, $workflow_state, new CommentService(), $this->createMock( QualityGateService::class ), $this->createMock( AssignmentService::class ), $this->createMock( DuplicateService::class ) );
+	}
+
+	/**
+	 * Test sending back only reopens items that were approved or moved.
+	 *
+	 * @return void
+	 */
+	public function test_send_back_reopens_decided_items(): void {
+		$service = $this->create_send_back_service();
+
+		Actions\expectDone( 'vmfa_sent_back' )->once()->with(
+			10,
+			[
+				'action'  => 'approved',
+				'folder'  => 20,
+				'user_id' => 3,
+				'date'    => '2026-01-01 10:00:00',
+			]
+		);
+
+		$result = $service->send_back( [ 10, 13 ] );
+
+		$this->assertSame( [ 10 ], $result[ 'success' ] );
+		$this->assertSame( [ 13 ], $result[ 'failed' ] );
+		$this->assertEquals( '1 items sent back to review.', $result[ 'message' ] );
+	}
+
+	/**
+	 * Test sending back is refused without permission for the Needs Review folder.
+	 *
+	 * @return void
+	 */
+	public function test_send_back_requires_needs_review_permission(): void {
+		Actions\expectDone( 'vmfa_sent_back' )->never();
+
+		$result = $this->create_send_back_service( false )->send_back( [ 10 ] );
+
+		$this->assertInstanceOf( \WP_Error::class, $result );
+		$this->assertEquals( 'vmfa_permission_denied', $result->get_error_code() );
+	}
+
+	/**
+	 * Test sending back skips items in a folder the user cannot view.
+	 *
+	 * @return void
+	 */
+	public function test_send_back_requires_viewing_the_current_folder(): void {
+		Actions\expectDone( 'vmfa_sent_back' )->never();
+
+		$result = $this->create_send_back_service( true, [ 20, 22 ] )->send_back( [ 10 ] );
+
+		$this->assertSame( [], $result[ 'success' ] );
+		$this->assertSame( [ 10 ], $result[ 'failed' ] );
+	}
+
+	/**
+	 * Test sending back skips items no longer in the folder the decision put them in.
+	 *
+	 * @return void
+	 */
+	public function test_send_back_skips_items_moved_since(): void {
+		Actions\expectDone( 'vmfa_sent_back' )->never();
+
+		$result = $this->create_send_back_service()->send_back( [ 11 ] );
+
+		$this->assertSame( [], $result[ 'success' ] );
+		$this->assertSame( [ 11 ], $result[ 'failed' ] );
+	}
+
+	/**
+	 * Test sending back skips decisions older than the recent days.
+	 *
+	 * @return void
+	 */
+	public function test_send_back_skips_old_decisions(): void {
+		Actions\expectDone( 'vmfa_sent_back' )->never();
+
+		$result = $this->create_send_back_service()->send_back( [ 12 ] );
+
+		$this->assertSame( [], $result[ 'success' ] );
+		$this->assertSame( [ 12 ], $result[ 'failed' ] );
+	}
+
+	/**
+	 * Test the history tabs only list approved and moved items.
+	 *
+	 * @return void
+	 */
+	public function test_get_recent_items_rejects_unknown_action(): void {
+		$workflow_state = $this->createMock( WorkflowState::class );
+		$workflow_state->method( 'get_approved_folder' )->willReturn( 20 );
+
+		$service = new ReviewService( $this->createMock( AccessChecker::class ), $workflow_state, new CommentService(), $this->createMock( QualityGateService::class ), $this->createMock( AssignmentService::class ), $this->createMock( DuplicateService::class ) );
+
+		$this->assertSame(
+			[
+				'items'      => [],
+				'total'      => 0,
+				'totalPages' => 0,
+			],
+			$service->get_recent_items( 'rejected' )
+		);
+	}
+}
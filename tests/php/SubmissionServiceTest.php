@@ -0,0 +1,128 @@
+<?php
+/**
+ * SubmissionService tests.
+ *
+ * @package VmfaEditorialWorkflow
+ */
+
+declare(strict_types=1);
+
+namespace VmfaEditorialWorkflow\Tests;
+
+use Brain\Monkey\Functions;
+use VmfaEditorialWorkflow\Services\AssignmentService;
+use VmfaEditorialWorkflow\Services\CommentService;
+use VmfaEditorialWorkflow\Services\HistoryService;
+use VmfaEditorialWorkflow\Services\InboxService;
+use VmfaEditorialWorkflow\Services\SubmissionService;
+use VmfaEditorialWorkflow\WorkflowState;
+
+/**
+ * Test case for SubmissionService.
+ */
+class SubmissionServiceTest extends \VMFA_TestCase {
+
+	/**
+	 * Create a service with stage folders 4 and 7, inbox 8, Approved 5, Rejected 6 and Scheduled 9.
+	 *
+	 * @param array $history History entries of every attachment.
+	 * @return SubmissionService
+	 */
+	private function create_service( array $history = [] ): SubmissionService {
+		$workflow_state = $this->createMock( WorkflowState::class );
+		$workflow_state->method( 'get_approved_folder' )->willReturn( 5 );
+		$workflow_state->method( 'get_rejected_folder' )->willReturn( 6 );
+		$workflow_state->method( 'get_scheduled_folder' )->willReturn( 9 );
+		$workflow_state->method( 'get_stage_folders' )->willReturn( [ 4, 7 ] );
+
+		$inbox_service = $this->createMock( InboxService::class );
+		$inbox_service->method( 'get_all_inbox_folder_ids' )->willReturn( [ 8, 5 ] );
+
+		$history_service = $this->createMock( HistoryService::class );
+		$history_service->method( 'get_history' )->willReturn( $history );
+
+		return new SubmissionService(
+			$workflow_state,
+			$inbox_service,
+			$this->createMock( CommentService::class ),
+			$history_service,
+			$this->createMock( AssignmentService::class )
+		);
+	}
+
+	/**
+	 * Test the workflow folders behind each status.
+	 *
+	 * @return void
+	 */
+	public function test_get_status_folders(): void {
+		$this->assertSame(
+			[
+				'pending'   => [ 4, 7, 8 ],
+				'scheduled' => [ 9 ],
+				'approved'  => [ 5 ],
+				'rejected'  => [ 6 ],
+			],
+			$this->create_service()->get_status_folders()
+		);
+	}
+
+	/**
+	 * Test the status follows from the folders an upload is in.
+	 *
+	 * @return void
+	 */
+	public function test_get_status(): void {
+		$service = $this->create_service();
+
+		$this->assertSame( 'pending', $service->get_status( [ 8 ] ) );
+		$this->assertSame( 'pending', $service->get_status( [ 7 ] ) );
+		$this->assertSame( 'approved', $service->get_status( [ 5 ] ) );
+		$this->assertSame( 'scheduled', $service->get_status( [ 9 ] ) );
+		$this->assertSame( 'rejected', $service->get_status( [ 6, 4 ] ) );
+		$this->assertSame( 'moved', $service->get_status( [ 12 ] ) );
+		$this->assertNull( $service->get_status( [] ) );
+	}
+
+	/**
+	 * Test uploads queued for review entered the workflow.
+	 *
+	 * @return void
+	 */
+	public function test_has_entered_workflow_when_queued(): void {
+		Functions\when( 'get_post_meta' )->justReturn( '1767225600' );
+
+		$this->assertTrue( $this->create_service()->has_entered_workflow( 10 ) );
+	}
+
+	/**
+	 * Test uploads to an inbox that is not a review queue entered the workflow.
+	 *
+	 * @return void
+	 */
+	public function test_has_entered_workflow_from_inbox(): void {
+		Functions\when( 'get_post_meta' )->justReturn( '' );
+
+		$service = $this->create_service( [
+			[ 'event' => 'inbox', 'user_id' => 3, 'date' => '2026-01-01 10:00:00', 'folder' => 8 ],
+			[ 'event' => 'moved', 'user_id' => 2, 'date' => '2026-01-02 10:00:00', 'folder' => 12 ],
+		] );
+
+		$this->assertTrue( $service->has_entered_workflow( 10 ) );
+	}
+
+	/**
+	 * Test uploads filed straight into an ordinary folder never entered the workflow.
+	 *
+	 * @return void
+	 */
+	public function test_has_not_entered_workflow_when_filed_directly(): void {
+		Functions\when( 'get_post_meta' )->justReturn( '' );
+
+		$service = $this->create_service( [
+			[ 'event' => 'folder', 'user_id' => 3, 'date' => '2026-01-01 10:00:00', 'folder' => 12 ],
+		] );
+
+		$this->assertFalse( $service->has_entered_workflow( 10 ) );
+	}
+}
@@ -9,6 +9,7 @@ declare(strict_types=1);
 
 namespace VmfaEditorialWorkflow\Tests;
 
+use Brain\Monkey\Filters;
 use Brain\Monkey\Functions;
 use Brain\Monkey\Actions;
 use VmfaEditorialWorkflow\Services\AccessChecker;
@@ -138,6 +139,167 @@ class WorkflowStateTest extends \VMFA_TestCase {
 		$this->assertTrue( $workflow->mark_approved( 50 ) );
 	}
 
+	/**
+	 * Test mark_approved waits for the required number of distinct reviewers.
+	 *
+	 * @return void
+	 */
+	public function test_mark_approved_waits_for_required_approvals(): void {
+		$meta    = '';
+		$user_id = 7;
+		Functions\when( 'get_option' )->alias(
+			fn( $option, $default = false ) => WorkflowState::OPTION_APPROVALS_REQUIRED === $option ? 2 : $default
+		);
+		Functions\when( 'get_term_by' )->alias( function ( $field, $value, $taxonomy ) {
+			if ( 'vmfa-approved' === $value ) {
+				return new \WP_Term( (object) [ 'term_id' => 101 ] );
+			}
+			return false;
+		} );
+		Functions\when( 'get_current_user_id' )->alias(
+			function () use ( &$user_id ) {
+				return $user_id;
+			}
+		);
+		Functions\when( 'current_time' )->justReturn( '2026-01-01 12:00:00' );
+		Functions\when( 'get_post_meta' )->alias(
+			function () use ( &$meta ) {
+				return $meta;
+			}
+		);
+		Functions\when( 'update_post_meta' )->alias(
+			function ( $post_id, $key, $value ) use ( &$meta ) {
+				$meta = $value;
+				return true;
+			}
+		);
+		Functions\expect( 'wp_set_object_terms' )->once()->andReturn( [ 101 ] );
+
+		Actions\expectDone( 'vmfa_approval_recorded' )->twice();
+		Actions\expectDone( 'vmfa_approved' )->once()->with( 50, 101 );
+
+		$access_checker = $this->createMock( AccessChecker::class);
+		$workflow       = new WorkflowState( $access_checker );
+
+		$this->assertFalse( $workflow->mark_approved( 50 ) );
+		$this->assertFalse( $workflow->mark_approved( 50 ) );
+		$this->assertCount( 1, $workflow->get_approvals( 50 ) );
+		$this->assertTrue( $workflow->has_approved( 50 ) );
+
+		$user_id = 8;
+
+		$this->assertTrue( $workflow->mark_approved( 50 ) );
+		$this->assertSame( [ 7, 8 ], array_column( $meta, 'user_id' ) );
+	}
+
+	/**
+	 * Test mark_rejected assigns to the Rejected folder and stores the reason.
+	 *
+	 * @return void
+	 */
+	public function test_mark_rejected(): void {
+		Functions\when( 'get_term_by' )->alias( function ( $field, $value, $taxonomy ) {
+			if ( 'vmfa-rejected' === $value ) {
+				return new \WP_Term( (object) [ 'term_id' => 102 ] );
+			}
+			return false;
+		} );
+		Functions\when( 'wp_set_object_terms' )->justReturn( [ 102 ] );
+		Functions\when( 'get_current_user_id' )->justReturn( 7 );
+		Functions\when( 'current_time' )->justReturn( '2026-01-01 12:00:00' );
+
+		$saved = null;
+		Functions\when( 'update_post_meta' )->alias( function ( $post_id, $key, $value ) use ( &$saved ) {
+			$saved = [ $post_id, $key, $value ];
+			return true;
+		} );
+
+		Actions\expectDone( 'vmfa_rejected' )
+			->once()
+			->with( 50, 102, 'Blurry' );
+
+		$access_checker = $this->createMock( AccessChecker::class);
+		$workflow       = new WorkflowState( $access_checker );
+
+		$this->assertTrue( $workflow->mark_rejected( 50, 'Blurry' ) );
+		$this->assertEquals(
+			[
+				50,
+				'vmfa_rejection',
+				[
+					'reason'  => 'Blurry',
+					'user_id' => 7,
+					'date'    => '2026-01-01 12:00:00',
+				],
+			],
+			$saved
+		);
+	}
+
+	/**
+	 * Test mark_rejected slashes the reason so backslashes survive saving.
+	 *
+	 * @return void
+	 */
+	public function test_mark_rejected_slashes_reason(): void {
+		Functions\when( 'get_term_by' )->justReturn( new \WP_Term( (object) [ 'term_id' => 102 ] ) );
+		Functions\when( 'wp_set_object_terms' )->justReturn( [ 102 ] );
+		Functions\when( 'get_current_user_id' )->justReturn( 7 );
+		Functions\when( 'current_time' )->justReturn( '2026-01-01 12:00:00' );
+
+		$saved = null;
+		Functions\when( 'update_post_meta' )->alias( function ( $post_id, $key, $value ) use ( &$saved ) {
+			$saved = $value;
+			return true;
+		} );
+
+		$access_checker = $this->createMock( AccessChecker::class);
+		$workflow       = new WorkflowState( $access_checker );
+
+		$this->assertTrue( $workflow->mark_rejected( 50, 'Save it under C:\\press\\final' ) );
+		$this->assertSame( 'Save it under C:\\\\press\\\\final', $saved[ 'reason' ] );
+	}
+
+	/**
+	 * Test mark_rejected fails when the Rejected folder is missing.
+	 *
+	 * @return void
+	 */
+	public function test_mark_rejected_without_folder(): void {
+		Functions\when( 'get_term_by' )->justReturn( false );
+
+		Actions\expectDone( 'vmfa_rejected' )->never();
+
+		$access_checker = $this->createMock( AccessChecker::class);
+		$workflow       = new WorkflowState( $access_checker );
+
+		$this->assertFalse( $workflow->mark_rejected( 50, 'Blurry' ) );
+	}
+
+	/**
+	 * Test rejection reasons fall back to defaults and are sanitized on save.
+	 *
+	 * @return void
+	 */
+	public function test_rejection_reasons(): void {
+		Functions\when( 'get_option' )->alias( fn( $option, $default = false ) => $default );
+
+		$saved = null;
+		Functions\when( 'update_option' )->alias( function ( $option, $value ) use ( &$saved ) {
+			$saved = $value;
+			return true;
+		} );
+
+		$access_checker = $this->createMock( AccessChecker::class);
+		$workflow       = new WorkflowState( $access_checker );
+
+		$this->assertNotEmpty( $workflow->get_rejection_reasons() );
+
+		$workflow->set_rejection_reasons( [ ' Blurry ', '', 'Blurry', '<b>Off brand</b>' ] );
+
+		$this->assertEquals( [ 'Blurry', 'Off brand' ], $saved );
+	}
+
 	/**
 	 * Test is_workflow_enabled returns option value.
 	 *
@@ -203,4 +365,325 @@ class WorkflowStateTest extends \VMFA_TestCase {
 
 		$this->assertTrue( $deleted );
 	}
+
+	/**
+	 * Test stages are built from Needs Review plus the stored stages.
+	 *
+	 * @return void
+	 */
+	public function test_get_stages_builds_pipeline(): void {
+		Functions\when( 'get_option' )->alias( function ( $option, $default = false ) {
+			if ( WorkflowState::OPTION_STAGES === $option ) {
+				return [
+					[ 'key' => 'needs-review', 'roles' => [ 'editor' ] ],
+					[ 'key' => 'legal', 'name' => 'Legal', 'roles' => [ 'legal_reviewer' ] ],
+					[ 'key' => 'brand', 'name' => 'Brand', 'roles' => [] ],
+				];
+			}
+			return $default;
+		} );
+		Functions\when( 'get_term_by' )->alias( function ( $field, $value, $taxonomy ) {
+			$folders = [
+				'vmfa-needs-review' => 100,
+				'vmfa-stage-legal'  => 201,
+				'vmfa-stage-brand'  => 202,
+			];
+			return isset( $folders[ $value ] ) ? new \WP_Term( (object) [ 'term_id' => $folders[ $value ] ] ) : false;
+		} );
+
+		$access_checker = $this->createMock( AccessChecker::class);
+		$workflow       = new WorkflowState( $access_checker );
+
+		$this->assertSame( [ 'needs-review', 'legal', 'brand' ], array_column( $workflow->get_stages(), 'key' ) );
+		$this->assertSame( [ 'editor' ], $workflow->get_stages()[ 0 ][ 'roles' ] );
+		$this->assertSame( [ 100, 201, 202 ], $workflow->get_stage_folders() );
+		$this->assertSame( 'brand', $workflow->get_next_stage( 'legal' )[ 'key' ] );
+		$this->assertNull( $workflow->get_next_stage( 'brand' ) );
+	}
+
+	/**
+	 * Test review folders are the stage folders plus filtered folders other than Approved and Rejected.
+	 *
+	 * @return void
+	 */
+	public function test_get_review_folders(): void {
+		Functions\when( 'get_option' )->alias( fn( $option, $default = false ) => $default );
+		Functions\when( 'get_term_by' )->alias( function ( $field, $value, $taxonomy ) {
+			$folders = [
+				WorkflowState::FOLDER_NEEDS_REVIEW => 100,
+				WorkflowState::FOLDER_APPROVED     => 110,
+				WorkflowState::FOLDER_REJECTED     => 120,
+			];
+			return isset( $folders[ $value ] ) ? new \WP_Term( (object) [ 'term_id' => $folders[ $value ] ] ) : false;
+		} );
+		Filters\expectApplied( 'vmfa_review_folders' )->once()->andReturn( [ 300, 110, 100, 120, 301 ] );
+
+		$access_checker = $this->createMock( AccessChecker::class);
+		$workflow       = new WorkflowState( $access_checker );
+
+		$this->assertSame( [ 100, 300, 301 ], $workflow->get_review_folders() );
+	}
+
+	/**
+	 * Test stage roles limit who can approve a stage.
+	 *
+	 * @return void
+	 */
+	public function test_can_review_stage_checks_roles(): void {
+		Functions\when( 'user_can' )->justReturn( false );
+		Functions\when( 'get_userdata' )->justReturn( (object) [ 'roles' => [ 'legal_reviewer' ] ] );
+
+		$access_checker = $this->createMock( AccessChecker::class);
+		$workflow       = new WorkflowState( $access_checker );
+
+		$this->assertTrue( $workflow->can_review_stage( [ 'roles' => [ 'legal_reviewer' ] ], 5 ) );
+		$this->assertFalse( $workflow->can_review_stage( [ 'roles' => [ 'brand_manager' ] ], 5 ) );
+		$this->assertFalse( $workflow->can_review_stage( [ 'roles' => [] ], 5 ) );
+	}
+
+	/**
+	 * Test mark_stage moves the item into the stage folder.
+	 *
+	 * @return void
+	 */
+	public function test_mark_stage(): void {
+		Functions\when( 'wp_set_object_terms' )->justReturn( [ 201 ] );
+
+		Actions\expectDone( 'vmfa_stage_advanced' )
+			->once()
+			->with( 50, 201, 'legal' );
+
+		$access_checker = $this->createMock( AccessChecker::class);
+		$workflow       = new WorkflowState( $access_checker );
+
+		$this->assertTrue( $workflow->mark_stage( 50, [ 'key' => 'legal', 'folder' => 201 ] ) );
+		$this->assertFalse( $workflow->mark_stage( 50, [ 'key' => 'brand', 'folder' => null ] ) );
+	}
+
+	/**
+	 * Test waiting items are flagged once they pass the SLA thresholds.
+	 *
+	 * @return void
+	 */
+	public function test_get_age_status_uses_thresholds(): void {
+		$options = [
+			WorkflowState::OPTION_SLA_WARNING => 2,
+			WorkflowState::OPTION_SLA_OVERDUE => 5,
+		];
+		Functions\when( 'get_option' )->alias( function ( $option, $default = false ) use ( &$options ) {
+			return $options[ $option ] ?? $default;
+		} );
+
+		$access_checker = $this->createMock( AccessChecker::class);
+		$workflow       = new WorkflowState( $access_checker );
+		$now            = 1767225600;
+
+		$this->assertSame( 'ok', $workflow->get_age_status( $now - DAY_IN_SECONDS, $now ) );
+		$this->assertSame( 'warning', $workflow->get_age_status( $now - 2 * DAY_IN_SECONDS, $now ) );
+		$this->assertSame( 'overdue', $workflow->get_age_status( $now - 6 * DAY_IN_SECONDS, $now ) );
+
+		$options[ WorkflowState::OPTION_SLA_OVERDUE ] = 0;
+
+		$this->assertSame( 'warning', $workflow->get_age_status( $now - 30 * DAY_IN_SECONDS, $now ) );
+	}
+
+	/**
+	 * Test the queue time falls back to the upload time and is only recorded
+	 * for uploads routed into review.
+	 *
+	 * @return void
+	 */
+	public function test_queued_at_is_recorded_for_review_uploads(): void {
+		$meta = [];
+		Functions\when( 'get_option' )->alias( fn( $option, $default = false ) => $default );
+		Functions\when( 'get_term_by' )->justReturn( new \WP_Term( (object) [ 'term_id' => 100 ] ) );
+		Functions\when( 'get_post_time' )->justReturn( '1767225600' );
+		Functions\when( 'get_post_meta' )->alias( function ( $id ) use ( &$meta ) {
+			return $meta[ $id ] ?? '';
+		} );
+		Functions\when( 'update_post_meta' )->alias( function ( $id, $key, $value ) use ( &$meta ) {
+			$meta[ $id ] = $value;
+			return true;
+		} );
+
+		$access_checker = $this->createMock( AccessChecker::class);
+		$workflow       = new WorkflowState( $access_checker );
+
+		$this->assertSame( 1767225600, $workflow->get_queued_at( 50 ) );
+
+		$workflow->maybe_record_queued_upload( 50, 300 );
+		$this->assertSame( [], $meta );
+
+		$workflow->maybe_record_queued_upload( 50, 100 );
+		$this->assertGreaterThan( 1767225600, $workflow->get_queued_at( 50 ) );
+	}
+
+	/**
+	 * Test the decision that took an item out of review is kept until it
+	 * re-enters review.
+	 *
+	 * @return void
+	 */
+	public function test_decision_is_recorded_until_cleared(): void {
+		$meta = [];
+		Functions\when( 'get_current_user_id' )->justReturn( 3 );
+		Functions\when( 'current_time' )->justReturn( '2026-01-01 10:00:00' );
+		Functions\when( 'get_post_meta' )->alias( function ( $id, $key ) use ( &$meta ) {
+			return $meta[ $id ][ $key ] ?? '';
+		} );
+		Functions\when( 'update_post_meta' )->alias( function ( $id, $key, $value ) use ( &$meta ) {
+			$meta[ $id ][ $key ] = $value;
+			return true;
+		} );
+		Functions\when( 'delete_post_meta' )->alias( function ( $id, $key ) use ( &$meta ) {
+			unset( $meta[ $id ][ $key ] );
+			return true;
+		} );
+
+		$access_checker = $this->createMock( AccessChecker::class);
+		$workflow       = new WorkflowState( $access_checker );
+
+		$this->assertNull( $workflow->get_decision( 50 ) );
+
+		$workflow->record_moved_decision( 50, 12 );
+
+		$this->assertSame(
+			[
+				'action'  => 'moved',
+				'folder'  => 12,
+				'user_id' => 3,
+				'date'    => '2026-01-01 10:00:00',
+			],
+			$workflow->get_decision( 50 )
+		);
+		$this->assertIsInt( $meta[ 50 ][ WorkflowState::META_DECIDED_AT ] );
+
+		$workflow->clear_decision( 50 );
+
+		$this->assertNull( $workflow->get_decision( 50 ) );
+		$this->assertSame( [], $meta[ 50 ] );
+	}
+
+	/**
+	 * Test the history tabs cover between one day and the maximum.
+	 *
+	 * @return void
+	 */
+	public function test_get_recent_days_is_clamped(): void {
+		$options = [];
+		Functions\when( 'get_option' )->alias( function ( $option, $default = false ) use ( &$options ) {
+			return $options[ $option ] ?? $default;
+		} );
+
+		$access_checker = $this->createMock( AccessChecker::class);
+		$workflow       = new WorkflowState( $access_checker );
+
+		$this->assertSame( WorkflowState::DEFAULT_RECENT_DAYS, $workflow->get_recent_days() );
+
+		$options[ WorkflowState::OPTION_RECENT_DAYS ] = 0;
+		$this->assertSame( 1, $workflow->get_recent_days() );
+
+		$options[ WorkflowState::OPTION_RECENT_DAYS ] = 365;
+		$this->assertSame( WorkflowState::MAX_RECENT_DAYS, $workflow->get_recent_days() );
+	}
+
+	/**
+	 * Test schedule_release holds the item in the Scheduled folder until its release event.
+	 *
+	 * @return void
+	 */
+	public function test_schedule_release_holds_item_until_release(): void {
+		$meta   = [];
+		$events = [];
+		Functions\when( 'get_current_user_id' )->justReturn( 3 );
+		Functions\when( 'current_time' )->justReturn( '2026-01-01 10:00:00' );
+		Functions\when( 'get_term_by' )->alias( function ( $field, $value ) {
+			return 'vmfa-scheduled' === $value ? new \WP_Term( (object) [ 'term_id' => 103 ] ) : false;
+		} );
+		Functions\when( 'get_post_meta' )->alias( function ( $id, $key ) use ( &$meta ) {
+			return $meta[ $id ][ $key ] ?? '';
+		} );
+		Functions\when( 'update_post_meta' )->alias( function ( $id, $key, $value ) use ( &$meta ) {
+			$meta[ $id ][ $key ] = $value;
+			return true;
+		} );
+		Functions\when( 'is_object_in_term' )->justReturn( false );
+		Functions\when( 'wp_schedule_single_event' )->alias( function ( $time, $hook, $args ) use ( &$events ) {
+			$events[] = [ $time, $hook, $args ];
+			return true;
+		} );
+		Functions\expect( 'wp_set_object_terms' )->once()->with( 50, 103, 'vmfo_folder' )->andReturn( [ 103 ] );
+
+		Actions\expectDone( 'vmfa_scheduled' )->once()->with( 50, 103, 1900000000, 0 );
+
+		$access_checker = $this->createMock( AccessChecker::class);
+		$workflow       = new WorkflowState( $access_checker );
+
+		$this->assertTrue( $workflow->schedule_release( 50, 1900000000 ) );
+		$this->assertSame( [ [ 1900000000, WorkflowState::RELEASE_HOOK, [ 50 ] ] ], $events );
+		$this->assertSame(
+			[
+				'user_id' => 3,
+				'date'    => '2026-01-01 10:00:00',
+				'at'      => 1900000000,
+			],
+			$workflow->get_release( 50 )
+		);
+	}
+
+	/**
+	 * Test release moves a due item to the Approved folder and waits for a later release time.
+	 *
+	 * @return void
+	 */
+	public function test_release_moves_due_item_to_approved(): void {
+		$due  = time() - 60;
+		$meta = [
+			50 => [
+				WorkflowState::META_RELEASE    => [ 'user_id' => 3, 'date' => '2026-01-01 10:00:00' ],
+				WorkflowState::META_RELEASE_AT => $due,
+			],
+			51 => [
+				WorkflowState::META_RELEASE    => [ 'user_id' => 3, 'date' => '2026-01-01 10:00:00' ],
+				WorkflowState::META_RELEASE_AT => time() + 3600,
+			],
+		];
+		Functions\when( 'get_option' )->justReturn( '' );
+		Functions\when( 'get_term_by' )->alias( function ( $field, $value ) {
+			$folders = [
+				'vmfa-approved'  => 101,
+				'vmfa-scheduled' => 103,
+			];
+			return isset( $folders[ $value ] ) ? new \WP_Term( (object) [ 'term_id' => $folders[ $value ] ] ) : false;
+		} );
+		Functions\when( 'get_post_meta' )->alias( function ( $id, $key ) use ( &$meta ) {
+			return $meta[ $id ][ $key ] ?? '';
+		} );
+		Functions\when( 'delete_post_meta' )->alias( function ( $id, $key ) use ( &$meta ) {
+			unset( $meta[ $id ][ $key ] );
+			return true;
+		} );
+		Functions\when( 'is_object_in_term' )->justReturn( true );
+		Functions\when( 'wp_clear_scheduled_hook' )->justReturn( 0 );
+		Functions\expect( 'wp_set_object_terms' )->once()->with( 50, 101, 'vmfo_folder' )->andReturn( [ 101 ] );
+
+		Actions\expectDone( 'vmfa_released' )->once()->with(
+			50,
+			101,
+			[
+				'user_id' => 3,
+				'date'    => '2026-01-01 10:00:00',
+				'at'      => $due,
+			]
+		);
+
+		$access_checker = $this->createMock( AccessChecker::class);
+		$workflow       = new WorkflowState( $access_checker );
+
+		$workflow->release( 50 );
+		$workflow->release( 51 );
+
+		$this->assertNull( $workflow->get_release( 50 ) );
+		$this->assertNotNull( $workflow->get_release( 51 ) );
+	}
 }
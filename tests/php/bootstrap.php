@@ -32,6 +32,14 @@ if ( ! defined( 'VMFA_EDITORIAL_WORKFLOW_URL' ) ) {
 	define( 'VMFA_EDITORIAL_WORKFLOW_URL', 'https://example.com/wp-content/plugins/vmfa-editorial-workflow/' );
 }
 
+if ( ! defined( 'DAY_IN_SECONDS' ) ) {
+	define( 'DAY_IN_SECONDS', 86400 );
+}
+
+if ( ! defined( 'MINUTE_IN_SECONDS' ) ) {
+	define( 'MINUTE_IN_SECONDS', 60 );
+}
+
 // Mock VMF constants.
 if ( ! defined( 'VMFO_VERSION' ) ) {
 	define( 'VMFO_VERSION', '1.0.0' );
@@ -67,6 +75,18 @@ abstract class VMFA_TestCase extends \PHPUnit\Framework\TestCase {
 			'wp_parse_args'       => fn( $args, $defaults ) => array_merge( $defaults, $args ),
 			'is_admin'            => fn() => true,
 			'is_wp_error'         => fn( $thing ) => $thing instanceof \WP_Error,
+			'wp_slash'            => function ( $value ) {
+				if ( is_array( $value ) ) {
+					array_walk_recursive(
+						$value,
+						function ( &$item ) {
+							$item = is_string( $item ) ? addslashes( $item ) : $item;
+						}
+					);
+					return $value;
+				}
+				return is_string( $value ) ? addslashes( $value ) : $value;
+			},
 			'plugin_dir_path'     => fn( $file ) => dirname( $file ) . '/',
 			'plugin_dir_url'      => fn( $file ) => 'https://example.com/wp-content/plugins/' . basename( dirname( $file ) ) . '/',
 		] );
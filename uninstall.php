@@ -2,7 +2,7 @@
 /**
  * Uninstall handler for Virtual Media Folders – Editorial Workflow.
  *
- * Removes all plugin-specific options and term meta from the database.
+ * Removes all plugin-specific options, term meta and post meta from the database.
  *
  * @package VmfaEditorialWorkflow
  */
@@ -18,6 +18,27 @@ delete_option( 'vmfa_editors_can_review' );
 delete_option( 'vmfa_approved_folder' );
 delete_option( 'vmfa_inbox_map' );
 delete_option( 'vmfa_needs_review_folder' );
+delete_option( 'vmfa_rejection_reasons' );
+delete_option( 'vmfa_undo_window' );
+delete_option( 'vmfa_recent_days' );
+delete_option( 'vmfa_approvals_required' );
+delete_option( 'vmfa_quality_rules' );
+delete_option( 'vmfa_review_stages' );
+delete_option( 'vmfa_auto_assign' );
+delete_option( 'vmfa_auto_assign_last' );
+delete_option( 'vmfa_sla_warning_days' );
+delete_option( 'vmfa_sla_overdue_days' );
+delete_option( 'vmfa_system_folders_version' );
+delete_option( 'vmfa_audit_retention' );
+delete_option( 'vmfa_audit_log_db_version' );
+delete_option( 'vmfa_notifications' );
+delete_option( 'vmfa_duplicate_backfilled' );
+
+wp_clear_scheduled_hook( 'vmfa_audit_log_prune' );
+wp_clear_scheduled_hook( 'vmfa_notification_digest' );
+wp_clear_scheduled_hook( 'vmfa_notification_send' );
+wp_clear_scheduled_hook( 'vmfa_duplicate_backfill' );
+wp_unschedule_hook( 'vmfa_release_scheduled' );
 
 // Remove per-folder term meta (role permissions and system folder flags).
 global $wpdb;
@@ -35,3 +56,37 @@ $wpdb->query(
 		'vmfa_system_folder'
 	)
 );
+
+// Remove per-attachment workflow post meta.
+$wpdb->query(
+	$wpdb->prepare(
+		"DELETE FROM {$wpdb->postmeta} WHERE meta_key IN ( %s, %s, %s, %s, %s, %s, %s, %s, %s, %s, %s, %s, %s, %s )",
+		'vmfa_rejection',
+		'vmfa_review_comment',
+		'vmfa_approvals',
+		'vmfa_assignee',
+		'vmfa_queued_at',
+		'vmfa_content_hash',
+		'vmfa_image_hash',
+		'vmfa_duplicates',
+		'vmfa_history',
+		'vmfa_resubmission',
+		'vmfa_decision',
+		'vmfa_decided_at',
+		'vmfa_release',
+		'vmfa_release_at'
+	)
+);
+
+// Remove per-user review and notification preferences, and queued notifications.
+$wpdb->query(
+	$wpdb->prepare(
+		"DELETE FROM {$wpdb->usermeta} WHERE meta_key IN ( %s, %s, %s )",
+		'vmfa_review_view',
+		'vmfa_notifications_opt_out',
+		'vmfa_notification_queue'
+	)
+);
+
+// Drop the audit log table.
+$wpdb->query( "DROP TABLE IF EXISTS {$wpdb->prefix}vmfa_audit_log" );
@@ -18,7 +18,7 @@ export default defineConfig({
 		rollupOptions: {
 			input: {
 				settings: resolve(__dirname, 'src/js/settings/index.jsx'),
-				review: resolve(__dirname, 'src/js/review/index.js'),
+				review: resolve(__dirname, 'src/js/review/index.jsx'),
 			},
 			output: {
 				format: 'iife',
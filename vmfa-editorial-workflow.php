@@ -99,6 +99,12 @@ function activate(): void {
 	require_once VMFA_EDITORIAL_WORKFLOW_PATH . 'src/php/Services/AccessChecker.php';
 	require_once VMFA_EDITORIAL_WORKFLOW_PATH . 'src/php/WorkflowState.php';
 	WorkflowState::activate();
+
+	require_once VMFA_EDITORIAL_WORKFLOW_PATH . 'src/php/Services/AuditLogService.php';
+	Services\AuditLogService::activate();
+
+	require_once VMFA_EDITORIAL_WORKFLOW_PATH . 'src/php/Services/DuplicateService.php';
+	Services\DuplicateService::activate();
 }
 register_activation_hook( __FILE__, __NAMESPACE__ . '\\activate' );
 
@@ -110,5 +116,13 @@ register_activation_hook( __FILE__, __NAMESPACE__ . '\\activate' );
 function deactivate(): void {
 	// Cleanup transients if any.
 	delete_transient( 'vmfa_editorial_workflow_review_count' );
+
+	wp_clear_scheduled_hook( 'vmfa_audit_log_prune' );
+	wp_clear_scheduled_hook( 'vmfa_notification_digest' );
+	wp_clear_scheduled_hook( 'vmfa_notification_send' );
+	wp_clear_scheduled_hook( 'vmfa_duplicate_backfill' );
+
+	// Pending releases are scheduled again on activation.
+	wp_unschedule_hook( 'vmfa_release_scheduled' );
 }
 register_deactivation_hook( __FILE__, __NAMESPACE__ . '\\deactivate' );
@@ -5,12 +5,18 @@ module.exports = {
 	...defaultConfig,
 	entry: {
 		settings: path.resolve( __dirname, 'src/js/settings/index.jsx' ),
-		review: path.resolve( __dirname, 'src/js/review/index.js' ),
+		review: path.resolve( __dirname, 'src/js/review/index.jsx' ),
+		submissions: path.resolve( __dirname, 'src/js/submissions/index.jsx' ),
+		'review-badge': path.resolve( __dirname, 'src/js/review-badge.js' ),
 		'media-library-enforcer': path.resolve(
 			__dirname,
 			'src/js/media-library-enforcer.js'
 		),
 		'wp7-compat': path.resolve( __dirname, 'src/js/wp7-compat.js' ),
+		'attachment-history': path.resolve(
+			__dirname,
+			'src/js/attachment-history.js'
+		),
 	},
 	output: {
 		...defaultConfig.output,